@@ -0,0 +1,28 @@
+/**
+ * Admin checks
+ *
+ * Admins are the users whose role is 'admin' (see users.js and
+ * permissions.js). The ADMIN_EMAILS env binding (comma-separated,
+ * case-insensitive) bootstraps them: listed emails are admins until an
+ * admin assigns them another role. The identity is the one _middleware.js
+ * resolved into context.data.user, the same one /api/me reports.
+ */
+
+/**
+ * Lowercased admin emails from the environment
+ */
+export function getAdminEmails(env = {}) {
+  const raw = env.ADMIN_EMAILS || '';
+  return raw.split(',').map(email => email.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * True when user is signed in with the admin role
+ * Without a role (a user object not resolved by _middleware.js) the
+ * ADMIN_EMAILS allowlist decides.
+ */
+export function isAdmin(user, env = {}) {
+  if (!user || !user.email) return false;
+  if (user.role) return user.role === 'admin';
+  return getAdminEmails(env).includes(String(user.email).toLowerCase());
+}
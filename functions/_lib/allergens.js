@@ -0,0 +1,182 @@
+/**
+ * Allergen and diet classification of ingredient lists
+ *
+ * Looks for the major allergens and for meat, fish and other animal
+ * products in a recipe's parsed ingredients:
+ *
+ *   classifyRecipe(recipe)
+ *   -> {allergens: ['dairy', 'gluten'], tags: [...recipe tags, 'contains-dairy', ...],
+ *       warnings: ['Marked vegan, but "2 tbsp butter" contains dairy']}
+ *
+ * A positive match is reliable; the absence of one is only as good as the
+ * keyword lists. Diet tags ("vegan", "gluten-free") are therefore added
+ * only when every ingredient was recognised by the nutrition table, while
+ * "contains-..." tags are always added. Warnings point out diets the user
+ * claimed (checkbox or tag) that the ingredients contradict; they never
+ * block a save.
+ */
+
+import { itemName } from './ingredients.js';
+import { matchNutrition } from './nutrition.js';
+
+export const ALLERGENS = ['gluten', 'dairy', 'egg', 'nuts', 'peanuts', 'soy', 'shellfish', 'fish', 'sesame'];
+
+// Allergen -> words that signal it, and phrases that look like it but are not
+const ALLERGEN_RULES = {
+  gluten: {
+    keywords: [
+      'flour', 'wheat', 'barley', 'rye', 'spelt', 'semolina', 'couscous', 'bulgur', 'farro', 'bread', 'breadcrumb',
+      'bread crumb', 'panko', 'pasta', 'spaghetti', 'penne', 'macaroni', 'fusilli', 'linguine', 'fettuccine',
+      'lasagna', 'noodle', 'tortilla', 'pita', 'bagel', 'baguette', 'bun', 'roll', 'cracker', 'biscuit', 'cake',
+      'soy sauce', 'beer', 'malt', 'seitan', 'orzo', 'gnocchi', 'crouton', 'pastry', 'pie crust', 'puff pastry'
+    ],
+    except: [
+      'gluten-free', 'gluten free', 'rice flour', 'almond flour', 'coconut flour', 'corn flour', 'cornflour',
+      'chickpea flour', 'buckwheat flour', 'rice noodle', 'corn tortilla', 'tamari', 'buckwheat', 'spring roll'
+    ]
+  },
+  dairy: {
+    keywords: [
+      'milk', 'butter', 'buttermilk', 'cream', 'cheese', 'cheddar', 'parmesan', 'mozzarella', 'feta', 'ricotta',
+      'yogurt', 'yoghurt', 'ghee', 'whey', 'casein', 'creme fraiche', 'mascarpone', 'gruyere', 'pecorino',
+      'brie', 'halloumi', 'paneer', 'custard', 'ice cream', 'sour cream', 'evaporated milk', 'condensed milk'
+    ],
+    except: [
+      'coconut milk', 'coconut cream', 'almond milk', 'soy milk', 'oat milk', 'rice milk', 'cashew milk',
+      'peanut butter', 'almond butter', 'cashew butter', 'cocoa butter', 'apple butter', 'nut butter',
+      'cream of tartar', 'vegan butter', 'vegan cheese', 'dairy-free', 'dairy free', 'butternut', 'butter bean'
+    ]
+  },
+  egg: {
+    keywords: ['egg', 'egg white', 'egg yolk', 'yolk', 'mayonnaise', 'mayo', 'meringue', 'aioli', 'egg noodle'],
+    except: ['vegan mayonnaise', 'vegan mayo', 'egg-free', 'egg free']
+  },
+  nuts: {
+    keywords: [
+      'nut', 'almond', 'walnut', 'pecan', 'cashew', 'hazelnut', 'pistachio', 'macadamia', 'brazil nut',
+      'pine nut', 'praline', 'marzipan', 'nutella', 'almond milk', 'almond butter', 'almond flour', 'cashew milk'
+    ],
+    except: ['nutmeg', 'butternut', 'coconut', 'doughnut', 'donut', 'water chestnut', 'peanut', 'nut-free', 'nut free']
+  },
+  peanuts: {
+    keywords: ['peanut', 'peanut butter', 'peanut oil', 'groundnut', 'satay'],
+    except: []
+  },
+  soy: {
+    keywords: ['soy', 'soya', 'soy sauce', 'tofu', 'tempeh', 'edamame', 'miso', 'tamari', 'soybean', 'soy milk'],
+    except: []
+  },
+  shellfish: {
+    keywords: [
+      'shrimp', 'prawn', 'crab', 'lobster', 'crayfish', 'langoustine', 'scallop', 'clam', 'mussel', 'oyster',
+      'squid', 'calamari', 'octopus', 'oyster sauce'
+    ],
+    except: []
+  },
+  fish: {
+    keywords: [
+      'fish', 'salmon', 'tuna', 'cod', 'haddock', 'tilapia', 'trout', 'halibut', 'sardine', 'anchovy', 'mackerel',
+      'sea bass', 'snapper', 'fish sauce', 'worcestershire sauce'
+    ],
+    except: ['fish-free']
+  },
+  sesame: {
+    keywords: ['sesame', 'sesame seed', 'sesame oil', 'tahini', 'hummus', 'za atar', 'zaatar'],
+    except: []
+  }
+};
+
+// Not vegetarian
+const MEAT_KEYWORDS = [
+  'meat', 'chicken', 'beef', 'pork', 'bacon', 'ham', 'sausage', 'lamb', 'mutton', 'turkey', 'veal', 'duck',
+  'goose', 'venison', 'chorizo', 'prosciutto', 'pancetta', 'salami', 'pepperoni', 'steak', 'mince', 'gelatin',
+  'gelatine', 'lard', 'suet', 'bone broth', 'chicken stock', 'beef stock', 'chicken broth', 'beef broth'
+];
+const MEAT_EXCEPTIONS = ['vegetarian', 'vegan', 'plant-based', 'meat-free', 'beefsteak tomato'];
+
+// Vegetarian but not vegan (besides dairy and egg)
+const OTHER_ANIMAL_KEYWORDS = ['honey'];
+
+// Diet flag -> tag added when the ingredients support it
+const DIET_TAGS = {
+  vegetarian: 'vegetarian',
+  vegan: 'vegan',
+  glutenFree: 'gluten-free',
+  dairyFree: 'dairy-free'
+};
+
+const MAX_TAGS = 20;
+
+/**
+ * Classify a normalized recipe's ingredients
+ * Returns {allergens, tags, warnings}; tags are the recipe's own tags plus
+ * the detected ones.
+ */
+export function classifyRecipe(recipe) {
+  const ingredients = recipe.parsedIngredients || [];
+  const found = {};
+  const note = (group, ingredient) => {
+    if (!found[group]) found[group] = ingredient.original;
+  };
+
+  ingredients.forEach(ingredient => {
+    const name = itemName(ingredient.item);
+    if (!name) return;
+    ALLERGENS.forEach(allergen => {
+      const rule = ALLERGEN_RULES[allergen];
+      if (matchesAny(name, rule.keywords) && !matchesAny(name, rule.except)) {
+        note(allergen, ingredient);
+      }
+    });
+    if (matchesAny(name, MEAT_KEYWORDS) && !matchesAny(name, MEAT_EXCEPTIONS)) note('meat', ingredient);
+    if (matchesAny(name, OTHER_ANIMAL_KEYWORDS)) note('animal', ingredient);
+  });
+
+  const allergens = ALLERGENS.filter(allergen => found[allergen]);
+
+  // What stands in the way of each diet: [group, ingredient line]
+  const animal = ['meat', 'fish', 'shellfish'].find(group => found[group]);
+  const conflicts = {
+    vegetarian: animal,
+    vegan: animal || ['dairy', 'egg', 'animal'].find(group => found[group]),
+    glutenFree: found.gluten ? 'gluten' : undefined,
+    dairyFree: found.dairy ? 'dairy' : undefined
+  };
+
+  // A diet counts as claimed by its checkbox or by its tag
+  const ownTags = recipe.tags || [];
+  const warnings = Object.keys(DIET_TAGS)
+    .filter(flag => (recipe[flag] || ownTags.includes(DIET_TAGS[flag])) && conflicts[flag])
+    .map(flag => `Marked ${DIET_TAGS[flag]}, but "${found[conflicts[flag]]}" ${describeGroup(conflicts[flag])}`);
+
+  // Diet tags only when nothing unrecognised could hide a conflict
+  const complete = ingredients.length > 0 && ingredients.every(ingredient => matchNutrition(ingredient.item));
+  const detectedTags = [
+    ...(complete ? Object.keys(DIET_TAGS).filter(flag => !conflicts[flag]).map(flag => DIET_TAGS[flag]) : []),
+    ...allergens.map(allergen => `contains-${allergen}`)
+  ];
+
+  // Tags from an earlier save are re-derived: drop stale allergen tags and
+  // diet tags the ingredients now contradict
+  const tags = ownTags.filter(tag => {
+    if (tag.startsWith('contains-')) return detectedTags.includes(tag);
+    const flag = Object.keys(DIET_TAGS).find(key => DIET_TAGS[key] === tag);
+    return !(flag && conflicts[flag]);
+  });
+  detectedTags.forEach(tag => {
+    if (!tags.includes(tag) && tags.length < MAX_TAGS) tags.push(tag);
+  });
+
+  return { allergens, tags, warnings };
+}
+
+function describeGroup(group) {
+  if (group === 'meat') return 'is meat';
+  if (group === 'animal') return 'is an animal product';
+  return `contains ${group}`;
+}
+
+function matchesAny(name, phrases) {
+  const text = ` ${name} `;
+  return phrases.some(phrase => text.includes(` ${phrase} `));
+}
@@ -0,0 +1,146 @@
+/**
+ * Shared caller resolution for Cloudflare Pages Functions
+ *
+ * Resolves the current user the same way for every endpoint:
+ * - Server-side session cookie issued by /api/verify-google (preferred)
+ * - Bearer token authentication (from Authorization header)
+ * - Cookie-based authentication (Cloudflare Access or Google token cookies)
+ *
+ * Returns: {name, email, picture, email_verified} or null if unauthenticated
+ */
+import { verifyJwt } from './jwt.js';
+import { verifyGoogleIdToken } from './google.js';
+import { SESSION_COOKIE, getSessionUser } from './session.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Resolve the authenticated user for a request
+ * log is the request's logger (see logger.js)
+ */
+export async function resolveUser(request, env, log = createLogger(env)) {
+  const cookieHeader = request.headers.get('Cookie');
+
+  // First, try the server-side session
+  const sessionCookie = cookieHeader ? extractCookie(cookieHeader, SESSION_COOKIE) : null;
+  if (sessionCookie) {
+    try {
+      const user = await getSessionUser(env, sessionCookie);
+      if (user) {
+        log.debug('Caller resolved', { method: 'session' });
+        return user;
+      }
+      log.debug('Session is invalid or expired');
+    } catch (error) {
+      log.error('Session lookup failed', { error });
+    }
+  }
+
+  // Next, try Bearer token authentication
+  const authHeader = request.headers.get('Authorization');
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    const user = await verifyGoogleToken(authHeader.substring(7), env, log);
+    if (user) {
+      log.debug('Caller resolved', { method: 'bearer' });
+      return user;
+    }
+  }
+
+  // Fallback: Try Cloudflare Access JWT from cookies
+  if (cookieHeader) {
+    // Try to extract Cloudflare Access JWT cookie (CF_Authorization)
+    const cfAccessJWT = extractCookie(cookieHeader, 'CF_Authorization');
+    if (cfAccessJWT) {
+      const user = await verifyCloudflareAccessJWT(cfAccessJWT, env, log);
+      if (user) {
+        log.debug('Caller resolved', { method: 'cloudflare-access' });
+        return user;
+      }
+    }
+
+    // Try to extract Google OAuth token from cookies
+    const googleToken = extractCookie(cookieHeader, 'google_token') || extractCookie(cookieHeader, 'authToken');
+    if (googleToken) {
+      const user = await verifyGoogleToken(googleToken, env, log);
+      if (user) {
+        log.debug('Caller resolved', { method: 'google-cookie' });
+        return user;
+      }
+    }
+  }
+
+  // No valid authentication found
+  log.debug('No valid authentication found');
+  return null;
+}
+
+/**
+ * Verify Google OAuth2 ID token locally (see google.js)
+ */
+export async function verifyGoogleToken(token, env, log = createLogger(env)) {
+  try {
+    return await verifyGoogleIdToken(token, env);
+  } catch (error) {
+    log.warn('Google token rejected', { error: { name: error.name, message: error.message } });
+    return null;
+  }
+}
+
+/**
+ * Verify a Cloudflare Access JWT (CF_Authorization cookie)
+ *
+ * The signature is checked against the team's Access certs (JWKS) and the
+ * aud / iss / exp claims against the environment configuration:
+ * - CF_ACCESS_TEAM_DOMAIN: e.g. https://myteam.cloudflareaccess.com (the expected issuer)
+ * - CF_ACCESS_AUD: Application Audience (AUD) tag, comma-separated for several apps
+ * - CF_ACCESS_CERTS_URL: optional, defaults to <team domain>/cdn-cgi/access/certs
+ */
+export async function verifyCloudflareAccessJWT(jwt, env = {}, log = createLogger(env)) {
+  try {
+    const config = getCloudflareAccessConfig(env);
+    if (!config) {
+      log.error('CF_ACCESS_TEAM_DOMAIN / CF_ACCESS_AUD not configured, rejecting Cloudflare Access token');
+      return null;
+    }
+
+    const payload = await verifyJwt(jwt, config);
+
+    // Service tokens carry no email; without one there is no user to act as
+    if (typeof payload.email !== 'string' || !payload.email.includes('@')) {
+      throw new Error('Cloudflare Access token has no email claim');
+    }
+
+    return {
+      email: payload.email,
+      name: payload.name || payload.given_name || payload.family_name || payload.email || 'User',
+      picture: payload.picture || null,
+      email_verified: true
+    };
+  } catch (error) {
+    log.warn('Cloudflare Access token rejected', { error: { name: error.name, message: error.message } });
+    return null;
+  }
+}
+
+/**
+ * Build the verifyJwt() options for Cloudflare Access from env bindings
+ */
+function getCloudflareAccessConfig(env) {
+  if (!env.CF_ACCESS_TEAM_DOMAIN || !env.CF_ACCESS_AUD) {
+    return null;
+  }
+
+  const teamDomain = env.CF_ACCESS_TEAM_DOMAIN.replace(/\/$/, '');
+  return {
+    jwksUrl: env.CF_ACCESS_CERTS_URL || `${teamDomain}/cdn-cgi/access/certs`,
+    audience: env.CF_ACCESS_AUD.split(',').map(aud => aud.trim()).filter(Boolean),
+    issuer: teamDomain
+  };
+}
+
+/**
+ * Extract cookie value by name
+ */
+export function extractCookie(cookieHeader, name) {
+  const match = cookieHeader.match(new RegExp(`(^|;)\\s*${name}\\s*=\\s*([^;]+)`));
+  return match ? match[2] : null;
+}
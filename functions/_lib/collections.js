@@ -0,0 +1,173 @@
+/**
+ * Recipe collections: validation, access checks and row mapping
+ *
+ * Shared by /api/collections and /api/collections/recipes. Who may see a
+ * collection depends on its visibility:
+ *
+ *   private  the owner only
+ *   link     the owner, and anyone who has its share token
+ *   public   everyone; also listed by GET /api/collections?public=1
+ *
+ * Collections that a caller may not see are reported as not found, so
+ * private collections cannot be discovered by guessing ids.
+ */
+
+import { thumbnailUrl } from './images.js';
+
+export const VISIBILITIES = ['private', 'link', 'public'];
+
+const LIMITS = {
+  name: 100,
+  description: 500,
+  recipes: 500
+};
+
+/**
+ * Validate collection fields
+ * With partial = true only the fields present are checked (for updates).
+ * Returns {collection, errors} like normalizeRecipe().
+ */
+export function normalizeCollection(input, partial = false) {
+  const data = input && typeof input === 'object' ? input : {};
+  const errors = {};
+  const collection = {};
+
+  if (!partial || data.name !== undefined) {
+    const name = String(data.name ?? '').trim();
+    if (!name) {
+      errors.name = 'Collection name is required';
+    } else if (name.length > LIMITS.name) {
+      errors.name = `Collection name must be at most ${LIMITS.name} characters`;
+    }
+    collection.name = name;
+  }
+
+  if (!partial || data.description !== undefined) {
+    const description = String(data.description ?? '').trim();
+    if (description.length > LIMITS.description) {
+      errors.description = `Description must be at most ${LIMITS.description} characters`;
+    }
+    collection.description = description || null;
+  }
+
+  if (!partial || data.visibility !== undefined) {
+    const visibility = String(data.visibility ?? 'private').trim().toLowerCase();
+    if (!VISIBILITIES.includes(visibility)) {
+      errors.visibility = `Visibility must be one of: ${VISIBILITIES.join(', ')}`;
+    }
+    collection.visibility = visibility;
+  }
+
+  // Full ordered list of recipe ids; replaces the collection's contents
+  if (data.recipeIds !== undefined) {
+    const ids = Array.isArray(data.recipeIds) ? data.recipeIds.map(Number) : null;
+    if (!ids || ids.some(id => !Number.isInteger(id) || id < 1)) {
+      errors.recipeIds = 'recipeIds must be a list of recipe ids';
+    } else if (new Set(ids).size !== ids.length) {
+      errors.recipeIds = 'recipeIds must not contain duplicates';
+    } else if (ids.length > LIMITS.recipes) {
+      errors.recipeIds = `A collection holds at most ${LIMITS.recipes} recipes`;
+    } else {
+      collection.recipeIds = ids;
+    }
+  }
+
+  return {
+    collection,
+    errors: Object.keys(errors).length > 0 ? errors : null
+  };
+}
+
+/**
+ * Random token for "anyone with the link" sharing
+ */
+export function newShareToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * True when user may view the collection row (token: share token from the URL)
+ */
+export function canViewCollection(row, user, token = null) {
+  if (user && user.email === row.owner_email) return true;
+  if (row.visibility === 'public') return true;
+  return row.visibility === 'link' && !!token && token === row.share_token;
+}
+
+/**
+ * Load a collection the caller owns
+ * Returns { row } when allowed, or { response } with the error to send back
+ */
+export async function authorizeCollectionWrite(context, id) {
+  const { env } = context;
+  const user = context.data.user;
+
+  if (!id || !/^\d+$/.test(id)) {
+    return { response: jsonResponse({ error: 'Collection ID is required' }, 400) };
+  }
+  if (!user) {
+    return { response: jsonResponse({ error: 'Unauthenticated', message: 'Sign in to change collections' }, 401) };
+  }
+
+  const row = await env.DB.prepare('SELECT * FROM collections WHERE id = ?').bind(id).first();
+  if (!row || !canViewCollection(row, user)) {
+    return { response: jsonResponse({ error: 'Collection not found' }, 404) };
+  }
+  if (row.owner_email !== user.email) {
+    return { response: jsonResponse({ error: 'Forbidden', message: 'Only the owner can change this collection' }, 403) };
+  }
+  return { row, user };
+}
+
+/**
+ * API shape of a collection row; the share token is only shown to the owner
+ */
+export function toCollection(row, user, extra = {}) {
+  const isOwner = !!(user && user.email === row.owner_email);
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    visibility: row.visibility,
+    owner: row.owner_name || 'Anonymous',
+    isOwner,
+    shareUrl: isOwner && row.visibility !== 'private' ? `/collection.html?token=${encodeURIComponent(row.share_token)}` : null,
+    recipeCount: row.recipe_count ?? undefined,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    ...extra
+  };
+}
+
+/**
+ * Card data for a recipe inside a collection
+ */
+export function toCollectionRecipe(row) {
+  let details = {};
+  try {
+    details = JSON.parse(row.details || '{}') || {};
+  } catch (error) {
+    // Show the recipe with what the columns have
+  }
+  return {
+    id: row.id,
+    title: row.title,
+    category: row.category,
+    author: row.author,
+    position: row.position,
+    description: details.description ? details.description.substring(0, 100) : null,
+    imageUrl: details.imageUrl || null,
+    thumbnailUrl: thumbnailUrl(details.imageUrl)
+  };
+}
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
@@ -0,0 +1,57 @@
+/**
+ * Google ID token verification
+ *
+ * Checks Google Sign-In ID tokens locally instead of calling the tokeninfo
+ * endpoint: the RS256 signature is verified against Google's published JWKS
+ * (cached by jwt.js) and aud / iss / exp / email_verified are validated.
+ *
+ * Accepted client IDs come from env bindings:
+ * - GOOGLE_CLIENT_IDS: comma-separated list of OAuth client IDs
+ * - GOOGLE_CLIENT_ID: single client ID (used when GOOGLE_CLIENT_IDS is unset)
+ */
+import { verifyJwt } from './jwt.js';
+
+export const GOOGLE_JWKS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+export const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+
+/**
+ * Verify a Google ID token and return the user it identifies
+ *
+ * Resolves to {email, name, picture, email_verified}; throws an Error with
+ * the rejection reason when the token is invalid.
+ * `options` is passed through to verifyJwt (now, fetchImpl, jwksUrl) so the
+ * verifier can run offline against a fake key set.
+ */
+export async function verifyGoogleIdToken(token, env = {}, options = {}) {
+  const clientIds = getGoogleClientIds(env);
+  if (clientIds.length === 0) {
+    throw new Error('GOOGLE_CLIENT_IDS / GOOGLE_CLIENT_ID is not configured');
+  }
+
+  const payload = await verifyJwt(token, {
+    jwksUrl: GOOGLE_JWKS_URL,
+    audience: clientIds,
+    issuer: GOOGLE_ISSUERS,
+    ...options
+  });
+
+  // Google sends email_verified as a boolean in ID tokens (a string in tokeninfo)
+  if (payload.email_verified !== true && payload.email_verified !== 'true') {
+    throw new Error('Google account email is not verified');
+  }
+
+  return {
+    email: payload.email,
+    name: payload.name || payload.email,
+    picture: payload.picture,
+    email_verified: true
+  };
+}
+
+/**
+ * Read the accepted OAuth client IDs from env bindings
+ */
+export function getGoogleClientIds(env = {}) {
+  const raw = env.GOOGLE_CLIENT_IDS || env.GOOGLE_CLIENT_ID || '';
+  return raw.split(',').map(id => id.trim()).filter(Boolean);
+}
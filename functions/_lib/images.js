@@ -0,0 +1,89 @@
+/**
+ * Recipe image storage
+ *
+ * Uploaded images live in the RECIPE_IMAGES R2 bucket under `originals/<id>`
+ * and are served by /api/images/<id>. Resized variants are produced on
+ * first request with the Cloudflare Images binding (IMAGES) and cached in
+ * the bucket under `variants/<variant>/<id>`; without that binding the
+ * original is served for every variant.
+ *
+ * Image ids are `<uuid>.<ext>`, so a stored URL never needs a lookup to
+ * learn its type.
+ */
+
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Accepted types -> file extension
+export const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+// Width in pixels of each resized variant; cards on home.html use `thumb`
+export const IMAGE_VARIANTS = {
+  thumb: 400,
+  medium: 1200
+};
+
+const IMAGE_PATH_PREFIX = '/api/images/';
+const IMAGE_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\.(jpg|png|webp|gif)$/;
+
+/**
+ * Work out an upload's real type from its first bytes
+ * Returns a key of IMAGE_TYPES or null; the client's Content-Type is not trusted.
+ */
+export function sniffImageType(bytes) {
+  const startsWith = (...signature) => signature.every((byte, i) => bytes[i] === byte);
+
+  if (startsWith(0xff, 0xd8, 0xff)) return 'image/jpeg';
+  if (startsWith(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a)) return 'image/png';
+  if (startsWith(0x47, 0x49, 0x46, 0x38)) return 'image/gif';
+  // RIFF....WEBP
+  if (startsWith(0x52, 0x49, 0x46, 0x46) && bytes[8] === 0x57 && bytes[9] === 0x45 && bytes[10] === 0x42 && bytes[11] === 0x50) {
+    return 'image/webp';
+  }
+  return null;
+}
+
+export function newImageId(type) {
+  return `${crypto.randomUUID()}.${IMAGE_TYPES[type]}`;
+}
+
+export function isImageId(id) {
+  return IMAGE_ID_RE.test(String(id || ''));
+}
+
+export function originalKey(id) {
+  return `originals/${id}`;
+}
+
+export function variantKey(id, variant) {
+  return `variants/${variant}/${id}`;
+}
+
+/**
+ * Public URL of an image, optionally of one of its variants
+ */
+export function imagePath(id, variant = null) {
+  return `${IMAGE_PATH_PREFIX}${id}${variant ? `?variant=${variant}` : ''}`;
+}
+
+/**
+ * True for URLs of images uploaded through /api/images
+ */
+export function isUploadedImagePath(value) {
+  const text = String(value || '');
+  return text.startsWith(IMAGE_PATH_PREFIX) && isImageId(text.slice(IMAGE_PATH_PREFIX.length).split('?')[0]);
+}
+
+/**
+ * Thumbnail URL for a recipe's imageUrl
+ * External URLs have no variants and are returned as they are.
+ */
+export function thumbnailUrl(imageUrl) {
+  if (!imageUrl) return null;
+  if (!isUploadedImagePath(imageUrl)) return imageUrl;
+  return imagePath(imageUrl.slice(IMAGE_PATH_PREFIX.length).split('?')[0], 'thumb');
+}
@@ -0,0 +1,252 @@
+/**
+ * Ingredient line parser
+ *
+ * Turns free-text ingredient lines into structured entries:
+ *
+ *   "1½ cups flour, sifted"  -> {quantity: 1.5, quantityMax: null, unit: 'cup', item: 'flour', note: 'sifted'}
+ *   "400g spaghetti"         -> {quantity: 400, quantityMax: null, unit: 'g', item: 'spaghetti', note: null}
+ *   "2–3 cloves garlic"      -> {quantity: 2, quantityMax: 3, unit: 'clove', item: 'garlic', note: null}
+ *   "Salt to taste"          -> {quantity: null, quantityMax: null, unit: null, item: 'Salt', note: 'to taste'}
+ *
+ * Every entry keeps the line it came from in `original`, so anything the
+ * parser cannot make sense of still renders as the user typed it.
+ * itemName() reduces an entry's item to the name other modules match on.
+ */
+
+const UNICODE_FRACTIONS = {
+  '½': 1 / 2, '⅓': 1 / 3, '⅔': 2 / 3, '¼': 1 / 4, '¾': 3 / 4,
+  '⅕': 1 / 5, '⅖': 2 / 5, '⅗': 3 / 5, '⅘': 4 / 5, '⅙': 1 / 6,
+  '⅚': 5 / 6, '⅛': 1 / 8, '⅜': 3 / 8, '⅝': 5 / 8, '⅞': 7 / 8
+};
+const FRACTION_CHARS = Object.keys(UNICODE_FRACTIONS).join('');
+
+// Canonical unit -> accepted spellings (matched case-insensitively)
+export const UNIT_ALIASES = {
+  g: ['g', 'gr', 'gram', 'grams', 'gramme', 'grammes'],
+  kg: ['kg', 'kgs', 'kilogram', 'kilograms'],
+  mg: ['mg', 'milligram', 'milligrams'],
+  ml: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'],
+  l: ['l', 'liter', 'liters', 'litre', 'litres'],
+  tsp: ['tsp', 'tsps', 'teaspoon', 'teaspoons'],
+  tbsp: ['tbsp', 'tbsps', 'tbs', 'tablespoon', 'tablespoons'],
+  cup: ['cup', 'cups'],
+  'fl oz': ['fl oz', 'fl. oz', 'fluid ounce', 'fluid ounces'],
+  oz: ['oz', 'ounce', 'ounces'],
+  lb: ['lb', 'lbs', 'pound', 'pounds'],
+  pint: ['pint', 'pints', 'pt'],
+  quart: ['quart', 'quarts', 'qt'],
+  gallon: ['gallon', 'gallons', 'gal'],
+  pinch: ['pinch', 'pinches'],
+  dash: ['dash', 'dashes'],
+  clove: ['clove', 'cloves'],
+  can: ['can', 'cans', 'tin', 'tins'],
+  slice: ['slice', 'slices'],
+  piece: ['piece', 'pieces'],
+  bunch: ['bunch', 'bunches'],
+  handful: ['handful', 'handfuls'],
+  stick: ['stick', 'sticks'],
+  package: ['package', 'packages', 'pkg', 'packet', 'packets'],
+  sprig: ['sprig', 'sprigs'],
+  head: ['head', 'heads']
+};
+
+// Word units read in the plural above one; abbreviations never change
+const PLURAL_UNITS = {
+  cup: 'cups', pint: 'pints', quart: 'quarts', gallon: 'gallons',
+  pinch: 'pinches', dash: 'dashes', clove: 'cloves', can: 'cans',
+  slice: 'slices', piece: 'pieces', bunch: 'bunches', handful: 'handfuls',
+  stick: 'sticks', package: 'packages', sprig: 'sprigs', head: 'heads'
+};
+
+const ALIAS_TO_UNIT = Object.entries(UNIT_ALIASES).reduce((map, [unit, aliases]) => {
+  aliases.forEach(alias => { map[alias] = unit; });
+  return map;
+}, {});
+
+// Longest spellings first so "fl oz" wins over "oz" and "tbsp" over "tbs"
+const UNIT_PATTERN = Object.keys(ALIAS_TO_UNIT)
+  .sort((a, b) => b.length - a.length)
+  .map(alias => alias.replace(/[.]/g, '\\.').replace(/ /g, '\\s+'))
+  .join('|');
+
+const NUMBER_PATTERN = `(?:\\d+\\s+\\d+\\/\\d+|\\d+\\s*[${FRACTION_CHARS}]|\\d+\\/\\d+|\\d+(?:[.,]\\d+)?|[${FRACTION_CHARS}])`;
+const QUANTITY_RE = new RegExp(`^(${NUMBER_PATTERN})(?:\\s*(?:-|–|—|to)\\s*(${NUMBER_PATTERN}))?\\s*`, 'i');
+const UNIT_RE = new RegExp(`^(${UNIT_PATTERN})\\.?(?=\\s|$|[,(])\\s*`, 'i');
+const TRAILING_NOTE_RE = /\s*[,(]?\s*\b(to taste|optional|as needed|for serving|for garnish)\)?\s*$/i;
+
+// Words that describe the item rather than name it
+const DESCRIPTORS = new Set([
+  'chopped', 'diced', 'fresh', 'grated', 'large', 'medium', 'minced', 'peeled', 'ripe', 'sliced', 'small',
+  'whole', 'finely', 'roughly', 'thinly', 'boneless', 'skinless', 'unsalted', 'salted'
+]);
+
+// Names that end in "s" without being plurals
+const NOT_PLURAL = new Set(['asparagus', 'couscous', 'hummus', 'molasses', 'swiss', 'brussels', 'grits', 'oats']);
+
+const IRREGULAR_PLURALS = { leaves: 'leaf', loaves: 'loaf', halves: 'half' };
+
+/**
+ * Parse one ingredient line
+ */
+export function parseIngredient(line) {
+  const original = String(line ?? '').trim();
+  const parsed = { original, quantity: null, quantityMax: null, unit: null, item: original, note: null };
+  if (!original) return parsed;
+
+  let rest = original;
+  const notes = [];
+
+  // Quantity, possibly a range
+  const quantityMatch = rest.match(QUANTITY_RE);
+  if (quantityMatch) {
+    parsed.quantity = parseNumber(quantityMatch[1]);
+    parsed.quantityMax = quantityMatch[2] ? parseNumber(quantityMatch[2]) : null;
+    rest = rest.slice(quantityMatch[0].length);
+
+    // Unit only counts directly after a quantity ("2 cups", "400g")
+    const unitMatch = rest.match(UNIT_RE);
+    if (unitMatch) {
+      parsed.unit = ALIAS_TO_UNIT[unitMatch[1].toLowerCase().replace(/\s+/g, ' ')];
+      rest = rest.slice(unitMatch[0].length);
+    }
+    rest = rest.replace(/^of\s+/i, '');
+  }
+
+  // "(200g)" style asides become notes
+  rest = rest.replace(/\(([^)]*)\)/g, (match, aside) => {
+    if (aside.trim()) notes.push(aside.trim());
+    return ' ';
+  });
+
+  // "to taste", "optional", ... at the end
+  const trailing = rest.match(TRAILING_NOTE_RE);
+  if (trailing) {
+    notes.push(trailing[1].toLowerCase());
+    rest = rest.slice(0, trailing.index);
+  }
+
+  // Anything after the first comma is preparation ("eggs, beaten")
+  const commaIndex = rest.indexOf(',');
+  if (commaIndex !== -1) {
+    const afterComma = rest.slice(commaIndex + 1).trim();
+    if (afterComma) notes.unshift(afterComma);
+    rest = rest.slice(0, commaIndex);
+  }
+
+  const item = rest.replace(/\s+/g, ' ').trim();
+  parsed.item = item || original;
+  parsed.note = notes.length > 0 ? notes.join('; ') : null;
+  return parsed;
+}
+
+/**
+ * Parse a list of ingredient lines
+ */
+export function parseIngredients(lines) {
+  return (Array.isArray(lines) ? lines : []).map(parseIngredient);
+}
+
+/**
+ * Normalised, singular item name: "Large Tomatoes" -> "tomato"
+ * Used to merge shopping list lines and to look items up in the nutrition
+ * and allergen tables.
+ */
+export function itemName(item) {
+  const words = String(item || '')
+    .toLowerCase()
+    .replace(/[^a-z\s-]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !DESCRIPTORS.has(word));
+  if (words.length === 0) return '';
+  words[words.length - 1] = singular(words[words.length - 1]);
+  return words.join(' ');
+}
+
+function singular(word) {
+  if (NOT_PLURAL.has(word) || word.length <= 3) return word;
+  if (IRREGULAR_PLURALS[word]) return IRREGULAR_PLURALS[word];
+  if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (/(oes|ches|shes|xes)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !/(ss|us)$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+// Metric amounts read as decimals ("1.5 kg"), never as fractions
+const DECIMAL_UNITS = ['mg', 'g', 'kg', 'ml', 'l'];
+
+/**
+ * Format a quantity with kitchen-friendly fractions: 1.5 -> "1½", 0.33 -> "⅓"
+ * Falls back to at most two decimals when no common fraction is close,
+ * and always uses decimals for metric units.
+ */
+export function formatQuantity(value, unit = null) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return '';
+  if (DECIMAL_UNITS.includes(unit)) return String(Math.round(value * 100) / 100);
+
+  const whole = Math.floor(value + 1e-9);
+  const fraction = value - whole;
+  if (fraction < 0.02) return String(whole);
+  if (fraction > 0.98) return String(whole + 1);
+
+  const match = Object.entries(UNICODE_FRACTIONS)
+    .filter(([char]) => ['½', '⅓', '⅔', '¼', '¾', '⅛', '⅜', '⅝', '⅞'].includes(char))
+    .find(([, amount]) => Math.abs(amount - fraction) < 0.02);
+  if (match) {
+    return whole > 0 ? `${whole}${match[0]}` : match[0];
+  }
+
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Format an ingredient's quantity or range: "2", "1½", "2–3"
+ */
+export function formatQuantityRange(ingredient) {
+  if (ingredient.quantity === null || ingredient.quantity === undefined) return '';
+  const { unit } = ingredient;
+  return ingredient.quantityMax
+    ? `${formatQuantity(ingredient.quantity, unit)}–${formatQuantity(ingredient.quantityMax, unit)}`
+    : formatQuantity(ingredient.quantity, unit);
+}
+
+/**
+ * Unit as it should read next to a quantity: "1 cup", "2 cups", "2 tbsp"
+ */
+export function unitLabel(unit, quantity) {
+  if (!unit) return '';
+  const amount = quantity ?? 1;
+  if (amount <= 1 || !PLURAL_UNITS[unit]) return unit;
+  return PLURAL_UNITS[unit];
+}
+
+/**
+ * Render a parsed ingredient back to one line of text
+ */
+export function formatIngredient(ingredient) {
+  if (ingredient.quantity === null || ingredient.quantity === undefined) {
+    return ingredient.original || [ingredient.item, ingredient.note].filter(Boolean).join(', ');
+  }
+
+  const unit = unitLabel(ingredient.unit, ingredient.quantityMax ?? ingredient.quantity);
+  const text = [formatQuantityRange(ingredient), unit, ingredient.item].filter(Boolean).join(' ');
+  return ingredient.note ? `${text}, ${ingredient.note}` : text;
+}
+
+function parseNumber(text) {
+  const value = text.trim().replace(',', '.');
+
+  const mixed = value.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) return round(Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]));
+
+  const unicodeMixed = value.match(new RegExp(`^(\\d*)\\s*([${FRACTION_CHARS}])$`));
+  if (unicodeMixed) return round(Number(unicodeMixed[1] || 0) + UNICODE_FRACTIONS[unicodeMixed[2]]);
+
+  const fraction = value.match(/^(\d+)\/(\d+)$/);
+  if (fraction) return Number(fraction[2]) === 0 ? null : round(Number(fraction[1]) / Number(fraction[2]));
+
+  return round(Number(value));
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,181 @@
+/**
+ * RS256 JWT verification with WebCrypto
+ *
+ * Verifies a compact JWT against the public keys published at a JWKS URL.
+ * Keys are imported once and cached per JWKS URL; the cache honours the
+ * response's Cache-Control max-age and is refreshed once when a token names
+ * a key id we have not seen (key rotation).
+ *
+ * verifyJwt() resolves to the token payload or throws an Error describing
+ * why the token was rejected.
+ */
+
+// Default lifetime of a cached key set when the response sets no max-age
+const DEFAULT_JWKS_TTL_SECONDS = 3600;
+
+// Minimum time between refetches triggered by an unknown key id
+const MIN_JWKS_REFRESH_MS = 60 * 1000;
+
+// Allowed clock skew when checking exp / nbf
+const CLOCK_SKEW_SECONDS = 60;
+
+// jwksUrl -> { keys: Map<kid, CryptoKey>, fetchedAt, expiresAt }
+const jwksCache = new Map();
+
+/**
+ * Verify a JWT signature and its standard claims
+ *
+ * Options:
+ * - jwksUrl:   URL of the JSON Web Key Set holding the signing keys (required)
+ * - audience:  expected `aud` value, or an array of accepted values (required)
+ * - issuer:    expected `iss` value, or an array of accepted values (required)
+ * - now:       current time in milliseconds (defaults to Date.now())
+ * - fetchImpl: fetch implementation used to load the JWKS (defaults to fetch)
+ */
+export async function verifyJwt(token, options) {
+  const { jwksUrl, audience, issuer, now = Date.now(), fetchImpl = fetch } = options;
+
+  if (!jwksUrl || !audience || !issuer) {
+    throw new Error('JWT verification is not configured (jwksUrl, audience and issuer are required)');
+  }
+
+  const { header, payload, signingInput, signature } = decodeJwt(token);
+
+  if (header.alg !== 'RS256') {
+    throw new Error(`Unsupported JWT algorithm: ${header.alg}`);
+  }
+
+  const key = await getSigningKey(jwksUrl, header.kid, now, fetchImpl);
+  const valid = await crypto.subtle.verify(
+    'RSASSA-PKCS1-v1_5',
+    key,
+    signature,
+    new TextEncoder().encode(signingInput)
+  );
+  if (!valid) {
+    throw new Error('Invalid JWT signature');
+  }
+
+  checkClaims(payload, { audience, issuer, now });
+  return payload;
+}
+
+/**
+ * Split a compact JWT into its decoded parts without verifying it
+ */
+export function decodeJwt(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new Error(`Invalid JWT format, parts: ${parts.length}`);
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  const textDecoder = new TextDecoder();
+
+  return {
+    header: JSON.parse(textDecoder.decode(base64UrlDecode(encodedHeader))),
+    payload: JSON.parse(textDecoder.decode(base64UrlDecode(encodedPayload))),
+    signingInput: `${encodedHeader}.${encodedPayload}`,
+    signature: base64UrlDecode(encodedSignature)
+  };
+}
+
+/**
+ * Decode a base64url string into bytes
+ */
+export function base64UrlDecode(input) {
+  const base64 = input.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Forget every cached key set (used when rotating configuration and in tests)
+ */
+export function clearJwksCache() {
+  jwksCache.clear();
+}
+
+/**
+ * Check exp / nbf / aud / iss against the expected values
+ */
+function checkClaims(payload, { audience, issuer, now }) {
+  const nowSeconds = Math.floor(now / 1000);
+
+  if (typeof payload.exp !== 'number') {
+    throw new Error('JWT has no exp claim');
+  }
+  if (payload.exp + CLOCK_SKEW_SECONDS < nowSeconds) {
+    throw new Error('JWT has expired');
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_SKEW_SECONDS > nowSeconds) {
+    throw new Error('JWT is not valid yet');
+  }
+
+  const acceptedAudiences = [].concat(audience);
+  const tokenAudiences = [].concat(payload.aud || []);
+  if (!tokenAudiences.some(aud => acceptedAudiences.includes(aud))) {
+    throw new Error(`JWT audience mismatch: ${tokenAudiences.join(', ')}`);
+  }
+
+  const acceptedIssuers = [].concat(issuer);
+  if (!acceptedIssuers.includes(payload.iss)) {
+    throw new Error(`JWT issuer mismatch: ${payload.iss}`);
+  }
+}
+
+/**
+ * Look up the signing key for a key id, loading the key set when needed
+ */
+async function getSigningKey(jwksUrl, kid, now, fetchImpl) {
+  let cached = jwksCache.get(jwksUrl);
+  const isFresh = cached && cached.expiresAt > now;
+  const isRotated = isFresh && kid && !cached.keys.has(kid) && now - cached.fetchedAt > MIN_JWKS_REFRESH_MS;
+
+  if (!isFresh || isRotated) {
+    cached = await loadJwks(jwksUrl, now, fetchImpl);
+    jwksCache.set(jwksUrl, cached);
+  }
+
+  const key = kid ? cached.keys.get(kid) : cached.keys.values().next().value;
+  if (!key) {
+    throw new Error(`No signing key found for kid: ${kid}`);
+  }
+  return key;
+}
+
+/**
+ * Fetch a JWKS document and import its RSA signing keys
+ */
+async function loadJwks(jwksUrl, now, fetchImpl) {
+  const response = await fetchImpl(jwksUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch JWKS (${response.status}) from ${jwksUrl}`);
+  }
+
+  const { keys = [] } = await response.json();
+  const imported = new Map();
+
+  for (const jwk of keys) {
+    if (jwk.kty !== 'RSA' || (jwk.use && jwk.use !== 'sig')) continue;
+    const cryptoKey = await crypto.subtle.importKey(
+      'jwk',
+      { kty: jwk.kty, n: jwk.n, e: jwk.e, alg: 'RS256', ext: true },
+      { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+      false,
+      ['verify']
+    );
+    imported.set(jwk.kid, cryptoKey);
+  }
+
+  const cacheControl = response.headers.get('Cache-Control') || '';
+  const maxAge = cacheControl.match(/max-age=(\d+)/);
+  const ttlSeconds = maxAge ? Number(maxAge[1]) : DEFAULT_JWKS_TTL_SECONDS;
+
+  return { keys: imported, fetchedAt: now, expiresAt: now + ttlSeconds * 1000 };
+}
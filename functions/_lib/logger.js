@@ -0,0 +1,104 @@
+/**
+ * Structured logging for Pages Functions
+ *
+ * Every entry is one JSON line:
+ *   {"time":"…","level":"info","message":"…","requestId":"…","method":"GET","route":"/api/recipes",…}
+ * functions/api/_middleware.js creates a logger per request with the request
+ * ID, method and route, shares it as context.data.log and logs each
+ * request's status and latency when it completes. Routes log through it:
+ *   context.data.log.error('Error fetching recipes', { error });
+ *
+ * Data is redacted before it is written: values under token, cookie,
+ * authorization, secret and similar keys are dropped, emails are masked and
+ * JWTs or Bearer tokens inside strings are removed, so logging a request
+ * body or a user object cannot leak credentials.
+ *
+ * The LOG_LEVEL env binding (debug, info, warn or error) sets the lowest
+ * level written; the default is info.
+ */
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const DEFAULT_LEVEL = 'info';
+
+const CONSOLE_METHODS = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+
+const SENSITIVE_KEY = /token|authorization|cookie|secret|password|credential|jwt|session|signature/i;
+const EMAIL_KEY = /email/i;
+
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const JWT_PATTERN = /eyJ[\w-]+\.[\w-]+\.[\w-]*/g;
+const BEARER_PATTERN = /Bearer\s+[\w.~+/=-]+/gi;
+
+const REDACTED = '[redacted]';
+
+// Nesting beyond this is summarized rather than walked
+const MAX_DEPTH = 5;
+
+/**
+ * Create a logger whose entries all carry `fields`
+ */
+export function createLogger(env = {}, fields = {}) {
+  const minimum = LOG_LEVELS.indexOf(LOG_LEVELS.includes(env.LOG_LEVEL) ? env.LOG_LEVEL : DEFAULT_LEVEL);
+  const base = redact(fields);
+
+  const write = (level, message, data) => {
+    if (LOG_LEVELS.indexOf(level) < minimum) return;
+    const entry = { time: new Date().toISOString(), level, message: redactString(String(message)), ...base, ...redact(data) };
+    console[CONSOLE_METHODS[level]](JSON.stringify(entry));
+  };
+
+  return {
+    debug: (message, data = {}) => write('debug', message, data),
+    info: (message, data = {}) => write('info', message, data),
+    warn: (message, data = {}) => write('warn', message, data),
+    error: (message, data = {}) => write('error', message, data),
+    child: (extra) => createLogger(env, { ...fields, ...extra })
+  };
+}
+
+/**
+ * Copy of a value with credentials removed and emails masked
+ */
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[truncated]';
+
+  if (value instanceof Error) {
+    return redact({ name: value.name, message: value.message, stack: value.stack }, depth + 1);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (SENSITIVE_KEY.test(key)) {
+      copy[key] = item === null || item === undefined ? item : REDACTED;
+    } else if (EMAIL_KEY.test(key) && typeof item === 'string') {
+      copy[key] = maskEmails(item);
+    } else {
+      copy[key] = redact(item, depth + 1);
+    }
+  }
+  return copy;
+}
+
+/**
+ * The request's correlation ID: the caller's X-Request-ID when it looks
+ * like one, otherwise a new UUID
+ */
+export function requestIdFor(request) {
+  const given = request.headers.get('X-Request-ID');
+  return given && /^[\w.-]{8,64}$/.test(given) ? given : crypto.randomUUID();
+}
+
+function redactString(text) {
+  return maskEmails(text.replace(JWT_PATTERN, REDACTED).replace(BEARER_PATTERN, `Bearer ${REDACTED}`));
+}
+
+// someone@example.com -> s***@example.com
+function maskEmails(text) {
+  return text.replace(EMAIL_PATTERN, '$1***@$2');
+}
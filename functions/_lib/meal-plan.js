@@ -0,0 +1,109 @@
+/**
+ * Meal plan validation and date ranges
+ *
+ * Shared by /api/meal-plan and /api/shopping-list. Plan dates are calendar
+ * days ("2025-03-10") without a time zone; a plan range runs from one day
+ * to another inclusive, by default the current week from Monday to Sunday.
+ */
+
+export const MEALS = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+const MAX_SERVINGS = 100;
+
+// Longest range a plan or shopping list may cover
+const MAX_RANGE_DAYS = 31;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate plan entry fields {date, meal, recipeId, servings}
+ * With partial = true only the fields present are checked (for updates).
+ * servings may be left out on create; the caller fills in the recipe's own.
+ * Returns {entry, errors} like normalizeRecipe().
+ */
+export function normalizeMealPlanEntry(input, partial = false) {
+  const data = input && typeof input === 'object' ? input : {};
+  const errors = {};
+  const entry = {};
+
+  if (!partial || data.date !== undefined) {
+    const date = String(data.date ?? '').trim();
+    if (!isPlanDate(date)) {
+      errors.date = 'Date must be a calendar day like 2025-03-10';
+    }
+    entry.date = date;
+  }
+
+  if (!partial || data.meal !== undefined) {
+    const meal = String(data.meal ?? '').trim().toLowerCase();
+    if (!MEALS.includes(meal)) {
+      errors.meal = `Meal must be one of: ${MEALS.join(', ')}`;
+    }
+    entry.meal = meal;
+  }
+
+  if (!partial) {
+    const recipeId = Number(data.recipeId);
+    if (!Number.isInteger(recipeId) || recipeId < 1) {
+      errors.recipeId = 'recipeId is required';
+    }
+    entry.recipeId = recipeId;
+  }
+
+  if (data.servings !== undefined && data.servings !== null && data.servings !== '') {
+    const servings = Number(data.servings);
+    if (!Number.isInteger(servings) || servings < 1 || servings > MAX_SERVINGS) {
+      errors.servings = `Servings must be a whole number from 1 to ${MAX_SERVINGS}`;
+    }
+    entry.servings = servings;
+  }
+
+  return {
+    entry,
+    errors: Object.keys(errors).length > 0 ? errors : null
+  };
+}
+
+/**
+ * Read ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive)
+ * Defaults to the week (Monday to Sunday, UTC) containing today.
+ * Returns {from, to} or {error}.
+ */
+export function parseDateRange(searchParams, today = new Date()) {
+  const fromParam = searchParams.get('from');
+  const toParam = searchParams.get('to');
+  if ((fromParam && !isPlanDate(fromParam)) || (toParam && !isPlanDate(toParam))) {
+    return { error: 'from and to must be calendar days like 2025-03-10' };
+  }
+
+  const monday = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+
+  const from = fromParam || (toParam ? addDays(toParam, -6) : formatDate(monday));
+  const to = toParam || addDays(from, 6);
+  const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+  if (days < 1) {
+    return { error: 'from must not be after to' };
+  }
+  if (days > MAX_RANGE_DAYS) {
+    return { error: `A range covers at most ${MAX_RANGE_DAYS} days` };
+  }
+  return { from, to };
+}
+
+// A real calendar day in YYYY-MM-DD form
+function isPlanDate(text) {
+  if (!DATE_RE.test(text)) return false;
+  const date = new Date(`${text}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && formatDate(date) === text;
+}
+
+function addDays(text, days) {
+  const date = new Date(`${text}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDate(date);
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
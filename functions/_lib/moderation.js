@@ -0,0 +1,82 @@
+/**
+ * Recipe status and moderation
+ *
+ * Every recipe has a status column:
+ *   published  listed and viewable by everyone (the default)
+ *   draft      only the owner sees it, until they publish it
+ *   hidden     taken down by an admin; the owner still sees it, flagged
+ *   deleted    removed by its owner or an admin; kept for restoring
+ * Admins (see admin.js) see every recipe. Only admins purge rows for good.
+ *
+ * Endpoints that read recipes filter with visibleRecipeFilter() in SQL or
+ * canViewRecipe() for a single row, so the rules live in one place.
+ */
+
+import { isAdmin } from './admin.js';
+
+export const RECIPE_STATUSES = ['draft', 'published', 'hidden', 'deleted'];
+
+// Statuses owners may choose for their own recipes
+export const OWNER_STATUSES = ['draft', 'published'];
+
+export const REPORT_REASONS = ['spam', 'offensive', 'broken', 'copyright', 'other'];
+
+export const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+// Statuses an owner still sees on their own recipes
+const OWNER_VISIBLE_STATUSES = ['draft', 'published', 'hidden'];
+
+const MAX_REPORT_MESSAGE = 1000;
+
+/**
+ * SQL condition limiting recipes to those the caller may see
+ * column is the status column reference and owner its owner_email, e.g.
+ * 'r.status' and 'r.owner_email'. Returns {sql, params}; sql is '1 = 1'
+ * for admins.
+ */
+export function visibleRecipeFilter(user, env, column = 'status', owner = 'owner_email') {
+  if (isAdmin(user, env)) {
+    return { sql: '1 = 1', params: [] };
+  }
+  if (!user) {
+    return { sql: `${column} = 'published'`, params: [] };
+  }
+  const ownerStatuses = OWNER_VISIBLE_STATUSES.map(status => `'${status}'`).join(', ');
+  return {
+    sql: `(${column} = 'published' OR (${owner} = ? AND ${column} IN (${ownerStatuses})))`,
+    params: [user.email]
+  };
+}
+
+/**
+ * True when the caller may see this recipe row (needs status and owner_email)
+ */
+export function canViewRecipe(row, user, env) {
+  const status = row.status || 'published';
+  if (status === 'published' || isAdmin(user, env)) return true;
+  return !!(user && row.owner_email && row.owner_email === user.email && OWNER_VISIBLE_STATUSES.includes(status));
+}
+
+/**
+ * Validate a report body {reason, message}
+ * Returns {report, errors} like normalizeRecipe().
+ */
+export function normalizeReport(input) {
+  const data = input && typeof input === 'object' ? input : {};
+  const errors = {};
+
+  const reason = String(data.reason ?? '').trim().toLowerCase();
+  if (!REPORT_REASONS.includes(reason)) {
+    errors.reason = `Reason must be one of: ${REPORT_REASONS.join(', ')}`;
+  }
+
+  const message = String(data.message ?? '').trim();
+  if (message.length > MAX_REPORT_MESSAGE) {
+    errors.message = `Message must be at most ${MAX_REPORT_MESSAGE} characters`;
+  }
+
+  return {
+    report: { reason, message: message || null },
+    errors: Object.keys(errors).length > 0 ? errors : null
+  };
+}
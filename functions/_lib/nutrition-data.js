@@ -0,0 +1,150 @@
+/**
+ * Bundled nutrition table
+ *
+ * Approximate values for common ingredients, per 100 g as bought (raw meat,
+ * dry pasta and rice, drained canned beans), rounded from public food
+ * composition tables. Good enough for per-serving estimates, not for
+ * labelling.
+ *
+ * Each entry:
+ *   names    item names it matches, as produced by itemName() (lowercase,
+ *            singular); the first is the display name
+ *   per100g  [calories (kcal), protein (g), fat (g), carbs (g), sodium (mg)]
+ *   density  grams per millilitre, for cup and spoon measures
+ *   piece    grams of one item counted without a unit ("2 eggs")
+ *   units    grams per one of a unit without a fixed size ("1 stick butter")
+ */
+
+export const NUTRITION_TABLE = [
+  // Baking and pantry
+  { names: ['flour', 'all purpose flour', 'all-purpose flour', 'plain flour', 'wheat flour', 'self-raising flour', 'self rising flour'], per100g: [364, 10.3, 1, 76.3, 2], density: 0.53 },
+  { names: ['whole wheat flour', 'wholemeal flour'], per100g: [340, 13.2, 2.5, 72, 2], density: 0.51 },
+  { names: ['bread flour'], per100g: [361, 12, 1.7, 72.8, 2], density: 0.55 },
+  { names: ['cornstarch', 'corn starch', 'cornflour'], per100g: [381, 0.3, 0.1, 91.3, 9], density: 0.54 },
+  { names: ['cornmeal', 'polenta'], per100g: [370, 8.1, 3.6, 79, 35], density: 0.65 },
+  { names: ['sugar', 'granulated sugar', 'white sugar', 'caster sugar'], per100g: [387, 0, 0, 100, 1], density: 0.85 },
+  { names: ['brown sugar', 'light brown sugar', 'dark brown sugar'], per100g: [380, 0.1, 0, 98.1, 28], density: 0.93 },
+  { names: ['powdered sugar', 'icing sugar', 'confectioners sugar'], per100g: [389, 0, 0, 99.8, 2], density: 0.5 },
+  { names: ['honey'], per100g: [304, 0.3, 0, 82.4, 4], density: 1.42 },
+  { names: ['maple syrup'], per100g: [260, 0, 0.1, 67, 12], density: 1.32 },
+  { names: ['baking powder'], per100g: [53, 0, 0, 27.7, 10600], density: 0.93 },
+  { names: ['baking soda', 'bicarbonate of soda'], per100g: [0, 0, 0, 0, 27360], density: 0.93 },
+  { names: ['yeast', 'dry yeast', 'instant yeast', 'active dry yeast'], per100g: [325, 40.4, 7.6, 41.2, 51], density: 0.6, units: { package: 7 } },
+  { names: ['vanilla', 'vanilla extract'], per100g: [288, 0.1, 0.1, 12.7, 9], density: 0.88 },
+  { names: ['cocoa', 'cocoa powder'], per100g: [228, 19.6, 13.7, 57.9, 21], density: 0.36 },
+  { names: ['chocolate', 'dark chocolate', 'chocolate chip', 'semisweet chocolate chip'], per100g: [546, 4.9, 31.3, 61.2, 24], density: 0.6 },
+  { names: ['breadcrumb', 'bread crumb', 'panko'], per100g: [395, 13.4, 5.3, 71.9, 732], density: 0.45 },
+  { names: ['rice', 'white rice', 'long grain rice', 'basmati rice', 'jasmine rice', 'arborio rice'], per100g: [365, 7.1, 0.7, 80, 5], density: 0.85 },
+  { names: ['brown rice'], per100g: [370, 7.9, 2.9, 77.2, 7], density: 0.85 },
+  { names: ['pasta', 'spaghetti', 'penne', 'macaroni', 'fusilli', 'linguine', 'fettuccine', 'noodle', 'egg noodle', 'lasagna sheet'], per100g: [371, 13, 1.5, 74.7, 6], density: 0.42 },
+  { names: ['oats', 'oat', 'rolled oats', 'oatmeal', 'porridge oats'], per100g: [379, 13.2, 6.5, 67.7, 6], density: 0.34 },
+  { names: ['quinoa'], per100g: [368, 14.1, 6.1, 64.2, 5], density: 0.85 },
+  { names: ['couscous'], per100g: [376, 12.8, 0.6, 77.4, 10], density: 0.73 },
+  { names: ['lentil', 'red lentil', 'green lentil'], per100g: [352, 24.6, 1.1, 63.4, 6], density: 0.8 },
+  { names: ['bean', 'black bean', 'kidney bean', 'cannellini bean', 'pinto bean', 'white bean', 'chickpea', 'garbanzo bean'], per100g: [120, 7.5, 0.6, 21, 250], density: 0.7, units: { can: 240 } },
+  { names: ['raisin', 'sultana'], per100g: [299, 3.1, 0.5, 79.2, 11], density: 0.6 },
+  { names: ['nut', 'almond', 'walnut', 'pecan', 'cashew', 'hazelnut', 'pine nut'], per100g: [620, 17, 55, 16, 3], density: 0.5 },
+  { names: ['peanut'], per100g: [567, 25.8, 49.2, 16.1, 18], density: 0.6 },
+  { names: ['peanut butter'], per100g: [588, 25.1, 50.4, 19.6, 459], density: 1.08 },
+  { names: ['sesame seed'], per100g: [573, 17.7, 49.7, 23.4, 11], density: 0.6 },
+  { names: ['coconut', 'shredded coconut', 'desiccated coconut'], per100g: [660, 6.9, 64.5, 23.7, 37], density: 0.35 },
+
+  // Oils, sauces and condiments
+  { names: ['olive oil', 'extra virgin olive oil'], per100g: [884, 0, 100, 0, 2], density: 0.92 },
+  { names: ['oil', 'vegetable oil', 'canola oil', 'sunflower oil', 'sesame oil', 'coconut oil', 'rapeseed oil'], per100g: [884, 0, 100, 0, 0], density: 0.92 },
+  { names: ['soy sauce', 'tamari'], per100g: [53, 8.1, 0.6, 4.9, 5493], density: 1.15 },
+  { names: ['vinegar', 'white vinegar', 'cider vinegar', 'apple cider vinegar', 'red wine vinegar', 'white wine vinegar', 'rice vinegar'], per100g: [18, 0, 0, 0.1, 2], density: 1.01 },
+  { names: ['balsamic vinegar'], per100g: [88, 0.5, 0, 17, 23], density: 1.06 },
+  { names: ['mustard', 'dijon mustard'], per100g: [60, 3.7, 3.3, 5.8, 1100], density: 1.05 },
+  { names: ['ketchup'], per100g: [101, 1, 0.1, 27.4, 907], density: 1.15 },
+  { names: ['mayonnaise', 'mayo'], per100g: [680, 1, 74.9, 0.6, 635], density: 0.95 },
+  { names: ['stock', 'broth', 'chicken stock', 'beef stock', 'vegetable stock', 'chicken broth', 'beef broth', 'vegetable broth'], per100g: [6, 0.6, 0.2, 0.4, 343], density: 1, units: { can: 400 } },
+  { names: ['coconut milk'], per100g: [230, 2.3, 23.8, 5.5, 15], density: 0.97, units: { can: 400 } },
+  { names: ['tomato paste', 'tomato puree'], per100g: [82, 4.3, 0.5, 18.9, 59], density: 1.1, units: { can: 170 } },
+  { names: ['canned tomato', 'crushed tomato', 'diced tomato', 'chopped tomato', 'tomato sauce', 'passata'], per100g: [32, 1.6, 0.3, 7.3, 186], density: 1.03, units: { can: 400 } },
+
+  // Dairy and eggs
+  { names: ['butter'], per100g: [717, 0.9, 81.1, 0.1, 11], density: 0.96, units: { stick: 113 } },
+  { names: ['milk', 'skim milk', 'semi-skimmed milk'], per100g: [61, 3.2, 3.3, 4.8, 43], density: 1.03 },
+  { names: ['almond milk', 'soy milk', 'oat milk'], per100g: [30, 1, 1.5, 3, 60], density: 1.03 },
+  { names: ['buttermilk'], per100g: [40, 3.3, 0.9, 4.8, 105], density: 1.03 },
+  { names: ['cream', 'heavy cream', 'double cream', 'whipping cream', 'heavy whipping cream'], per100g: [340, 2.8, 36.1, 2.7, 27], density: 1 },
+  { names: ['sour cream', 'creme fraiche'], per100g: [198, 2.4, 19.4, 4.6, 31], density: 1 },
+  { names: ['yogurt', 'yoghurt', 'greek yogurt', 'plain yogurt', 'natural yogurt'], per100g: [61, 3.5, 3.3, 4.7, 46], density: 1.03 },
+  { names: ['cheese', 'cheddar', 'cheddar cheese', 'swiss cheese', 'gruyere'], per100g: [403, 24.9, 33.1, 1.3, 621], density: 0.45, units: { slice: 21 } },
+  { names: ['parmesan', 'parmesan cheese', 'parmigiano', 'pecorino'], per100g: [431, 38, 29, 4.1, 1529], density: 0.4 },
+  { names: ['mozzarella', 'mozzarella cheese'], per100g: [300, 22.2, 22.4, 2.2, 627], density: 0.45, piece: 125 },
+  { names: ['feta', 'feta cheese'], per100g: [264, 14.2, 21.3, 4.1, 1116], density: 0.6 },
+  { names: ['cream cheese'], per100g: [342, 5.9, 34.2, 4.1, 321], density: 1, units: { package: 226 } },
+  { names: ['ricotta', 'ricotta cheese'], per100g: [174, 11.3, 13, 3, 84], density: 1.03 },
+  { names: ['egg'], per100g: [143, 12.6, 9.5, 0.7, 142], density: 1.03, piece: 50 },
+  { names: ['egg white'], per100g: [52, 10.9, 0.2, 0.7, 166], density: 1.03, piece: 33 },
+  { names: ['egg yolk'], per100g: [322, 15.9, 26.5, 3.6, 48], density: 1.03, piece: 17 },
+
+  // Meat and fish
+  { names: ['chicken', 'chicken breast', 'chicken breast fillet'], per100g: [120, 22.5, 2.6, 0, 45], piece: 174 },
+  { names: ['chicken thigh', 'chicken leg', 'chicken drumstick'], per100g: [121, 19.7, 4.1, 0, 95], piece: 110 },
+  { names: ['beef', 'steak', 'sirloin', 'stewing beef', 'beef chuck'], per100g: [160, 21, 8, 0, 56], piece: 225 },
+  { names: ['ground beef', 'minced beef', 'beef mince', 'mince'], per100g: [254, 17.2, 20, 0, 66] },
+  { names: ['pork', 'pork loin', 'pork chop', 'pork shoulder', 'ground pork'], per100g: [143, 21, 6.3, 0, 48], piece: 200 },
+  { names: ['bacon'], per100g: [417, 12.6, 39.7, 1.3, 662], piece: 28, units: { slice: 28 } },
+  { names: ['ham'], per100g: [145, 21, 6, 1.5, 1200], units: { slice: 28 } },
+  { names: ['sausage', 'chorizo'], per100g: [268, 14, 23, 1, 731], piece: 75 },
+  { names: ['turkey', 'ground turkey', 'turkey breast'], per100g: [148, 19.7, 8.3, 0, 72] },
+  { names: ['lamb', 'ground lamb', 'lamb shoulder'], per100g: [282, 16.6, 23.4, 0, 59] },
+  { names: ['salmon', 'salmon fillet'], per100g: [208, 20.4, 13.4, 0, 59], piece: 170 },
+  { names: ['fish', 'white fish', 'cod', 'haddock', 'tilapia', 'cod fillet'], per100g: [82, 17.8, 0.7, 0, 54], piece: 170 },
+  { names: ['tuna', 'canned tuna'], per100g: [116, 25.5, 0.8, 0, 247], units: { can: 142 } },
+  { names: ['shrimp', 'prawn'], per100g: [85, 20.1, 0.5, 0, 119], piece: 12 },
+  { names: ['tofu', 'firm tofu'], per100g: [76, 8.1, 4.8, 1.9, 7], density: 1, units: { package: 400 } },
+
+  // Vegetables, fruit and herbs
+  { names: ['potato', 'russet potato', 'new potato'], per100g: [77, 2, 0.1, 17.5, 6], density: 0.65, piece: 213 },
+  { names: ['sweet potato'], per100g: [86, 1.6, 0.1, 20.1, 55], density: 0.65, piece: 130 },
+  { names: ['onion', 'yellow onion', 'red onion', 'white onion', 'brown onion'], per100g: [40, 1.1, 0.1, 9.3, 4], density: 0.6, piece: 110 },
+  { names: ['green onion', 'scallion', 'spring onion'], per100g: [32, 1.8, 0.2, 7.3, 16], density: 0.4, piece: 15, units: { bunch: 100 } },
+  { names: ['shallot'], per100g: [72, 2.5, 0.1, 16.8, 12], density: 0.6, piece: 25 },
+  { names: ['leek'], per100g: [61, 1.5, 0.3, 14.2, 20], density: 0.4, piece: 90 },
+  { names: ['garlic', 'garlic clove'], per100g: [149, 6.4, 0.5, 33.1, 17], density: 0.6, piece: 3, units: { clove: 3, head: 50 } },
+  { names: ['ginger', 'ginger root'], per100g: [80, 1.8, 0.8, 17.8, 13], density: 0.5, units: { piece: 6 } },
+  { names: ['carrot'], per100g: [41, 0.9, 0.2, 9.6, 69], density: 0.55, piece: 61 },
+  { names: ['celery', 'celery stalk', 'celery rib'], per100g: [14, 0.7, 0.2, 3, 80], density: 0.5, piece: 40, units: { stick: 40 } },
+  { names: ['tomato', 'cherry tomato', 'plum tomato', 'roma tomato'], per100g: [18, 0.9, 0.2, 3.9, 5], density: 0.75, piece: 123, units: { can: 400 } },
+  { names: ['bell pepper', 'red pepper', 'green pepper', 'yellow pepper', 'capsicum', 'red bell pepper', 'green bell pepper'], per100g: [26, 1, 0.3, 6, 4], density: 0.6, piece: 120 },
+  { names: ['chili', 'chilli', 'chili pepper', 'jalapeno', 'red chili', 'green chili'], per100g: [40, 1.9, 0.4, 8.8, 9], density: 0.5, piece: 15 },
+  { names: ['mushroom', 'button mushroom', 'cremini mushroom'], per100g: [22, 3.1, 0.3, 3.3, 5], density: 0.3, piece: 18 },
+  { names: ['spinach', 'baby spinach'], per100g: [23, 2.9, 0.4, 3.6, 79], density: 0.13, units: { bunch: 340, handful: 30 } },
+  { names: ['kale'], per100g: [49, 4.3, 0.9, 8.8, 38], density: 0.2, units: { bunch: 200, handful: 30 } },
+  { names: ['lettuce', 'romaine lettuce', 'iceberg lettuce'], per100g: [15, 1.4, 0.2, 2.9, 28], density: 0.2, units: { head: 600 } },
+  { names: ['cabbage', 'red cabbage'], per100g: [25, 1.3, 0.1, 5.8, 18], density: 0.35, units: { head: 900 } },
+  { names: ['broccoli'], per100g: [34, 2.8, 0.4, 6.6, 33], density: 0.4, units: { head: 300 } },
+  { names: ['cauliflower'], per100g: [25, 1.9, 0.3, 5, 30], density: 0.45, units: { head: 575 } },
+  { names: ['zucchini', 'courgette'], per100g: [17, 1.2, 0.3, 3.1, 8], density: 0.5, piece: 200 },
+  { names: ['eggplant', 'aubergine'], per100g: [25, 1, 0.2, 5.9, 2], density: 0.35, piece: 458 },
+  { names: ['cucumber'], per100g: [15, 0.7, 0.1, 3.6, 2], density: 0.5, piece: 300 },
+  { names: ['corn', 'sweetcorn', 'corn kernel'], per100g: [86, 3.3, 1.4, 19, 15], density: 0.7, units: { can: 340 } },
+  { names: ['pea', 'green pea', 'frozen pea'], per100g: [81, 5.4, 0.4, 14.5, 5], density: 0.6 },
+  { names: ['green bean', 'string bean'], per100g: [31, 1.8, 0.2, 7, 6], density: 0.45 },
+  { names: ['avocado'], per100g: [160, 2, 14.7, 8.5, 7], density: 0.6, piece: 150 },
+  { names: ['lemon'], per100g: [29, 1.1, 0.3, 9.3, 2], piece: 85 },
+  { names: ['lime'], per100g: [30, 0.7, 0.2, 10.5, 2], piece: 67 },
+  { names: ['lemon juice', 'lime juice'], per100g: [22, 0.4, 0.2, 6.9, 1], density: 1.03 },
+  { names: ['orange'], per100g: [47, 0.9, 0.1, 11.8, 0], piece: 131 },
+  { names: ['orange juice', 'juice', 'apple juice'], per100g: [45, 0.7, 0.2, 10.4, 1], density: 1.04 },
+  { names: ['apple'], per100g: [52, 0.3, 0.2, 13.8, 1], density: 0.5, piece: 182 },
+  { names: ['banana'], per100g: [89, 1.1, 0.3, 22.8, 1], density: 0.6, piece: 118 },
+  { names: ['berry', 'blueberry', 'strawberry', 'raspberry', 'blackberry', 'mixed berry'], per100g: [50, 0.8, 0.4, 12, 1], density: 0.6, piece: 5 },
+  { names: ['herb', 'parsley', 'cilantro', 'coriander', 'basil', 'mint', 'dill', 'chive', 'basil leaf', 'mint leaf'], per100g: [36, 3, 0.8, 6.3, 56], density: 0.1, piece: 0.5, units: { bunch: 50, handful: 15, sprig: 1 } },
+  { names: ['rosemary', 'thyme', 'sage'], per100g: [131, 3.3, 5.9, 20.7, 26], density: 0.2, units: { sprig: 1, bunch: 20 } },
+
+  // Seasonings
+  { names: ['salt', 'sea salt', 'kosher salt', 'table salt', 'fine salt'], per100g: [0, 0, 0, 0, 38758], density: 1.2 },
+  { names: ['pepper', 'black pepper', 'ground pepper', 'ground black pepper', 'white pepper'], per100g: [251, 10.4, 3.3, 64, 20], density: 0.45 },
+  { names: ['spice', 'cumin', 'ground cumin', 'paprika', 'smoked paprika', 'cinnamon', 'ground cinnamon', 'chili powder', 'chilli powder', 'curry powder', 'garam masala', 'turmeric', 'nutmeg', 'ground nutmeg', 'ground ginger', 'cayenne', 'cayenne pepper', 'chili flake', 'red pepper flake', 'oregano', 'dried oregano', 'dried thyme', 'dried basil', 'italian seasoning', 'seasoning', 'garlic powder', 'onion powder', 'bay leaf', 'clove', 'ground clove', 'allspice', 'cardamom', 'coriander seed', 'cumin seed'], per100g: [330, 12, 14, 50, 60], density: 0.5, piece: 0.2 },
+
+  // Drinks
+  { names: ['water', 'cold water', 'warm water', 'hot water', 'boiling water'], per100g: [0, 0, 0, 0, 0], density: 1 },
+  { names: ['wine', 'red wine', 'white wine', 'dry white wine'], per100g: [83, 0.1, 0, 2.6, 5], density: 0.99 },
+  { names: ['beer'], per100g: [43, 0.5, 0, 3.6, 4], density: 1, units: { can: 355 } },
+  { names: ['coffee', 'brewed coffee', 'espresso'], per100g: [1, 0.1, 0, 0, 2], density: 1 }
+];
@@ -0,0 +1,130 @@
+/**
+ * Nutrition estimates from ingredient lines
+ *
+ * Matches each parsed ingredient to the bundled table in nutrition-data.js,
+ * works out its weight in grams and adds up calories, protein, fat, carbs
+ * and sodium per serving:
+ *
+ *   estimateNutrition(recipe.parsedIngredients, recipe.servings)
+ *   -> {perServing: {calories, protein, fat, carbs, sodium}, servings,
+ *       matchedCount, ingredientCount, unmatched: [{ingredient, reason}]}
+ *
+ * Lines that could not be counted are listed in unmatched with the reason,
+ * so the recipe owner can reword them ("1 onion" rather than "1 medium
+ * sized yellow one").
+ */
+
+import { NUTRITION_TABLE } from './nutrition-data.js';
+import { itemName } from './ingredients.js';
+import { toBaseUnit } from './units.js';
+
+export const NUTRIENTS = ['calories', 'protein', 'fat', 'carbs', 'sodium'];
+
+export const UNMATCHED_REASONS = {
+  unknown: 'not in the nutrition table',
+  noAmount: 'no amount given',
+  unit: 'amount cannot be converted to a weight'
+};
+
+// Sizes of the smallest spoon measures, in millilitres
+const SMALL_MEASURES = { pinch: 0.3, dash: 0.6 };
+
+/**
+ * Estimate per-serving nutrition for a list of parsed ingredients
+ * Without a servings count the whole recipe is treated as one serving.
+ */
+export function estimateNutrition(ingredients, servings = null) {
+  const totals = [0, 0, 0, 0, 0];
+  const unmatched = [];
+  let matchedCount = 0;
+
+  (ingredients || []).forEach(ingredient => {
+    const entry = matchNutrition(ingredient.item);
+    if (!entry) {
+      unmatched.push({ ingredient: ingredient.original, reason: UNMATCHED_REASONS.unknown });
+      return;
+    }
+    if (ingredient.quantity === null || ingredient.quantity === undefined) {
+      unmatched.push({ ingredient: ingredient.original, reason: UNMATCHED_REASONS.noAmount });
+      return;
+    }
+
+    const grams = ingredientGrams(ingredient, entry);
+    if (grams === null) {
+      unmatched.push({ ingredient: ingredient.original, reason: UNMATCHED_REASONS.unit });
+      return;
+    }
+
+    entry.per100g.forEach((value, index) => {
+      totals[index] += (value * grams) / 100;
+    });
+    matchedCount++;
+  });
+
+  const count = servings || 1;
+  const [calories, protein, fat, carbs, sodium] = totals.map(total => total / count);
+
+  return {
+    perServing: {
+      calories: Math.round(calories),
+      protein: Math.round(protein * 10) / 10,
+      fat: Math.round(fat * 10) / 10,
+      carbs: Math.round(carbs * 10) / 10,
+      sodium: Math.round(sodium)
+    },
+    servings: servings || null,
+    matchedCount,
+    ingredientCount: (ingredients || []).length,
+    unmatched
+  };
+}
+
+/**
+ * Table entry for an ingredient's item text, or null
+ * An exact name wins, then names that end the item ("chicken stock" is
+ * stock), then the longest name found anywhere in it.
+ */
+export function matchNutrition(item) {
+  const name = itemName(item);
+  if (!name) return null;
+
+  const text = ` ${name} `;
+  let best = null;
+  let bestScore = 0;
+  NUTRITION_TABLE.forEach(entry => {
+    entry.names.forEach(candidate => {
+      if (!text.includes(` ${candidate} `)) return;
+      const score = (candidate === name ? 2000 : 0) + (text.endsWith(` ${candidate} `) ? 1000 : 0) + candidate.length;
+      if (score > bestScore) {
+        best = entry;
+        bestScore = score;
+      }
+    });
+  });
+  return best;
+}
+
+// Weight of an ingredient line in grams, or null when it cannot be known;
+// ranges count as their midpoint
+function ingredientGrams(ingredient, entry) {
+  const quantity = ingredient.quantityMax
+    ? (ingredient.quantity + ingredient.quantityMax) / 2
+    : ingredient.quantity;
+  const { unit } = ingredient;
+
+  if (!unit) {
+    return entry.piece ? quantity * entry.piece : null;
+  }
+  if (entry.units && entry.units[unit]) {
+    return quantity * entry.units[unit];
+  }
+
+  const base = SMALL_MEASURES[unit]
+    ? { quantity: quantity * SMALL_MEASURES[unit], unit: 'ml' }
+    : toBaseUnit(quantity, unit);
+  if (!base) {
+    return unit === 'piece' && entry.piece ? quantity * entry.piece : null;
+  }
+  if (base.unit === 'g') return base.quantity;
+  return entry.density ? base.quantity * entry.density : null;
+}
@@ -0,0 +1,64 @@
+/**
+ * Roles and permissions
+ *
+ * Each user has one role (stored in the users table, see users.js); a role
+ * grants a fixed set of permissions and every higher role includes the
+ * lower ones:
+ *   viewer  read recipes, keep favorites, reviews, collections and meal plans
+ *   editor  also create and change their own recipes (the default role)
+ *   admin   also moderate recipes, manage users and move data in and out
+ *
+ * Routes check permissions, not roles:
+ *   const denied = requirePermission(context, 'recipes:write');
+ *   if (denied) return denied;
+ */
+
+export const ROLES = ['viewer', 'editor', 'admin'];
+
+export const DEFAULT_ROLE = 'editor';
+
+const VIEWER_PERMISSIONS = ['recipes:read', 'account:write'];
+const EDITOR_PERMISSIONS = [...VIEWER_PERMISSIONS, 'recipes:write'];
+const ADMIN_PERMISSIONS = [...EDITOR_PERMISSIONS, 'recipes:moderate', 'users:manage', 'data:transfer'];
+
+const ROLE_PERMISSIONS = {
+  viewer: VIEWER_PERMISSIONS,
+  editor: EDITOR_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS
+};
+
+/**
+ * Permissions granted by a role (none for an unknown role)
+ */
+export function permissionsFor(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * True when the user (context.data.user, with role) holds the permission
+ */
+export function hasPermission(user, permission) {
+  return !!user && permissionsFor(user.role).includes(permission);
+}
+
+/**
+ * Check the caller's permission for a route
+ * Returns null when allowed, otherwise the 401 or 403 response to send back.
+ */
+export function requirePermission(context, permission) {
+  const user = context.data.user;
+  if (hasPermission(user, permission)) {
+    return null;
+  }
+
+  const body = user
+    ? { error: 'Forbidden', message: `Your role (${user.role || 'none'}) does not allow this`, permission }
+    : { error: 'Unauthenticated', message: 'Sign in to make changes' };
+  return new Response(JSON.stringify(body), {
+    status: user ? 403 : 401,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store, no-cache, must-revalidate, private'
+    }
+  });
+}
@@ -0,0 +1,194 @@
+/**
+ * Token-bucket rate limiting for API writes and sign-in
+ *
+ * Every limited route has one bucket per client IP and, once the caller is
+ * signed in, one per user. A bucket holds up to `capacity` tokens and refills
+ * at `capacity` tokens per `windowSeconds`; a request spends one token from
+ * each of its buckets and is refused with 429 (and Retry-After) when any of
+ * them is empty. Refused requests spend nothing.
+ *
+ * Limits are set per route in RATE_LIMITS ('METHOD /path'); writes to other
+ * routes share DEFAULT_WRITE_LIMIT. The RATE_LIMITS env binding overrides
+ * them with a JSON object of the same shape, where the key 'write' stands
+ * for the default:
+ *
+ *   {"POST /api/import": {"capacity": 5, "windowSeconds": 3600}, "write": {"capacity": 60, "windowSeconds": 60}}
+ *
+ * Buckets live in the D1 rate_limits table
+ * behind a small {get, put} store, so tests can pass their own store, and
+ * every function takes the clock as `now` (unix epoch milliseconds).
+ *
+ * The read-then-write is not atomic: concurrent requests may both spend the
+ * last token. That is fine for abuse protection, which only needs the rate
+ * to be roughly right.
+ */
+
+export const RATE_LIMITS = {
+  // Sign-in verifies a Google token on every call
+  'POST /api/verify-google': { capacity: 10, windowSeconds: 60 },
+  'POST /api/recipes': { capacity: 30, windowSeconds: 60 * 60 },
+  'POST /api/images': { capacity: 30, windowSeconds: 60 * 60 },
+  // Fetches arbitrary pages server-side
+  'POST /api/import': { capacity: 20, windowSeconds: 60 * 60 },
+  'POST /api/recipe/report': { capacity: 10, windowSeconds: 60 * 60 },
+  'POST /api/reviews': { capacity: 30, windowSeconds: 60 * 60 }
+};
+
+export const DEFAULT_WRITE_LIMIT = { capacity: 120, windowSeconds: 60 };
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Stale buckets removed per write, oldest first
+const PRUNE_BATCH = 20;
+
+/**
+ * The limit that applies to a request
+ * Returns {route, capacity, windowSeconds}, or null for unlimited requests
+ * (reads). route names the bucket: the RATE_LIMITS key, or 'write' for the
+ * shared default.
+ */
+export function findRateLimit(method, pathname, env = {}) {
+  const overrides = rateLimitOverrides(env);
+  const route = `${method} ${pathname.replace(/\/$/, '')}`;
+  const limit = overrides[route] || RATE_LIMITS[route];
+  if (limit) {
+    return { route, ...limit };
+  }
+  return WRITE_METHODS.includes(method) ? { route: 'write', ...(overrides.write || DEFAULT_WRITE_LIMIT) } : null;
+}
+
+/**
+ * Limits set by the RATE_LIMITS env binding, keyed like RATE_LIMITS
+ * Unreadable JSON and entries without a positive whole capacity and
+ * windowSeconds are ignored, leaving the built-in limit in place.
+ */
+export function rateLimitOverrides(env = {}) {
+  let parsed;
+  try {
+    parsed = JSON.parse(env.RATE_LIMITS || '{}');
+  } catch (error) {
+    return {};
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return {};
+  }
+
+  const overrides = {};
+  Object.entries(parsed).forEach(([route, limit]) => {
+    if (limit && isPositiveInteger(limit.capacity) && isPositiveInteger(limit.windowSeconds)) {
+      overrides[route] = { capacity: limit.capacity, windowSeconds: limit.windowSeconds };
+    }
+  });
+  return overrides;
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Spend one token from a bucket
+ * bucket is {tokens, updatedAt} or null for a client not seen before (full).
+ * Returns {allowed, bucket, retryAfter}: the bucket to store when the request
+ * goes ahead, and when refused the seconds until a token is available.
+ */
+export function takeToken(bucket, limit, now) {
+  const perMs = limit.capacity / (limit.windowSeconds * 1000);
+  const tokens = bucket
+    ? Math.min(limit.capacity, bucket.tokens + Math.max(0, now - bucket.updatedAt) * perMs)
+    : limit.capacity;
+
+  if (tokens >= 1) {
+    return { allowed: true, bucket: { tokens: tokens - 1, updatedAt: now }, retryAfter: 0 };
+  }
+  return { allowed: false, bucket: { tokens, updatedAt: now }, retryAfter: Math.ceil((1 - tokens) / perMs / 1000) };
+}
+
+/**
+ * Check and spend a request's buckets
+ * Returns {allowed: true} or {allowed: false, retryAfter, limit}.
+ */
+export async function checkRateLimit({ store, limit, ip, user, now = Date.now() }) {
+  const keys = [`${limit.route}|ip:${ip}`];
+  if (user && user.email) {
+    keys.push(`${limit.route}|user:${String(user.email).toLowerCase()}`);
+  }
+
+  const results = [];
+  for (const key of keys) {
+    results.push({ key, ...takeToken(await store.get(key), limit, now) });
+  }
+
+  const refused = results.filter(result => !result.allowed);
+  if (refused.length) {
+    return { allowed: false, retryAfter: Math.max(...refused.map(result => result.retryAfter)), limit };
+  }
+
+  for (const result of results) {
+    await store.put(result.key, result.bucket, limit, now);
+  }
+  return { allowed: true };
+}
+
+/**
+ * Bucket store backed by the D1 rate_limits table
+ * Each write also drops a few buckets that have refilled completely.
+ */
+export function d1BucketStore(env) {
+  return {
+    async get(key) {
+      const row = await env.DB.prepare('SELECT tokens, updated_at FROM rate_limits WHERE key = ?')
+        .bind(key)
+        .first();
+      return row ? { tokens: row.tokens, updatedAt: row.updated_at } : null;
+    },
+
+    async put(key, bucket, limit, now) {
+      const perMs = limit.capacity / (limit.windowSeconds * 1000);
+      const fullAt = bucket.updatedAt + Math.ceil((limit.capacity - bucket.tokens) / perMs);
+      await env.DB.batch([
+        env.DB.prepare(
+          `INSERT INTO rate_limits (key, tokens, updated_at, full_at) VALUES (?1, ?2, ?3, ?4)
+          ON CONFLICT (key) DO UPDATE SET tokens = ?2, updated_at = ?3, full_at = ?4`
+        ).bind(key, bucket.tokens, bucket.updatedAt, fullAt),
+        env.DB.prepare(
+          'DELETE FROM rate_limits WHERE key IN (SELECT key FROM rate_limits WHERE full_at <= ? ORDER BY full_at LIMIT ?)'
+        ).bind(now, PRUNE_BATCH)
+      ]);
+    }
+  };
+}
+
+/**
+ * The client's address as reported by Cloudflare
+ * Other headers such as X-Forwarded-For are set by the client and not
+ * trusted. Without CF-Connecting-IP (outside Cloudflare) every client
+ * shares the 'unknown' bucket.
+ */
+export function clientIp(request) {
+  return request.headers.get('CF-Connecting-IP') || 'unknown';
+}
+
+/**
+ * 429 response for a refused request
+ */
+export function rateLimitResponse(result) {
+  return new Response(JSON.stringify({
+    error: 'Too many requests',
+    message: `Rate limit of ${result.limit.capacity} requests per ${formatWindow(result.limit.windowSeconds)} exceeded. Try again in ${result.retryAfter} seconds.`,
+    retryAfter: result.retryAfter
+  }), {
+    status: 429,
+    headers: {
+      'Content-Type': 'application/json',
+      'Retry-After': String(result.retryAfter),
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+function formatWindow(seconds) {
+  if (seconds % 3600 === 0) return seconds === 3600 ? 'hour' : `${seconds / 3600} hours`;
+  if (seconds % 60 === 0) return seconds === 60 ? 'minute' : `${seconds / 60} minutes`;
+  return `${seconds} seconds`;
+}
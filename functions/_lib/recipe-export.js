@@ -0,0 +1,185 @@
+/**
+ * Recipe export formats
+ *
+ * Each formatter takes a recipe as returned by rowToRecipe() (recipe-row.js):
+ *
+ *   toJsonLd(recipe, origin)  schema.org/Recipe object; extractSchemaRecipe()
+ *                             and mapSchemaRecipe() in recipe-import.js read
+ *                             it back into the same fields
+ *   toMarkdown(recipe)        Markdown document
+ *   toPlainText(recipe)       plain text for pasting into mail or chat
+ *
+ * origin (e.g. "https://recipes.example.com") makes uploaded image paths
+ * and the recipe's own URL absolute.
+ */
+
+export const EXPORT_FORMATS = {
+  jsonld: { contentType: 'application/ld+json; charset=utf-8', extension: 'jsonld' },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' }
+};
+
+const DIET_TYPES = {
+  vegetarian: 'https://schema.org/VegetarianDiet',
+  vegan: 'https://schema.org/VeganDiet',
+  glutenFree: 'https://schema.org/GlutenFreeDiet'
+};
+
+/**
+ * schema.org/Recipe JSON-LD
+ */
+export function toJsonLd(recipe, origin = null) {
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'Recipe',
+    name: recipe.recipeName || recipe.title,
+    description: recipe.description,
+    author: recipe.author ? { '@type': 'Person', name: recipe.author } : undefined,
+    datePublished: toIsoDate(recipe.createdAt),
+    dateModified: toIsoDate(recipe.updatedAt),
+    url: origin && recipe.id ? `${origin}/view-recipe.html?id=${recipe.id}` : undefined,
+    image: absoluteUrl(recipe.imageUrl, origin),
+    recipeCategory: recipe.category,
+    recipeCuisine: recipe.cuisine,
+    keywords: Array.isArray(recipe.tags) && recipe.tags.length > 0 ? recipe.tags.join(', ') : undefined,
+    recipeYield: recipe.servings ? String(recipe.servings) : undefined,
+    prepTime: formatDuration(recipe.prepTime),
+    cookTime: formatDuration(recipe.cookTime),
+    totalTime: formatDuration(recipe.totalTime),
+    recipeIngredient: recipe.ingredients || [],
+    recipeInstructions: (recipe.instructions || []).map((text, index) => ({
+      '@type': 'HowToStep',
+      position: index + 1,
+      text
+    })),
+    suitableForDiet: Object.keys(DIET_TYPES).filter(flag => recipe[flag]).map(flag => DIET_TYPES[flag]),
+    nutrition: nutritionInformation(recipe.nutrition)
+  };
+
+  if (jsonLd.suitableForDiet.length === 0) delete jsonLd.suitableForDiet;
+  Object.keys(jsonLd).forEach(key => {
+    if (jsonLd[key] === undefined || jsonLd[key] === null || jsonLd[key] === '') delete jsonLd[key];
+  });
+  return jsonLd;
+}
+
+/**
+ * Markdown document
+ */
+export function toMarkdown(recipe) {
+  const lines = [`# ${recipe.recipeName || recipe.title}`, ''];
+
+  if (recipe.description) lines.push(recipe.description, '');
+
+  const facts = summaryFacts(recipe);
+  if (facts.length > 0) {
+    facts.forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+    lines.push('');
+  }
+
+  lines.push('## Ingredients', '');
+  (recipe.ingredients || []).forEach(item => lines.push(`- ${item}`));
+  lines.push('', '## Instructions', '');
+  (recipe.instructions || []).forEach((step, index) => lines.push(`${index + 1}. ${step}`));
+
+  if (recipe.notes) lines.push('', '## Notes', '', recipe.notes);
+  if (recipe.author) lines.push('', '---', '', `Recipe by ${recipe.author}`);
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Plain text
+ */
+export function toPlainText(recipe) {
+  const title = recipe.recipeName || recipe.title;
+  const lines = [title, '='.repeat(title.length), ''];
+
+  if (recipe.description) lines.push(recipe.description, '');
+
+  const facts = summaryFacts(recipe);
+  if (facts.length > 0) {
+    facts.forEach(([label, value]) => lines.push(`${label}: ${value}`));
+    lines.push('');
+  }
+
+  lines.push('INGREDIENTS');
+  (recipe.ingredients || []).forEach(item => lines.push(`* ${item}`));
+  lines.push('', 'INSTRUCTIONS');
+  (recipe.instructions || []).forEach((step, index) => lines.push(`${index + 1}. ${step}`));
+
+  if (recipe.notes) lines.push('', 'NOTES', recipe.notes);
+  if (recipe.author) lines.push('', `Recipe by ${recipe.author}`);
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Minutes as an ISO-8601 duration: 90 -> "PT1H30M"
+ */
+export function formatDuration(minutes) {
+  if (minutes === null || minutes === undefined || !Number.isFinite(Number(minutes))) return undefined;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `PT${rest}M`;
+  return rest === 0 ? `PT${hours}H` : `PT${hours}H${rest}M`;
+}
+
+/**
+ * File name for a download: "Tomato & Basil Soup" -> "tomato-basil-soup.md"
+ */
+export function exportFilename(recipe, format) {
+  const slug = String(recipe.recipeName || recipe.title || 'recipe')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'recipe';
+  return `${slug}.${EXPORT_FORMATS[format].extension}`;
+}
+
+// Estimated per-serving values as schema.org/NutritionInformation
+function nutritionInformation(nutrition) {
+  if (!nutrition || !nutrition.perServing || !nutrition.matchedCount) return undefined;
+  const { calories, protein, fat, carbs, sodium } = nutrition.perServing;
+  return {
+    '@type': 'NutritionInformation',
+    calories: `${calories} kcal`,
+    proteinContent: `${protein} g`,
+    fatContent: `${fat} g`,
+    carbohydrateContent: `${carbs} g`,
+    sodiumContent: `${sodium} mg`
+  };
+}
+
+// Label/value pairs shown under the title in the text formats
+function summaryFacts(recipe) {
+  const facts = [];
+  if (recipe.category) facts.push(['Category', recipe.category]);
+  if (recipe.cuisine) facts.push(['Cuisine', recipe.cuisine]);
+  if (recipe.servings) facts.push(['Servings', String(recipe.servings)]);
+  if (recipe.prepTime) facts.push(['Prep time', `${recipe.prepTime} min`]);
+  if (recipe.cookTime) facts.push(['Cook time', `${recipe.cookTime} min`]);
+  if (recipe.totalTime) facts.push(['Total time', `${recipe.totalTime} min`]);
+  if (recipe.difficulty) facts.push(['Difficulty', recipe.difficulty]);
+
+  const diets = ['vegetarian', 'vegan', 'glutenFree', 'dairyFree']
+    .filter(flag => recipe[flag])
+    .map(flag => ({ glutenFree: 'gluten-free', dairyFree: 'dairy-free' }[flag] || flag));
+  if (diets.length > 0) facts.push(['Diet', diets.join(', ')]);
+  if (Array.isArray(recipe.tags) && recipe.tags.length > 0) facts.push(['Tags', recipe.tags.join(', ')]);
+  return facts;
+}
+
+// D1 datetime('now') values ("2024-01-31 12:00:00") are UTC
+function toIsoDate(value) {
+  if (!value) return undefined;
+  const date = new Date(String(value).includes('T') ? value : `${String(value).replace(' ', 'T')}Z`);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+function absoluteUrl(value, origin) {
+  if (!value) return undefined;
+  if (/^https?:\/\//i.test(value)) return value;
+  return origin ? `${origin}${value.startsWith('/') ? '' : '/'}${value}` : value;
+}
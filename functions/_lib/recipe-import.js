@@ -0,0 +1,369 @@
+/**
+ * schema.org/Recipe extraction
+ *
+ * Finds a Recipe in a web page, preferring JSON-LD
+ * (<script type="application/ld+json">, including @graph and nested arrays)
+ * and falling back to microdata (itemscope/itemtype/itemprop attributes).
+ *
+ * mapSchemaRecipe() turns the schema.org object into input for
+ * normalizeRecipe(), so imported recipes are validated exactly like ones
+ * typed into add-recipe.html:
+ *
+ *   name               -> recipeName
+ *   recipeIngredient   -> ingredients
+ *   recipeInstructions -> instructions (text, HowToStep, HowToSection)
+ *   prepTime/cookTime/totalTime (ISO-8601 durations) -> minutes
+ *   recipeYield        -> servings
+ *   image              -> imageUrl (resolved against the page URL)
+ */
+
+const DIET_FLAGS = {
+  VegetarianDiet: 'vegetarian',
+  VeganDiet: 'vegan',
+  GlutenFreeDiet: 'glutenFree'
+};
+
+// Elements that start a new line in text content (instruction blocks use them)
+const LINE_BREAK_ELEMENTS = ['br', 'p', 'div', 'li', 'tr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+// Elements that never have a closing tag
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  frac12: '½', frac14: '¼', frac34: '¾', frac13: '⅓', frac23: '⅔', frac18: '⅛',
+  deg: '°', ndash: '–', mdash: '—', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“'
+};
+
+/**
+ * Find the first schema.org Recipe in an HTML document
+ * Returns {recipe, source: 'json-ld' | 'microdata'} or null.
+ */
+export function extractSchemaRecipe(html) {
+  const text = String(html || '');
+
+  const fromJsonLd = findJsonLdRecipe(text);
+  if (fromJsonLd) return { recipe: fromJsonLd, source: 'json-ld' };
+
+  const fromMicrodata = findMicrodataRecipe(text);
+  if (fromMicrodata) return { recipe: fromMicrodata, source: 'microdata' };
+
+  return null;
+}
+
+/**
+ * Map a schema.org Recipe object onto normalizeRecipe() input
+ * baseUrl resolves relative image URLs and is kept as the recipe's source.
+ */
+export function mapSchemaRecipe(schema, baseUrl = null) {
+  const input = {
+    recipeName: cleanText(first(schema.name) || first(schema.headline)),
+    description: cleanText(first(schema.description)),
+    category: cleanText(first(schema.recipeCategory)),
+    cuisine: cleanText(first(schema.recipeCuisine)),
+    ingredients: asArray(schema.recipeIngredient || schema.ingredients).map(cleanText).filter(Boolean),
+    instructions: mapInstructions(schema.recipeInstructions),
+    tags: mapKeywords(schema.keywords)
+  };
+
+  // Keep prep and cook apart when given; a lone totalTime is still worth having
+  const prepTime = parseDuration(first(schema.prepTime));
+  const cookTime = parseDuration(first(schema.cookTime));
+  const totalTime = parseDuration(first(schema.totalTime));
+  if (prepTime !== null) input.prepTime = prepTime;
+  if (cookTime !== null) input.cookTime = cookTime;
+  if (prepTime === null && cookTime === null && totalTime !== null) input.totalTime = totalTime;
+
+  const servings = parseYield(schema.recipeYield);
+  if (servings !== null) input.servings = servings;
+
+  const imageUrl = mapImage(schema.image, baseUrl);
+  if (imageUrl) input.imageUrl = imageUrl;
+
+  asArray(schema.suitableForDiet).forEach(diet => {
+    const flag = DIET_FLAGS[String(diet).split('/').pop()];
+    if (flag) input[flag] = true;
+  });
+
+  if (baseUrl) input.notes = `Source: ${baseUrl}`;
+
+  Object.keys(input).forEach(key => {
+    if (input[key] === '' || (Array.isArray(input[key]) && input[key].length === 0)) delete input[key];
+  });
+  return input;
+}
+
+/**
+ * Convert an ISO-8601 duration (PT1H30M, P0DT0H20M, PT90M) to whole minutes
+ * Returns null when the value is not a duration.
+ */
+export function parseDuration(value) {
+  const match = String(value || '').trim().match(
+    /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i
+  );
+  if (!match || match.slice(1).every(part => part === undefined)) return null;
+
+  const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  return Math.round(Number(days) * 24 * 60 + Number(hours) * 60 + Number(minutes) + Number(seconds) / 60);
+}
+
+// --- JSON-LD ---
+
+function findJsonLdRecipe(html) {
+  const scriptRe = /<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+  let match;
+  while ((match = scriptRe.exec(html)) !== null) {
+    let data;
+    try {
+      data = JSON.parse(match[1].trim());
+    } catch (error) {
+      // Sites sometimes ship broken JSON-LD next to a valid block; keep looking
+      continue;
+    }
+    const recipe = findRecipeNode(data);
+    if (recipe) return recipe;
+  }
+  return null;
+}
+
+function findRecipeNode(node, depth = 0) {
+  if (!node || typeof node !== 'object' || depth > 10) return null;
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      const found = findRecipeNode(item, depth + 1);
+      if (found) return found;
+    }
+    return null;
+  }
+  if (isRecipeType(node['@type'])) return node;
+  return findRecipeNode(node['@graph'], depth + 1) || findRecipeNode(node.mainEntity, depth + 1);
+}
+
+function isRecipeType(type) {
+  return asArray(type).some(value => String(value).split('/').pop() === 'Recipe');
+}
+
+// --- Microdata ---
+
+// Walk the tags once, building an object for every itemscope; itemprop values
+// come from content/src/href/datetime attributes or the element's text
+function findMicrodataRecipe(html) {
+  const tokenRe = /<!--[\s\S]*?-->|<(script|style)\b[^>]*>[\s\S]*?<\/\1>|<\/?([a-zA-Z][\w-]*)([^>]*)>|([^<]+)/g;
+  const stack = [];   // open elements: {tag, prop, scope, text}
+  const scopes = [];  // objects of enclosing itemscopes
+  let token;
+
+  while ((token = tokenRe.exec(html)) !== null) {
+    const [raw, , tagName, attributeText, text] = token;
+
+    if (text !== undefined) {
+      stack.forEach(element => { if (element.text !== null) element.text += text; });
+      continue;
+    }
+    if (!tagName) continue;
+
+    const tag = tagName.toLowerCase();
+    if (LINE_BREAK_ELEMENTS.includes(tag)) {
+      stack.forEach(element => { if (element.text !== null) element.text += '\n'; });
+    }
+    if (raw.startsWith('</')) {
+      const index = stack.map(element => element.tag).lastIndexOf(tag);
+      if (index === -1) continue;
+      while (stack.length > index) {
+        const found = closeElement(stack.pop(), scopes);
+        if (found) return found;
+      }
+      continue;
+    }
+
+    const attributes = parseAttributes(attributeText);
+    const element = { tag, prop: attributes.itemprop || null, scope: null, text: null };
+
+    if ('itemscope' in attributes) {
+      element.scope = { '@type': (attributes.itemtype || '').split(/\s+/).filter(Boolean) };
+      scopes.push(element.scope);
+    }
+
+    if (element.prop && !element.scope) {
+      const value = attributeValue(tag, attributes);
+      if (value !== null) {
+        addProperty(scopes[scopes.length - 1], element.prop, value);
+        element.prop = null;
+      } else {
+        element.text = '';
+      }
+    }
+
+    if (VOID_ELEMENTS.includes(tag) || raw.endsWith('/>')) {
+      const found = closeElement(element, scopes);
+      if (found) return found;
+    } else {
+      stack.push(element);
+    }
+  }
+
+  // Unclosed markup: the outermost Recipe seen so far still counts
+  while (stack.length > 0) {
+    const found = closeElement(stack.pop(), scopes);
+    if (found) return found;
+  }
+  return null;
+}
+
+// Finish an element; returns the Recipe object when its itemscope closes
+function closeElement(element, scopes) {
+  if (element.scope) {
+    scopes.pop();
+    const parent = scopes[scopes.length - 1];
+    if (isRecipeType(element.scope['@type'])) return element.scope;
+    if (element.prop) addProperty(parent, element.prop, element.scope);
+    return null;
+  }
+  if (element.prop && element.text !== null) {
+    const text = decodeEntities(element.text)
+      .split('\n')
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .join('\n');
+    addProperty(scopes[scopes.length - 1], element.prop, text);
+  }
+  return null;
+}
+
+function addProperty(scope, props, value) {
+  if (!scope) return;
+  props.split(/\s+/).filter(Boolean).forEach(prop => {
+    if (scope[prop] === undefined) {
+      scope[prop] = value;
+    } else {
+      scope[prop] = asArray(scope[prop]).concat([value]);
+    }
+  });
+}
+
+function attributeValue(tag, attributes) {
+  if (attributes.content !== undefined) return attributes.content;
+  if (['img', 'audio', 'video', 'source', 'embed', 'iframe'].includes(tag) && attributes.src) return attributes.src;
+  if (['a', 'link', 'area'].includes(tag) && attributes.href) return attributes.href;
+  if (tag === 'time' && attributes.datetime) return attributes.datetime;
+  if (tag === 'meta') return '';
+  return null;
+}
+
+function parseAttributes(text) {
+  const attributes = {};
+  const attributeRe = /([^\s=/"'>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = attributeRe.exec(text || '')) !== null) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+// --- Field mapping ---
+
+function mapInstructions(value) {
+  const steps = [];
+
+  const visit = (node, sectionName = null) => {
+    if (node === null || node === undefined) return;
+    if (Array.isArray(node)) {
+      node.forEach(item => visit(item, sectionName));
+      return;
+    }
+    if (typeof node !== 'object') {
+      // A single text block: one step per line or paragraph
+      String(node)
+        .split(/<\/p>|<br\s*\/?>|\r?\n/i)
+        .map(cleanText)
+        .filter(Boolean)
+        .forEach(step => steps.push(step));
+      return;
+    }
+
+    if (isType(node, 'HowToSection')) {
+      // Prefix the section's first step with its name ("For the sauce: ...")
+      const before = steps.length;
+      visit(node.itemListElement || node.steps);
+      const name = cleanText(first(node.name));
+      if (name && steps.length > before) {
+        steps[before] = `${name.replace(/:$/, '')}: ${steps[before]}`;
+      }
+      return;
+    }
+    if (node.itemListElement) {
+      visit(node.itemListElement);
+      return;
+    }
+
+    const text = cleanText(first(node.text) || first(node.name) || first(node.description));
+    if (text) steps.push(text);
+  };
+
+  visit(value);
+  return steps;
+}
+
+function isType(node, type) {
+  return asArray(node['@type']).some(value => String(value).split('/').pop() === type);
+}
+
+function mapKeywords(value) {
+  const words = Array.isArray(value) ? value : String(value || '').split(',');
+  return words.map(cleanText).filter(word => word && word.length <= 30).slice(0, 20);
+}
+
+// "4", 4, "4 servings", "Makes 12 cookies", ["4", "4 servings"] -> first whole number
+function parseYield(value) {
+  for (const item of asArray(value)) {
+    const match = String(item).match(/\d+/);
+    if (match) {
+      const servings = Number(match[0]);
+      if (servings >= 1 && servings <= 100) return servings;
+    }
+  }
+  return null;
+}
+
+// image may be a URL, an ImageObject, or an array of either
+function mapImage(value, baseUrl) {
+  for (const item of asArray(value)) {
+    const candidate = typeof item === 'object' && item !== null ? first(item.url) || first(item.contentUrl) : item;
+    if (!candidate) continue;
+    try {
+      const url = new URL(String(candidate).trim(), baseUrl || undefined);
+      if (url.protocol === 'https:' || url.protocol === 'http:') return url.href;
+    } catch (error) {
+      // Relative URL without a page URL to resolve it against
+    }
+  }
+  return null;
+}
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function first(value) {
+  const item = asArray(value)[0];
+  return typeof item === 'object' && item !== null ? (item['@value'] ?? item.name ?? null) : item;
+}
+
+// Plain text from a value that may contain HTML tags and entities
+function cleanText(value) {
+  if (value === undefined || value === null) return '';
+  return decodeEntities(String(value).replace(/<(br|\/p|\/div|\/li)\b[^>]*>/gi, ' ').replace(/<[^>]*>/g, ''))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function decodeEntities(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z0-9]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) && point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
@@ -0,0 +1,64 @@
+/**
+ * Row-to-recipe mapping
+ *
+ * Turns a `recipes` row into the recipe object the API returns: the
+ * title/category columns, timestamps, everything stored in `details`
+ * (snake_case keys from older rows converted to camelCase) and structured
+ * ingredients. Shared by /api/recipe and the export endpoints so every
+ * representation of a recipe starts from the same data.
+ */
+
+import { parseIngredients } from './ingredients.js';
+
+// Columns rowToRecipe() reads
+export const RECIPE_COLUMNS = 'id, title, category, author, details, owner_email, created_at, updated_at, status';
+
+/**
+ * Map a recipes row to the API recipe shape
+ * user is the caller (context.data.user) and decides canEdit.
+ */
+export function rowToRecipe(row, user = null) {
+  const details = toCamelCase(parseDetails(row.details));
+
+  // Rows saved before ingredient parsing existed are parsed on the fly
+  const ingredientLines = Array.isArray(details.ingredients)
+    ? details.ingredients
+    : String(details.ingredients || '').split('\n').map(line => line.trim()).filter(Boolean);
+
+  return {
+    id: row.id,
+    name: row.title,  // Frontend expects 'name'
+    title: row.title,
+    recipeName: row.title,
+    category: row.category,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    ...details,
+    author: row.author || details.author || null,
+    ingredients: ingredientLines,
+    parsedIngredients: details.parsedIngredients || parseIngredients(ingredientLines),
+    status: row.status || 'published',
+    canEdit: !!(user && row.owner_email && user.email === row.owner_email)
+  };
+}
+
+function parseDetails(text) {
+  try {
+    const details = JSON.parse(text || '{}');
+    return details && typeof details === 'object' ? details : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// Convert snake_case keys (at any depth) to camelCase
+function toCamelCase(obj) {
+  if (obj === null || typeof obj !== 'object') return obj;
+  if (Array.isArray(obj)) return obj.map(toCamelCase);
+
+  return Object.keys(obj).reduce((acc, key) => {
+    const camelKey = key.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+    acc[camelKey] = toCamelCase(obj[key]);
+    return acc;
+  }, {});
+}
@@ -0,0 +1,237 @@
+/**
+ * Recipe schema: normalization and validation of incoming recipe data
+ *
+ * Accepts what add-recipe.html sends (form fields as strings, newline-joined
+ * textareas, hours/minutes, separate diet checkboxes) as well as JSON API
+ * clients, and produces the canonical `details` shape:
+ *
+ *   {
+ *     recipeName, category, description, cuisine, notes,
+ *     ingredients: [string], instructions: [string], tags: [string],
+ *     parsedIngredients: [{original, quantity, quantityMax, unit, item, note}],
+ *     prepTime, cookTime, totalTime,      // integer minutes
+ *     servings,                           // integer
+ *     difficulty,                         // 'easy' | 'medium' | 'hard'
+ *     imageUrl,                           // http(s) URL or /api/images/<id>
+ *     vegetarian, vegan, glutenFree, dairyFree  // booleans
+ *   }
+ *
+ * normalizeRecipe() returns {recipe, errors}; errors is null when valid,
+ * otherwise an object of per-field messages keyed by canonical field name.
+ */
+
+import { parseIngredients } from './ingredients.js';
+import { isUploadedImagePath } from './images.js';
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+export const DIETARY_FLAGS = ['vegetarian', 'vegan', 'glutenFree', 'dairyFree'];
+
+const LIMITS = {
+  recipeName: 200,
+  category: 50,
+  cuisine: 50,
+  description: 2000,
+  notes: 2000,
+  imageUrl: 2048,
+  ingredientCount: 100,
+  ingredientLength: 300,
+  instructionCount: 100,
+  instructionLength: 2000,
+  tagCount: 20,
+  tagLength: 30,
+  minutes: 7 * 24 * 60,
+  servings: 100
+};
+
+/**
+ * Normalize and validate raw recipe input
+ */
+export function normalizeRecipe(input) {
+  const errors = {};
+  const recipe = {};
+  const data = input && typeof input === 'object' ? input : {};
+
+  // Name: recipeName, name or title (all have been accepted historically)
+  const recipeName = cleanText(data.recipeName ?? data.name ?? data.title);
+  if (!recipeName) {
+    errors.recipeName = 'Recipe name is required';
+  } else if (recipeName.length > LIMITS.recipeName) {
+    errors.recipeName = `Recipe name must be at most ${LIMITS.recipeName} characters`;
+  }
+  recipe.recipeName = recipeName;
+
+  setOptionalText(recipe, errors, data, 'category');
+  setOptionalText(recipe, errors, data, 'cuisine');
+  setOptionalText(recipe, errors, data, 'description');
+  setOptionalText(recipe, errors, data, 'notes');
+
+  // Lists
+  recipe.ingredients = toList(data.ingredients);
+  checkList(errors, 'ingredients', recipe.ingredients, LIMITS.ingredientCount, LIMITS.ingredientLength, 'ingredient');
+  recipe.parsedIngredients = parseIngredients(recipe.ingredients);
+
+  recipe.instructions = toList(data.instructions).map(step => step.replace(/^\d+[.)]\s+/, ''));
+  checkList(errors, 'instructions', recipe.instructions, LIMITS.instructionCount, LIMITS.instructionLength, 'step');
+
+  const tags = toList(data.tags, /[,\n]/);
+  if (tags.length > 0) {
+    recipe.tags = tags.map(tag => tag.toLowerCase());
+    if (tags.length > LIMITS.tagCount) {
+      errors.tags = `At most ${LIMITS.tagCount} tags are allowed`;
+    } else if (tags.some(tag => tag.length > LIMITS.tagLength)) {
+      errors.tags = `Each tag must be at most ${LIMITS.tagLength} characters`;
+    }
+  }
+
+  // Times in whole minutes; the add form sends cooking time as hours + minutes
+  const prepTime = toMinutes(errors, 'prepTime', data.prepTime);
+  let cookTime = toMinutes(errors, 'cookTime', data.cookTime);
+  if (hasValue(data.hours) || hasValue(data.minutes)) {
+    const hours = toMinutes(errors, 'cookTime', data.hours ?? 0);
+    const minutes = toMinutes(errors, 'cookTime', data.minutes ?? 0);
+    if (hours !== null && minutes !== null) {
+      cookTime = hours * 60 + minutes;
+    }
+  }
+  let totalTime = toMinutes(errors, 'totalTime', data.totalTime);
+  if (prepTime !== null || cookTime !== null) {
+    totalTime = (prepTime || 0) + (cookTime || 0);
+  }
+  if (prepTime !== null) recipe.prepTime = prepTime;
+  if (cookTime !== null) recipe.cookTime = cookTime;
+  if (totalTime !== null) recipe.totalTime = totalTime;
+  ['prepTime', 'cookTime', 'totalTime'].forEach(field => {
+    if (recipe[field] > LIMITS.minutes && !errors[field]) {
+      errors[field] = 'Time must be at most one week';
+    }
+  });
+
+  if (hasValue(data.servings)) {
+    const servings = toInteger(data.servings);
+    if (servings === null || servings < 1 || servings > LIMITS.servings) {
+      errors.servings = `Servings must be a whole number from 1 to ${LIMITS.servings}`;
+    } else {
+      recipe.servings = servings;
+    }
+  }
+
+  if (hasValue(data.difficulty)) {
+    const difficulty = String(data.difficulty).trim().toLowerCase();
+    if (!DIFFICULTIES.includes(difficulty)) {
+      errors.difficulty = `Difficulty must be one of: ${DIFFICULTIES.join(', ')}`;
+    } else {
+      recipe.difficulty = difficulty;
+    }
+  }
+
+  if (hasValue(data.imageUrl)) {
+    const imageUrl = String(data.imageUrl).trim();
+    if (imageUrl.length > LIMITS.imageUrl) {
+      errors.imageUrl = `Image URL must be at most ${LIMITS.imageUrl} characters`;
+    } else if (!isImageUrl(imageUrl)) {
+      errors.imageUrl = 'Image URL must be an http(s) URL or an uploaded image';
+    } else {
+      recipe.imageUrl = imageUrl;
+    }
+  }
+
+  DIETARY_FLAGS.forEach(flag => {
+    recipe[flag] = toBoolean(data[flag], flag);
+  });
+
+  return {
+    recipe,
+    errors: Object.keys(errors).length > 0 ? errors : null
+  };
+}
+
+/**
+ * Build the 422 response for validation errors
+ */
+export function validationErrorResponse(errors) {
+  return new Response(JSON.stringify({
+    error: 'Validation failed',
+    message: 'Please correct the highlighted fields',
+    fields: errors
+  }), {
+    status: 422,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
+
+function hasValue(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+function cleanText(value) {
+  return hasValue(value) ? String(value).trim() : '';
+}
+
+function setOptionalText(recipe, errors, data, field) {
+  const value = cleanText(data[field]);
+  if (!value) return;
+  if (value.length > LIMITS[field]) {
+    errors[field] = `Must be at most ${LIMITS[field]} characters`;
+  }
+  recipe[field] = value;
+}
+
+// Arrays stay arrays; strings are split into one entry per line (or separator)
+function toList(value, separator = /\r?\n/) {
+  const items = Array.isArray(value) ? value : (hasValue(value) ? String(value).split(separator) : []);
+  return items.map(item => cleanText(item)).filter(Boolean);
+}
+
+function checkList(errors, field, items, maxCount, maxLength, noun) {
+  if (items.length === 0) {
+    errors[field] = `At least one ${noun} is required`;
+  } else if (items.length > maxCount) {
+    errors[field] = `At most ${maxCount} ${noun}s are allowed`;
+  } else {
+    const tooLong = items.findIndex(item => item.length > maxLength);
+    if (tooLong !== -1) {
+      errors[field] = `${noun[0].toUpperCase() + noun.slice(1)} ${tooLong + 1} must be at most ${maxLength} characters`;
+    }
+  }
+}
+
+function toInteger(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? value : null;
+  }
+  const text = String(value).trim();
+  return /^\d+$/.test(text) ? Number(text) : null;
+}
+
+// Returns whole minutes, null when absent, and records an error when invalid
+function toMinutes(errors, field, value) {
+  if (!hasValue(value)) return null;
+  const minutes = toInteger(value);
+  if (minutes === null || minutes < 0) {
+    errors[field] = errors[field] || 'Time must be a whole number of minutes';
+    return null;
+  }
+  return minutes;
+}
+
+// Checkboxes arrive as their value ("vegan"), "on", "true", or a JSON boolean
+function toBoolean(value, flag) {
+  if (value === true || value === 1) return true;
+  if (!hasValue(value)) return false;
+  const text = String(value).trim().toLowerCase();
+  return ['true', '1', 'on', 'yes', flag.toLowerCase()].includes(text);
+}
+
+// Absolute http(s) URLs, or images uploaded through /api/images
+function isImageUrl(value) {
+  if (isUploadedImagePath(value)) return true;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch (error) {
+    return false;
+  }
+}
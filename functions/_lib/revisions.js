@@ -0,0 +1,95 @@
+/**
+ * Recipe revision history
+ *
+ * Each write to a recipe adds a recipe_revisions row holding the recipe's
+ * new title, category and details, numbered 1, 2, 3... per recipe. The
+ * statement copies the state straight from the recipes row, so it goes in
+ * the same D1 batch right after the write:
+ *
+ *   await env.DB.batch([updateStatement, revisionStatement(env, {recipeId, user, action: 'update'})]);
+ *
+ * Revisions are never changed (a trigger refuses updates); restoring an old
+ * one writes it back to the recipe and records that as a new revision.
+ * A soft delete is recorded too, as a 'delete' revision of the unchanged
+ * recipe.
+ */
+
+export const REVISION_ACTIONS = ['snapshot', 'create', 'update', 'restore', 'import', 'delete'];
+
+// Columns toRevision() reads
+export const REVISION_COLUMNS = 'recipe_id, revision, title, category, details, action, restored_from, editor_name, created_at';
+
+// Recipe fields that mirror another one and would show up twice in a diff
+const DIFF_SKIPPED_FIELDS = ['recipeName'];
+
+/**
+ * Statement that records the recipe's current row as its next revision
+ * recipeId null means the row inserted by the previous statement in the
+ * batch (a new recipe). user is context.data.user; restoredFrom is the
+ * revision number a 'restore' copied.
+ */
+export function revisionStatement(env, { recipeId = null, user = null, action, restoredFrom = null }) {
+  const idSql = recipeId === null ? 'last_insert_rowid()' : '?';
+  const statement = env.DB.prepare(
+    `INSERT INTO recipe_revisions (recipe_id, revision, title, category, details, action, restored_from, editor_email, editor_name)
+     SELECT id, (SELECT COALESCE(MAX(revision), 0) + 1 FROM recipe_revisions WHERE recipe_id = recipes.id),
+       title, category, details, ?, ?, ?, ?
+     FROM recipes WHERE id = ${idSql}`
+  );
+  const params = [action, restoredFrom, user ? user.email : null, user ? user.name : null];
+  return statement.bind(...(recipeId === null ? params : [...params, recipeId]));
+}
+
+/**
+ * Map a recipe_revisions row to the summary the API lists
+ * Editor emails stay in the database; only the display name is shown.
+ */
+export function toRevision(row) {
+  return {
+    recipeId: row.recipe_id,
+    revision: row.revision,
+    title: row.title,
+    category: row.category,
+    action: row.action,
+    restoredFrom: row.restored_from,
+    editor: row.editor_name || null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Field-level differences between two revision rows
+ * Returns [{field, before, after}] for title, category and every details
+ * field whose value differs; fields missing on one side are null there.
+ */
+export function diffRevisions(before, after) {
+  const beforeFields = revisionFields(before);
+  const afterFields = revisionFields(after);
+  const fields = [...new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)])];
+
+  return fields
+    .filter(field => !DIFF_SKIPPED_FIELDS.includes(field))
+    .filter(field => JSON.stringify(beforeFields[field] ?? null) !== JSON.stringify(afterFields[field] ?? null))
+    .map(field => ({
+      field,
+      before: beforeFields[field] ?? null,
+      after: afterFields[field] ?? null
+    }));
+}
+
+// title and category from their columns (they win over copies in details),
+// then everything stored in details
+function revisionFields(row) {
+  let details = {};
+  try {
+    const parsed = JSON.parse(row.details || '{}');
+    if (parsed && typeof parsed === 'object') details = parsed;
+  } catch (error) {
+    // Unreadable details diff as empty
+  }
+  const fields = { title: row.title, category: row.category };
+  Object.keys(details).forEach(key => {
+    if (!(key in fields)) fields[key] = details[key];
+  });
+  return fields;
+}
@@ -0,0 +1,37 @@
+/**
+ * Database schema version check
+ *
+ * Every file in migrations/ records itself in the schema_migrations table.
+ * The API code expects the database to be at SCHEMA_VERSION; bump it
+ * whenever a migration is added that the code depends on.
+ *
+ * The check runs once per isolate: after a successful check the result is
+ * cached, a failed check is retried on the next request.
+ */
+import { createLogger } from './logger.js';
+
+export const SCHEMA_VERSION = 12;
+
+let verified = false;
+
+/**
+ * Compare the database's applied migrations with SCHEMA_VERSION
+ * Returns {ok, current, expected}
+ */
+export async function checkSchemaVersion(env, log = createLogger(env)) {
+  if (verified) {
+    return { ok: true, current: SCHEMA_VERSION, expected: SCHEMA_VERSION };
+  }
+
+  let current = 0;
+  try {
+    const row = await env.DB.prepare('SELECT MAX(version) AS version FROM schema_migrations').first();
+    current = row && row.version ? row.version : 0;
+  } catch (error) {
+    // No schema_migrations table yet: the database predates migrations
+    log.error('Could not read schema_migrations', { error });
+  }
+
+  verified = current >= SCHEMA_VERSION;
+  return { ok: verified, current, expected: SCHEMA_VERSION };
+}
@@ -0,0 +1,157 @@
+/**
+ * Server-side sessions backed by the D1 `sessions` table
+ *
+ * The browser holds only an opaque, signed session cookie:
+ *   session=<session id>.<HMAC-SHA256(session id) with SESSION_SECRET>
+ * The cookie is HttpOnly, Secure and SameSite=Lax so page scripts never see it.
+ *
+ * Sessions expire after SESSION_IDLE_SECONDS without use (sliding expiry),
+ * and never live longer than SESSION_MAX_SECONDS after sign-in.
+ */
+
+export const SESSION_COOKIE = 'session';
+
+// Idle timeout, extended on use
+const SESSION_IDLE_SECONDS = 7 * 24 * 60 * 60;
+
+// Hard limit since sign-in; also the cookie Max-Age
+const SESSION_MAX_SECONDS = 30 * 24 * 60 * 60;
+
+// Only write the extended expiry back when it moves by more than this
+const SESSION_TOUCH_INTERVAL_SECONDS = 5 * 60;
+
+/**
+ * Create a session for a verified user
+ * Returns the Set-Cookie header value to send back to the browser
+ */
+export async function createSession(env, user, now = Date.now()) {
+  const id = randomId();
+  const nowSeconds = Math.floor(now / 1000);
+
+  await env.DB.prepare(
+    'INSERT INTO sessions (id, email, name, picture, created_at, expires_at, max_expires_at) VALUES (?, ?, ?, ?, ?, ?, ?)'
+  )
+  .bind(
+    id,
+    user.email,
+    user.name || user.email,
+    user.picture || null,
+    nowSeconds,
+    nowSeconds + SESSION_IDLE_SECONDS,
+    nowSeconds + SESSION_MAX_SECONDS
+  )
+  .run();
+
+  const signature = await sign(id, getSecret(env));
+  return serializeCookie(`${id}.${signature}`, SESSION_MAX_SECONDS);
+}
+
+/**
+ * Look up the user for a signed session cookie value, extending its expiry
+ * Returns {email, name, picture, email_verified} or null
+ */
+export async function getSessionUser(env, cookieValue, now = Date.now()) {
+  const id = await verifyCookieValue(cookieValue, getSecret(env));
+  if (!id) {
+    return null;
+  }
+
+  const nowSeconds = Math.floor(now / 1000);
+  const session = await env.DB.prepare(
+    'SELECT id, email, name, picture, expires_at, max_expires_at FROM sessions WHERE id = ?'
+  )
+  .bind(id)
+  .first();
+
+  if (!session || session.expires_at <= nowSeconds || session.max_expires_at <= nowSeconds) {
+    return null;
+  }
+
+  // Sliding expiry: push the idle timeout forward, capped at the hard limit
+  const extendedExpiry = Math.min(nowSeconds + SESSION_IDLE_SECONDS, session.max_expires_at);
+  if (extendedExpiry - session.expires_at > SESSION_TOUCH_INTERVAL_SECONDS) {
+    await env.DB.prepare('UPDATE sessions SET expires_at = ? WHERE id = ?')
+      .bind(extendedExpiry, id)
+      .run();
+  }
+
+  return {
+    email: session.email,
+    name: session.name,
+    picture: session.picture,
+    email_verified: true
+  };
+}
+
+/**
+ * Revoke the session a cookie value points to (no-op for invalid cookies)
+ */
+export async function destroySession(env, cookieValue) {
+  const id = await verifyCookieValue(cookieValue, getSecret(env));
+  if (id) {
+    await env.DB.prepare('DELETE FROM sessions WHERE id = ?').bind(id).run();
+  }
+}
+
+/**
+ * Set-Cookie header value that removes the session cookie
+ */
+export function clearSessionCookie() {
+  return serializeCookie('', 0);
+}
+
+function serializeCookie(value, maxAge) {
+  return `${SESSION_COOKIE}=${value}; Path=/; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=Lax`;
+}
+
+function getSecret(env) {
+  if (!env.SESSION_SECRET) {
+    throw new Error('SESSION_SECRET is not configured');
+  }
+  return env.SESSION_SECRET;
+}
+
+/**
+ * Return the session id when the cookie signature is valid, otherwise null
+ */
+async function verifyCookieValue(cookieValue, secret) {
+  if (!cookieValue || !cookieValue.includes('.')) {
+    return null;
+  }
+
+  const [id, signature] = cookieValue.split('.');
+  const expected = await sign(id, secret);
+  return timingSafeEqual(signature, expected) ? id : null;
+}
+
+async function sign(value, secret) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(value));
+  return toHex(new Uint8Array(signature));
+}
+
+function randomId() {
+  return toHex(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
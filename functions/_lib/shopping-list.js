@@ -0,0 +1,205 @@
+/**
+ * Shopping list aggregation
+ *
+ * Merges the parsed ingredients of several planned recipes into one list:
+ *
+ *   - each recipe is scaled from its own servings to the planned servings
+ *   - lines naming the same item ("2 onions", "1 onion, diced") are merged
+ *   - weights and volumes are added up across units (1 cup + 120 ml milk)
+ *     and shown in the system the recipes used; counted items and units
+ *     without a fixed size (cloves, pinches) are added per unit
+ *   - items are grouped by supermarket aisle, guessed from their name
+ *
+ * Every item has a stable key ("produce:onion") that check marks are
+ * stored under, so a ticked item stays ticked while the week's plan changes.
+ */
+
+import { formatQuantityRange, unitLabel, itemName } from './ingredients.js';
+import { toBaseUnit, isMetricUnit, convertIngredient, roundQuantity } from './units.js';
+
+// Aisles in walking order, with keywords for aisleFor()
+export const AISLES = [
+  {
+    key: 'produce',
+    name: 'Produce',
+    keywords: [
+      'apple', 'avocado', 'banana', 'basil', 'bean sprout', 'bell pepper', 'berry', 'blueberry', 'broccoli',
+      'cabbage', 'carrot', 'cauliflower', 'celery', 'chili', 'chilli', 'cilantro', 'coriander leaf', 'corn on the cob',
+      'cucumber', 'dill', 'eggplant', 'aubergine', 'fresh herb', 'garlic', 'ginger', 'green bean', 'green onion',
+      'herb', 'jalapeno', 'kale', 'leek', 'lemon', 'lettuce', 'lime', 'mango', 'mint', 'mushroom', 'onion',
+      'orange', 'parsley', 'pear', 'potato', 'pumpkin', 'red pepper', 'green pepper', 'rosemary', 'scallion',
+      'shallot', 'spinach', 'squash', 'strawberry', 'sweet potato', 'tomato', 'zucchini', 'courgette'
+    ]
+  },
+  {
+    key: 'meat',
+    name: 'Meat & Seafood',
+    keywords: [
+      'bacon', 'beef', 'chicken', 'chorizo', 'cod', 'fish', 'ham', 'lamb', 'mince', 'pork', 'prawn',
+      'prosciutto', 'salmon', 'sausage', 'shrimp', 'steak', 'tuna', 'turkey', 'veal'
+    ]
+  },
+  {
+    key: 'dairy',
+    name: 'Dairy & Eggs',
+    keywords: [
+      'butter', 'buttermilk', 'cheddar', 'cheese', 'cream', 'cream cheese', 'egg', 'feta', 'milk', 'mozzarella',
+      'parmesan', 'ricotta', 'sour cream', 'yogurt', 'yoghurt'
+    ]
+  },
+  {
+    key: 'bakery',
+    name: 'Bakery',
+    keywords: ['bagel', 'baguette', 'bread', 'bun', 'pita', 'roll', 'tortilla']
+  },
+  {
+    key: 'pantry',
+    name: 'Pantry',
+    keywords: [
+      'baking powder', 'baking soda', 'bean', 'broth', 'chickpea', 'chocolate', 'chocolate chip', 'coconut milk',
+      'cornstarch', 'flour', 'honey', 'ketchup', 'lentil', 'maple syrup', 'mayonnaise', 'mustard', 'noodle', 'nut',
+      'oat', 'oil', 'olive oil', 'pasta', 'peanut butter', 'rice', 'soy sauce', 'spaghetti', 'stock', 'sugar',
+      'brown sugar', 'tomato paste', 'canned tomato', 'vinegar', 'yeast', 'almond', 'walnut', 'pecan', 'raisin'
+    ]
+  },
+  {
+    key: 'spices',
+    name: 'Spices & Seasonings',
+    keywords: [
+      'bay leaf', 'black pepper', 'cardamom', 'cayenne', 'chili flake', 'chili powder', 'cinnamon', 'clove',
+      'cumin', 'curry powder', 'dried oregano', 'dried thyme', 'garam masala', 'garlic powder', 'nutmeg',
+      'onion powder', 'oregano', 'paprika', 'pepper', 'salt', 'seasoning', 'spice', 'thyme', 'turmeric', 'vanilla'
+    ]
+  },
+  {
+    key: 'frozen',
+    name: 'Frozen',
+    keywords: ['frozen', 'ice cream', 'ice']
+  },
+  {
+    key: 'drinks',
+    name: 'Drinks',
+    keywords: ['beer', 'coffee', 'juice', 'sparkling water', 'tea', 'wine']
+  },
+  {
+    key: 'other',
+    name: 'Other',
+    keywords: []
+  }
+];
+
+/**
+ * Merge planned recipes into an aisle-grouped list
+ * planned: [{recipe, servings}] with recipe as returned by rowToRecipe()
+ * Returns {aisles: [{key, name, items}], unscaled: [recipe titles]}; recipes
+ * without a servings count of their own are used as written and listed in
+ * unscaled.
+ */
+export function buildShoppingList(planned) {
+  const items = new Map();
+  const unscaled = new Set();
+
+  planned.forEach(({ recipe, servings }) => {
+    const factor = recipe.servings ? servings / recipe.servings : 1;
+    if (!recipe.servings) unscaled.add(recipe.title);
+
+    (recipe.parsedIngredients || []).forEach(ingredient => {
+      const name = itemName(ingredient.item);
+      if (!name) return;
+      const aisle = aisleFor(name);
+      const key = `${aisle.key}:${name}`;
+
+      if (!items.has(key)) {
+        items.set(key, { key, item: name, aisle: aisle.key, amounts: new Map(), measuredIn: new Set(), asNeeded: false, recipes: new Set() });
+      }
+      const entry = items.get(key);
+      entry.recipes.add(recipe.title);
+      addAmount(entry, ingredient, factor);
+    });
+  });
+
+  const aisles = AISLES.map(aisle => ({
+    key: aisle.key,
+    name: aisle.name,
+    items: [...items.values()]
+      .filter(entry => entry.aisle === aisle.key)
+      .map(toListItem)
+      .sort((a, b) => a.item.localeCompare(b.item))
+  })).filter(aisle => aisle.items.length > 0);
+
+  return { aisles, unscaled: [...unscaled] };
+}
+
+/**
+ * Aisle an item name belongs to, else Other
+ * Keywords that end the name win ("chicken stock" is stock, not chicken),
+ * then the longest keyword anywhere in it.
+ */
+export function aisleFor(name) {
+  const text = ` ${name} `;
+  let best = null;
+  let bestScore = 0;
+  AISLES.forEach(aisle => {
+    aisle.keywords.forEach(keyword => {
+      if (!text.includes(` ${keyword} `)) return;
+      const score = (text.endsWith(` ${keyword} `) ? 1000 : 0) + keyword.length;
+      if (score > bestScore) {
+        best = aisle;
+        bestScore = score;
+      }
+    });
+  });
+  return best || AISLES[AISLES.length - 1];
+}
+
+// Add one scaled ingredient line to a merged entry
+function addAmount(entry, ingredient, factor) {
+  if (ingredient.quantity === null || ingredient.quantity === undefined) {
+    entry.asNeeded = true;
+    return;
+  }
+
+  const quantity = ingredient.quantity * factor;
+  const quantityMax = (ingredient.quantityMax || ingredient.quantity) * factor;
+  const base = ingredient.unit ? toBaseUnit(1, ingredient.unit) : null;
+  const unit = base ? base.unit : (ingredient.unit || '');
+  const size = base ? base.quantity : 1;
+  if (base) entry.measuredIn.add(isMetricUnit(ingredient.unit) ? 'metric' : 'imperial');
+
+  const amount = entry.amounts.get(unit) || { quantity: 0, quantityMax: 0 };
+  amount.quantity += quantity * size;
+  amount.quantityMax += quantityMax * size;
+  entry.amounts.set(unit, amount);
+}
+
+// Round and format a merged entry's amounts: "1 kg + 2 cloves"
+function toListItem(entry) {
+  // Metric only when every weight and volume was given in metric units
+  const system = entry.measuredIn.has('imperial') ? 'imperial' : 'metric';
+
+  const amounts = [...entry.amounts.entries()].map(([unit, amount]) => {
+    const hasRange = amount.quantityMax > amount.quantity + 1e-9;
+    const merged = { quantity: amount.quantity, quantityMax: hasRange ? amount.quantityMax : null, unit: unit || null };
+    if (unit === 'g' || unit === 'ml') {
+      return convertIngredient(merged, system);
+    }
+    return {
+      ...merged,
+      quantity: roundQuantity(merged.quantity, merged.unit),
+      quantityMax: merged.quantityMax ? roundQuantity(merged.quantityMax, merged.unit) : null
+    };
+  });
+
+  const text = amounts
+    .map(amount => [formatQuantityRange(amount), unitLabel(amount.unit, amount.quantityMax ?? amount.quantity)].filter(Boolean).join(' '))
+    .join(' + ');
+
+  return {
+    key: entry.key,
+    item: entry.item,
+    amounts: amounts.map(({ quantity, quantityMax, unit }) => ({ quantity, quantityMax, unit })),
+    text: text || 'as needed',
+    asNeeded: entry.asNeeded,
+    recipes: [...entry.recipes]
+  };
+}
@@ -0,0 +1,178 @@
+/**
+ * Ingredient scaling and unit conversion
+ *
+ * Works on the parsed entries from ingredients.js:
+ *
+ *   scaleIngredient(entry, 1.5)         multiplies quantity (and range maximum)
+ *   convertIngredient(entry, 'metric')  re-expresses weights and volumes in
+ *                                       the best-fitting unit of that system
+ *   toBaseUnit(2, 'cup')                grams or millilitres, for adding up
+ *
+ * Sizes noted in parentheses scale and convert along with the quantity:
+ * "1 can (400g) tomatoes" doubled is 2 cans with the note "800 g".
+ *
+ * Results are rounded to what a cook would measure: whole grams and
+ * millilitres (to the nearest 5 above 100), and halves, thirds, quarters or
+ * eighths for cups, spoons, ounces and counted items.
+ */
+
+import { parseIngredient, formatQuantityRange, unitLabel } from './ingredients.js';
+
+export const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+// Size of each unit in grams (mass) or millilitres (volume)
+const MASS_UNITS = {
+  mg: 0.001,
+  g: 1,
+  kg: 1000,
+  oz: 28.3495,
+  lb: 453.592
+};
+
+const VOLUME_UNITS = {
+  ml: 1,
+  l: 1000,
+  tsp: 4.92892,
+  tbsp: 14.7868,
+  'fl oz': 29.5735,
+  cup: 236.588,
+  pint: 473.176,
+  quart: 946.353,
+  gallon: 3785.41
+};
+
+const METRIC_UNITS = ['mg', 'g', 'kg', 'ml', 'l'];
+
+// Kitchen fractions a quantity below ten is rounded to
+const FRACTIONS = [0, 1 / 8, 1 / 4, 1 / 3, 3 / 8, 1 / 2, 5 / 8, 2 / 3, 3 / 4, 7 / 8, 1];
+
+// A note that is only a size, optionally approximate: "400g", "about 1 lb"
+const SIZE_NOTE_RE = /^((?:about|around|approx\.?|approximately|~)\s*)?(.+)$/i;
+
+/**
+ * Multiply an ingredient's quantity, and any size in its note, by factor
+ * Entries without a quantity ("salt to taste") keep their quantity.
+ */
+export function scaleIngredient(ingredient, factor) {
+  if (factor === 1) {
+    return { ...ingredient };
+  }
+
+  const note = mapNoteSizes(ingredient.note, size => scaleIngredient(size, factor));
+  if (ingredient.quantity === null || ingredient.quantity === undefined) {
+    return { ...ingredient, note };
+  }
+
+  return {
+    ...ingredient,
+    quantity: roundQuantity(ingredient.quantity * factor, ingredient.unit),
+    quantityMax: ingredient.quantityMax ? roundQuantity(ingredient.quantityMax * factor, ingredient.unit) : null,
+    note
+  };
+}
+
+/**
+ * Express a weight or volume in the given unit system
+ * Counted items and units without a fixed size (cloves, pinches) are unchanged.
+ */
+export function convertIngredient(ingredient, system) {
+  const { unit, quantity, quantityMax } = ingredient;
+  const note = mapNoteSizes(ingredient.note, size => convertIngredient(size, system));
+  if (quantity === null || quantity === undefined || !unit) {
+    return { ...ingredient, note };
+  }
+
+  const table = MASS_UNITS[unit] ? MASS_UNITS : (VOLUME_UNITS[unit] ? VOLUME_UNITS : null);
+  if (!table) return { ...ingredient, note };
+
+  // Pick the unit from the smaller end of a range so both ends share it
+  const base = quantity * table[unit];
+  const target = table === MASS_UNITS ? pickMassUnit(base, system) : pickVolumeUnit(base, system);
+
+  return {
+    ...ingredient,
+    quantity: roundQuantity(base / table[target], target),
+    quantityMax: quantityMax ? roundQuantity((quantityMax * table[unit]) / table[target], target) : null,
+    unit: target,
+    note
+  };
+}
+
+/**
+ * Express a weight in grams or a volume in millilitres, so amounts given in
+ * different units can be added up. Returns {quantity, unit: 'g' | 'ml'}, or
+ * null for counted items and units without a fixed size.
+ */
+export function toBaseUnit(quantity, unit) {
+  if (MASS_UNITS[unit]) return { quantity: quantity * MASS_UNITS[unit], unit: 'g' };
+  if (VOLUME_UNITS[unit]) return { quantity: quantity * VOLUME_UNITS[unit], unit: 'ml' };
+  return null;
+}
+
+/**
+ * True for units of the metric system
+ */
+export function isMetricUnit(unit) {
+  return METRIC_UNITS.includes(unit);
+}
+
+/**
+ * Round a quantity to something measurable in the given unit
+ */
+export function roundQuantity(value, unit) {
+  if (!Number.isFinite(value) || value <= 0) return value;
+
+  if (unit === 'kg' || unit === 'l') {
+    return Math.max(Math.round(value * 20) / 20, 0.05);
+  }
+  if (METRIC_UNITS.includes(unit)) {
+    if (value >= 100) return Math.round(value / 5) * 5;
+    if (value >= 10) return Math.round(value);
+    return Math.max(Math.round(value * 2) / 2, 0.5);
+  }
+
+  if (value >= 50) return Math.round(value);
+  if (value >= 10) return Math.round(value * 2) / 2;
+
+  const whole = Math.floor(value);
+  const fraction = FRACTIONS.reduce((best, candidate) =>
+    Math.abs(candidate - (value - whole)) < Math.abs(best - (value - whole)) ? candidate : best
+  );
+  // Never round a real amount away to nothing
+  return whole + fraction || 1 / 8;
+}
+
+function pickMassUnit(grams, system) {
+  if (system === 'metric') {
+    return grams >= 1000 ? 'kg' : 'g';
+  }
+  return grams >= MASS_UNITS.lb ? 'lb' : 'oz';
+}
+
+function pickVolumeUnit(millilitres, system) {
+  if (system === 'metric') {
+    return millilitres >= 1000 ? 'l' : 'ml';
+  }
+  // US kitchen measures: teaspoons up to a tablespoon, tablespoons up to 1/4 cup,
+  // cups up to a quart and quarts up to a gallon
+  if (millilitres < VOLUME_UNITS.tbsp) return 'tsp';
+  if (millilitres < VOLUME_UNITS.cup / 4) return 'tbsp';
+  if (millilitres < VOLUME_UNITS.quart) return 'cup';
+  if (millilitres < VOLUME_UNITS.gallon) return 'quart';
+  return 'gallon';
+}
+
+// Rewrite the weights and volumes in a note ("400g; drained") with fn;
+// other parts of the note are kept as written
+function mapNoteSizes(note, fn) {
+  if (!note) return note;
+  return note.split('; ').map(part => {
+    const [, prefix = '', text] = part.match(SIZE_NOTE_RE);
+    const size = parseIngredient(text);
+    // Only a bare size: the parser found nothing after the unit
+    if (size.quantity === null || !toBaseUnit(1, size.unit) || size.item !== size.original) return part;
+
+    const result = fn(size);
+    return `${prefix}${formatQuantityRange(result)} ${unitLabel(result.unit, result.quantityMax ?? result.quantity)}`;
+  }).join('; ');
+}
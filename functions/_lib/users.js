@@ -0,0 +1,58 @@
+/**
+ * The users table
+ *
+ * /api/verify-google records every sign-in with recordLogin(), creating the
+ * row with the default role on first login. _middleware.js looks the role
+ * up with getUserRole() for every request that has a user, so routes can
+ * check permissions (see permissions.js).
+ *
+ * Bootstrap: emails in the ADMIN_EMAILS env binding are admins until an
+ * admin assigns them a role by hand, so a fresh deployment gets its first
+ * admin without touching the database.
+ */
+
+import { getAdminEmails } from './admin.js';
+import { DEFAULT_ROLE } from './permissions.js';
+
+/**
+ * Create or refresh the user's row at sign-in
+ * Returns the user's role.
+ */
+export async function recordLogin(env, user) {
+  const bootstrap = isBootstrapAdmin(user, env);
+  const row = await env.DB.prepare(
+    `INSERT INTO users (email, name, picture, role, created_at, last_login_at)
+    VALUES (?1, ?2, ?3, ?4, datetime('now'), datetime('now'))
+    ON CONFLICT (email) DO UPDATE SET
+      name = excluded.name,
+      picture = excluded.picture,
+      last_login_at = excluded.last_login_at,
+      role = CASE WHEN ?5 AND users.role_updated_by IS NULL THEN 'admin' ELSE users.role END
+    RETURNING role`
+  )
+  .bind(user.email, user.name || null, user.picture || null, bootstrap ? 'admin' : DEFAULT_ROLE, bootstrap ? 1 : 0)
+  .first();
+  return row.role;
+}
+
+/**
+ * The caller's role
+ * Users who signed in some other way (Bearer token, Cloudflare Access) and
+ * have no row yet get the default role.
+ */
+export async function getUserRole(env, user) {
+  const row = await env.DB.prepare(
+    'SELECT role, role_updated_by FROM users WHERE email = ?'
+  )
+  .bind(user.email)
+  .first();
+
+  if (isBootstrapAdmin(user, env) && (!row || !row.role_updated_by)) {
+    return 'admin';
+  }
+  return row ? row.role : DEFAULT_ROLE;
+}
+
+function isBootstrapAdmin(user, env) {
+  return getAdminEmails(env).includes(String(user.email).toLowerCase());
+}
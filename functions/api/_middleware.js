@@ -0,0 +1,119 @@
+/**
+ * Cloudflare Pages Middleware: /api/*
+ *
+ * Resolves the caller once per request and shares it with every API route
+ * through context.data.user ({name, email, picture, role} or null). The
+ * role comes from the users table; routes check it with the helpers in
+ * _lib/permissions.js.
+ *
+ * Write requests (POST, PUT, PATCH, DELETE) are rejected with 401 when no
+ * user could be resolved, except for the routes that establish a login.
+ * Writes and sign-in are then rate limited per client IP and user
+ * (see _lib/rate-limit.js); over the limit they get 429 with Retry-After.
+ *
+ * Before anything else, the database schema version is checked; requests
+ * fail with 503 until the migrations in migrations/ have been applied.
+ *
+ * Every request gets a correlation ID, returned in the X-Request-ID header,
+ * and a logger carrying it (context.data.log, see _lib/logger.js); the
+ * outcome and latency of each request are logged when it completes.
+ */
+import { resolveUser } from '../_lib/auth.js';
+import { checkSchemaVersion } from '../_lib/schema.js';
+import { getUserRole } from '../_lib/users.js';
+import { findRateLimit, checkRateLimit, d1BucketStore, clientIp, rateLimitResponse } from '../_lib/rate-limit.js';
+import { createLogger, requestIdFor } from '../_lib/logger.js';
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Routes that accept anonymous writes (they are how a user signs in or out)
+const PUBLIC_WRITE_ROUTES = ['/api/verify-google', '/api/logout'];
+
+export async function onRequest(context) {
+  const { request, env } = context;
+  const started = Date.now();
+  const requestId = requestIdFor(request);
+  const log = createLogger(env, { requestId, method: request.method, route: new URL(request.url).pathname });
+  context.data.requestId = requestId;
+  context.data.log = log;
+
+  let response;
+  try {
+    response = await handle(context);
+  } catch (error) {
+    log.error('Unhandled error', { error });
+    response = new Response(JSON.stringify({ error: 'Internal server error', requestId }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+    });
+  }
+
+  const level = response.status >= 500 ? 'error' : response.status >= 400 ? 'warn' : 'info';
+  log[level]('Request completed', { status: response.status, latencyMs: Date.now() - started });
+  return withRequestId(response, requestId);
+}
+
+async function handle(context) {
+  const { request, env } = context;
+  const log = context.data.log;
+
+  if (request.method === 'OPTIONS') {
+    return context.next();
+  }
+
+  const schema = await checkSchemaVersion(env, log);
+  if (!schema.ok) {
+    log.error('Database schema is out of date', { current: schema.current, expected: schema.expected });
+    return new Response(JSON.stringify({
+      error: 'Service unavailable',
+      message: `Database schema is out of date (version ${schema.current}, need ${schema.expected}). Apply the migrations in migrations/.`
+    }), {
+      status: 503,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store'
+      }
+    });
+  }
+
+  const resolved = await resolveUser(request, env, log);
+  const user = resolved ? { ...resolved, role: await getUserRole(env, resolved) } : null;
+  context.data.user = user;
+
+  const { pathname } = new URL(request.url);
+  const isWrite = WRITE_METHODS.includes(request.method);
+  const isPublic = PUBLIC_WRITE_ROUTES.includes(pathname.replace(/\/$/, ''));
+
+  if (isWrite && !isPublic && !user) {
+    log.info('Rejecting unauthenticated write');
+    return new Response(JSON.stringify({
+      error: 'Unauthenticated',
+      message: 'Sign in to make changes'
+    }), {
+      status: 401,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store, no-cache, must-revalidate, private'
+      }
+    });
+  }
+
+  const limit = findRateLimit(request.method, pathname, env);
+  if (limit) {
+    const result = await checkRateLimit({ store: d1BucketStore(env), limit, ip: clientIp(request), user });
+    if (!result.allowed) {
+      log.warn('Rate limit hit', { limit: limit.route, retryAfter: result.retryAfter });
+      return rateLimitResponse(result);
+    }
+  }
+
+  return context.next();
+}
+
+// Responses from routes may have immutable headers, so copy before adding one
+function withRequestId(response, requestId) {
+  const copy = new Response(response.body, response);
+  copy.headers.set('X-Request-ID', requestId);
+  copy.headers.append('Access-Control-Expose-Headers', 'X-Request-ID');
+  return copy;
+}
@@ -0,0 +1,33 @@
+/**
+ * Cloudflare Pages Middleware: /api/admin/*
+ *
+ * Runs after functions/api/_middleware.js has resolved context.data.user and
+ * lets only admins (see functions/_lib/admin.js) through: 401 without a
+ * signed-in user, 403 for everyone else.
+ */
+import { isAdmin } from '../../_lib/admin.js';
+
+export async function onRequest(context) {
+  const { request, env } = context;
+
+  if (request.method === 'OPTIONS') {
+    return context.next();
+  }
+
+  const user = context.data.user;
+  if (!user || !isAdmin(user, env)) {
+    context.data.log.warn('Admin access denied', { role: user ? user.role : null });
+    return new Response(JSON.stringify(user
+      ? { error: 'Forbidden', message: 'Admin access required' }
+      : { error: 'Unauthenticated', message: 'Sign in as an admin' }
+    ), {
+      status: user ? 403 : 401,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store, no-cache, must-revalidate, private'
+      }
+    });
+  }
+
+  return context.next();
+}
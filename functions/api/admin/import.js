@@ -0,0 +1,206 @@
+// /api/admin/import - Load recipes from NDJSON (admins only)
+// Body: one record per line in the /api/admin/export format. Only title (or
+// details.recipeName) and details are required; id is ignored so rows can
+// move between databases without clashing.
+// Query: ?dryRun=1 validates and reports without writing anything.
+//
+// Every record is checked with the recipe schema. Records whose title and
+// author (case-insensitive) already exist, in the database or earlier in the
+// file, are skipped. The response lists problems by line number:
+//   {success, dryRun, total, imported, skipped: [{line, title, reason}],
+//    errors: [{line, error, fields?}]}
+import { normalizeRecipe } from '../../_lib/recipe-schema.js';
+import { estimateNutrition } from '../../_lib/nutrition.js';
+import { classifyRecipe } from '../../_lib/allergens.js';
+import { revisionStatement } from '../../_lib/revisions.js';
+import { RECIPE_STATUSES } from '../../_lib/moderation.js';
+
+const MAX_IMPORT_BYTES = 20 * 1024 * 1024;
+const MAX_IMPORT_LINES = 5000;
+const INSERT_BATCH_SIZE = 50;
+
+// D1 datetime('now') format, which the import also accepts as ISO-8601
+const D1_DATETIME_RE = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const url = new URL(request.url);
+  const dryRun = ['1', 'true'].includes(url.searchParams.get('dryRun'));
+
+  if (Number(request.headers.get('Content-Length')) > MAX_IMPORT_BYTES) {
+    return jsonResponse({ error: 'Import file is too large', message: `At most ${MAX_IMPORT_BYTES / (1024 * 1024)} MB` }, 413);
+  }
+
+  const text = await request.text();
+  const lines = text.split(/\r?\n/);
+  if (lines.filter(line => line.trim()).length > MAX_IMPORT_LINES) {
+    return jsonResponse({ error: 'Too many records', message: `Import at most ${MAX_IMPORT_LINES} recipes at a time` }, 413);
+  }
+
+  try {
+    const existing = await loadExistingKeys(env);
+    const rows = [];
+    const skipped = [];
+    const errors = [];
+    let total = 0;
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      total++;
+      const lineNumber = index + 1;
+
+      const result = validateRecord(line);
+      if (result.error) {
+        errors.push({ line: lineNumber, ...result.error });
+        return;
+      }
+
+      const key = dedupeKey(result.row.title, result.row.author);
+      if (existing.has(key)) {
+        skipped.push({ line: lineNumber, title: result.row.title, reason: 'duplicate title and author' });
+        return;
+      }
+      existing.add(key);
+      rows.push(result.row);
+    });
+
+    if (!dryRun) {
+      for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+        // Each insert is followed by its first revision, which refers to it by last_insert_rowid()
+        await env.DB.batch(rows.slice(i, i + INSERT_BATCH_SIZE).flatMap(row => [
+          insertStatement(env, row),
+          revisionStatement(env, { user: context.data.user, action: 'import' })
+        ]));
+      }
+    }
+
+    return jsonResponse({
+      success: true,
+      dryRun,
+      total,
+      imported: rows.length,
+      skipped,
+      errors
+    });
+  } catch (error) {
+    context.data.log.error('Error importing recipes', { error });
+    return jsonResponse({ error: 'Failed to import recipes', details: error.message }, 500);
+  }
+}
+
+// Handle OPTIONS for CORS
+export async function onRequestOptions() {
+  return new Response(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
+
+// Parse and validate one line; returns {row} or {error: {error, fields?}}
+function validateRecord(line) {
+  let record;
+  try {
+    record = JSON.parse(line);
+  } catch (error) {
+    return { error: { error: 'Invalid JSON' } };
+  }
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { error: { error: 'Each line must be a JSON object' } };
+  }
+
+  let details = record.details;
+  if (typeof details === 'string') {
+    try {
+      details = JSON.parse(details);
+    } catch (error) {
+      return { error: { error: 'details is not valid JSON' } };
+    }
+  }
+  if (!details || typeof details !== 'object' || Array.isArray(details)) {
+    return { error: { error: 'details must be an object' } };
+  }
+
+  // Columns win over the copies inside details, as they do in the API
+  const { recipe, errors } = normalizeRecipe({
+    ...details,
+    recipeName: record.title ?? details.recipeName ?? details.name ?? details.title,
+    category: record.category ?? details.category
+  });
+  if (errors) {
+    return { error: { error: 'Validation failed', fields: errors } };
+  }
+
+  const createdAt = toD1Datetime(record.created_at);
+  const updatedAt = toD1Datetime(record.updated_at);
+  if (createdAt === false || updatedAt === false) {
+    return { error: { error: 'created_at and updated_at must be dates' } };
+  }
+
+  // Records exported before statuses existed are published
+  const status = record.status ?? 'published';
+  if (!RECIPE_STATUSES.includes(status)) {
+    return { error: { error: `status must be one of: ${RECIPE_STATUSES.join(', ')}` } };
+  }
+
+  const author = String(record.author ?? details.author ?? '').trim() || 'Anonymous';
+  recipe.author = author;
+  recipe.nutrition = estimateNutrition(recipe.parsedIngredients, recipe.servings);
+  const { allergens, tags } = classifyRecipe(recipe);
+  recipe.allergens = allergens;
+  recipe.tags = tags;
+
+  return {
+    row: {
+      title: recipe.recipeName,
+      category: recipe.category || 'Uncategorized',
+      author,
+      ownerEmail: typeof record.owner_email === 'string' && record.owner_email.includes('@') ? record.owner_email : null,
+      details: JSON.stringify(recipe),
+      createdAt,
+      updatedAt: updatedAt || createdAt,
+      status
+    }
+  };
+}
+
+async function loadExistingKeys(env) {
+  const { results } = await env.DB.prepare('SELECT title, author FROM recipes').all();
+  return new Set(results.map(row => dedupeKey(row.title, row.author)));
+}
+
+function dedupeKey(title, author) {
+  return `${String(title || '').trim().toLowerCase()}\n${String(author || '').trim().toLowerCase()}`;
+}
+
+function insertStatement(env, row) {
+  return env.DB.prepare(
+    `INSERT INTO recipes (title, category, author, owner_email, details, status, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now')), COALESCE(?, datetime('now')))`
+  ).bind(row.title, row.category, row.author, row.ownerEmail, row.details, row.status, row.createdAt, row.updatedAt);
+}
+
+// null when absent, false when not a date, otherwise "YYYY-MM-DD HH:MM:SS" (UTC)
+function toD1Datetime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  if (D1_DATETIME_RE.test(text)) return text;
+
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) return false;
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Helper to return JSON response
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
@@ -0,0 +1,135 @@
+// /api/admin/recipes - Moderate recipes (admins only)
+// GET    ?status=hidden|deleted|draft|published|moderated  -> {success, recipes: [...]}
+//        moderated (the default) lists hidden and deleted recipes, newest change first,
+//        with their open report counts
+// PUT    ?id=123 body {status}  -> set any status; 'published' restores a recipe.
+//        Hiding or deleting also resolves the recipe's open reports.
+// DELETE ?id=123                 -> purge the recipe for good, with its reviews,
+//        revisions and reports
+import { RECIPE_STATUSES } from '../../_lib/moderation.js';
+
+const MAX_RECIPES = 200;
+
+// Statuses listed by ?status=moderated
+const MODERATED_STATUSES = ['hidden', 'deleted'];
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+  const status = new URL(request.url).searchParams.get('status') || 'moderated';
+
+  if (status !== 'moderated' && !RECIPE_STATUSES.includes(status)) {
+    return jsonResponse({ error: `status must be one of: moderated, ${RECIPE_STATUSES.join(', ')}` }, 400);
+  }
+
+  try {
+    const statuses = status === 'moderated' ? MODERATED_STATUSES : [status];
+    const { results } = await env.DB.prepare(
+      `SELECT r.id, r.title, r.category, r.author, r.owner_email, r.status, r.created_at, r.updated_at,
+        (SELECT COUNT(*) FROM recipe_reports WHERE recipe_id = r.id AND status = 'open') AS open_reports
+      FROM recipes r
+      WHERE r.status IN (SELECT value FROM json_each(?))
+      ORDER BY r.updated_at DESC, r.id DESC
+      LIMIT ?`
+    )
+    .bind(JSON.stringify(statuses), MAX_RECIPES)
+    .all();
+
+    return jsonResponse({
+      success: true,
+      status,
+      recipes: results.map(row => ({
+        id: row.id,
+        title: row.title,
+        category: row.category,
+        author: row.author,
+        ownerEmail: row.owner_email,
+        status: row.status,
+        openReports: row.open_reports,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+      }))
+    });
+  } catch (error) {
+    context.data.log.error('Error fetching moderated recipes', { error });
+    return jsonResponse({ error: 'Failed to fetch recipes', details: error.message }, 500);
+  }
+}
+
+export async function onRequestPut(context) {
+  const { request, env } = context;
+  const id = new URL(request.url).searchParams.get('id');
+
+  if (!id || !/^\d+$/.test(id)) {
+    return jsonResponse({ error: 'Recipe ID is required' }, 400);
+  }
+
+  try {
+    const body = await request.json().catch(() => null);
+    const status = body && body.status;
+    if (!RECIPE_STATUSES.includes(status)) {
+      return jsonResponse({ error: `status must be one of: ${RECIPE_STATUSES.join(', ')}` }, 400);
+    }
+
+    const statements = [
+      env.DB.prepare("UPDATE recipes SET status = ?, updated_at = datetime('now') WHERE id = ?").bind(status, id)
+    ];
+    if (MODERATED_STATUSES.includes(status)) {
+      statements.push(env.DB.prepare(
+        `UPDATE recipe_reports SET status = 'resolved', reviewed_at = datetime('now'), reviewed_by = ?
+        WHERE recipe_id = ? AND status = 'open'`
+      ).bind(context.data.user.email, id));
+    }
+
+    const [result] = await env.DB.batch(statements);
+    if (!result.meta.changes) {
+      return jsonResponse({ error: 'Recipe not found' }, 404);
+    }
+    return jsonResponse({ success: true, id: Number(id), status });
+  } catch (error) {
+    context.data.log.error('Error changing recipe status', { error });
+    return jsonResponse({ error: 'Failed to change recipe status', details: error.message }, 500);
+  }
+}
+
+export async function onRequestDelete(context) {
+  const { request, env } = context;
+  const id = new URL(request.url).searchParams.get('id');
+
+  if (!id || !/^\d+$/.test(id)) {
+    return jsonResponse({ error: 'Recipe ID is required' }, 400);
+  }
+
+  try {
+    const result = await env.DB.prepare('DELETE FROM recipes WHERE id = ?').bind(id).run();
+    if (!result.meta.changes) {
+      return jsonResponse({ error: 'Recipe not found' }, 404);
+    }
+    return jsonResponse({ success: true, id: Number(id), message: 'Recipe purged' });
+  } catch (error) {
+    context.data.log.error('Error purging recipe', { error });
+    return jsonResponse({ error: 'Failed to purge recipe', details: error.message }, 500);
+  }
+}
+
+// Handle OPTIONS for CORS
+export async function onRequestOptions() {
+  return new Response(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
+
+// Helper to return JSON response
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
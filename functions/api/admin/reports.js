@@ -0,0 +1,111 @@
+// /api/admin/reports - Review users' recipe reports (admins only)
+// GET ?status=open|resolved|dismissed|all  -> {success, reports: [...newest first]}
+//     each with the reported recipe's title, status and owner; default open
+// PUT ?id=45 body {status: 'resolved'|'dismissed'|'open'}
+// Hiding or deleting a recipe through /api/admin/recipes resolves its open
+// reports as well.
+import { REPORT_STATUSES } from '../../_lib/moderation.js';
+
+const MAX_REPORTS = 200;
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+  const status = new URL(request.url).searchParams.get('status') || 'open';
+
+  if (status !== 'all' && !REPORT_STATUSES.includes(status)) {
+    return jsonResponse({ error: `status must be one of: all, ${REPORT_STATUSES.join(', ')}` }, 400);
+  }
+
+  try {
+    const { results } = await env.DB.prepare(
+      `SELECT rr.*, r.title AS recipe_title, r.status AS recipe_status, r.owner_email AS recipe_owner
+      FROM recipe_reports rr
+      JOIN recipes r ON r.id = rr.recipe_id
+      ${status === 'all' ? '' : 'WHERE rr.status = ?'}
+      ORDER BY rr.created_at DESC, rr.id DESC
+      LIMIT ?`
+    )
+    .bind(...(status === 'all' ? [] : [status]), MAX_REPORTS)
+    .all();
+
+    return jsonResponse({ success: true, status, reports: results.map(toReport) });
+  } catch (error) {
+    context.data.log.error('Error fetching reports', { error });
+    return jsonResponse({ error: 'Failed to fetch reports', details: error.message }, 500);
+  }
+}
+
+export async function onRequestPut(context) {
+  const { request, env } = context;
+  const id = new URL(request.url).searchParams.get('id');
+
+  if (!id || !/^\d+$/.test(id)) {
+    return jsonResponse({ error: 'Report ID is required' }, 400);
+  }
+
+  try {
+    const body = await request.json().catch(() => null);
+    const status = body && body.status;
+    if (!REPORT_STATUSES.includes(status)) {
+      return jsonResponse({ error: `status must be one of: ${REPORT_STATUSES.join(', ')}` }, 400);
+    }
+
+    // Reopening clears who reviewed it
+    const result = await env.DB.prepare(
+      `UPDATE recipe_reports
+      SET status = ?1, reviewed_at = CASE WHEN ?1 = 'open' THEN NULL ELSE datetime('now') END, reviewed_by = ?2
+      WHERE id = ?3`
+    )
+    .bind(status, status === 'open' ? null : context.data.user.email, id)
+    .run();
+
+    if (!result.meta.changes) {
+      return jsonResponse({ error: 'Report not found' }, 404);
+    }
+    return jsonResponse({ success: true, id: Number(id), status });
+  } catch (error) {
+    context.data.log.error('Error updating report', { error });
+    return jsonResponse({ error: 'Failed to update report', details: error.message }, 500);
+  }
+}
+
+// Handle OPTIONS for CORS
+export async function onRequestOptions() {
+  return new Response(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
+
+function toReport(row) {
+  return {
+    id: row.id,
+    recipeId: row.recipe_id,
+    recipeTitle: row.recipe_title,
+    recipeStatus: row.recipe_status,
+    recipeOwner: row.recipe_owner,
+    reporter: row.reporter_name || row.reporter_email,
+    reporterEmail: row.reporter_email,
+    reason: row.reason,
+    message: row.message,
+    status: row.status,
+    createdAt: row.created_at,
+    reviewedAt: row.reviewed_at,
+    reviewedBy: row.reviewed_by
+  };
+}
+
+// Helper to return JSON response
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
@@ -0,0 +1,132 @@
+// /api/admin/users - Manage user roles (admins only)
+// GET ?q=text&role=viewer|editor|admin  -> {success, roles, users: [...]}
+//     users who signed in, most recent sign-in first; q matches email or name
+// PUT ?email=someone@example.com body {role}  -> assign the role
+//     Assigned roles win over the ADMIN_EMAILS bootstrap, so an admin can
+//     demote a bootstrapped admin too. The last admin cannot be demoted.
+import { ROLES, permissionsFor } from '../../_lib/permissions.js';
+
+const MAX_USERS = 500;
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+  const url = new URL(request.url);
+  const q = (url.searchParams.get('q') || '').trim().toLowerCase();
+  const role = url.searchParams.get('role') || '';
+
+  if (role && !ROLES.includes(role)) {
+    return jsonResponse({ error: `role must be one of: ${ROLES.join(', ')}` }, 400);
+  }
+
+  try {
+    const conditions = [];
+    const params = [];
+    if (q) {
+      conditions.push("(lower(email) LIKE ? ESCAPE '\\' OR lower(name) LIKE ? ESCAPE '\\')");
+      const pattern = `%${q.replace(/[\\%_]/g, '\\$&')}%`;
+      params.push(pattern, pattern);
+    }
+    if (role) {
+      conditions.push('role = ?');
+      params.push(role);
+    }
+
+    const { results } = await env.DB.prepare(
+      `SELECT email, name, picture, role, role_updated_at, role_updated_by, created_at, last_login_at
+      FROM users
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY last_login_at DESC, email
+      LIMIT ?`
+    )
+    .bind(...params, MAX_USERS)
+    .all();
+
+    return jsonResponse({
+      success: true,
+      roles: ROLES.map(name => ({ name, permissions: permissionsFor(name) })),
+      users: results.map(toUser)
+    });
+  } catch (error) {
+    context.data.log.error('Error fetching users', { error });
+    return jsonResponse({ error: 'Failed to fetch users', details: error.message }, 500);
+  }
+}
+
+export async function onRequestPut(context) {
+  const { request, env } = context;
+  const email = (new URL(request.url).searchParams.get('email') || '').trim();
+
+  if (!email) {
+    return jsonResponse({ error: 'email is required' }, 400);
+  }
+
+  try {
+    const body = await request.json().catch(() => null);
+    const role = body && body.role;
+    if (!ROLES.includes(role)) {
+      return jsonResponse({ error: `role must be one of: ${ROLES.join(', ')}` }, 400);
+    }
+
+    const current = await env.DB.prepare('SELECT role FROM users WHERE email = ?').bind(email).first();
+    if (!current) {
+      return jsonResponse({ error: 'User not found', message: 'Users appear here after their first sign-in' }, 404);
+    }
+
+    // Keep at least one admin who can sign in and assign roles
+    if (current.role === 'admin' && role !== 'admin') {
+      const admins = await env.DB.prepare("SELECT COUNT(*) AS count FROM users WHERE role = 'admin'").first();
+      if (admins.count <= 1) {
+        return jsonResponse({ error: 'Cannot demote the last admin' }, 409);
+      }
+    }
+
+    const row = await env.DB.prepare(
+      `UPDATE users SET role = ?, role_updated_at = datetime('now'), role_updated_by = ?
+      WHERE email = ?
+      RETURNING email, name, picture, role, role_updated_at, role_updated_by, created_at, last_login_at`
+    )
+    .bind(role, context.data.user.email, email)
+    .first();
+
+    return jsonResponse({ success: true, user: toUser(row) });
+  } catch (error) {
+    context.data.log.error('Error assigning role', { error });
+    return jsonResponse({ error: 'Failed to assign role', details: error.message }, 500);
+  }
+}
+
+function toUser(row) {
+  return {
+    email: row.email,
+    name: row.name,
+    picture: row.picture,
+    role: row.role,
+    roleUpdatedAt: row.role_updated_at,
+    roleUpdatedBy: row.role_updated_by,
+    createdAt: row.created_at,
+    lastLoginAt: row.last_login_at
+  };
+}
+
+// Handle OPTIONS for CORS
+export async function onRequestOptions() {
+  return new Response(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
+
+// Helper to return JSON response
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
@@ -0,0 +1,206 @@
+// /api/collections - Named, ordered collections of recipes
+// GET    /api/collections                 -> the caller's collections
+// GET    /api/collections?public=1        -> public collections, newest first
+// GET    /api/collections?id=12           -> one collection with its recipes
+// GET    /api/collections?token=<share>   -> a collection shared by link
+// POST   /api/collections                 {name, description, visibility}
+// PUT    /api/collections?id=12           any of {name, description, visibility, recipeIds}
+//        recipeIds replaces the contents in the given order
+// DELETE /api/collections?id=12
+// Adding or removing a single recipe: /api/collections/recipes
+import { validationErrorResponse } from '../_lib/recipe-schema.js';
+import {
+  normalizeCollection,
+  newShareToken,
+  canViewCollection,
+  authorizeCollectionWrite,
+  toCollection,
+  toCollectionRecipe
+} from '../_lib/collections.js';
+import { visibleRecipeFilter } from '../_lib/moderation.js';
+
+const MAX_PUBLIC_COLLECTIONS = 50;
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+  const url = new URL(request.url);
+  const user = context.data.user;
+  const id = url.searchParams.get('id');
+  const token = url.searchParams.get('token');
+
+  try {
+    if (id || token) {
+      const row = id
+        ? await env.DB.prepare('SELECT * FROM collections WHERE id = ?').bind(id).first()
+        : await env.DB.prepare('SELECT * FROM collections WHERE share_token = ?').bind(token).first();
+
+      if (!row || !canViewCollection(row, user, token)) {
+        return jsonResponse({ error: 'Collection not found' }, 404);
+      }
+
+      // Only recipes the caller may see, and never deleted ones
+      const visible = visibleRecipeFilter(user, env, 'r.status', 'r.owner_email');
+      const { results } = await env.DB.prepare(
+        `SELECT r.id, r.title, r.category, r.author, r.details, cr.position
+        FROM collection_recipes cr
+        JOIN recipes r ON r.id = cr.recipe_id
+        WHERE cr.collection_id = ? AND ${visible.sql} AND r.status != 'deleted'
+        ORDER BY cr.position, cr.added_at`
+      )
+      .bind(row.id, ...visible.params)
+      .all();
+
+      return jsonResponse(toCollection(row, user, {
+        recipeCount: results.length,
+        recipes: results.map(toCollectionRecipe)
+      }));
+    }
+
+    const listPublic = ['1', 'true'].includes(url.searchParams.get('public'));
+    if (!listPublic && !user) {
+      return jsonResponse({ error: 'Unauthenticated', message: 'Sign in to see your collections' }, 401);
+    }
+
+    // Count only the recipes the caller would see when opening the collection
+    const visible = visibleRecipeFilter(user, env, 'r.status', 'r.owner_email');
+    const { results } = await env.DB.prepare(
+      `SELECT c.*, (
+        SELECT COUNT(*) FROM collection_recipes cr
+        JOIN recipes r ON r.id = cr.recipe_id
+        WHERE cr.collection_id = c.id AND ${visible.sql} AND r.status != 'deleted'
+      ) AS recipe_count
+      FROM collections c
+      WHERE ${listPublic ? "c.visibility = 'public'" : 'c.owner_email = ?'}
+      ORDER BY c.updated_at DESC, c.id DESC
+      LIMIT ?`
+    )
+    .bind(...visible.params, ...(listPublic ? [] : [user.email]), MAX_PUBLIC_COLLECTIONS)
+    .all();
+
+    return jsonResponse({
+      success: true,
+      count: results.length,
+      collections: results.map(row => toCollection(row, user))
+    });
+  } catch (error) {
+    context.data.log.error('Error fetching collections', { error });
+    return jsonResponse({ error: 'Failed to fetch collections', details: error.message }, 500);
+  }
+}
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const user = context.data.user;
+
+  try {
+    const { collection, errors } = normalizeCollection(await request.json().catch(() => null));
+    if (errors) {
+      return validationErrorResponse(errors);
+    }
+
+    const result = await env.DB.prepare(
+      `INSERT INTO collections (owner_email, owner_name, name, description, visibility, share_token, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))`
+    )
+    .bind(user.email, user.name || null, collection.name, collection.description, collection.visibility, newShareToken())
+    .run();
+
+    return jsonResponse({ success: true, id: result.meta.last_row_id, message: 'Collection created' }, 201);
+  } catch (error) {
+    context.data.log.error('Error creating collection', { error });
+    return jsonResponse({ error: 'Failed to create collection', details: error.message }, 500);
+  }
+}
+
+export async function onRequestPut(context) {
+  const { request, env } = context;
+  const id = new URL(request.url).searchParams.get('id');
+
+  try {
+    const access = await authorizeCollectionWrite(context, id);
+    if (access.response) return access.response;
+
+    const { collection, errors } = normalizeCollection(await request.json().catch(() => null), true);
+    if (errors) {
+      return validationErrorResponse(errors);
+    }
+
+    const updated = { ...access.row, ...collection };
+    const statements = [
+      env.DB.prepare(
+        "UPDATE collections SET name = ?, description = ?, visibility = ?, updated_at = datetime('now') WHERE id = ?"
+      ).bind(updated.name, updated.description, updated.visibility, access.row.id)
+    ];
+
+    if (collection.recipeIds) {
+      // Ignore ids of recipes that no longer exist or that the owner cannot see
+      const visibleIds = await visibleRecipeIds(env, access.user, collection.recipeIds);
+      statements.push(env.DB.prepare('DELETE FROM collection_recipes WHERE collection_id = ?').bind(access.row.id));
+      collection.recipeIds.filter(recipeId => visibleIds.has(recipeId)).forEach((recipeId, position) => {
+        statements.push(env.DB.prepare(
+          'INSERT INTO collection_recipes (collection_id, recipe_id, position) VALUES (?, ?, ?)'
+        ).bind(access.row.id, recipeId, position));
+      });
+    }
+
+    await env.DB.batch(statements);
+    return jsonResponse({ success: true, id: access.row.id, message: 'Collection updated' });
+  } catch (error) {
+    context.data.log.error('Error updating collection', { error });
+    return jsonResponse({ error: 'Failed to update collection', details: error.message }, 500);
+  }
+}
+
+export async function onRequestDelete(context) {
+  const { request, env } = context;
+  const id = new URL(request.url).searchParams.get('id');
+
+  try {
+    const access = await authorizeCollectionWrite(context, id);
+    if (access.response) return access.response;
+
+    await env.DB.batch([
+      env.DB.prepare('DELETE FROM collection_recipes WHERE collection_id = ?').bind(access.row.id),
+      env.DB.prepare('DELETE FROM collections WHERE id = ?').bind(access.row.id)
+    ]);
+    return jsonResponse({ success: true, id: access.row.id, message: 'Collection deleted' });
+  } catch (error) {
+    context.data.log.error('Error deleting collection', { error });
+    return jsonResponse({ error: 'Failed to delete collection', details: error.message }, 500);
+  }
+}
+
+// Handle OPTIONS for CORS
+export async function onRequestOptions() {
+  return new Response(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
+
+async function visibleRecipeIds(env, user, ids) {
+  if (ids.length === 0) return new Set();
+  const visible = visibleRecipeFilter(user, env);
+  const { results } = await env.DB.prepare(
+    `SELECT id FROM recipes
+    WHERE id IN (SELECT value FROM json_each(?)) AND ${visible.sql} AND status != 'deleted'`
+  )
+  .bind(JSON.stringify(ids), ...visible.params)
+  .all();
+  return new Set(results.map(row => row.id));
+}
+
+// Helper to return JSON response
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
@@ -0,0 +1,100 @@
+// /api/collections/recipes - Add a recipe to, or remove it from, a collection
+// POST   /api/collections/recipes?id=12  {recipeId}  -> appended at the end
+// DELETE /api/collections/recipes?id=12&recipeId=34
+// Only the collection's owner may change it; reorder with PUT /api/collections.
+// Only recipes the owner can see may be added.
+import { authorizeCollectionWrite } from '../../_lib/collections.js';
+import { canViewRecipe } from '../../_lib/moderation.js';
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const id = new URL(request.url).searchParams.get('id');
+
+  try {
+    const access = await authorizeCollectionWrite(context, id);
+    if (access.response) return access.response;
+
+    const body = await request.json().catch(() => null);
+    const recipeId = Number(body && body.recipeId);
+    if (!Number.isInteger(recipeId) || recipeId < 1) {
+      return jsonResponse({ error: 'recipeId is required' }, 400);
+    }
+
+    const recipe = await env.DB.prepare('SELECT id, owner_email, status FROM recipes WHERE id = ?').bind(recipeId).first();
+    if (!recipe || recipe.status === 'deleted' || !canViewRecipe(recipe, context.data.user, env)) {
+      return jsonResponse({ error: 'Recipe not found' }, 404);
+    }
+
+    // Already present: leave it where it is
+    const result = await env.DB.prepare(
+      `INSERT OR IGNORE INTO collection_recipes (collection_id, recipe_id, position)
+      VALUES (?1, ?2, (SELECT COALESCE(MAX(position) + 1, 0) FROM collection_recipes WHERE collection_id = ?1))`
+    )
+    .bind(access.row.id, recipeId)
+    .run();
+
+    const added = !!(result.meta && result.meta.changes > 0);
+    if (added) {
+      await touchCollection(env, access.row.id);
+    }
+
+    return jsonResponse({ success: true, id: access.row.id, recipeId, added }, added ? 201 : 200);
+  } catch (error) {
+    context.data.log.error('Error adding recipe to collection', { error });
+    return jsonResponse({ error: 'Failed to add recipe', details: error.message }, 500);
+  }
+}
+
+export async function onRequestDelete(context) {
+  const { request, env } = context;
+  const url = new URL(request.url);
+  const recipeId = url.searchParams.get('recipeId');
+
+  try {
+    const access = await authorizeCollectionWrite(context, url.searchParams.get('id'));
+    if (access.response) return access.response;
+
+    if (!recipeId || !/^\d+$/.test(recipeId)) {
+      return jsonResponse({ error: 'recipeId is required' }, 400);
+    }
+
+    await env.DB.prepare(
+      'DELETE FROM collection_recipes WHERE collection_id = ? AND recipe_id = ?'
+    )
+    .bind(access.row.id, recipeId)
+    .run();
+    await touchCollection(env, access.row.id);
+
+    return jsonResponse({ success: true, id: access.row.id, recipeId: Number(recipeId) });
+  } catch (error) {
+    context.data.log.error('Error removing recipe from collection', { error });
+    return jsonResponse({ error: 'Failed to remove recipe', details: error.message }, 500);
+  }
+}
+
+// Handle OPTIONS for CORS
+export async function onRequestOptions() {
+  return new Response(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
+
+function touchCollection(env, id) {
+  return env.DB.prepare("UPDATE collections SET updated_at = datetime('now') WHERE id = ?").bind(id).run();
+}
+
+// Helper to return JSON response
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
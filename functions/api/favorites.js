@@ -0,0 +1,91 @@
+// /api/favorites - The caller's favorite recipes
+// GET  /api/favorites               -> {success, recipeIds: [..]} newest first
+// POST /api/favorites?recipeId=123  -> toggles; {success, recipeId, favorited}
+// Both require a signed-in user; favorites are keyed by their email.
+// Only recipes the caller can see may be added; any favorite can be removed.
+import { canViewRecipe } from '../_lib/moderation.js';
+
+export async function onRequestGet(context) {
+  const { env } = context;
+  const user = context.data.user;
+  if (!user) {
+    return jsonResponse({ error: 'Unauthenticated', message: 'Sign in to see your favorites' }, 401);
+  }
+
+  try {
+    const { results } = await env.DB.prepare(
+      'SELECT recipe_id FROM favorites WHERE user_email = ? ORDER BY created_at DESC'
+    )
+    .bind(user.email)
+    .all();
+
+    return jsonResponse({ success: true, recipeIds: results.map(row => row.recipe_id) });
+  } catch (error) {
+    context.data.log.error('Error fetching favorites', { error });
+    return jsonResponse({ error: 'Failed to fetch favorites', details: error.message }, 500);
+  }
+}
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const user = context.data.user;
+  const recipeId = new URL(request.url).searchParams.get('recipeId');
+
+  if (!recipeId || !/^\d+$/.test(recipeId)) {
+    return jsonResponse({ error: 'recipeId is required' }, 400);
+  }
+
+  try {
+    const recipe = await env.DB.prepare('SELECT id, owner_email, status FROM recipes WHERE id = ?').bind(recipeId).first();
+    if (!recipe) {
+      return jsonResponse({ error: 'Recipe not found' }, 404);
+    }
+
+    // Remove the favorite if it exists, otherwise add it
+    const removed = await env.DB.prepare(
+      'DELETE FROM favorites WHERE recipe_id = ? AND user_email = ?'
+    )
+    .bind(recipe.id, user.email)
+    .run();
+
+    const favorited = !(removed.meta && removed.meta.changes > 0);
+    if (favorited) {
+      if (recipe.status === 'deleted' || !canViewRecipe(recipe, user, env)) {
+        return jsonResponse({ error: 'Recipe not found' }, 404);
+      }
+      await env.DB.prepare(
+        'INSERT OR IGNORE INTO favorites (recipe_id, user_email) VALUES (?, ?)'
+      )
+      .bind(recipe.id, user.email)
+      .run();
+    }
+
+    return jsonResponse({ success: true, recipeId: recipe.id, favorited });
+  } catch (error) {
+    context.data.log.error('Error toggling favorite', { error });
+    return jsonResponse({ error: 'Failed to update favorite', details: error.message }, 500);
+  }
+}
+
+// Handle OPTIONS for CORS
+export async function onRequestOptions() {
+  return new Response(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
+
+// Helper to return JSON response
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
@@ -0,0 +1,118 @@
+// /api/images - Upload a recipe image to the RECIPE_IMAGES R2 bucket
+// Body: multipart/form-data with an `image` file field, or the raw image
+// bytes with an image/* Content-Type. JPEG, PNG, WebP and GIF up to 5 MB.
+// Returns {success, id, url, thumbnailUrl}; store `url` as the recipe's imageUrl.
+import {
+  MAX_IMAGE_BYTES,
+  IMAGE_TYPES,
+  sniffImageType,
+  newImageId,
+  originalKey,
+  imagePath
+} from '../_lib/images.js';
+import { requirePermission } from '../_lib/permissions.js';
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  const denied = requirePermission(context, 'recipes:write');
+  if (denied) return denied;
+
+  if (!env.RECIPE_IMAGES) {
+    context.data.log.error('RECIPE_IMAGES bucket binding is not configured');
+    return jsonResponse({ error: 'Image storage is not configured' }, 503);
+  }
+
+  // Reject obviously oversized uploads before reading the body
+  const declaredLength = Number(request.headers.get('Content-Length'));
+  if (declaredLength > MAX_IMAGE_BYTES + 64 * 1024) {
+    return tooLargeResponse();
+  }
+
+  let bytes;
+  try {
+    bytes = await readUpload(request);
+  } catch (error) {
+    return jsonResponse({ error: 'Could not read upload', details: error.message }, 400);
+  }
+  if (!bytes || bytes.byteLength === 0) {
+    return jsonResponse({ error: 'No image provided', message: 'Send an `image` file field or raw image bytes' }, 400);
+  }
+  if (bytes.byteLength > MAX_IMAGE_BYTES) {
+    return tooLargeResponse();
+  }
+
+  // Trust the file's own signature, not the Content-Type the client claimed
+  const type = sniffImageType(bytes);
+  if (!type) {
+    return jsonResponse({
+      error: 'Unsupported image type',
+      message: `Allowed types: ${Object.keys(IMAGE_TYPES).join(', ')}`
+    }, 415);
+  }
+
+  try {
+    const id = newImageId(type);
+    await env.RECIPE_IMAGES.put(originalKey(id), bytes, {
+      httpMetadata: { contentType: type },
+      customMetadata: {
+        ownerEmail: context.data.user.email,
+        uploadedAt: new Date().toISOString()
+      }
+    });
+
+    return jsonResponse({
+      success: true,
+      id,
+      url: imagePath(id),
+      thumbnailUrl: imagePath(id, 'thumb')
+    }, 201);
+  } catch (error) {
+    context.data.log.error('Error storing image', { error });
+    return jsonResponse({ error: 'Failed to store image', details: error.message }, 500);
+  }
+}
+
+// Handle OPTIONS for CORS
+export async function onRequestOptions() {
+  return new Response(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
+
+// Image bytes from a multipart `image` field or from the raw request body
+async function readUpload(request) {
+  const contentType = request.headers.get('Content-Type') || '';
+
+  if (contentType.includes('multipart/form-data')) {
+    const formData = await request.formData();
+    const file = formData.get('image');
+    if (!file || typeof file === 'string') return null;
+    return new Uint8Array(await file.arrayBuffer());
+  }
+
+  return new Uint8Array(await request.arrayBuffer());
+}
+
+function tooLargeResponse() {
+  return jsonResponse({
+    error: 'Image too large',
+    message: `Images must be at most ${MAX_IMAGE_BYTES / (1024 * 1024)} MB`
+  }, 413);
+}
+
+// Helper to return JSON response
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
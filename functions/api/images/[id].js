@@ -0,0 +1,156 @@
+// /api/images/:id - Serve an uploaded recipe image
+// Query: ?variant=thumb|medium for a resized copy (see IMAGE_VARIANTS)
+// Variants are generated once with the IMAGES binding and cached in R2;
+// when the binding is missing or resizing fails the original is served.
+// DELETE removes the image and its variants; only the uploader may do it.
+import { IMAGE_VARIANTS, isImageId, originalKey, variantKey } from '../../_lib/images.js';
+import { requirePermission } from '../../_lib/permissions.js';
+
+// Image ids are never reused, but a deleted image must stop being served:
+// caches keep a copy for an hour, then revalidate it against the ETag
+const CACHE_CONTROL = 'public, max-age=3600, must-revalidate';
+
+// The original served in place of a variant that could not be made is
+// revalidated on every use, so the variant replaces it once it exists
+const FALLBACK_CACHE_CONTROL = 'no-cache';
+
+export async function onRequestGet(context) {
+  const { request, env, params } = context;
+  const url = new URL(request.url);
+  const id = params.id;
+  const variant = url.searchParams.get('variant');
+
+  if (!isImageId(id)) {
+    return jsonResponse({ error: 'Image not found' }, 404);
+  }
+  if (variant && !IMAGE_VARIANTS[variant]) {
+    return jsonResponse({ error: `variant must be one of: ${Object.keys(IMAGE_VARIANTS).join(', ')}` }, 400);
+  }
+  if (!env.RECIPE_IMAGES) {
+    context.data.log.error('RECIPE_IMAGES bucket binding is not configured');
+    return jsonResponse({ error: 'Image storage is not configured' }, 503);
+  }
+
+  try {
+    if (variant) {
+      const cached = await env.RECIPE_IMAGES.get(variantKey(id, variant));
+      if (cached) {
+        return imageResponse(request, cached);
+      }
+    }
+
+    const original = await env.RECIPE_IMAGES.get(originalKey(id));
+    if (!original) {
+      return jsonResponse({ error: 'Image not found' }, 404);
+    }
+
+    if (variant && env.IMAGES) {
+      const resized = await createVariant(env, id, variant, original, context.data.log);
+      if (resized) {
+        return imageResponse(request, resized);
+      }
+      // Resizing failed: fall through with a fresh read of the original
+      return imageResponse(request, await env.RECIPE_IMAGES.get(originalKey(id)), FALLBACK_CACHE_CONTROL);
+    }
+
+    return imageResponse(request, original);
+  } catch (error) {
+    context.data.log.error('Error serving image', { error });
+    return jsonResponse({ error: 'Failed to load image' }, 500);
+  }
+}
+
+export async function onRequestDelete(context) {
+  const { env, params } = context;
+  const id = params.id;
+
+  const denied = requirePermission(context, 'recipes:write');
+  if (denied) return denied;
+
+  if (!isImageId(id)) {
+    return jsonResponse({ error: 'Image not found' }, 404);
+  }
+  if (!env.RECIPE_IMAGES) {
+    context.data.log.error('RECIPE_IMAGES bucket binding is not configured');
+    return jsonResponse({ error: 'Image storage is not configured' }, 503);
+  }
+
+  try {
+    const original = await env.RECIPE_IMAGES.head(originalKey(id));
+    if (!original) {
+      return jsonResponse({ error: 'Image not found' }, 404);
+    }
+
+    const ownerEmail = original.customMetadata && original.customMetadata.ownerEmail;
+    if (!ownerEmail || ownerEmail !== context.data.user.email) {
+      return jsonResponse({ error: 'Forbidden', message: 'Only the uploader can delete an image' }, 403);
+    }
+
+    await env.RECIPE_IMAGES.delete([
+      originalKey(id),
+      ...Object.keys(IMAGE_VARIANTS).map(variant => variantKey(id, variant))
+    ]);
+    return jsonResponse({ success: true, id });
+  } catch (error) {
+    context.data.log.error('Error deleting image', { error });
+    return jsonResponse({ error: 'Failed to delete image', details: error.message }, 500);
+  }
+}
+
+// Handle OPTIONS for CORS
+export async function onRequestOptions() {
+  return new Response(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
+
+// Resize the original, store the result under its variant key and return it
+async function createVariant(env, id, variant, original, log) {
+  try {
+    const result = await env.IMAGES
+      .input(original.body)
+      .transform({ width: IMAGE_VARIANTS[variant], fit: 'scale-down' })
+      .output({ format: 'image/webp' });
+    const bytes = await result.response().arrayBuffer();
+
+    await env.RECIPE_IMAGES.put(variantKey(id, variant), bytes, {
+      httpMetadata: { contentType: 'image/webp' }
+    });
+    return env.RECIPE_IMAGES.get(variantKey(id, variant));
+  } catch (error) {
+    log.error('Could not create image variant', { id, variant, error: error.message });
+    return null;
+  }
+}
+
+// Stream an R2 object, answering 304 when the browser already has it
+function imageResponse(request, object, cacheControl = CACHE_CONTROL) {
+  const headers = new Headers({
+    'Content-Type': (object.httpMetadata && object.httpMetadata.contentType) || 'application/octet-stream',
+    'Cache-Control': cacheControl,
+    'ETag': object.httpEtag,
+    'X-Content-Type-Options': 'nosniff',
+    'Access-Control-Allow-Origin': '*'
+  });
+
+  if (request.headers.get('If-None-Match') === object.httpEtag) {
+    return new Response(null, { status: 304, headers });
+  }
+  return new Response(object.body, { status: 200, headers });
+}
+
+// Helper to return JSON response
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
@@ -0,0 +1,171 @@
+// /api/import - Extract a schema.org/Recipe from a web page for preview
+// Body (JSON): {url} to fetch the page server-side, or {html[, url]} with
+// the page source pasted in. A text/html body is treated as {html}.
+// Returns {success, source, recipe, fields}: `recipe` is already in the
+// canonical details shape and can be sent as is to POST /api/recipes;
+// `fields` lists what still fails validation (null when nothing does).
+// Nothing is saved here.
+import { extractSchemaRecipe, mapSchemaRecipe } from '../_lib/recipe-import.js';
+import { normalizeRecipe } from '../_lib/recipe-schema.js';
+import { requirePermission } from '../_lib/permissions.js';
+
+const MAX_HTML_BYTES = 2 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 5;
+
+export async function onRequestPost(context) {
+  const { request } = context;
+
+  const denied = requirePermission(context, 'recipes:write');
+  if (denied) return denied;
+
+  let body;
+  try {
+    body = await parseImportBody(request);
+  } catch (error) {
+    return jsonResponse({ error: 'Invalid request body', details: error.message }, 400);
+  }
+
+  const pageUrl = body.url ? toPageUrl(body.url) : null;
+  if (body.url && !pageUrl) {
+    return jsonResponse({ error: 'url must be a public http(s) URL' }, 400);
+  }
+
+  let html = typeof body.html === 'string' ? body.html : null;
+  if (html !== null && html.length > MAX_HTML_BYTES) {
+    return jsonResponse({ error: 'HTML is too large to import' }, 413);
+  }
+
+  if (html === null) {
+    if (!pageUrl) {
+      return jsonResponse({ error: 'Provide a url or the page html' }, 400);
+    }
+    try {
+      html = await fetchPage(pageUrl);
+    } catch (error) {
+      context.data.log.warn('Could not fetch page to import', { url: pageUrl.href, error: error.message });
+      return jsonResponse({ error: 'Could not fetch that page', details: error.message }, 502);
+    }
+  }
+
+  const found = extractSchemaRecipe(html);
+  if (!found) {
+    return jsonResponse({
+      error: 'No recipe found',
+      message: 'The page has no schema.org Recipe (JSON-LD or microdata)'
+    }, 422);
+  }
+
+  const { recipe, errors } = normalizeRecipe(mapSchemaRecipe(found.recipe, pageUrl ? pageUrl.href : null));
+
+  return jsonResponse({
+    success: true,
+    source: found.source,
+    recipe,
+    fields: errors
+  });
+}
+
+// Handle OPTIONS for CORS
+export async function onRequestOptions() {
+  return new Response(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
+
+async function parseImportBody(request) {
+  const contentType = request.headers.get('Content-Type') || '';
+  if (contentType.includes('text/html')) {
+    return { html: await request.text() };
+  }
+  const data = await request.json();
+  return data && typeof data === 'object' ? data : {};
+}
+
+// Only fetch public http(s) pages: no credentials, local hosts or IP literals.
+// base resolves a relative value, such as a redirect's Location.
+function toPageUrl(value, base) {
+  let url;
+  try {
+    url = new URL(String(value).trim(), base);
+  } catch (error) {
+    return null;
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+  if (url.username || url.password) return null;
+
+  const host = url.hostname.toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal')) return null;
+  if (/^\d+(\.\d+){3}$/.test(host) || host.startsWith('[')) return null;
+  return url;
+}
+
+// Redirects are followed by hand so every hop passes toPageUrl() too
+async function fetchPage(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+  try {
+    let response;
+    for (let hops = 0; ; hops++) {
+      response = await fetch(url.href, {
+        headers: {
+          'Accept': 'text/html,application/xhtml+xml',
+          'User-Agent': 'Mozilla/5.0 (compatible; RecipeCollectionImporter/1.0)'
+        },
+        redirect: 'manual',
+        signal: controller.signal
+      });
+      if (response.status < 300 || response.status >= 400) break;
+
+      const location = response.headers.get('Location');
+      if (!location) {
+        throw new Error(`Page answered with status ${response.status}`);
+      }
+      if (hops >= MAX_REDIRECTS) {
+        throw new Error('Page redirected too many times');
+      }
+      const next = toPageUrl(location, url);
+      if (!next) {
+        throw new Error('Page redirected to a URL that cannot be imported');
+      }
+      url = next;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Page answered with status ${response.status}`);
+    }
+
+    const contentType = response.headers.get('Content-Type') || '';
+    if (contentType && !contentType.includes('html')) {
+      throw new Error(`Expected an HTML page, got ${contentType}`);
+    }
+    if (Number(response.headers.get('Content-Length')) > MAX_HTML_BYTES) {
+      throw new Error('Page is too large to import');
+    }
+
+    const html = await response.text();
+    if (html.length > MAX_HTML_BYTES) {
+      throw new Error('Page is too large to import');
+    }
+    return html;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Helper to return JSON response
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
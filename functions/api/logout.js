@@ -0,0 +1,39 @@
+/**
+ * Cloudflare Pages Function: /api/logout
+ *
+ * Revokes the caller's server-side session and clears the session cookie
+ * (plus the legacy google_token cookie from before sessions existed).
+ *
+ * Returns: {success: true}
+ */
+import { extractCookie } from '../_lib/auth.js';
+import { SESSION_COOKIE, destroySession, clearSessionCookie } from '../_lib/session.js';
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  try {
+    const cookieHeader = request.headers.get('Cookie');
+    const sessionCookie = cookieHeader ? extractCookie(cookieHeader, SESSION_COOKIE) : null;
+
+    if (sessionCookie) {
+      await destroySession(env, sessionCookie);
+      context.data.log.info('Session revoked');
+    }
+  } catch (error) {
+    // Still clear the cookie so the browser is logged out either way
+    context.data.log.error('Failed to revoke session', { error });
+  }
+
+  const headers = new Headers({
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store'
+  });
+  headers.append('Set-Cookie', clearSessionCookie());
+  headers.append('Set-Cookie', 'google_token=; Path=/; Max-Age=0; SameSite=Lax');
+
+  return new Response(JSON.stringify({ success: true }), {
+    status: 200,
+    headers
+  });
+}
@@ -0,0 +1,191 @@
+// /api/meal-plan - The signed-in user's planned meals
+// GET    /api/meal-plan?from=2025-03-10&to=2025-03-16  -> entries in the range
+//        (default: this week, Monday to Sunday), by day and meal
+// POST   /api/meal-plan          {date, meal, recipeId, servings?}
+//        servings defaults to the recipe's own servings count
+// PUT    /api/meal-plan?id=45    any of {date, meal, servings}
+// DELETE /api/meal-plan?id=45
+// meal is one of breakfast, lunch, dinner, snack. The shopping list for a
+// range is at /api/shopping-list. Only recipes the user can see are planned
+// or listed; entries for recipes deleted or hidden since are left out.
+import { validationErrorResponse } from '../_lib/recipe-schema.js';
+import { normalizeMealPlanEntry, parseDateRange, MEALS } from '../_lib/meal-plan.js';
+import { rowToRecipe } from '../_lib/recipe-row.js';
+import { thumbnailUrl } from '../_lib/images.js';
+import { visibleRecipeFilter, canViewRecipe } from '../_lib/moderation.js';
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+  const user = context.data.user;
+
+  if (!user) {
+    return jsonResponse({ error: 'Unauthenticated', message: 'Sign in to plan meals' }, 401);
+  }
+
+  const range = parseDateRange(new URL(request.url).searchParams);
+  if (range.error) {
+    return jsonResponse({ error: range.error }, 400);
+  }
+
+  try {
+    const visible = visibleRecipeFilter(user, env, 'r.status', 'r.owner_email');
+    const { results } = await env.DB.prepare(
+      `SELECT m.id, m.plan_date, m.meal, m.servings, r.id AS recipe_id, r.title, r.details
+      FROM meal_plan_entries m
+      JOIN recipes r ON r.id = m.recipe_id
+      WHERE m.user_email = ? AND m.plan_date BETWEEN ? AND ? AND ${visible.sql} AND r.status != 'deleted'
+      ORDER BY m.plan_date, m.id`
+    )
+    .bind(user.email, range.from, range.to, ...visible.params)
+    .all();
+
+    const entries = results
+      .map(toEntry)
+      .sort((a, b) => a.date.localeCompare(b.date) || MEALS.indexOf(a.meal) - MEALS.indexOf(b.meal));
+
+    return jsonResponse({
+      success: true,
+      from: range.from,
+      to: range.to,
+      meals: MEALS,
+      count: entries.length,
+      entries
+    });
+  } catch (error) {
+    context.data.log.error('Error fetching meal plan', { error });
+    return jsonResponse({ error: 'Failed to fetch meal plan', details: error.message }, 500);
+  }
+}
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const user = context.data.user;
+
+  try {
+    const { entry, errors } = normalizeMealPlanEntry(await request.json().catch(() => null));
+    if (errors) {
+      return validationErrorResponse(errors);
+    }
+
+    const row = await env.DB.prepare(
+      'SELECT id, title, details, owner_email, status FROM recipes WHERE id = ?'
+    )
+    .bind(entry.recipeId)
+    .first();
+    if (!row || row.status === 'deleted' || !canViewRecipe(row, user, env)) {
+      return jsonResponse({ error: 'Recipe not found' }, 404);
+    }
+    const servings = entry.servings || rowToRecipe(row).servings || 1;
+
+    const result = await env.DB.prepare(
+      `INSERT INTO meal_plan_entries (user_email, plan_date, meal, recipe_id, servings, created_at)
+      VALUES (?, ?, ?, ?, ?, datetime('now'))`
+    )
+    .bind(user.email, entry.date, entry.meal, row.id, servings)
+    .run();
+
+    return jsonResponse({ success: true, id: result.meta.last_row_id, servings, message: 'Added to meal plan' }, 201);
+  } catch (error) {
+    context.data.log.error('Error adding to meal plan', { error });
+    return jsonResponse({ error: 'Failed to add to meal plan', details: error.message }, 500);
+  }
+}
+
+export async function onRequestPut(context) {
+  const { request, env } = context;
+
+  try {
+    const access = await authorizeEntryWrite(context);
+    if (access.response) return access.response;
+
+    const { entry, errors } = normalizeMealPlanEntry(await request.json().catch(() => null), true);
+    if (errors) {
+      return validationErrorResponse(errors);
+    }
+
+    await env.DB.prepare(
+      'UPDATE meal_plan_entries SET plan_date = ?, meal = ?, servings = ? WHERE id = ?'
+    )
+    .bind(entry.date ?? access.row.plan_date, entry.meal ?? access.row.meal, entry.servings ?? access.row.servings, access.row.id)
+    .run();
+
+    return jsonResponse({ success: true, id: access.row.id, message: 'Meal plan updated' });
+  } catch (error) {
+    context.data.log.error('Error updating meal plan', { error });
+    return jsonResponse({ error: 'Failed to update meal plan', details: error.message }, 500);
+  }
+}
+
+export async function onRequestDelete(context) {
+  const { env } = context;
+
+  try {
+    const access = await authorizeEntryWrite(context);
+    if (access.response) return access.response;
+
+    await env.DB.prepare('DELETE FROM meal_plan_entries WHERE id = ?').bind(access.row.id).run();
+
+    return jsonResponse({ success: true, id: access.row.id, message: 'Removed from meal plan' });
+  } catch (error) {
+    context.data.log.error('Error deleting meal plan entry', { error });
+    return jsonResponse({ error: 'Failed to remove from meal plan', details: error.message }, 500);
+  }
+}
+
+// Handle OPTIONS for CORS
+export async function onRequestOptions() {
+  return new Response(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
+
+// Make sure the entry in ?id is on the caller's plan
+// Returns { row } when allowed, or { response } with the error to send back
+async function authorizeEntryWrite(context) {
+  const { request, env } = context;
+  const id = new URL(request.url).searchParams.get('id');
+  const user = context.data.user;
+
+  if (!id || !/^\d+$/.test(id)) {
+    return { response: jsonResponse({ error: 'Entry ID is required' }, 400) };
+  }
+
+  // Other users' entries are reported as missing
+  const row = await env.DB.prepare('SELECT * FROM meal_plan_entries WHERE id = ?').bind(id).first();
+  if (!row || row.user_email !== user.email) {
+    return { response: jsonResponse({ error: 'Meal plan entry not found' }, 404) };
+  }
+  return { row };
+}
+
+function toEntry(row) {
+  const recipe = rowToRecipe({ id: row.recipe_id, title: row.title, details: row.details });
+  return {
+    id: row.id,
+    date: row.plan_date,
+    meal: row.meal,
+    servings: row.servings,
+    recipe: {
+      id: recipe.id,
+      title: recipe.title,
+      servings: recipe.servings || null,
+      thumbnailUrl: thumbnailUrl(recipe.imageUrl)
+    }
+  };
+}
+
+// Helper to return JSON response
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
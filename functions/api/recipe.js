@@ -1,22 +1,20 @@
 // /api/recipe - Get a single recipe by ID
 // Always returns valid JSON (never HTML)
+// Optional: ?servings=N scales ingredient quantities to N servings and
+// ?units=metric|imperial converts weights and volumes to that system.
+import { formatQuantityRange, unitLabel } from '../_lib/ingredients.js';
+import { scaleIngredient, convertIngredient, UNIT_SYSTEMS } from '../_lib/units.js';
+import { RECIPE_COLUMNS, rowToRecipe } from '../_lib/recipe-row.js';
+import { estimateNutrition } from '../_lib/nutrition.js';
+import { canViewRecipe } from '../_lib/moderation.js';
+
+const MAX_SERVINGS = 100;
+
 export async function onRequestGet(context) {
   const { request, env } = context;
   const url = new URL(request.url);
   const id = url.searchParams.get('id');
 
-  // Helper to convert snake_case to camelCase
-  const toCamelCase = (obj) => {
-    if (obj === null || typeof obj !== 'object') return obj;
-    if (Array.isArray(obj)) return obj.map(toCamelCase);
-    
-    return Object.keys(obj).reduce((acc, key) => {
-      const camelKey = key.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
-      acc[camelKey] = toCamelCase(obj[key]);
-      return acc;
-    }, {});
-  };
-
   // Helper to return JSON response
   const jsonResponse = (data, status = 200) => {
     return new Response(JSON.stringify(data), {
@@ -33,37 +31,71 @@ export async function onRequestGet(context) {
     return jsonResponse({ error: 'Recipe ID is required' }, 400);
   }
 
+  const servingsParam = url.searchParams.get('servings');
+  const units = url.searchParams.get('units');
+  if (servingsParam !== null && (!/^\d+$/.test(servingsParam) || Number(servingsParam) < 1 || Number(servingsParam) > MAX_SERVINGS)) {
+    return jsonResponse({ error: `servings must be a whole number from 1 to ${MAX_SERVINGS}` }, 400);
+  }
+  if (units !== null && !UNIT_SYSTEMS.includes(units)) {
+    return jsonResponse({ error: `units must be one of: ${UNIT_SYSTEMS.join(', ')}` }, 400);
+  }
+
   try {
-    // Fetch recipe from database (matching recipes.js schema)
     const result = await env.DB.prepare(
-      'SELECT id, title, category, details, created_at FROM recipes WHERE id = ?'
+      `SELECT ${RECIPE_COLUMNS} FROM recipes WHERE id = ?`
     )
     .bind(id)
     .first();
 
-    if (!result) {
+    // Drafts, hidden and deleted recipes are not found for callers who may not see them
+    if (!result || !canViewRecipe(result, context.data.user, env)) {
       return jsonResponse({ error: 'not found' }, 404);
     }
 
-    // Parse details JSON and merge with base fields (same as recipes.js)
-    const details = JSON.parse(result.details);
+    // Shared mapping; canEdit tells the page whether the caller may edit or delete
+    const recipe = rowToRecipe(result, context.data.user);
+    
+    // Scale from the stored servings, then convert units if asked
+    const originalServings = recipe.servings || null;
+    const servings = servingsParam !== null ? Number(servingsParam) : originalServings;
+    if (servingsParam !== null && !originalServings) {
+      return jsonResponse({ error: 'This recipe has no servings count to scale from' }, 400);
+    }
+    const scale = originalServings ? servings / originalServings : 1;
     
-    // Convert all snake_case fields to camelCase
-    const camelDetails = toCamelCase(details);
+    // Per serving, so scaling leaves it alone; rows saved before estimates existed get one now
+    recipe.nutrition = recipe.nutrition || estimateNutrition(recipe.parsedIngredients, originalServings);
+    
+    recipe.parsedIngredients = recipe.parsedIngredients
+      .map(ingredient => scaleIngredient(ingredient, scale))
+      .map(ingredient => (units ? convertIngredient(ingredient, units) : ingredient))
+      .map(ingredient => ({
+        ...ingredient,
+        quantityText: formatQuantityRange(ingredient),
+        unitText: unitLabel(ingredient.unit, ingredient.quantityMax ?? ingredient.quantity)
+      }));
+    // Ratings for everyone; whether it is a favorite only for a signed-in caller
+    const user = context.data.user;
+    const stats = await env.DB.prepare(
+      `SELECT
+        (SELECT AVG(rating) FROM reviews WHERE recipe_id = ?1) AS average_rating,
+        (SELECT COUNT(*) FROM reviews WHERE recipe_id = ?1) AS review_count,
+        EXISTS(SELECT 1 FROM favorites WHERE recipe_id = ?1 AND user_email = ?2) AS favorited`
+    )
+    .bind(result.id, user ? user.email : null)
+    .first();
+    recipe.averageRating = stats.average_rating === null ? null : Math.round(stats.average_rating * 10) / 10;
+    recipe.reviewCount = stats.review_count;
+    recipe.favorited = !!stats.favorited;
     
-    const recipe = {
-      id: result.id,
-      name: result.title,  // Frontend expects 'name'
-      title: result.title,
-      recipeName: result.title,
-      category: result.category,
-      createdAt: result.created_at,  // Convert to camelCase
-      ...camelDetails  // Spread all other fields from details JSON (now in camelCase)
-    };
+    recipe.servings = servings;
+    recipe.originalServings = originalServings;
+    recipe.scale = scale;
+    recipe.units = units || null;
 
     return jsonResponse(recipe);
   } catch (error) {
-    console.error('Error fetching recipe:', error);
+    context.data.log.error('Error fetching recipe', { error });
     return jsonResponse({ error: 'internal server error' }, 500);
   }
 }
@@ -75,7 +107,7 @@ export async function onRequestOptions() {
     headers: {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type'
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
     }
   });
 }
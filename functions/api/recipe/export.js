@@ -0,0 +1,78 @@
+// /api/recipe/export - Download a single recipe in a sharing format
+// Query: ?id=123&format=jsonld|markdown|txt[&download=1]
+// download=1 asks the browser to save the file instead of showing it.
+import { RECIPE_COLUMNS, rowToRecipe } from '../../_lib/recipe-row.js';
+import { EXPORT_FORMATS, toJsonLd, toMarkdown, toPlainText, exportFilename } from '../../_lib/recipe-export.js';
+import { canViewRecipe } from '../../_lib/moderation.js';
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+  const url = new URL(request.url);
+  const id = url.searchParams.get('id');
+  const format = url.searchParams.get('format') || 'jsonld';
+
+  if (!id) {
+    return jsonResponse({ error: 'Recipe ID is required' }, 400);
+  }
+  if (!EXPORT_FORMATS[format]) {
+    return jsonResponse({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` }, 400);
+  }
+
+  try {
+    const row = await env.DB.prepare(
+      `SELECT ${RECIPE_COLUMNS} FROM recipes WHERE id = ?`
+    )
+    .bind(id)
+    .first();
+
+    if (!row || !canViewRecipe(row, context.data.user, env)) {
+      return jsonResponse({ error: 'not found' }, 404);
+    }
+
+    const recipe = rowToRecipe(row, context.data.user);
+    let body;
+    if (format === 'jsonld') {
+      body = JSON.stringify(toJsonLd(recipe, url.origin), null, 2);
+    } else if (format === 'markdown') {
+      body = toMarkdown(recipe);
+    } else {
+      body = toPlainText(recipe);
+    }
+
+    const disposition = url.searchParams.get('download') === '1' ? 'attachment' : 'inline';
+    return new Response(body, {
+      status: 200,
+      headers: {
+        'Content-Type': EXPORT_FORMATS[format].contentType,
+        'Content-Disposition': `${disposition}; filename="${exportFilename(recipe, format)}"`,
+        'Access-Control-Allow-Origin': '*'
+      }
+    });
+  } catch (error) {
+    context.data.log.error('Error exporting recipe', { error });
+    return jsonResponse({ error: 'Failed to export recipe', details: error.message }, 500);
+  }
+}
+
+// Handle OPTIONS for CORS
+export async function onRequestOptions() {
+  return new Response(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
+
+// Helper to return JSON response
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
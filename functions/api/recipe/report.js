@@ -0,0 +1,83 @@
+// /api/recipe/report - Flag a recipe for the moderators
+// POST ?id=123 body {reason, message?}  -> 201 {success, id}
+// reason is one of spam, offensive, broken, copyright, other. Each user can
+// have one open report per recipe; admins review them at /moderation.html.
+import { validationErrorResponse } from '../../_lib/recipe-schema.js';
+import { normalizeReport, canViewRecipe } from '../../_lib/moderation.js';
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const user = context.data.user;
+  const recipeId = new URL(request.url).searchParams.get('id');
+
+  if (!recipeId || !/^\d+$/.test(recipeId)) {
+    return jsonResponse({ error: 'Recipe ID is required' }, 400);
+  }
+
+  try {
+    const { report, errors } = normalizeReport(await request.json().catch(() => null));
+    if (errors) {
+      return validationErrorResponse(errors);
+    }
+
+    const recipe = await env.DB.prepare(
+      'SELECT id, owner_email, status FROM recipes WHERE id = ?'
+    )
+    .bind(recipeId)
+    .first();
+    if (!recipe || !canViewRecipe(recipe, user, env)) {
+      return jsonResponse({ error: 'Recipe not found' }, 404);
+    }
+    if (recipe.owner_email && recipe.owner_email === user.email) {
+      return jsonResponse({ error: 'You cannot report your own recipe' }, 400);
+    }
+
+    const existing = await env.DB.prepare(
+      "SELECT id FROM recipe_reports WHERE recipe_id = ? AND reporter_email = ? AND status = 'open'"
+    )
+    .bind(recipe.id, user.email)
+    .first();
+    if (existing) {
+      return jsonResponse({
+        error: 'Already reported',
+        message: 'You have already reported this recipe; a moderator will look at it',
+        id: existing.id
+      }, 409);
+    }
+
+    const result = await env.DB.prepare(
+      `INSERT INTO recipe_reports (recipe_id, reporter_email, reporter_name, reason, message, created_at)
+      VALUES (?, ?, ?, ?, ?, datetime('now'))`
+    )
+    .bind(recipe.id, user.email, user.name || null, report.reason, report.message)
+    .run();
+
+    return jsonResponse({ success: true, id: result.meta.last_row_id, message: 'Thanks, a moderator will review this recipe' }, 201);
+  } catch (error) {
+    context.data.log.error('Error reporting recipe', { error });
+    return jsonResponse({ error: 'Failed to report recipe', details: error.message }, 500);
+  }
+}
+
+// Handle OPTIONS for CORS
+export async function onRequestOptions() {
+  return new Response(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
+
+// Helper to return JSON response
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
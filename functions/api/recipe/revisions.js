@@ -0,0 +1,198 @@
+// /api/recipe/revisions - Revision history of one recipe (owner or admin)
+// GET  ?id=123                     -> {success, recipeId, currentRevision, revisions: [...newest first]}
+// GET  ?id=123&revision=4          -> {success, revision, recipe} with that version of the recipe
+// GET  ?id=123&from=2&to=5         -> {success, from, to, changes: [{field, before, after}]}
+//      to defaults to the current revision, from to the one before to.
+// POST ?id=123 body {revision: 2}  -> writes revision 2 back to the recipe (owner only)
+//      and records that as a new 'restore' revision.
+import { isAdmin } from '../../_lib/admin.js';
+import { rowToRecipe } from '../../_lib/recipe-row.js';
+import { REVISION_COLUMNS, revisionStatement, toRevision, diffRevisions } from '../../_lib/revisions.js';
+import { requirePermission } from '../../_lib/permissions.js';
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+  const url = new URL(request.url);
+
+  try {
+    const access = await authorizeHistoryAccess(context, url.searchParams.get('id'), false);
+    if (access.response) return access.response;
+    const recipeId = access.row.id;
+
+    const revisionParam = url.searchParams.get('revision');
+    const fromParam = url.searchParams.get('from');
+    const toParam = url.searchParams.get('to');
+    if ([revisionParam, fromParam, toParam].some(value => value !== null && !/^\d+$/.test(value))) {
+      return jsonResponse({ error: 'revision, from and to must be revision numbers' }, 400);
+    }
+
+    // One version in full
+    if (revisionParam !== null) {
+      const row = await loadRevision(env, recipeId, Number(revisionParam));
+      if (!row) {
+        return jsonResponse({ error: 'Revision not found' }, 404);
+      }
+      const recipe = rowToRecipe({ ...access.row, title: row.title, category: row.category, details: row.details }, context.data.user);
+      return jsonResponse({ success: true, revision: toRevision(row), recipe });
+    }
+
+    const current = await currentRevision(env, recipeId);
+
+    // Field-level diff between two versions
+    if (fromParam !== null || toParam !== null) {
+      const to = toParam !== null ? Number(toParam) : current;
+      const from = fromParam !== null ? Number(fromParam) : to - 1;
+      const [fromRow, toRow] = await Promise.all([
+        loadRevision(env, recipeId, from),
+        loadRevision(env, recipeId, to)
+      ]);
+      if (!fromRow || !toRow) {
+        return jsonResponse({ error: 'Revision not found' }, 404);
+      }
+      return jsonResponse({
+        success: true,
+        recipeId,
+        from: toRevision(fromRow),
+        to: toRevision(toRow),
+        changes: diffRevisions(fromRow, toRow)
+      });
+    }
+
+    // Otherwise the whole history
+    const { results } = await env.DB.prepare(
+      `SELECT ${REVISION_COLUMNS} FROM recipe_revisions WHERE recipe_id = ? ORDER BY revision DESC`
+    )
+    .bind(recipeId)
+    .all();
+
+    return jsonResponse({
+      success: true,
+      recipeId,
+      currentRevision: current,
+      revisions: results.map(toRevision)
+    });
+  } catch (error) {
+    context.data.log.error('Error fetching recipe revisions', { error });
+    return jsonResponse({ error: 'Failed to fetch revisions', details: error.message }, 500);
+  }
+}
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const url = new URL(request.url);
+
+  try {
+    const access = await authorizeHistoryAccess(context, url.searchParams.get('id'), true);
+    if (access.response) return access.response;
+    const recipeId = access.row.id;
+
+    const body = await request.json().catch(() => null);
+    const revision = Number(body && body.revision);
+    if (!Number.isInteger(revision) || revision < 1) {
+      return jsonResponse({ error: 'revision is required' }, 400);
+    }
+
+    const row = await loadRevision(env, recipeId, revision);
+    if (!row) {
+      return jsonResponse({ error: 'Revision not found' }, 404);
+    }
+    if (revision === await currentRevision(env, recipeId)) {
+      return jsonResponse({ error: `Revision ${revision} is already the current version` }, 409);
+    }
+
+    await env.DB.batch([
+      env.DB.prepare(
+        "UPDATE recipes SET title = ?, category = ?, details = ?, updated_at = datetime('now') WHERE id = ?"
+      )
+      .bind(row.title, row.category, row.details, recipeId),
+      revisionStatement(env, { recipeId, user: context.data.user, action: 'restore', restoredFrom: revision })
+    ]);
+
+    return jsonResponse({
+      success: true,
+      id: recipeId,
+      restoredFrom: revision,
+      currentRevision: await currentRevision(env, recipeId),
+      message: `Restored revision ${revision}`
+    });
+  } catch (error) {
+    context.data.log.error('Error restoring recipe revision', { error });
+    return jsonResponse({ error: 'Failed to restore revision', details: error.message }, 500);
+  }
+}
+
+// Handle OPTIONS for CORS
+export async function onRequestOptions() {
+  return new Response(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
+
+// History is readable by the recipe owner and admins; only the owner may restore,
+// and only while their role still lets them change recipes
+// Returns { row } when allowed, or { response } with the error to send back
+async function authorizeHistoryAccess(context, id, write) {
+  const { env } = context;
+  if (!id) {
+    return { response: jsonResponse({ error: 'Recipe ID is required' }, 400) };
+  }
+
+  const user = context.data.user;
+  if (!user) {
+    return { response: jsonResponse({ error: 'Unauthenticated', message: 'Sign in to see recipe history' }, 401) };
+  }
+  const denied = write && requirePermission(context, 'recipes:write');
+  if (denied) {
+    return { response: denied };
+  }
+
+  const row = await env.DB.prepare(
+    'SELECT id, author, owner_email, status, created_at, updated_at FROM recipes WHERE id = ?'
+  )
+  .bind(id)
+  .first();
+
+  if (!row || (row.status === 'deleted' && !isAdmin(user, env))) {
+    return { response: jsonResponse({ error: 'Recipe not found' }, 404) };
+  }
+
+  const isOwner = !!row.owner_email && row.owner_email === user.email;
+  if (!isOwner && (write || !isAdmin(user, env))) {
+    return { response: jsonResponse({ error: 'Forbidden', message: 'Only the recipe owner can see and restore its history' }, 403) };
+  }
+
+  return { row };
+}
+
+function loadRevision(env, recipeId, revision) {
+  return env.DB.prepare(
+    `SELECT ${REVISION_COLUMNS} FROM recipe_revisions WHERE recipe_id = ? AND revision = ?`
+  )
+  .bind(recipeId, revision)
+  .first();
+}
+
+async function currentRevision(env, recipeId) {
+  const row = await env.DB.prepare(
+    'SELECT MAX(revision) AS revision FROM recipe_revisions WHERE recipe_id = ?'
+  )
+  .bind(recipeId)
+  .first();
+  return row && row.revision ? row.revision : 0;
+}
+
+// Helper to return JSON response
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
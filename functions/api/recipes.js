@@ -1,47 +1,67 @@
 // Cloudflare Pages Function - Recipe API
 // Path: /api/recipes
+import { normalizeRecipe, validationErrorResponse, DIETARY_FLAGS } from '../_lib/recipe-schema.js';
+import { thumbnailUrl } from '../_lib/images.js';
+import { estimateNutrition } from '../_lib/nutrition.js';
+import { classifyRecipe, ALLERGENS } from '../_lib/allergens.js';
+import { revisionStatement } from '../_lib/revisions.js';
+import { RECIPE_STATUSES, OWNER_STATUSES, visibleRecipeFilter, canViewRecipe } from '../_lib/moderation.js';
+import { requirePermission } from '../_lib/permissions.js';
+
 export async function onRequestPost(context) {
   try {
     const { request, env } = context;
-    const contentType = request.headers.get('content-type');
-    
-    // Parse incoming data
-    let recipeData;
-    if (contentType && contentType.includes('application/json')) {
-      recipeData = await request.json();
-    } else if (contentType && contentType.includes('application/x-www-form-urlencoded')) {
-      const formData = await request.formData();
-      recipeData = Object.fromEntries(formData);
-    } else {
-      return new Response(JSON.stringify({ error: 'Unsupported content type' }), {
-        status: 400,
-        headers: { 'Content-Type': 'application/json' }
-      });
+    
+    // Viewers can read recipes but not add them
+    const denied = requirePermission(context, 'recipes:write');
+    if (denied) return denied;
+    
+    // Parse incoming data (400 for other content types or bad JSON, 413 when too large)
+    const body = await readRecipeBody(request);
+    if (body.response) return body.response;
+    const recipeData = body.data;
+    
+    // Normalize and validate against the recipe schema (422 with per-field errors)
+    const { recipe, errors } = normalizeRecipe(recipeData);
+    if (errors) {
+      return validationErrorResponse(errors);
     }
     
-    // Validate that recipe has at least a name, title, or recipeName
-    if (!recipeData.name && !recipeData.title && !recipeData.recipeName) {
-      return new Response(JSON.stringify({ error: 'Recipe name, title, or recipeName is required' }), {
-        status: 400,
-        headers: { 'Content-Type': 'application/json' }
-      });
+    // Title and category get dedicated columns
+    const title = recipe.recipeName;
+    const category = recipe.category || 'Uncategorized';
+    
+    // New recipes are published unless saved as a draft
+    const requested = requestedStatus(recipeData.status);
+    if (requested === false) {
+      return validationErrorResponse({ status: `Status must be one of: ${OWNER_STATUSES.join(', ')}` });
     }
+    const status = requested || 'published';
     
-    // Extract title for dedicated column - support recipeName, name, or title
-    const title = recipeData.recipeName || recipeData.name || recipeData.title || 'Untitled Recipe';
+    // Stamp the verified caller as author; _middleware.js guarantees one is present
+    const user = context.data.user;
+    recipe.author = user.name;
     
-    // Extract category with default fallback
-    const category = recipeData.category || 'Uncategorized';
+    // Per-serving estimate from the bundled nutrition table
+    recipe.nutrition = estimateNutrition(recipe.parsedIngredients, recipe.servings);
+    
+    // Allergen and diet tags from the ingredients; contradicted diet boxes come back as warnings
+    const classification = classifyRecipe(recipe);
+    recipe.allergens = classification.allergens;
+    recipe.tags = classification.tags;
     
     // Store all dynamic fields as JSON in details column
-    const details = JSON.stringify(recipeData);
+    const details = JSON.stringify(recipe);
     
-    // Insert into D1 database - use title, category, details, and created_at columns
-    const result = await env.DB.prepare(
-      'INSERT INTO recipes (title, category, details, created_at) VALUES (?, ?, ?, datetime("now"))'
-    )
-    .bind(title, category, details)
-    .run();
+    // Insert into D1 database - use title, category, details, owner and timestamp columns,
+    // and record the new recipe as revision 1 in the same batch
+    const [result] = await env.DB.batch([
+      env.DB.prepare(
+        "INSERT INTO recipes (title, category, author, owner_email, details, status, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))"
+      )
+      .bind(title, category, user.name, user.email, details, status),
+      revisionStatement(env, { user, action: 'create' })
+    ]);
     
     if (!result.success) {
       throw new Error('Failed to insert recipe');
@@ -50,7 +70,9 @@ export async function onRequestPost(context) {
     return new Response(JSON.stringify({ 
       success: true, 
       id: result.meta.last_row_id,
-      message: 'Recipe saved successfully' 
+      status,
+      message: 'Recipe saved successfully',
+      warnings: classification.warnings
     }), {
       status: 201,
       headers: { 
@@ -60,7 +82,7 @@ export async function onRequestPost(context) {
     });
     
   } catch (error) {
-    console.error('Error saving recipe:', error);
+    context.data.log.error('Error saving recipe', { error });
     return new Response(JSON.stringify({ 
       error: 'Failed to save recipe',
       details: error.message 
@@ -80,12 +102,12 @@ export async function onRequestGet(context) {
     // If ID provided, get single recipe
     if (id) {
       const result = await env.DB.prepare(
-        'SELECT id, title, category, details, created_at FROM recipes WHERE id = ?'
+        'SELECT id, title, category, details, owner_email, status, created_at FROM recipes WHERE id = ?'
       )
       .bind(id)
       .first();
       
-      if (!result) {
+      if (!result || !canViewRecipe(result, context.data.user, env)) {
         return new Response(JSON.stringify({ error: 'Recipe not found' }), {
           status: 404,
           headers: { 'Content-Type': 'application/json' }
@@ -100,6 +122,7 @@ export async function onRequestGet(context) {
         recipeName: result.title,  // Add recipeName for compatibility
         category: result.category,
         created_at: result.created_at,
+        status: result.status,
         ...details
       };
       
@@ -112,14 +135,22 @@ export async function onRequestGet(context) {
       });
     }
     
-    // Otherwise, list all recipes with summary data
-    const { results } = await env.DB.prepare(
-      'SELECT id, title, category, details, created_at FROM recipes ORDER BY created_at DESC'
-    )
+    // Otherwise, list one page of recipes matching the search / filter parameters
+    const query = buildListQuery(url.searchParams, context.data.user, env);
+    if (query.error) {
+      return jsonResponse({ error: query.error }, query.status || 400);
+    }
+    
+    // Fetch one extra row to learn whether another page exists
+    const { results } = await env.DB.prepare(query.sql)
+    .bind(...query.params, query.limit + 1, query.offset)
     .all();
     
+    const hasMore = results.length > query.limit;
+    const pageRows = results.slice(0, query.limit);
+    
     // Extract summary data using title and category columns directly
-    const recipes = results.map(row => {
+    const recipes = pageRows.map(row => {
       const details = JSON.parse(row.details);
       return {
         id: row.id,
@@ -127,13 +158,20 @@ export async function onRequestGet(context) {
         title: row.title || 'Untitled Recipe',  // Add title for compatibility
         recipeName: row.title || 'Untitled Recipe',  // Add recipeName for compatibility
         category: row.category || 'Uncategorized',
-        author: details.author || 'Anonymous',
+        author: row.author || details.author || 'Anonymous',
         created_at: row.created_at,
+        status: row.status,
+        imageUrl: details.imageUrl || null,
+        thumbnailUrl: thumbnailUrl(details.imageUrl),
+        averageRating: row.average_rating === null ? null : Math.round(row.average_rating * 10) / 10,
+        reviewCount: row.review_count,
+        allergens: details.allergens || null,
         summary: {
           cuisine: details.cuisine || null,
           difficulty: details.difficulty || null,
           prepTime: details.prepTime || details.prep_time || null,
           cookTime: details.cookTime || details.cook_time || null,
+          totalTime: row.total_minutes,
           servings: details.servings || null,
           description: details.description ? details.description.substring(0, 100) : null
         }
@@ -143,6 +181,10 @@ export async function onRequestGet(context) {
     return new Response(JSON.stringify({ 
       success: true,
       count: recipes.length,
+      limit: query.limit,
+      offset: query.offset,
+      hasMore,
+      nextOffset: hasMore ? query.offset + query.limit : null,
       recipes 
     }), {
       status: 200,
@@ -153,7 +195,7 @@ export async function onRequestGet(context) {
     });
     
   } catch (error) {
-    console.error('Error fetching recipes:', error);
+    context.data.log.error('Error fetching recipes', { error });
     return new Response(JSON.stringify({ 
       error: 'Failed to fetch recipes',
       details: error.message 
@@ -164,14 +206,371 @@ export async function onRequestGet(context) {
   }
 }
 
+// Replace a recipe entirely - PUT /api/recipes?id=123
+export async function onRequestPut(context) {
+  try {
+    const { request, env } = context;
+    const id = new URL(request.url).searchParams.get('id');
+    
+    const access = await authorizeRecipeWrite(context, id);
+    if (access.response) return access.response;
+    
+    const body = await readRecipeBody(request);
+    if (body.response) return body.response;
+    const recipeData = body.data;
+    
+    const { recipe, errors } = normalizeRecipe(recipeData);
+    if (errors) {
+      return validationErrorResponse(errors);
+    }
+    
+    const status = checkStatusChange(access.row, recipeData.status);
+    if (status.response) return status.response;
+    
+    recipe.author = access.row.author || access.user.name;
+    return await saveRecipeDetails(env, id, recipe, access.user, status.value);
+  } catch (error) {
+    context.data.log.error('Error updating recipe', { error });
+    return jsonResponse({ error: 'Failed to update recipe', details: error.message }, 500);
+  }
+}
+
+// Partially update a recipe's details - PATCH /api/recipes?id=123
+// Keys in the body overwrite stored keys; a null value removes the key
+export async function onRequestPatch(context) {
+  try {
+    const { request, env } = context;
+    const id = new URL(request.url).searchParams.get('id');
+    
+    const access = await authorizeRecipeWrite(context, id);
+    if (access.response) return access.response;
+    
+    const body = await readRecipeBody(request);
+    if (body.response) return body.response;
+    const changes = body.data;
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      return jsonResponse({ error: 'Request body must be a JSON object of fields to change' }, 400);
+    }
+    
+    const recipeData = { ...JSON.parse(access.row.details), ...changes };
+    Object.keys(recipeData).forEach(key => {
+      if (recipeData[key] === null) delete recipeData[key];
+    });
+    
+    // A new name in any accepted spelling replaces the stored one
+    const newName = changes.recipeName ?? changes.name ?? changes.title;
+    if (newName !== undefined) {
+      delete recipeData.name;
+      delete recipeData.title;
+      recipeData.recipeName = newName;
+    }
+    
+    const { recipe, errors } = normalizeRecipe(recipeData);
+    if (errors) {
+      return validationErrorResponse(errors);
+    }
+    
+    const status = checkStatusChange(access.row, changes.status);
+    if (status.response) return status.response;
+    
+    recipe.author = access.row.author || access.user.name;
+    return await saveRecipeDetails(env, id, recipe, access.user, status.value);
+  } catch (error) {
+    context.data.log.error('Error patching recipe', { error });
+    return jsonResponse({ error: 'Failed to update recipe', details: error.message }, 500);
+  }
+}
+
+// Delete a recipe - DELETE /api/recipes?id=123
+// The row is kept with status 'deleted' so an admin can restore it,
+// and the delete is recorded in the recipe's history
+export async function onRequestDelete(context) {
+  try {
+    const { request, env } = context;
+    const id = new URL(request.url).searchParams.get('id');
+    
+    const access = await authorizeRecipeWrite(context, id);
+    if (access.response) return access.response;
+    
+    await env.DB.batch([
+      env.DB.prepare(
+        "UPDATE recipes SET status = 'deleted', updated_at = datetime('now') WHERE id = ?"
+      )
+      .bind(id),
+      revisionStatement(env, { recipeId: access.row.id, user: access.user, action: 'delete' })
+    ]);
+    
+    return jsonResponse({ success: true, id: access.row.id, message: 'Recipe deleted successfully' });
+  } catch (error) {
+    context.data.log.error('Error deleting recipe', { error });
+    return jsonResponse({ error: 'Failed to delete recipe', details: error.message }, 500);
+  }
+}
+
 // Handle OPTIONS for CORS
 export async function onRequestOptions() {
   return new Response(null, {
     status: 204,
     headers: {
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type'
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
     }
   });
 }
+
+// Recipe bodies are text; images go through /api/images
+const MAX_RECIPE_BODY_BYTES = 256 * 1024;
+
+// Total time in minutes: an explicit totalTime, or the add form's hours + minutes
+const TOTAL_MINUTES_SQL = `COALESCE(
+  CAST(json_extract(details, '$.totalTime') AS INTEGER),
+  COALESCE(CAST(json_extract(details, '$.hours') AS INTEGER), 0) * 60 + CAST(json_extract(details, '$.minutes') AS INTEGER)
+)`;
+
+const SORT_ORDERS = {
+  newest: 'created_at DESC, id DESC',
+  oldest: 'created_at ASC, id ASC',
+  title: 'title COLLATE NOCASE ASC, id ASC',
+  quickest: 'total_minutes IS NULL, total_minutes ASC, id ASC'
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Build the list query from ?q, category, difficulty, dietary flags, exclude, maxTime, favorites, status, sort, limit and offset
+// Returns { sql, params, limit, offset } or { error, status? } for invalid parameters
+function buildListQuery(searchParams, user, env) {
+  const where = [];
+  const params = [];
+  
+  // Published recipes plus the caller's own drafts and hidden ones; admins see everything.
+  // Deleted recipes are left out unless asked for with ?status=deleted or ?status=all
+  const visible = visibleRecipeFilter(user, env);
+  where.push(visible.sql);
+  params.push(...visible.params);
+  const statusParam = searchParams.get('status');
+  if (statusParam && statusParam !== 'all' && !RECIPE_STATUSES.includes(statusParam)) {
+    return { error: `status must be one of: all, ${RECIPE_STATUSES.join(', ')}` };
+  }
+  if (!statusParam) {
+    where.push("status != 'deleted'");
+  } else if (statusParam !== 'all') {
+    where.push('status = ?');
+    params.push(statusParam);
+  }
+  
+  const q = (searchParams.get('q') || '').trim();
+  if (q) {
+    const pattern = `%${q.replace(/[\\%_]/g, char => '\\' + char)}%`;
+    where.push(`(title LIKE ? ESCAPE '\\'
+      OR json_extract(details, '$.ingredients') LIKE ? ESCAPE '\\'
+      OR json_extract(details, '$.description') LIKE ? ESCAPE '\\')`);
+    params.push(pattern, pattern, pattern);
+  }
+  
+  const category = searchParams.get('category');
+  if (category) {
+    where.push('category = ? COLLATE NOCASE');
+    params.push(category);
+  }
+  
+  const difficulty = searchParams.get('difficulty');
+  if (difficulty) {
+    where.push("json_extract(details, '$.difficulty') = ? COLLATE NOCASE");
+    params.push(difficulty);
+  }
+  
+  // Older rows store checkboxes as "vegetarian": "vegetarian", newer ones as booleans
+  DIETARY_FLAGS.forEach(flag => {
+    const value = searchParams.get(flag);
+    if (value === 'true' || value === '1') {
+      where.push(`COALESCE(json_extract(details, '$.${flag}'), 0) NOT IN (0, '', 'false')`);
+    }
+  });
+  
+  // ?exclude=nuts,dairy (or repeated) drops recipes containing those allergens;
+  // rows saved before classification have no allergens and are left out too
+  const exclude = searchParams.getAll('exclude')
+    .flatMap(value => value.split(','))
+    .map(value => value.trim().toLowerCase())
+    .filter(Boolean);
+  if (exclude.length) {
+    const unknown = exclude.filter(allergen => !ALLERGENS.includes(allergen));
+    if (unknown.length) {
+      return { error: `exclude must be one of: ${ALLERGENS.join(', ')}` };
+    }
+    where.push(`json_extract(details, '$.allergens') IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM json_each(recipes.details, '$.allergens') WHERE value IN (SELECT value FROM json_each(?)))`);
+    params.push(JSON.stringify(exclude));
+  }
+  
+  const maxTime = searchParams.get('maxTime');
+  if (maxTime) {
+    if (!/^\d+$/.test(maxTime)) {
+      return { error: 'maxTime must be a whole number of minutes' };
+    }
+    where.push(`${TOTAL_MINUTES_SQL} <= ?`);
+    params.push(Number(maxTime));
+  }
+  
+  // Only the caller's favorites; needs a signed-in user
+  const favorites = searchParams.get('favorites');
+  if (favorites === 'true' || favorites === '1') {
+    if (!user) {
+      return { error: 'Sign in to see your favorites', status: 401 };
+    }
+    where.push('id IN (SELECT recipe_id FROM favorites WHERE user_email = ?)');
+    params.push(user.email);
+  }
+  
+  const sort = searchParams.get('sort') || 'newest';
+  if (!SORT_ORDERS[sort]) {
+    return { error: `sort must be one of: ${Object.keys(SORT_ORDERS).join(', ')}` };
+  }
+  
+  const limitParam = searchParams.get('limit');
+  const offsetParam = searchParams.get('offset');
+  if ((limitParam && !/^\d+$/.test(limitParam)) || (offsetParam && !/^\d+$/.test(offsetParam))) {
+    return { error: 'limit and offset must be non-negative whole numbers' };
+  }
+  const limit = Math.min(Math.max(Number(limitParam) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const offset = Number(offsetParam) || 0;
+  
+  const sql = `SELECT id, title, category, author, details, status, created_at, ${TOTAL_MINUTES_SQL} AS total_minutes,
+      (SELECT AVG(rating) FROM reviews WHERE recipe_id = recipes.id) AS average_rating,
+      (SELECT COUNT(*) FROM reviews WHERE recipe_id = recipes.id) AS review_count
+    FROM recipes
+    WHERE ${where.join(' AND ')}
+    ORDER BY ${SORT_ORDERS[sort]}
+    LIMIT ? OFFSET ?`;
+  
+  return { sql, params, limit, offset };
+}
+
+// Helper to return JSON response
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
+
+// Parse a JSON or form-encoded request body
+// Returns { data }, or { response } for other content types, oversized bodies
+// and malformed JSON
+async function readRecipeBody(request) {
+  const contentType = request.headers.get('content-type') || '';
+  const isJson = contentType.includes('application/json');
+  if (!isJson && !contentType.includes('application/x-www-form-urlencoded')) {
+    return { response: jsonResponse({ error: 'Unsupported content type' }, 400) };
+  }
+  
+  // Trust a declared length to refuse early, but measure the body regardless
+  if (Number(request.headers.get('Content-Length')) > MAX_RECIPE_BODY_BYTES) {
+    return { response: tooLargeResponse() };
+  }
+  const text = await request.text();
+  if (new TextEncoder().encode(text).length > MAX_RECIPE_BODY_BYTES) {
+    return { response: tooLargeResponse() };
+  }
+  
+  if (!isJson) {
+    return { data: Object.fromEntries(new URLSearchParams(text)) };
+  }
+  try {
+    return { data: JSON.parse(text) };
+  } catch (error) {
+    return { response: jsonResponse({ error: 'Invalid JSON body', details: error.message }, 400) };
+  }
+}
+
+function tooLargeResponse() {
+  return jsonResponse({
+    error: 'Request body too large',
+    message: `Recipes must be at most ${MAX_RECIPE_BODY_BYTES / 1024} KB; upload images through /api/images`
+  }, 413);
+}
+
+// Resolve the caller and make sure they own the recipe they want to change
+// Returns { row } when allowed, or { response } with the error to send back
+async function authorizeRecipeWrite(context, id) {
+  const { env } = context;
+  if (!id) {
+    return { response: jsonResponse({ error: 'Recipe ID is required' }, 400) };
+  }
+  
+  const denied = requirePermission(context, 'recipes:write');
+  if (denied) {
+    return { response: denied };
+  }
+  const user = context.data.user;
+  
+  const row = await env.DB.prepare(
+    'SELECT id, title, category, author, details, owner_email, status FROM recipes WHERE id = ?'
+  )
+  .bind(id)
+  .first();
+  
+  if (!row || row.status === 'deleted') {
+    return { response: jsonResponse({ error: 'Recipe not found' }, 404) };
+  }
+  
+  if (!row.owner_email || row.owner_email !== user.email) {
+    return { response: jsonResponse({ error: 'Forbidden', message: 'Only the recipe owner can change it' }, 403) };
+  }
+  
+  return { row, user };
+}
+
+// Status an owner asked for: undefined when not given, false when not one they may choose
+function requestedStatus(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const status = String(value).trim().toLowerCase();
+  return OWNER_STATUSES.includes(status) ? status : false;
+}
+
+// Check a requested status against the stored row; only an admin can undo 'hidden'
+// Returns { value } (undefined keeps the current status) or { response }
+function checkStatusChange(row, value) {
+  const requested = requestedStatus(value);
+  if (requested === false) {
+    return { response: validationErrorResponse({ status: `Status must be one of: ${OWNER_STATUSES.join(', ')}` }) };
+  }
+  if (requested && row.status === 'hidden') {
+    return { response: jsonResponse({ error: 'Recipe hidden', message: 'A moderator hid this recipe; only an admin can publish it again' }, 409) };
+  }
+  return { value: requested };
+}
+
+// Write a normalized recipe back to an existing row, bump updated_at and
+// record the result as the next revision; status null leaves it unchanged
+async function saveRecipeDetails(env, id, recipe, user, status = null) {
+  const category = recipe.category || 'Uncategorized';
+  recipe.nutrition = estimateNutrition(recipe.parsedIngredients, recipe.servings);
+  const classification = classifyRecipe(recipe);
+  recipe.allergens = classification.allergens;
+  recipe.tags = classification.tags;
+  
+  const [result] = await env.DB.batch([
+    env.DB.prepare(
+      "UPDATE recipes SET title = ?, category = ?, details = ?, status = COALESCE(?, status), updated_at = datetime('now') WHERE id = ?"
+    )
+    .bind(recipe.recipeName, category, JSON.stringify(recipe), status || null, id),
+    revisionStatement(env, { recipeId: Number(id), user, action: 'update' })
+  ]);
+  
+  if (!result.success) {
+    throw new Error('Failed to update recipe');
+  }
+  
+  return jsonResponse({
+    success: true,
+    id: Number(id),
+    message: 'Recipe updated successfully',
+    warnings: classification.warnings
+  });
+}
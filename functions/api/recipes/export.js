@@ -0,0 +1,75 @@
+// /api/recipes/export - Download all of the caller's own recipes
+// Returns NDJSON: one schema.org/Recipe JSON-LD object per line, oldest first,
+// leaving out recipes the owner deleted.
+// Each line can be read back with /api/import (as JSON-LD) or any
+// schema.org-aware tool.
+import { RECIPE_COLUMNS, rowToRecipe } from '../../_lib/recipe-row.js';
+import { toJsonLd } from '../../_lib/recipe-export.js';
+
+// Rows fetched per query, so large collections are not loaded in one go
+const BATCH_SIZE = 100;
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+  const user = context.data.user;
+  const url = new URL(request.url);
+
+  if (!user) {
+    return jsonResponse({ error: 'Unauthenticated', message: 'Sign in to export your recipes' }, 401);
+  }
+
+  try {
+    const lines = [];
+    let lastId = 0;
+    for (;;) {
+      const { results } = await env.DB.prepare(
+        `SELECT ${RECIPE_COLUMNS} FROM recipes WHERE owner_email = ? AND status != 'deleted' AND id > ? ORDER BY id LIMIT ?`
+      )
+      .bind(user.email, lastId, BATCH_SIZE)
+      .all();
+
+      results.forEach(row => {
+        lines.push(JSON.stringify(toJsonLd(rowToRecipe(row, user), url.origin)));
+      });
+      if (results.length < BATCH_SIZE) break;
+      lastId = results[results.length - 1].id;
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    return new Response(lines.map(line => line + '\n').join(''), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/x-ndjson; charset=utf-8',
+        'Content-Disposition': `attachment; filename="my-recipes-${date}.ndjson"`,
+        'Cache-Control': 'no-store',
+        'Access-Control-Allow-Origin': '*'
+      }
+    });
+  } catch (error) {
+    context.data.log.error('Error exporting recipes', { error });
+    return jsonResponse({ error: 'Failed to export recipes', details: error.message }, 500);
+  }
+}
+
+// Handle OPTIONS for CORS
+export async function onRequestOptions() {
+  return new Response(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
+
+// Helper to return JSON response
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
@@ -0,0 +1,246 @@
+// /api/reviews - Star ratings and comments on recipes
+// GET    /api/reviews?recipeId=123&limit=10&offset=0  -> one page, newest first,
+//        with the recipe's averageRating and reviewCount
+// POST   /api/reviews?recipeId=123  {rating, comment}  -> create the caller's review
+// PUT    /api/reviews?id=45         {rating, comment}  -> edit the caller's review
+// DELETE /api/reviews?id=45                            -> delete the caller's review
+// Ratings are whole numbers from 1 to 5; each user reviews a recipe once.
+import { validationErrorResponse } from '../_lib/recipe-schema.js';
+import { canViewRecipe } from '../_lib/moderation.js';
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+const MAX_COMMENT_LENGTH = 2000;
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+  const url = new URL(request.url);
+  const recipeId = url.searchParams.get('recipeId');
+  const user = context.data.user;
+
+  if (!recipeId || !/^\d+$/.test(recipeId)) {
+    return jsonResponse({ error: 'recipeId is required' }, 400);
+  }
+
+  const limitParam = url.searchParams.get('limit');
+  const offsetParam = url.searchParams.get('offset');
+  if ((limitParam && !/^\d+$/.test(limitParam)) || (offsetParam && !/^\d+$/.test(offsetParam))) {
+    return jsonResponse({ error: 'limit and offset must be non-negative whole numbers' }, 400);
+  }
+  const limit = Math.min(Math.max(Number(limitParam) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const offset = Number(offsetParam) || 0;
+
+  try {
+    // Reviews of recipes the caller cannot see are hidden along with the recipe
+    const recipe = await env.DB.prepare('SELECT id, owner_email, status FROM recipes WHERE id = ?').bind(recipeId).first();
+    if (!recipe || recipe.status === 'deleted' || !canViewRecipe(recipe, user, env)) {
+      return jsonResponse({ error: 'Recipe not found' }, 404);
+    }
+
+    const stats = await env.DB.prepare(
+      'SELECT AVG(rating) AS average_rating, COUNT(*) AS review_count FROM reviews WHERE recipe_id = ?'
+    )
+    .bind(recipeId)
+    .first();
+
+    // Fetch one extra row to learn whether another page exists
+    const { results } = await env.DB.prepare(
+      `SELECT id, user_email, user_name, rating, comment, created_at, updated_at
+      FROM reviews
+      WHERE recipe_id = ?
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?`
+    )
+    .bind(recipeId, limit + 1, offset)
+    .all();
+
+    const hasMore = results.length > limit;
+    const reviews = results.slice(0, limit).map(row => toReview(row, user));
+
+    return jsonResponse({
+      success: true,
+      recipeId: Number(recipeId),
+      averageRating: roundRating(stats && stats.average_rating),
+      reviewCount: (stats && stats.review_count) || 0,
+      count: reviews.length,
+      limit,
+      offset,
+      hasMore,
+      nextOffset: hasMore ? offset + limit : null,
+      reviews
+    });
+  } catch (error) {
+    context.data.log.error('Error fetching reviews', { error });
+    return jsonResponse({ error: 'Failed to fetch reviews', details: error.message }, 500);
+  }
+}
+
+export async function onRequestPost(context) {
+  const { request, env } = context;
+  const user = context.data.user;
+  const recipeId = new URL(request.url).searchParams.get('recipeId');
+
+  if (!recipeId || !/^\d+$/.test(recipeId)) {
+    return jsonResponse({ error: 'recipeId is required' }, 400);
+  }
+
+  try {
+    const { review, errors } = normalizeReview(await request.json().catch(() => null));
+    if (errors) {
+      return validationErrorResponse(errors);
+    }
+
+    const recipe = await env.DB.prepare('SELECT id, owner_email, status FROM recipes WHERE id = ?').bind(recipeId).first();
+    if (!recipe || recipe.status === 'deleted' || !canViewRecipe(recipe, user, env)) {
+      return jsonResponse({ error: 'Recipe not found' }, 404);
+    }
+
+    const existing = await env.DB.prepare(
+      'SELECT id FROM reviews WHERE recipe_id = ? AND user_email = ?'
+    )
+    .bind(recipe.id, user.email)
+    .first();
+    if (existing) {
+      return jsonResponse({
+        error: 'Already reviewed',
+        message: 'You have already reviewed this recipe; edit your review instead',
+        id: existing.id
+      }, 409);
+    }
+
+    const result = await env.DB.prepare(
+      `INSERT INTO reviews (recipe_id, user_email, user_name, rating, comment, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, datetime('now'), datetime('now'))`
+    )
+    .bind(recipe.id, user.email, user.name || null, review.rating, review.comment)
+    .run();
+
+    return jsonResponse({ success: true, id: result.meta.last_row_id, message: 'Review saved' }, 201);
+  } catch (error) {
+    context.data.log.error('Error saving review', { error });
+    return jsonResponse({ error: 'Failed to save review', details: error.message }, 500);
+  }
+}
+
+export async function onRequestPut(context) {
+  const { request, env } = context;
+
+  try {
+    const access = await authorizeReviewWrite(context);
+    if (access.response) return access.response;
+
+    const { review, errors } = normalizeReview(await request.json().catch(() => null));
+    if (errors) {
+      return validationErrorResponse(errors);
+    }
+
+    await env.DB.prepare(
+      "UPDATE reviews SET rating = ?, comment = ?, updated_at = datetime('now') WHERE id = ?"
+    )
+    .bind(review.rating, review.comment, access.row.id)
+    .run();
+
+    return jsonResponse({ success: true, id: access.row.id, message: 'Review updated' });
+  } catch (error) {
+    context.data.log.error('Error updating review', { error });
+    return jsonResponse({ error: 'Failed to update review', details: error.message }, 500);
+  }
+}
+
+export async function onRequestDelete(context) {
+  const { env } = context;
+
+  try {
+    const access = await authorizeReviewWrite(context);
+    if (access.response) return access.response;
+
+    await env.DB.prepare('DELETE FROM reviews WHERE id = ?').bind(access.row.id).run();
+
+    return jsonResponse({ success: true, id: access.row.id, message: 'Review deleted' });
+  } catch (error) {
+    context.data.log.error('Error deleting review', { error });
+    return jsonResponse({ error: 'Failed to delete review', details: error.message }, 500);
+  }
+}
+
+// Handle OPTIONS for CORS
+export async function onRequestOptions() {
+  return new Response(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
+
+// Validate {rating, comment}; returns {review, errors} like normalizeRecipe()
+function normalizeReview(input) {
+  const data = input && typeof input === 'object' ? input : {};
+  const errors = {};
+
+  const rating = typeof data.rating === 'number' ? data.rating : Number(String(data.rating ?? '').trim() || NaN);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    errors.rating = 'Rating must be a whole number from 1 to 5';
+  }
+
+  const comment = data.comment === undefined || data.comment === null ? '' : String(data.comment).trim();
+  if (comment.length > MAX_COMMENT_LENGTH) {
+    errors.comment = `Comment must be at most ${MAX_COMMENT_LENGTH} characters`;
+  }
+
+  return {
+    review: { rating, comment: comment || null },
+    errors: Object.keys(errors).length > 0 ? errors : null
+  };
+}
+
+// Make sure the caller wrote the review in ?id
+// Returns { row } when allowed, or { response } with the error to send back
+async function authorizeReviewWrite(context) {
+  const { request, env } = context;
+  const id = new URL(request.url).searchParams.get('id');
+  const user = context.data.user;
+
+  if (!id || !/^\d+$/.test(id)) {
+    return { response: jsonResponse({ error: 'Review ID is required' }, 400) };
+  }
+
+  const row = await env.DB.prepare('SELECT id, user_email FROM reviews WHERE id = ?').bind(id).first();
+  if (!row) {
+    return { response: jsonResponse({ error: 'Review not found' }, 404) };
+  }
+  if (row.user_email !== user.email) {
+    return { response: jsonResponse({ error: 'Forbidden', message: 'You can only change your own reviews' }, 403) };
+  }
+  return { row };
+}
+
+// Reviewer emails stay private; the caller learns which review is theirs
+function toReview(row, user) {
+  return {
+    id: row.id,
+    author: row.user_name || 'Anonymous',
+    rating: row.rating,
+    comment: row.comment,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    mine: !!(user && user.email === row.user_email)
+  };
+}
+
+function roundRating(value) {
+  return value === null || value === undefined ? null : Math.round(value * 10) / 10;
+}
+
+// Helper to return JSON response
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
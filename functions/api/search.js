@@ -0,0 +1,123 @@
+// /api/search - Ranked full-text recipe search over the recipes_fts index
+// Query: ?q=<words>&limit=20&offset=0
+// Each word is matched as a prefix and all words must match; results are
+// ordered by BM25 relevance with title matches weighted highest.
+// Snippets are HTML-escaped with matches wrapped in <mark>...</mark>.
+// Only recipes the caller may see are searched (see _lib/moderation.js).
+import { visibleRecipeFilter } from '../_lib/moderation.js';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// Column weights for bm25(): title, ingredients, instructions, tags, description
+const COLUMN_WEIGHTS = '10.0, 4.0, 1.0, 3.0, 2.0';
+
+// Private-use characters marking matches until the snippet is HTML-escaped
+const MATCH_START = '\uE000';
+const MATCH_END = '\uE001';
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+  const url = new URL(request.url);
+
+  const ftsQuery = toFtsQuery(url.searchParams.get('q') || '');
+  if (!ftsQuery) {
+    return jsonResponse({ error: 'Search query (q) is required' }, 400);
+  }
+
+  const limitParam = url.searchParams.get('limit');
+  const offsetParam = url.searchParams.get('offset');
+  if ((limitParam && !/^\d+$/.test(limitParam)) || (offsetParam && !/^\d+$/.test(offsetParam))) {
+    return jsonResponse({ error: 'limit and offset must be non-negative whole numbers' }, 400);
+  }
+  const limit = Math.min(Math.max(Number(limitParam) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const offset = Number(offsetParam) || 0;
+
+  try {
+    const visible = visibleRecipeFilter(context.data.user, env, 'r.status', 'r.owner_email');
+    
+    // Fetch one extra row to learn whether another page exists
+    const { results } = await env.DB.prepare(
+      `SELECT r.id, r.title, r.category, r.author,
+        highlight(recipes_fts, 0, '${MATCH_START}', '${MATCH_END}') AS title_highlight,
+        snippet(recipes_fts, -1, '${MATCH_START}', '${MATCH_END}', '…', 16) AS snippet,
+        bm25(recipes_fts, ${COLUMN_WEIGHTS}) AS rank
+      FROM recipes_fts
+      JOIN recipes r ON r.id = recipes_fts.rowid
+      WHERE recipes_fts MATCH ? AND ${visible.sql} AND r.status != 'deleted'
+      ORDER BY rank
+      LIMIT ? OFFSET ?`
+    )
+    .bind(ftsQuery, ...visible.params, limit + 1, offset)
+    .all();
+
+    const hasMore = results.length > limit;
+    const matches = results.slice(0, limit).map(row => ({
+      id: row.id,
+      title: row.title,
+      category: row.category,
+      author: row.author,
+      titleHighlight: toHighlightedHtml(row.title_highlight),
+      snippet: toHighlightedHtml(row.snippet),
+      // bm25() is lower for better matches; flip it so higher means more relevant
+      score: -row.rank
+    }));
+
+    return jsonResponse({
+      success: true,
+      query: url.searchParams.get('q'),
+      count: matches.length,
+      limit,
+      offset,
+      hasMore,
+      nextOffset: hasMore ? offset + limit : null,
+      results: matches
+    });
+  } catch (error) {
+    context.data.log.error('Error searching recipes', { error });
+    return jsonResponse({ error: 'Failed to search recipes', details: error.message }, 500);
+  }
+}
+
+// Handle OPTIONS for CORS
+export async function onRequestOptions() {
+  return new Response(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type'
+    }
+  });
+}
+
+// Turn free text into a safe FTS5 query: every word quoted and prefix-matched
+// so user input can never be parsed as FTS5 syntax (AND, NEAR, column filters...)
+function toFtsQuery(text) {
+  const words = text.match(/[\p{L}\p{N}]+/gu) || [];
+  return words.slice(0, 10).map(word => `"${word}"*`).join(' ');
+}
+
+// Escape FTS output for HTML, then turn the match markers into <mark> tags
+function toHighlightedHtml(text) {
+  if (!text) return '';
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .replaceAll(MATCH_START, '<mark>')
+    .replaceAll(MATCH_END, '</mark>');
+}
+
+// Helper to return JSON response
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
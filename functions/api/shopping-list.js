@@ -0,0 +1,161 @@
+// /api/shopping-list - Shopping list for the signed-in user's meal plan
+// GET    /api/shopping-list?from=2025-03-10&to=2025-03-16  (default: this week)
+//        -> ingredients of every planned recipe, scaled to the planned
+//           servings, merged by item and grouped by aisle:
+//           {from, to, recipeCount, aisles: [{key, name, items: [{key, item,
+//            amounts, text, asNeeded, recipes, checked}]}], unscaled}
+// PUT    /api/shopping-list?from=&to=  {key, checked}  -> tick an item off, or untick it
+// DELETE /api/shopping-list?from=&to=                  -> clear the range's ticks
+// Ticks are stored per user and range under the item key, e.g.
+// "produce:onion", so ticking an item off one week leaves other weeks alone.
+// Planned recipes that were deleted or hidden since are left out.
+import { RECIPE_COLUMNS, rowToRecipe } from '../_lib/recipe-row.js';
+import { visibleRecipeFilter } from '../_lib/moderation.js';
+import { parseDateRange } from '../_lib/meal-plan.js';
+import { buildShoppingList } from '../_lib/shopping-list.js';
+
+const MAX_KEY_LENGTH = 200;
+
+export async function onRequestGet(context) {
+  const { request, env } = context;
+  const user = context.data.user;
+
+  if (!user) {
+    return jsonResponse({ error: 'Unauthenticated', message: 'Sign in to see your shopping list' }, 401);
+  }
+
+  const range = parseDateRange(new URL(request.url).searchParams);
+  if (range.error) {
+    return jsonResponse({ error: range.error }, 400);
+  }
+
+  try {
+    const { results: entries } = await env.DB.prepare(
+      `SELECT recipe_id, servings FROM meal_plan_entries
+      WHERE user_email = ? AND plan_date BETWEEN ? AND ?`
+    )
+    .bind(user.email, range.from, range.to)
+    .all();
+
+    const recipeIds = [...new Set(entries.map(entry => entry.recipe_id))];
+    const visible = visibleRecipeFilter(user, env);
+    const [recipes, checks] = await Promise.all([
+      recipeIds.length > 0
+        ? env.DB.prepare(
+          `SELECT ${RECIPE_COLUMNS} FROM recipes
+          WHERE id IN (SELECT value FROM json_each(?)) AND ${visible.sql} AND status != 'deleted'`
+        ).bind(JSON.stringify(recipeIds), ...visible.params).all()
+        : { results: [] },
+      env.DB.prepare(
+        'SELECT item_key FROM shopping_list_checks WHERE user_email = ? AND range_from = ? AND range_to = ?'
+      ).bind(user.email, range.from, range.to).all()
+    ]);
+
+    const recipesById = new Map(recipes.results.map(row => [row.id, rowToRecipe(row)]));
+    const checked = new Set(checks.results.map(row => row.item_key));
+
+    const list = buildShoppingList(entries
+      .filter(entry => recipesById.has(entry.recipe_id))
+      .map(entry => ({ recipe: recipesById.get(entry.recipe_id), servings: entry.servings })));
+
+    list.aisles.forEach(aisle => {
+      aisle.items.forEach(item => {
+        item.checked = checked.has(item.key);
+      });
+    });
+
+    return jsonResponse({
+      success: true,
+      from: range.from,
+      to: range.to,
+      recipeCount: recipesById.size,
+      ...list
+    });
+  } catch (error) {
+    context.data.log.error('Error building shopping list', { error });
+    return jsonResponse({ error: 'Failed to build shopping list', details: error.message }, 500);
+  }
+}
+
+export async function onRequestPut(context) {
+  const { request, env } = context;
+  const user = context.data.user;
+
+  const range = parseDateRange(new URL(request.url).searchParams);
+  if (range.error) {
+    return jsonResponse({ error: range.error }, 400);
+  }
+
+  const body = await request.json().catch(() => null);
+  const key = body && typeof body.key === 'string' ? body.key.trim() : '';
+  if (!key || key.length > MAX_KEY_LENGTH || typeof body.checked !== 'boolean') {
+    return jsonResponse({ error: 'key and checked (true or false) are required' }, 400);
+  }
+
+  try {
+    if (body.checked) {
+      await env.DB.prepare(
+        `INSERT OR IGNORE INTO shopping_list_checks (user_email, range_from, range_to, item_key, checked_at)
+        VALUES (?, ?, ?, ?, datetime('now'))`
+      )
+      .bind(user.email, range.from, range.to, key)
+      .run();
+    } else {
+      await env.DB.prepare(
+        'DELETE FROM shopping_list_checks WHERE user_email = ? AND range_from = ? AND range_to = ? AND item_key = ?'
+      )
+      .bind(user.email, range.from, range.to, key)
+      .run();
+    }
+
+    return jsonResponse({ success: true, from: range.from, to: range.to, key, checked: body.checked });
+  } catch (error) {
+    context.data.log.error('Error saving shopping list check', { error });
+    return jsonResponse({ error: 'Failed to save check mark', details: error.message }, 500);
+  }
+}
+
+export async function onRequestDelete(context) {
+  const { request, env } = context;
+  const user = context.data.user;
+
+  const range = parseDateRange(new URL(request.url).searchParams);
+  if (range.error) {
+    return jsonResponse({ error: range.error }, 400);
+  }
+
+  try {
+    await env.DB.prepare(
+      'DELETE FROM shopping_list_checks WHERE user_email = ? AND range_from = ? AND range_to = ?'
+    )
+    .bind(user.email, range.from, range.to)
+    .run();
+    return jsonResponse({ success: true, from: range.from, to: range.to, message: 'Check marks cleared' });
+  } catch (error) {
+    context.data.log.error('Error clearing shopping list checks', { error });
+    return jsonResponse({ error: 'Failed to clear check marks', details: error.message }, 500);
+  }
+}
+
+// Handle OPTIONS for CORS
+export async function onRequestOptions() {
+  return new Response(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+    }
+  });
+}
+
+// Helper to return JSON response
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    }
+  });
+}
@@ -1,25 +1,19 @@
 // Cloudflare Pages Function for verifying Google OAuth2 tokens
+import { verifyGoogleIdToken } from '../_lib/google.js';
+import { createSession } from '../_lib/session.js';
+import { recordLogin } from '../_lib/users.js';
+import { permissionsFor } from '../_lib/permissions.js';
+
 export async function onRequestPost(context) {
-  const { request } = context;
-  
-  // Log request IP
-  const clientIP = request.headers.get('CF-Connecting-IP') || request.headers.get('X-Forwarded-For') || 'unknown';
-  console.log('[verify-google.js] ===== NEW REQUEST =====');
-  console.log('[verify-google.js] Request IP:', clientIP);
-  console.log('[verify-google.js] Request URL:', request.url);
-  console.log('[verify-google.js] Request method:', request.method);
+  const { request, env } = context;
+  const log = context.data.log;
   
   try {
     const body = await request.json();
     const { token } = body;
     
-    console.log('[verify-google.js] Request body received:', JSON.stringify(body));
-    console.log('[verify-google.js] Token present:', !!token);
-    console.log('[verify-google.js] Token length:', token ? token.length : 0);
-    console.log('[verify-google.js] Token (first 50 chars):', token ? token.substring(0, 50) + '...' : 'N/A');
-    
     if (!token) {
-      console.error('[verify-google.js] ERROR: No token provided in request');
+      log.warn('No token provided');
       return new Response(JSON.stringify({
         success: false,
         error: 'No token provided'
@@ -29,69 +23,40 @@ export async function onRequestPost(context) {
       });
     }
     
-    // Verify the token with Google
-    const CLIENT_ID = '184950928765-22nhslddgetmmnfl8kl728n6fv0bg7hu.apps.googleusercontent.com';
-    const verifyUrl = `https://oauth2.googleapis.com/tokeninfo?id_token=${token}`;
-    
-    console.log('[verify-google.js] Calling Google tokeninfo API...');
-    console.log('[verify-google.js] Verify URL:', verifyUrl.substring(0, 100) + '...');
-    
-    const verifyResponse = await fetch(verifyUrl);
-    console.log('[verify-google.js] Google response status:', verifyResponse.status);
-    console.log('[verify-google.js] Google response statusText:', verifyResponse.statusText);
-    
-    const verifyData = await verifyResponse.json();
-    console.log('[verify-google.js] Google response data:', JSON.stringify(verifyData, null, 2));
-    
-    // Check if token is valid and matches our client ID
-    if (verifyData.error) {
-      console.error('[verify-google.js] ERROR: Google returned error:', verifyData.error);
-      console.error('[verify-google.js] Error description:', verifyData.error_description);
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Invalid token: ' + verifyData.error
-      }), {
-        status: 401,
-        headers: { 'Content-Type': 'application/json' }
-      });
-    }
-    
-    if (verifyData.aud !== CLIENT_ID) {
-      console.error('[verify-google.js] ERROR: Client ID mismatch');
-      console.error('[verify-google.js] Expected CLIENT_ID:', CLIENT_ID);
-      console.error('[verify-google.js] Received aud:', verifyData.aud);
+    // Verify the token signature and claims locally against Google's keys
+    let userInfo;
+    try {
+      userInfo = await verifyGoogleIdToken(token, env);
+    } catch (verifyError) {
+      log.warn('Google token rejected', { error: verifyError.message });
       return new Response(JSON.stringify({
         success: false,
-        error: 'Invalid token: client ID mismatch'
+        error: 'Invalid token: ' + verifyError.message
       }), {
         status: 401,
         headers: { 'Content-Type': 'application/json' }
       });
     }
     
-    // Token is valid, return user information
-    const userInfo = {
-      email: verifyData.email,
-      name: verifyData.name,
-      picture: verifyData.picture,
-      email_verified: verifyData.email_verified
-    };
-    
-    console.log('[verify-google.js] SUCCESS: Token verified successfully');
-    console.log('[verify-google.js] User info:', JSON.stringify(userInfo));
+    // Token is valid: record the sign-in (the first one creates the user),
+    // start a server-side session and return user information with the role
+    const role = await recordLogin(env, userInfo);
+    const sessionCookie = await createSession(env, userInfo);
+    log.info('Signed in', { email: userInfo.email, role });
     
     return new Response(JSON.stringify({
       success: true,
-      user: userInfo
+      user: { ...userInfo, role, permissions: permissionsFor(role) }
     }), {
       status: 200,
-      headers: { 'Content-Type': 'application/json' }
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+        'Set-Cookie': sessionCookie
+      }
     });
   } catch (error) {
-    console.error('[verify-google.js] EXCEPTION: Caught error during verification');
-    console.error('[verify-google.js] Error name:', error.name);
-    console.error('[verify-google.js] Error message:', error.message);
-    console.error('[verify-google.js] Error stack:', error.stack);
+    log.error('Error during verification', { error });
     
     return new Response(JSON.stringify({
       success: false,
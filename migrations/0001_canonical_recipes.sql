@@ -0,0 +1,82 @@
+-- Migration 0001: canonical recipes table
+--
+-- Databases in the wild were created either from the old db-schema.sql
+-- (name, author, details, ...) or by hand for the API (title, category,
+-- details, ...). Both shapes share id, details and created_at, so the table
+-- is rebuilt from those columns. title / category / author keep the value of
+-- the old name / title / category / author column where the shape has one,
+-- and are backfilled from the details JSON (which every version of the API
+-- has written) where it is empty or missing.
+-- Databases created from db-schema.sql after recipe ownership was added
+-- already have owner_email; it is kept. Older rows start out without owner.
+
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Fresh databases have no recipes table yet; give them the shared columns
+CREATE TABLE IF NOT EXISTS recipes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  details TEXT NOT NULL,
+  created_at TEXT DEFAULT (datetime('now'))
+);
+
+DROP TABLE IF EXISTS recipes_canonical;
+
+CREATE TABLE recipes_canonical (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  title TEXT NOT NULL,
+  category TEXT NOT NULL DEFAULT 'Uncategorized',
+  author TEXT NOT NULL DEFAULT 'Anonymous',  -- display name of the verified user who created the recipe
+  owner_email TEXT,  -- email of the signed-in user who created the recipe
+  details TEXT NOT NULL,  -- JSON column storing all dynamic recipe data
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Data migration: keep the old columns, backfill the rest from the details JSON
+-- Columns only some shapes have are read in a correlated subquery: there an
+-- unqualified name resolves to the old row when the column exists and falls
+-- back to the NULL placeholder of the same name in `shape` when it does not.
+INSERT INTO recipes_canonical (id, title, category, author, owner_email, details, created_at, updated_at)
+SELECT
+  id,
+  COALESCE(
+    NULLIF(TRIM((SELECT title FROM recipes AS legacy WHERE legacy.id = shape.id)), ''),
+    NULLIF(TRIM((SELECT name FROM recipes AS legacy WHERE legacy.id = shape.id)), ''),
+    CASE WHEN json_valid(details) THEN NULLIF(json_extract(details, '$.recipeName'), '') END,
+    CASE WHEN json_valid(details) THEN NULLIF(json_extract(details, '$.name'), '') END,
+    CASE WHEN json_valid(details) THEN NULLIF(json_extract(details, '$.title'), '') END,
+    'Untitled Recipe'
+  ),
+  COALESCE(
+    NULLIF(TRIM((SELECT category FROM recipes AS legacy WHERE legacy.id = shape.id)), ''),
+    CASE WHEN json_valid(details) THEN NULLIF(json_extract(details, '$.category'), '') END,
+    'Uncategorized'
+  ),
+  COALESCE(
+    NULLIF(TRIM((SELECT author FROM recipes AS legacy WHERE legacy.id = shape.id)), ''),
+    CASE WHEN json_valid(details) THEN NULLIF(json_extract(details, '$.author'), '') END,
+    'Anonymous'
+  ),
+  (SELECT owner_email FROM recipes AS legacy WHERE legacy.id = shape.id),
+  CASE WHEN json_valid(details) THEN details ELSE '{}' END,
+  COALESCE(created_at, datetime('now')),
+  COALESCE(created_at, datetime('now'))
+FROM (
+  SELECT id, details, created_at,
+    NULL AS name, NULL AS title, NULL AS category, NULL AS author, NULL AS owner_email
+  FROM recipes
+) AS shape;
+
+DROP TABLE recipes;
+ALTER TABLE recipes_canonical RENAME TO recipes;
+
+CREATE INDEX idx_recipes_title ON recipes(title);
+CREATE INDEX idx_recipes_category ON recipes(category);
+CREATE INDEX idx_recipes_owner ON recipes(owner_email);
+CREATE INDEX idx_recipes_created ON recipes(created_at DESC);
+
+INSERT INTO schema_migrations (version, name) VALUES (1, 'canonical_recipes');
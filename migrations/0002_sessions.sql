@@ -0,0 +1,17 @@
+-- Migration 0002: server-side login sessions issued by /api/verify-google
+-- Times are unix epoch seconds; expires_at slides forward on use up to max_expires_at
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY,  -- random session id carried in the signed 'session' cookie
+  email TEXT NOT NULL,
+  name TEXT,
+  picture TEXT,
+  created_at INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL,
+  max_expires_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_email ON sessions(email);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at);
+
+INSERT INTO schema_migrations (version, name) VALUES (2, 'sessions');
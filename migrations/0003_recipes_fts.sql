@@ -0,0 +1,89 @@
+-- Migration 0003: FTS5 full-text index over recipes for /api/search
+--
+-- recipes_fts keeps one row per recipe (rowid = recipes.id) and is kept in
+-- sync by the triggers below, so the API never writes to it directly.
+-- ingredients / instructions / tags may be stored in 'details' either as a
+-- newline-separated string (add-recipe form) or as a JSON array.
+
+DROP TRIGGER IF EXISTS recipes_fts_insert;
+DROP TRIGGER IF EXISTS recipes_fts_update;
+DROP TRIGGER IF EXISTS recipes_fts_delete;
+DROP TABLE IF EXISTS recipes_fts;
+
+CREATE VIRTUAL TABLE recipes_fts USING fts5(
+  title,
+  ingredients,
+  instructions,
+  tags,
+  description,
+  tokenize = 'porter unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER recipes_fts_insert AFTER INSERT ON recipes BEGIN
+  INSERT INTO recipes_fts (rowid, title, ingredients, instructions, tags, description)
+  VALUES (
+    new.id,
+    new.title,
+    CASE json_type(new.details, '$.ingredients')
+      WHEN 'array' THEN (SELECT group_concat(value, char(10)) FROM json_each(new.details, '$.ingredients'))
+      ELSE json_extract(new.details, '$.ingredients')
+    END,
+    CASE json_type(new.details, '$.instructions')
+      WHEN 'array' THEN (SELECT group_concat(value, char(10)) FROM json_each(new.details, '$.instructions'))
+      ELSE json_extract(new.details, '$.instructions')
+    END,
+    CASE json_type(new.details, '$.tags')
+      WHEN 'array' THEN (SELECT group_concat(value, ' ') FROM json_each(new.details, '$.tags'))
+      ELSE json_extract(new.details, '$.tags')
+    END,
+    json_extract(new.details, '$.description')
+  );
+END;
+
+CREATE TRIGGER recipes_fts_update AFTER UPDATE OF title, details ON recipes BEGIN
+  DELETE FROM recipes_fts WHERE rowid = old.id;
+  INSERT INTO recipes_fts (rowid, title, ingredients, instructions, tags, description)
+  VALUES (
+    new.id,
+    new.title,
+    CASE json_type(new.details, '$.ingredients')
+      WHEN 'array' THEN (SELECT group_concat(value, char(10)) FROM json_each(new.details, '$.ingredients'))
+      ELSE json_extract(new.details, '$.ingredients')
+    END,
+    CASE json_type(new.details, '$.instructions')
+      WHEN 'array' THEN (SELECT group_concat(value, char(10)) FROM json_each(new.details, '$.instructions'))
+      ELSE json_extract(new.details, '$.instructions')
+    END,
+    CASE json_type(new.details, '$.tags')
+      WHEN 'array' THEN (SELECT group_concat(value, ' ') FROM json_each(new.details, '$.tags'))
+      ELSE json_extract(new.details, '$.tags')
+    END,
+    json_extract(new.details, '$.description')
+  );
+END;
+
+CREATE TRIGGER recipes_fts_delete AFTER DELETE ON recipes BEGIN
+  DELETE FROM recipes_fts WHERE rowid = old.id;
+END;
+
+-- Index the recipes that already exist
+INSERT INTO recipes_fts (rowid, title, ingredients, instructions, tags, description)
+SELECT
+  id,
+  title,
+  CASE json_type(details, '$.ingredients')
+    WHEN 'array' THEN (SELECT group_concat(value, char(10)) FROM json_each(recipes.details, '$.ingredients'))
+    ELSE json_extract(details, '$.ingredients')
+  END,
+  CASE json_type(details, '$.instructions')
+    WHEN 'array' THEN (SELECT group_concat(value, char(10)) FROM json_each(recipes.details, '$.instructions'))
+    ELSE json_extract(details, '$.instructions')
+  END,
+  CASE json_type(details, '$.tags')
+    WHEN 'array' THEN (SELECT group_concat(value, ' ') FROM json_each(recipes.details, '$.tags'))
+    ELSE json_extract(details, '$.tags')
+  END,
+  json_extract(details, '$.description')
+FROM recipes;
+
+INSERT INTO schema_migrations (version, name) VALUES (3, 'recipes_fts');
@@ -0,0 +1,29 @@
+-- Migration 0004: favorites and reviews
+-- Both are keyed by the signed-in user's email (the identity /api/me reports)
+-- and disappear with their recipe.
+
+CREATE TABLE IF NOT EXISTS favorites (
+  recipe_id INTEGER NOT NULL REFERENCES recipes(id) ON DELETE CASCADE,
+  user_email TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (recipe_id, user_email)
+);
+
+CREATE INDEX IF NOT EXISTS idx_favorites_user ON favorites(user_email, created_at DESC);
+
+-- One review per user and recipe; the rating is required, the comment is not
+CREATE TABLE IF NOT EXISTS reviews (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  recipe_id INTEGER NOT NULL REFERENCES recipes(id) ON DELETE CASCADE,
+  user_email TEXT NOT NULL,
+  user_name TEXT,  -- display name at the time of writing
+  rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  comment TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE (recipe_id, user_email)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reviews_recipe ON reviews(recipe_id, created_at DESC);
+
+INSERT INTO schema_migrations (version, name) VALUES (4, 'favorites_reviews');
@@ -0,0 +1,32 @@
+-- Migration 0005: user-curated recipe collections
+-- visibility: 'private' (owner only), 'link' (anyone with the share_token
+-- link) or 'public' (listed for everyone). share_token is random and only
+-- ever shown to the owner.
+
+CREATE TABLE IF NOT EXISTS collections (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  owner_email TEXT NOT NULL,
+  owner_name TEXT,
+  name TEXT NOT NULL,
+  description TEXT,
+  visibility TEXT NOT NULL DEFAULT 'private' CHECK (visibility IN ('private', 'link', 'public')),
+  share_token TEXT NOT NULL UNIQUE,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_collections_owner ON collections(owner_email, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_collections_visibility ON collections(visibility, updated_at DESC);
+
+-- Ordered recipe references; a recipe appears at most once per collection
+CREATE TABLE IF NOT EXISTS collection_recipes (
+  collection_id INTEGER NOT NULL REFERENCES collections(id) ON DELETE CASCADE,
+  recipe_id INTEGER NOT NULL REFERENCES recipes(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  added_at TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (collection_id, recipe_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_collection_recipes_position ON collection_recipes(collection_id, position);
+
+INSERT INTO schema_migrations (version, name) VALUES (5, 'collections');
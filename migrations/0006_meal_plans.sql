@@ -0,0 +1,26 @@
+-- Migration 0006: meal plans and shopping list check marks
+-- A plan entry puts a recipe on a day and meal for one user, with the number
+-- of servings to cook. The shopping list is computed from the entries; only
+-- which items the user has ticked off is stored.
+
+CREATE TABLE IF NOT EXISTS meal_plan_entries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_email TEXT NOT NULL,
+  plan_date TEXT NOT NULL,  -- YYYY-MM-DD
+  meal TEXT NOT NULL CHECK (meal IN ('breakfast', 'lunch', 'dinner', 'snack')),
+  recipe_id INTEGER NOT NULL REFERENCES recipes(id) ON DELETE CASCADE,
+  servings INTEGER NOT NULL CHECK (servings BETWEEN 1 AND 100),
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_meal_plan_user_date ON meal_plan_entries(user_email, plan_date);
+
+-- item_key is the shopping list's key for a merged item, e.g. "produce:onion"
+CREATE TABLE IF NOT EXISTS shopping_list_checks (
+  user_email TEXT NOT NULL,
+  item_key TEXT NOT NULL,
+  checked_at TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (user_email, item_key)
+);
+
+INSERT INTO schema_migrations (version, name) VALUES (6, 'meal_plans');
@@ -0,0 +1,30 @@
+-- Migration 0007: recipe revision history
+-- Every write to a recipe's title, category or details stores the new state
+-- as the next revision, with who made it. Rows are never changed once
+-- written; they go away only with the recipe itself. Existing recipes get
+-- their current state as revision 1 so the first edit can be undone.
+
+CREATE TABLE IF NOT EXISTS recipe_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  recipe_id INTEGER NOT NULL REFERENCES recipes(id) ON DELETE CASCADE,
+  revision INTEGER NOT NULL,  -- 1, 2, 3... per recipe
+  title TEXT NOT NULL,
+  category TEXT NOT NULL,
+  details TEXT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('snapshot', 'create', 'update', 'restore', 'import')),
+  restored_from INTEGER,  -- revision number copied by a 'restore'
+  editor_email TEXT,
+  editor_name TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE (recipe_id, revision)
+);
+
+CREATE TRIGGER IF NOT EXISTS recipe_revisions_immutable BEFORE UPDATE ON recipe_revisions BEGIN
+  SELECT RAISE(ABORT, 'recipe revisions cannot be changed');
+END;
+
+INSERT INTO recipe_revisions (recipe_id, revision, title, category, details, action, editor_email, editor_name, created_at)
+SELECT id, 1, title, category, details, 'snapshot', owner_email, author, COALESCE(updated_at, created_at)
+FROM recipes;
+
+INSERT INTO schema_migrations (version, name) VALUES (7, 'recipe_revisions');
@@ -0,0 +1,29 @@
+-- Migration 0008: recipe status and user reports
+-- status: 'published' (everyone), 'draft' (owner only), 'hidden' (taken
+-- down by an admin) or 'deleted' (soft-deleted, restorable by an admin).
+-- Existing recipes stay published.
+
+ALTER TABLE recipes ADD COLUMN status TEXT NOT NULL DEFAULT 'published'
+  CHECK (status IN ('draft', 'published', 'hidden', 'deleted'));
+
+CREATE INDEX IF NOT EXISTS idx_recipes_status ON recipes(status, created_at DESC);
+
+-- A user's complaint about a recipe, reviewed on the admin moderation page
+CREATE TABLE IF NOT EXISTS recipe_reports (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  recipe_id INTEGER NOT NULL REFERENCES recipes(id) ON DELETE CASCADE,
+  reporter_email TEXT NOT NULL,
+  reporter_name TEXT,
+  reason TEXT NOT NULL CHECK (reason IN ('spam', 'offensive', 'broken', 'copyright', 'other')),
+  message TEXT,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  reviewed_at TEXT,
+  reviewed_by TEXT
+);
+
+-- One open report per user and recipe
+CREATE UNIQUE INDEX IF NOT EXISTS idx_recipe_reports_open ON recipe_reports(recipe_id, reporter_email) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_recipe_reports_status ON recipe_reports(status, created_at DESC);
+
+INSERT INTO schema_migrations (version, name) VALUES (8, 'recipe_moderation');
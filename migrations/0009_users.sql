@@ -0,0 +1,27 @@
+-- Migration 0009: users and their roles
+-- A row is written when someone signs in through /api/verify-google.
+-- role: 'viewer' (read, favorites, reviews, collections and meal plans),
+-- 'editor' (also writes recipes; the default) or 'admin' (everything).
+-- role_updated_by is set when an admin assigns the role by hand; until then
+-- an email listed in ADMIN_EMAILS is promoted to admin at sign-in.
+
+CREATE TABLE IF NOT EXISTS users (
+  email TEXT PRIMARY KEY,
+  name TEXT,
+  picture TEXT,
+  role TEXT NOT NULL DEFAULT 'editor' CHECK (role IN ('viewer', 'editor', 'admin')),
+  role_updated_at TEXT,
+  role_updated_by TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  last_login_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+
+-- Everyone with a live session already signed in
+INSERT OR IGNORE INTO users (email, name, picture, last_login_at)
+SELECT email, name, picture, datetime(MAX(created_at), 'unixepoch')
+FROM sessions
+GROUP BY email;
+
+INSERT INTO schema_migrations (version, name) VALUES (9, 'users');
@@ -0,0 +1,14 @@
+-- Migration 0010: token buckets for API rate limiting (functions/_lib/rate-limit.js)
+-- One row per route and client (IP or user). Times are unix epoch milliseconds;
+-- at full_at the bucket has refilled completely and the row can be dropped.
+
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key TEXT PRIMARY KEY,  -- '<route>|ip:<address>' or '<route>|user:<email>'
+  tokens REAL NOT NULL,
+  updated_at INTEGER NOT NULL,
+  full_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_full ON rate_limits(full_at);
+
+INSERT INTO schema_migrations (version, name) VALUES (10, 'rate_limits');
@@ -0,0 +1,19 @@
+-- Migration 0011: scope shopping list check marks to a plan range
+-- Ticks were stored per user and item only, so an item ticked off for one
+-- week showed as ticked in every later week. They are now kept per range
+-- (the from/to days the list was built for). Existing ticks cannot be
+-- assigned to a range and are dropped.
+
+DROP TABLE IF EXISTS shopping_list_checks;
+
+-- item_key is the shopping list's key for a merged item, e.g. "produce:onion"
+CREATE TABLE IF NOT EXISTS shopping_list_checks (
+  user_email TEXT NOT NULL,
+  range_from TEXT NOT NULL,  -- YYYY-MM-DD
+  range_to TEXT NOT NULL,    -- YYYY-MM-DD
+  item_key TEXT NOT NULL,
+  checked_at TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (user_email, range_from, range_to, item_key)
+);
+
+INSERT INTO schema_migrations (version, name) VALUES (11, 'shopping_list_ranges');
@@ -0,0 +1,34 @@
+-- Migration 0012: record soft deletes in recipe history
+-- Deleting a recipe only sets its status, so nothing showed up in its
+-- history. Deletes are now recorded as a 'delete' revision holding the
+-- recipe as it was deleted. SQLite cannot change a CHECK constraint in
+-- place, so the table is rebuilt with the new action allowed; existing
+-- revisions are copied over unchanged.
+
+CREATE TABLE recipe_revisions_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  recipe_id INTEGER NOT NULL REFERENCES recipes(id) ON DELETE CASCADE,
+  revision INTEGER NOT NULL,  -- 1, 2, 3... per recipe
+  title TEXT NOT NULL,
+  category TEXT NOT NULL,
+  details TEXT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('snapshot', 'create', 'update', 'restore', 'import', 'delete')),
+  restored_from INTEGER,  -- revision number copied by a 'restore'
+  editor_email TEXT,
+  editor_name TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE (recipe_id, revision)
+);
+
+INSERT INTO recipe_revisions_new (id, recipe_id, revision, title, category, details, action, restored_from, editor_email, editor_name, created_at)
+SELECT id, recipe_id, revision, title, category, details, action, restored_from, editor_email, editor_name, created_at
+FROM recipe_revisions;
+
+DROP TABLE recipe_revisions;
+ALTER TABLE recipe_revisions_new RENAME TO recipe_revisions;
+
+CREATE TRIGGER IF NOT EXISTS recipe_revisions_immutable BEFORE UPDATE ON recipe_revisions BEGIN
+  SELECT RAISE(ABORT, 'recipe revisions cannot be changed');
+END;
+
+INSERT INTO schema_migrations (version, name) VALUES (12, 'revision_delete_action');
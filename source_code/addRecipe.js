@@ -0,0 +1,457 @@
+/**
+ * Add / Edit Recipe Form Controller
+ *
+ * Handles the recipe form on add-recipe.html.
+ * - Without a query string the form creates a new recipe (POST /api/recipes)
+ * - With ?id=123 the form loads that recipe and saves changes (PUT /api/recipes?id=123)
+ * - Picking an image file uploads it right away (POST /api/images) and puts the
+ *   returned URL into the imageUrl field
+ * - "Preview Import" extracts a recipe from a web page (POST /api/import);
+ *   "Use This Recipe" copies it into the form, which then saves as usual
+ */
+
+const RECIPES_ENDPOINT = '/api/recipes';
+const RECIPE_ENDPOINT = '/api/recipe';
+const IMAGES_ENDPOINT = '/api/images';
+const IMPORT_ENDPOINT = '/api/import';
+
+// Mirrors MAX_IMAGE_BYTES in functions/_lib/images.js
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Imported fields the form has no control for; sent along when it is submitted
+const IMPORT_EXTRA_FIELDS = ['description', 'cuisine', 'notes', 'tags', 'prepTime'];
+
+let previewedImport = null;
+let importedExtras = {};
+
+const editId = new URLSearchParams(window.location.search).get('id');
+
+// Server field names (see functions/_lib/recipe-schema.js) -> form control names
+const FIELD_INPUTS = {
+  cookTime: 'minutes',
+  totalTime: 'minutes',
+  prepTime: 'minutes'
+};
+
+/**
+ * Wire up the form once the page has loaded
+ */
+async function initRecipeForm() {
+  const form = document.getElementById('recipeForm');
+  if (!form) {
+    console.warn('[addRecipe.js] Could not find #recipeForm');
+    return;
+  }
+
+  form.addEventListener('submit', handleSubmit);
+
+  const imageFile = document.getElementById('imageFile');
+  const imageUrl = document.getElementById('imageUrl');
+  if (imageFile) imageFile.addEventListener('change', handleImageSelected);
+  if (imageUrl) imageUrl.addEventListener('change', () => showImagePreview(imageUrl.value.trim()));
+
+  const importButton = document.getElementById('importButton');
+  if (importButton) importButton.addEventListener('click', handleImportPreview);
+
+  if (editId) {
+    console.log('[addRecipe.js] Edit mode for recipe:', editId);
+    enterEditMode();
+    await loadRecipe(editId);
+  }
+}
+
+/**
+ * Switch page copy from "add" to "edit"
+ */
+function enterEditMode() {
+  const pageTitle = document.getElementById('pageTitle');
+  const submitBtn = document.querySelector('#recipeForm .submit-btn');
+
+  document.title = 'Edit Recipe - Recipe Collection';
+  const importPanel = document.getElementById('importPanel');
+
+  if (pageTitle) pageTitle.textContent = '✏️ Edit Your Recipe';
+  if (submitBtn) submitBtn.textContent = 'Save Changes';
+  if (importPanel) importPanel.style.display = 'none';
+}
+
+/**
+ * Load an existing recipe and fill the form with it
+ */
+async function loadRecipe(id) {
+  try {
+    const response = await fetch(`${RECIPE_ENDPOINT}?id=${encodeURIComponent(id)}`, {
+      headers: getAuthHeaders()
+    });
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok || !data) {
+      throw new Error((data && (data.message || data.error)) || `Request failed with status ${response.status}`);
+    }
+
+    if (!data.canEdit) {
+      showError('You can only edit recipes you created.');
+      setFormDisabled(true);
+    }
+
+    populateForm(data);
+    if (data.imageUrl) showImagePreview(data.imageUrl);
+
+    // A recipe hidden by a moderator keeps that status whatever the owner saves
+    const draftBox = document.getElementById('saveAsDraft');
+    draftBox.checked = data.status === 'draft';
+    if (data.status === 'hidden') {
+      draftBox.disabled = true;
+      document.getElementById('draftHelp').textContent = 'A moderator hid this recipe; only an admin can publish it again';
+    }
+  } catch (error) {
+    console.error('[addRecipe.js] Error loading recipe:', error);
+    showError('Failed to load recipe: ' + error.message);
+    setFormDisabled(true);
+  }
+}
+
+/**
+ * Copy recipe fields into the matching form controls
+ */
+function populateForm(recipe) {
+  const form = document.getElementById('recipeForm');
+
+  Array.from(form.elements).forEach((field) => {
+    if (!field.name) return;
+
+    let value = recipe[field.name];
+    if (field.name === 'recipeName') {
+      value = recipe.recipeName || recipe.name || recipe.title;
+    }
+
+    // Cooking time is stored as whole minutes but edited as hours + minutes
+    if (field.name === 'hours' && recipe.cookTime !== undefined) {
+      value = Math.floor(recipe.cookTime / 60);
+    } else if (field.name === 'minutes' && recipe.cookTime !== undefined) {
+      value = recipe.cookTime % 60;
+    }
+
+    if (field.type === 'checkbox') {
+      field.checked = !!value;
+    } else if (value !== undefined && value !== null) {
+      field.value = Array.isArray(value) ? value.join('\n') : String(value);
+    }
+  });
+}
+
+/**
+ * Submit the form as JSON, creating or updating the recipe
+ */
+async function handleSubmit(event) {
+  event.preventDefault();
+  hideMessages();
+
+  const form = event.target;
+  clearFieldErrors();
+  const recipeData = { ...importedExtras, ...Object.fromEntries(new FormData(form)) };
+  const draftBox = document.getElementById('saveAsDraft');
+  if (!draftBox.disabled) {
+    recipeData.status = draftBox.checked ? 'draft' : 'published';
+  }
+  const url = editId ? `${RECIPES_ENDPOINT}?id=${encodeURIComponent(editId)}` : RECIPES_ENDPOINT;
+
+  setFormDisabled(true);
+
+  try {
+    const response = await fetch(url, {
+      method: editId ? 'PUT' : 'POST',
+      headers: getAuthHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(recipeData)
+    });
+    const data = await response.json().catch(() => null);
+
+    if (response.status === 422 && data && data.fields) {
+      showFieldErrors(data.fields);
+      throw new Error(data.message || data.error);
+    }
+
+    if (!response.ok || !data || !data.success) {
+      throw new Error((data && (data.message || data.error)) || `Request failed with status ${response.status}`);
+    }
+
+    // Diet boxes the ingredients contradict: saved anyway, but stay here so the user sees why
+    if (Array.isArray(data.warnings) && data.warnings.length > 0) {
+      showSaveWarnings(data.warnings, data.id);
+      return;
+    }
+
+    showSuccess(editId ? 'Recipe updated! Redirecting...' : 'Recipe saved! Redirecting...');
+    setTimeout(() => {
+      window.location.href = `/view-recipe.html?id=${encodeURIComponent(data.id)}`;
+    }, 500);
+  } catch (error) {
+    console.error('[addRecipe.js] Error saving recipe:', error);
+    showError('Failed to save recipe: ' + error.message);
+    setFormDisabled(false);
+  }
+}
+
+/**
+ * Ask the server to extract a recipe from the URL or pasted HTML and preview it
+ */
+async function handleImportPreview() {
+  hideMessages();
+  const url = document.getElementById('importUrl').value.trim();
+  const html = document.getElementById('importHtml').value.trim();
+  if (!url && !html) {
+    showError('Enter a recipe page URL or paste its HTML to import.');
+    return;
+  }
+
+  const button = document.getElementById('importButton');
+  button.disabled = true;
+  button.textContent = 'Importing...';
+
+  try {
+    const response = await fetch(IMPORT_ENDPOINT, {
+      method: 'POST',
+      headers: getAuthHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(html ? { html, url: url || undefined } : { url })
+    });
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok || !data || !data.success) {
+      throw new Error((data && (data.message || data.error)) || `Request failed with status ${response.status}`);
+    }
+
+    previewedImport = data.recipe;
+    renderImportPreview(data.recipe, data.fields);
+  } catch (error) {
+    console.error('[addRecipe.js] Error importing recipe:', error);
+    showError('Failed to import recipe: ' + error.message);
+  } finally {
+    button.disabled = false;
+    button.textContent = 'Preview Import';
+  }
+}
+
+function renderImportPreview(recipe, fields) {
+  const preview = document.getElementById('importPreview');
+  const ingredients = recipe.ingredients || [];
+  const instructions = recipe.instructions || [];
+  const meta = [
+    recipe.servings ? `${recipe.servings} servings` : '',
+    recipe.prepTime ? `${recipe.prepTime} min prep` : '',
+    recipe.cookTime ? `${recipe.cookTime} min cook` : '',
+    !recipe.prepTime && !recipe.cookTime && recipe.totalTime ? `${recipe.totalTime} min total` : ''
+  ].filter(Boolean).join(' · ');
+  const warnings = fields ? Object.values(fields) : [];
+
+  preview.innerHTML = `
+    ${recipe.imageUrl ? `<img src="${escapeHtml(recipe.imageUrl)}" alt="">` : ''}
+    <h3>${escapeHtml(recipe.recipeName || 'Untitled recipe')}</h3>
+    ${meta ? `<div class="import-meta">${escapeHtml(meta)}</div>` : ''}
+    ${recipe.description ? `<p>${escapeHtml(recipe.description)}</p>` : ''}
+    <ul>${ingredients.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>
+    <ol>${instructions.map(step => `<li>${escapeHtml(step)}</li>`).join('')}</ol>
+    ${warnings.length > 0 ? `<div class="import-warnings">Fix before saving: ${warnings.map(escapeHtml).join('; ')}</div>` : ''}
+    <button type="button" class="import-btn" id="useImportButton">Use This Recipe</button>
+  `;
+  preview.classList.add('show');
+  document.getElementById('useImportButton').addEventListener('click', useImportedRecipe);
+}
+
+/**
+ * Copy the previewed recipe into the form; the user reviews it and saves
+ */
+function useImportedRecipe() {
+  if (!previewedImport) return;
+  const recipe = previewedImport;
+
+  ensureCategoryOption(recipe.category);
+  populateForm(recipe);
+  if (recipe.imageUrl) showImagePreview(recipe.imageUrl);
+
+  importedExtras = {};
+  IMPORT_EXTRA_FIELDS.forEach((field) => {
+    if (recipe[field] !== undefined) importedExtras[field] = recipe[field];
+  });
+
+  clearFieldErrors();
+  showSuccess('Recipe imported. Check the details, then save.');
+  document.getElementById('recipeForm').scrollIntoView({ behavior: 'smooth' });
+}
+
+// Imported categories rarely match the fixed list; add them as an option
+function ensureCategoryOption(category) {
+  const select = document.getElementById('category');
+  if (!select || !category) return;
+
+  const wanted = category.toLowerCase();
+  const existing = Array.from(select.options).find(option =>
+    option.value && (option.value.toLowerCase() === wanted || option.textContent.toLowerCase() === wanted)
+  );
+  if (existing) {
+    select.value = existing.value;
+    return;
+  }
+  select.appendChild(new Option(category, category));
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = String(text);
+  return div.innerHTML;
+}
+
+/**
+ * Upload the chosen image file and point the imageUrl field at it
+ */
+async function handleImageSelected(event) {
+  const file = event.target.files && event.target.files[0];
+  if (!file) return;
+
+  hideMessages();
+  if (file.size > MAX_IMAGE_BYTES) {
+    showError('Image is too large. Please choose a file of at most 5 MB.');
+    event.target.value = '';
+    return;
+  }
+
+  // Show the local file straight away while it uploads
+  showImagePreview(URL.createObjectURL(file));
+  setImageStatus('Uploading image...');
+  setFormDisabled(true);
+
+  try {
+    const body = new FormData();
+    body.append('image', file);
+
+    const response = await fetch(IMAGES_ENDPOINT, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      body
+    });
+    const data = await response.json().catch(() => null);
+
+    if (!response.ok || !data || !data.success) {
+      throw new Error((data && (data.message || data.error)) || `Request failed with status ${response.status}`);
+    }
+
+    document.getElementById('imageUrl').value = data.url;
+    setImageStatus('Image uploaded.');
+  } catch (error) {
+    console.error('[addRecipe.js] Error uploading image:', error);
+    showError('Failed to upload image: ' + error.message);
+    setImageStatus('');
+    showImagePreview(document.getElementById('imageUrl').value.trim());
+    event.target.value = '';
+  } finally {
+    setFormDisabled(false);
+  }
+}
+
+function showImagePreview(src) {
+  const preview = document.getElementById('imagePreview');
+  if (!preview) return;
+
+  if (preview.src.startsWith('blob:')) URL.revokeObjectURL(preview.src);
+  if (src) {
+    preview.src = src;
+    preview.classList.add('show');
+  } else {
+    preview.removeAttribute('src');
+    preview.classList.remove('show');
+  }
+}
+
+function setImageStatus(message) {
+  const status = document.getElementById('imageStatus');
+  if (status) status.textContent = message;
+}
+
+/**
+ * Enable or disable the form buttons
+ */
+function setFormDisabled(disabled) {
+  document.querySelectorAll('#recipeForm button').forEach((button) => {
+    button.disabled = disabled;
+  });
+}
+
+/**
+ * Show per-field validation messages under the matching form controls
+ */
+function showFieldErrors(fields) {
+  const form = document.getElementById('recipeForm');
+
+  Object.entries(fields).forEach(([fieldName, message]) => {
+    const control = form.elements[FIELD_INPUTS[fieldName] || fieldName];
+    const group = control && (control.closest ? control.closest('.form-group') : null);
+    if (!group) {
+      console.warn('[addRecipe.js] No form field for error:', fieldName, message);
+      return;
+    }
+
+    // Several server fields can map to the same control; show each message once
+    if (group.querySelector(`.field-error[data-field="${fieldName}"]`)) return;
+
+    const error = document.createElement('div');
+    error.className = 'field-error';
+    error.dataset.field = fieldName;
+    error.textContent = message;
+    group.appendChild(error);
+    group.classList.add('has-error');
+  });
+
+  const firstError = form.querySelector('.has-error input, .has-error select, .has-error textarea');
+  if (firstError) firstError.focus();
+}
+
+function clearFieldErrors() {
+  document.querySelectorAll('#recipeForm .field-error').forEach(error => error.remove());
+  document.querySelectorAll('#recipeForm .has-error').forEach(group => group.classList.remove('has-error'));
+}
+
+function showError(message) {
+  const errorMessage = document.getElementById('errorMessage');
+  errorMessage.textContent = message;
+  errorMessage.classList.add('show');
+}
+
+function showSuccess(message) {
+  const successMessage = document.getElementById('successMessage');
+  successMessage.textContent = message;
+  successMessage.classList.add('show');
+}
+
+/**
+ * Show what the ingredient check found, with links to the saved recipe and its edit form
+ */
+function showSaveWarnings(warnings, id) {
+  const successMessage = document.getElementById('successMessage');
+  successMessage.textContent = 'Recipe saved, but please check:';
+
+  const list = document.createElement('ul');
+  warnings.forEach(warning => {
+    const item = document.createElement('li');
+    item.textContent = warning;
+    list.appendChild(item);
+  });
+  successMessage.appendChild(list);
+
+  const viewLink = document.createElement('a');
+  viewLink.href = `/view-recipe.html?id=${encodeURIComponent(id)}`;
+  viewLink.textContent = 'View recipe';
+  viewLink.style.color = 'white';
+  const editLink = document.createElement('a');
+  editLink.href = `/add-recipe.html?id=${encodeURIComponent(id)}`;
+  editLink.textContent = 'Edit again';
+  editLink.style.color = 'white';
+  successMessage.append(viewLink, ' · ', editLink);
+  successMessage.classList.add('show');
+  successMessage.scrollIntoView({ behavior: 'smooth' });
+}
+
+function hideMessages() {
+  document.getElementById('errorMessage').classList.remove('show');
+  document.getElementById('successMessage').classList.remove('show');
+}
+
+document.addEventListener('DOMContentLoaded', initRecipeForm);
@@ -1,24 +1,284 @@
 -- Cloudflare D1 Database Schema for Recipe Application
 -- This schema uses JSON storage in the 'details' column for flexibility
+--
+-- The numbered files in migrations/ are the source of truth. Apply them with:
+--   wrangler d1 migrations apply <database>
+-- This file is a snapshot of the schema they produce, for reference and for
+-- creating a fresh local database in one step. The API refuses to serve
+-- requests until schema_migrations reports the version it expects
+-- (SCHEMA_VERSION in functions/_lib/schema.js).
 
--- Drop table if exists (for fresh setup)
+-- Drop tables if they exist (for fresh setup)
+DROP TABLE IF EXISTS rate_limits;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS recipe_reports;
+DROP TABLE IF EXISTS recipe_revisions;
+DROP TABLE IF EXISTS shopping_list_checks;
+DROP TABLE IF EXISTS meal_plan_entries;
+DROP TABLE IF EXISTS collection_recipes;
+DROP TABLE IF EXISTS collections;
+DROP TABLE IF EXISTS reviews;
+DROP TABLE IF EXISTS favorites;
+DROP TABLE IF EXISTS recipes_fts;
+DROP TABLE IF EXISTS sessions;
 DROP TABLE IF EXISTS recipes;
+DROP TABLE IF EXISTS schema_migrations;
+
+-- Applied migrations, one row per file in migrations/
+CREATE TABLE schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
 
 -- Create recipes table
 CREATE TABLE recipes (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
-  name TEXT NOT NULL,
-  author TEXT DEFAULT 'Anonymous',
+  title TEXT NOT NULL,
+  category TEXT NOT NULL DEFAULT 'Uncategorized',
+  author TEXT NOT NULL DEFAULT 'Anonymous',  -- display name of the verified user who created the recipe
+  owner_email TEXT,  -- email of the signed-in user who created the recipe
   details TEXT NOT NULL,  -- JSON column storing all dynamic recipe data
-  created_at TEXT DEFAULT (datetime('now')),
-  updated_at TEXT DEFAULT (datetime('now'))
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+  status TEXT NOT NULL DEFAULT 'published'  -- draft, published, hidden (by an admin) or deleted (restorable)
+    CHECK (status IN ('draft', 'published', 'hidden', 'deleted'))
 );
 
--- Create index on name for faster searching
-CREATE INDEX idx_recipes_name ON recipes(name);
-
--- Create index on created_at for sorting
+CREATE INDEX idx_recipes_title ON recipes(title);
+CREATE INDEX idx_recipes_category ON recipes(category);
+CREATE INDEX idx_recipes_owner ON recipes(owner_email);
 CREATE INDEX idx_recipes_created ON recipes(created_at DESC);
+CREATE INDEX idx_recipes_status ON recipes(status, created_at DESC);
+
+-- Server-side login sessions issued by /api/verify-google
+-- Times are unix epoch seconds; expires_at slides forward on use up to max_expires_at
+CREATE TABLE sessions (
+  id TEXT PRIMARY KEY,  -- random session id carried in the signed 'session' cookie
+  email TEXT NOT NULL,
+  name TEXT,
+  picture TEXT,
+  created_at INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL,
+  max_expires_at INTEGER NOT NULL
+);
+
+CREATE INDEX idx_sessions_email ON sessions(email);
+CREATE INDEX idx_sessions_expires ON sessions(expires_at);
+
+-- Full-text index for /api/search, kept in sync with recipes by triggers
+CREATE VIRTUAL TABLE recipes_fts USING fts5(
+  title,
+  ingredients,
+  instructions,
+  tags,
+  description,
+  tokenize = 'porter unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER recipes_fts_insert AFTER INSERT ON recipes BEGIN
+  INSERT INTO recipes_fts (rowid, title, ingredients, instructions, tags, description)
+  VALUES (
+    new.id,
+    new.title,
+    CASE json_type(new.details, '$.ingredients')
+      WHEN 'array' THEN (SELECT group_concat(value, char(10)) FROM json_each(new.details, '$.ingredients'))
+      ELSE json_extract(new.details, '$.ingredients')
+    END,
+    CASE json_type(new.details, '$.instructions')
+      WHEN 'array' THEN (SELECT group_concat(value, char(10)) FROM json_each(new.details, '$.instructions'))
+      ELSE json_extract(new.details, '$.instructions')
+    END,
+    CASE json_type(new.details, '$.tags')
+      WHEN 'array' THEN (SELECT group_concat(value, ' ') FROM json_each(new.details, '$.tags'))
+      ELSE json_extract(new.details, '$.tags')
+    END,
+    json_extract(new.details, '$.description')
+  );
+END;
+
+CREATE TRIGGER recipes_fts_update AFTER UPDATE OF title, details ON recipes BEGIN
+  DELETE FROM recipes_fts WHERE rowid = old.id;
+  INSERT INTO recipes_fts (rowid, title, ingredients, instructions, tags, description)
+  VALUES (
+    new.id,
+    new.title,
+    CASE json_type(new.details, '$.ingredients')
+      WHEN 'array' THEN (SELECT group_concat(value, char(10)) FROM json_each(new.details, '$.ingredients'))
+      ELSE json_extract(new.details, '$.ingredients')
+    END,
+    CASE json_type(new.details, '$.instructions')
+      WHEN 'array' THEN (SELECT group_concat(value, char(10)) FROM json_each(new.details, '$.instructions'))
+      ELSE json_extract(new.details, '$.instructions')
+    END,
+    CASE json_type(new.details, '$.tags')
+      WHEN 'array' THEN (SELECT group_concat(value, ' ') FROM json_each(new.details, '$.tags'))
+      ELSE json_extract(new.details, '$.tags')
+    END,
+    json_extract(new.details, '$.description')
+  );
+END;
+
+CREATE TRIGGER recipes_fts_delete AFTER DELETE ON recipes BEGIN
+  DELETE FROM recipes_fts WHERE rowid = old.id;
+END;
+
+-- Favorites and reviews, keyed by the signed-in user's email
+CREATE TABLE favorites (
+  recipe_id INTEGER NOT NULL REFERENCES recipes(id) ON DELETE CASCADE,
+  user_email TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (recipe_id, user_email)
+);
+
+CREATE INDEX idx_favorites_user ON favorites(user_email, created_at DESC);
+
+-- One review per user and recipe; the rating is required, the comment is not
+CREATE TABLE reviews (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  recipe_id INTEGER NOT NULL REFERENCES recipes(id) ON DELETE CASCADE,
+  user_email TEXT NOT NULL,
+  user_name TEXT,  -- display name at the time of writing
+  rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  comment TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE (recipe_id, user_email)
+);
+
+CREATE INDEX idx_reviews_recipe ON reviews(recipe_id, created_at DESC);
+
+-- User-curated recipe collections
+-- visibility: 'private' (owner only), 'link' (anyone with the share_token
+-- link) or 'public' (listed for everyone)
+CREATE TABLE collections (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  owner_email TEXT NOT NULL,
+  owner_name TEXT,
+  name TEXT NOT NULL,
+  description TEXT,
+  visibility TEXT NOT NULL DEFAULT 'private' CHECK (visibility IN ('private', 'link', 'public')),
+  share_token TEXT NOT NULL UNIQUE,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX idx_collections_owner ON collections(owner_email, updated_at DESC);
+CREATE INDEX idx_collections_visibility ON collections(visibility, updated_at DESC);
+
+-- Ordered recipe references; a recipe appears at most once per collection
+CREATE TABLE collection_recipes (
+  collection_id INTEGER NOT NULL REFERENCES collections(id) ON DELETE CASCADE,
+  recipe_id INTEGER NOT NULL REFERENCES recipes(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  added_at TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (collection_id, recipe_id)
+);
+
+CREATE INDEX idx_collection_recipes_position ON collection_recipes(collection_id, position);
+
+-- Meal plan: a recipe on a day and meal for one user, with servings to cook
+CREATE TABLE meal_plan_entries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_email TEXT NOT NULL,
+  plan_date TEXT NOT NULL,  -- YYYY-MM-DD
+  meal TEXT NOT NULL CHECK (meal IN ('breakfast', 'lunch', 'dinner', 'snack')),
+  recipe_id INTEGER NOT NULL REFERENCES recipes(id) ON DELETE CASCADE,
+  servings INTEGER NOT NULL CHECK (servings BETWEEN 1 AND 100),
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX idx_meal_plan_user_date ON meal_plan_entries(user_email, plan_date);
+
+-- Shopping list items the user has ticked off (the list itself is computed),
+-- per plan range so a tick for one week does not carry over to the next
+CREATE TABLE shopping_list_checks (
+  user_email TEXT NOT NULL,
+  range_from TEXT NOT NULL,
+  range_to TEXT NOT NULL,
+  item_key TEXT NOT NULL,
+  checked_at TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (user_email, range_from, range_to, item_key)
+);
+
+-- Recipe history: each write (and soft delete) stores the new title/category/details as the next revision
+CREATE TABLE recipe_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  recipe_id INTEGER NOT NULL REFERENCES recipes(id) ON DELETE CASCADE,
+  revision INTEGER NOT NULL,  -- 1, 2, 3... per recipe
+  title TEXT NOT NULL,
+  category TEXT NOT NULL,
+  details TEXT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('snapshot', 'create', 'update', 'restore', 'import', 'delete')),
+  restored_from INTEGER,  -- revision number copied by a 'restore'
+  editor_email TEXT,
+  editor_name TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE (recipe_id, revision)
+);
+
+-- Revisions are immutable
+CREATE TRIGGER recipe_revisions_immutable BEFORE UPDATE ON recipe_revisions BEGIN
+  SELECT RAISE(ABORT, 'recipe revisions cannot be changed');
+END;
+
+-- Users' reports about recipes, reviewed by admins
+CREATE TABLE recipe_reports (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  recipe_id INTEGER NOT NULL REFERENCES recipes(id) ON DELETE CASCADE,
+  reporter_email TEXT NOT NULL,
+  reporter_name TEXT,
+  reason TEXT NOT NULL CHECK (reason IN ('spam', 'offensive', 'broken', 'copyright', 'other')),
+  message TEXT,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  reviewed_at TEXT,
+  reviewed_by TEXT
+);
+
+-- One open report per user and recipe
+CREATE UNIQUE INDEX idx_recipe_reports_open ON recipe_reports(recipe_id, reporter_email) WHERE status = 'open';
+CREATE INDEX idx_recipe_reports_status ON recipe_reports(status, created_at DESC);
+
+-- Signed-in users and their role: viewer, editor (default) or admin
+-- role_updated_by is set once an admin assigns the role by hand
+CREATE TABLE users (
+  email TEXT PRIMARY KEY,
+  name TEXT,
+  picture TEXT,
+  role TEXT NOT NULL DEFAULT 'editor' CHECK (role IN ('viewer', 'editor', 'admin')),
+  role_updated_at TEXT,
+  role_updated_by TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  last_login_at TEXT
+);
+
+CREATE INDEX idx_users_role ON users(role);
+
+-- Token buckets for API rate limiting, one per route and client (IP or user)
+-- Times are unix epoch milliseconds; the bucket is full again at full_at
+CREATE TABLE rate_limits (
+  key TEXT PRIMARY KEY,  -- '<route>|ip:<address>' or '<route>|user:<email>'
+  tokens REAL NOT NULL,
+  updated_at INTEGER NOT NULL,
+  full_at INTEGER NOT NULL
+);
+
+CREATE INDEX idx_rate_limits_full ON rate_limits(full_at);
+
+INSERT INTO schema_migrations (version, name) VALUES
+  (1, 'canonical_recipes'),
+  (2, 'sessions'),
+  (3, 'recipes_fts'),
+  (4, 'favorites_reviews'),
+  (5, 'collections'),
+  (6, 'meal_plans'),
+  (7, 'recipe_revisions'),
+  (8, 'recipe_moderation'),
+  (9, 'users'),
+  (10, 'rate_limits'),
+  (11, 'shopping_list_ranges'),
+  (12, 'revision_delete_action');
 
 -- Sample data structure for 'details' JSON column:
 -- {
@@ -52,17 +312,20 @@ CREATE INDEX idx_recipes_created ON recipes(created_at DESC);
 -- }
 
 -- Example INSERT query:
--- INSERT INTO recipes (name, author, details) 
+-- INSERT INTO recipes (title, category, author, owner_email, details)
 -- VALUES (
 --   'Pasta Carbonara',
+--   'main',
 --   'Chef Mario',
---   json('{"cuisine":"Italian","difficulty":"Medium","prepTime":"15 minutes",...}')
+--   'mario@example.com',
+--   json('{"recipeName":"Pasta Carbonara","cuisine":"Italian","difficulty":"Medium",...}')
 -- );
 
 -- Example SELECT query to extract JSON data:
 -- SELECT 
 --   id, 
---   name, 
+--   title, 
+--   category,
 --   author,
 --   json_extract(details, '$.cuisine') as cuisine,
 --   json_extract(details, '$.difficulty') as difficulty,
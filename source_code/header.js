@@ -4,10 +4,11 @@
  * This module provides a consistent authentication status display across all pages.
  * Features:
  * - Shows "Checking..." state immediately while verification is in progress
- * - Attempts Bearer token authentication first (from localStorage/sessionStorage)
- * - Falls back to cookie-based session authentication
+ * - Attempts the server-side session cookie first (set by /api/verify-google)
+ * - Falls back to a legacy Bearer token (from localStorage/sessionStorage)
  * - Uses single /api/me endpoint for all authentication modes
- * - Robust logging and error handling
+ * - Shows or hides [data-permission] controls by the user's role permissions
+ * - Logs only the auth outcome, never tokens or profile data
  */
 
 const AUTH_ME_ENDPOINT = '/api/me';
@@ -17,8 +18,6 @@ const AUTH_ME_ENDPOINT = '/api/me';
  * Call this function on DOMContentLoaded from your page
  */
 async function initHeaderAuth() {
-  console.log('[header.js] Initializing header auth status...');
-  
   // Show "Checking..." state immediately
   showCheckingState();
   
@@ -27,10 +26,10 @@ async function initHeaderAuth() {
     const userData = await verifyAuth();
     
     if (userData) {
-      console.log('[header.js] Auth verified, user:', userData);
       showUserInfo(userData);
+      applyPermissions(userData.permissions || []);
     } else {
-      console.log('[header.js] Not authenticated');
+      console.info('[header.js] Not signed in');
       showUnauthenticatedState();
     }
   } catch (error) {
@@ -40,17 +39,31 @@ async function initHeaderAuth() {
 }
 
 /**
- * Verify authentication using Bearer token or cookie-based session
+ * Verify authentication using the session cookie or a stored Bearer token
  * Returns user profile {name, email, picture} or null if unauthenticated
  */
 async function verifyAuth() {
-  console.log('[header.js] Starting auth verification...');
+  // First, try the server-side session cookie
+  try {
+    const response = await fetch(AUTH_ME_ENDPOINT, {
+      method: 'GET',
+      credentials: 'include'
+    });
+    
+    if (response.ok) {
+      const userData = await response.json();
+      return userData;
+    } else {
+      console.debug('[header.js] No session (status', response.status + ')');
+    }
+  } catch (error) {
+    console.error('[header.js] Error during session auth:', error);
+  }
   
-  // First, try Bearer token from storage
+  // Fallback: try a Bearer token left in storage
   const token = localStorage.getItem('authToken') || sessionStorage.getItem('authToken');
   
   if (token) {
-    console.log('[header.js] Found auth token in storage, attempting Bearer auth...');
     try {
       const response = await fetch(AUTH_ME_ENDPOINT, {
         method: 'GET',
@@ -62,40 +75,48 @@ async function verifyAuth() {
       
       if (response.ok) {
         const userData = await response.json();
-        console.log('[header.js] Bearer auth successful:', userData);
         return userData;
       } else {
-        // Log the response body as text before parsing
-        const responseText = await response.text();
-        console.warn('[header.js] Bearer auth failed with status:', response.status);
-        console.warn('[header.js] Bearer auth failed - Response body:', responseText);
+        console.warn('[header.js] Stored token rejected with status:', response.status);
+        // The token is expired or invalid; stop sending it
+        localStorage.removeItem('authToken');
+        sessionStorage.removeItem('authToken');
       }
     } catch (error) {
       console.error('[header.js] Error during Bearer auth:', error);
     }
   }
   
-  // Fallback: try cookie-based session
-  console.log('[header.js] No token found or Bearer auth failed, trying cookie-based session...');
+  return null;
+}
+
+/**
+ * Revoke the server-side session and return to the sign-in page
+ */
+async function logout() {
   try {
-    const response = await fetch(AUTH_ME_ENDPOINT, {
-      method: 'GET',
-      credentials: 'include'
-    });
-    
-    if (response.ok) {
-      const userData = await response.json();
-      console.log('[header.js] Cookie-based session auth successful:', userData);
-      return userData;
-    } else {
-      console.warn('[header.js] Cookie-based session auth failed with status:', response.status);
-    }
+    await fetch('/api/logout', { method: 'POST', credentials: 'include' });
   } catch (error) {
-    console.error('[header.js] Error during cookie-based auth:', error);
+    console.error('[header.js] Error during logout:', error);
   }
   
-  console.log('[header.js] All authentication methods failed');
-  return null;
+  localStorage.removeItem('authToken');
+  sessionStorage.removeItem('authToken');
+  sessionStorage.removeItem('user');
+  window.location.href = '/index.html';
+}
+
+/**
+ * Build request headers that authenticate API writes
+ * Adds the stored Bearer token when one exists; cookies are sent by the browser
+ */
+function getAuthHeaders(extraHeaders = {}) {
+  const headers = { ...extraHeaders };
+  const token = localStorage.getItem('authToken') || sessionStorage.getItem('authToken');
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+  return headers;
 }
 
 /**
@@ -109,7 +130,6 @@ function showCheckingState() {
     userName.textContent = 'Checking...';
     userInfo.classList.add('visible');
     userInfo.style.opacity = '0.6';
-    console.log('[header.js] Showing checking state');
   } else {
     console.warn('[header.js] Could not find #userInfo or #userName elements');
   }
@@ -130,7 +150,6 @@ function showUserInfo(userData) {
   // Extract display name from user data
   const displayName = userData.name || userData.fullName || userData.displayName || userData.email || 'User';
   
-  console.log('[header.js] Setting user display name:', displayName);
   userName.textContent = displayName;
   
   // Add avatar if available
@@ -146,11 +165,36 @@ function showUserInfo(userData) {
     userName.insertBefore(avatar, userName.firstChild);
   }
   
+  // Add a log out link after the name
+  const logoutLink = document.createElement('a');
+  logoutLink.href = '#';
+  logoutLink.textContent = 'Log out';
+  logoutLink.className = 'logout-link';
+  logoutLink.style.color = 'inherit';
+  logoutLink.style.marginLeft = '10px';
+  logoutLink.style.fontSize = '12px';
+  logoutLink.addEventListener('click', (event) => {
+    event.preventDefault();
+    logout();
+  });
+  userInfo.appendChild(logoutLink);
+  
   // Make fully visible
   userInfo.classList.add('visible');
   userInfo.style.opacity = '1';
 }
 
+/**
+ * Show or hide controls marked with data-permission="<permission>"
+ * Admin-only controls start out hidden in the markup and are revealed here;
+ * controls a role may not use (e.g. Add Recipe for viewers) are hidden.
+ */
+function applyPermissions(permissions) {
+  document.querySelectorAll('[data-permission]').forEach((element) => {
+    element.hidden = !permissions.includes(element.dataset.permission);
+  });
+}
+
 /**
  * Show unauthenticated state (hide user info or show login prompt)
  */
@@ -162,7 +206,6 @@ function showUnauthenticatedState() {
     // Option 1: Hide the user info pill entirely
     userInfo.classList.remove('visible');
     userInfo.style.display = 'none';
-    console.log('[header.js] Hiding user info (unauthenticated)');
     
     // Option 2: Show "Log In" link (uncomment if preferred)
     // userName.innerHTML = '<a href="/index.html" style="color: inherit; text-decoration: none;">Log In</a>';
@@ -176,4 +219,6 @@ function showUnauthenticatedState() {
 // Export for use in pages
 if (typeof window !== 'undefined') {
   window.initHeaderAuth = initHeaderAuth;
+  window.getAuthHeaders = getAuthHeaders;
+  window.logout = logout;
 }
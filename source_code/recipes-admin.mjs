@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+/**
+ * Recipe collection export / import from the command line
+ *
+ * Thin client for the admin endpoints, for copying recipes between
+ * deployments (e.g. staging -> production):
+ *
+ *   node source_code/recipes-admin.mjs export --site https://staging.example.com > recipes.ndjson
+ *   node source_code/recipes-admin.mjs import recipes.ndjson --site https://example.com --dry-run
+ *   node source_code/recipes-admin.mjs import recipes.ndjson --site https://example.com
+ *
+ * Authenticates as an admin (ADMIN_EMAILS) with either
+ *   RECIPES_SESSION - value of the `session` cookie from a signed-in browser, or
+ *   RECIPES_TOKEN   - a Google ID token, sent as a Bearer token
+ *
+ * Import prints a summary, then every skipped line and every error by line
+ * number. It exits with status 1 when any line failed validation.
+ */
+
+import { readFile } from 'node:fs/promises';
+
+const USAGE = `Usage:
+  recipes-admin.mjs export --site <url>
+  recipes-admin.mjs import <file.ndjson> --site <url> [--dry-run]`;
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  if (!args.command || !args.site || (args.command === 'import' && !args.file)) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  if (args.command === 'export') {
+    const response = await request(args.site, '/api/admin/export');
+    process.stdout.write(await response.text());
+    return 0;
+  }
+
+  if (args.command === 'import') {
+    const body = await readFile(args.file, 'utf8');
+    const query = args.dryRun ? '?dryRun=1' : '';
+    const response = await request(args.site, `/api/admin/import${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-ndjson' },
+      body
+    });
+    const report = await response.json();
+
+    console.log(`${report.dryRun ? '[dry run] Would import' : 'Imported'} ${report.imported} of ${report.total} records`);
+    report.skipped.forEach(item => console.log(`  line ${item.line}: skipped "${item.title}" (${item.reason})`));
+    report.errors.forEach(item => {
+      const fields = item.fields ? ': ' + Object.entries(item.fields).map(([field, message]) => `${field} - ${message}`).join('; ') : '';
+      console.error(`  line ${item.line}: ${item.error}${fields}`);
+    });
+    return report.errors.length > 0 ? 1 : 0;
+  }
+
+  console.error(USAGE);
+  return 2;
+}
+
+function parseArgs(argv) {
+  const args = { command: argv[0], file: null, site: null, dryRun: false };
+  for (let i = 1; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') {
+      args.dryRun = true;
+    } else if (argv[i] === '--site') {
+      args.site = argv[++i];
+    } else if (!args.file) {
+      args.file = argv[i];
+    }
+  }
+  return args;
+}
+
+async function request(site, path, options = {}) {
+  const headers = { ...options.headers };
+  if (process.env.RECIPES_SESSION) {
+    headers.Cookie = `session=${process.env.RECIPES_SESSION}`;
+  } else if (process.env.RECIPES_TOKEN) {
+    headers.Authorization = `Bearer ${process.env.RECIPES_TOKEN}`;
+  }
+
+  const response = await fetch(new URL(path, site), { ...options, headers });
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`${options.method || 'GET'} ${path} failed with status ${response.status}: ${text}`);
+  }
+  return response;
+}
+
+main(process.argv.slice(2))
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { onRequestPost as importRecipes } from '../../functions/api/admin/import.js';
+import { onRequestGet as exportRecipes } from '../../functions/api/admin/export.js';
+import { onRequest as adminMiddleware } from '../../functions/api/admin/_middleware.js';
+import { createTestDatabase } from '../helpers/d1.js';
+import { createContext } from '../helpers/context.js';
+
+const ADMIN = { email: 'admin@example.com', name: 'Admin', role: 'admin' };
+
+let DB;
+
+beforeEach(async () => {
+  DB = await createTestDatabase();
+  DB.query(
+    `INSERT INTO recipes (title, category, author, owner_email, details, status, created_at, updated_at)
+     VALUES ('Pancakes', 'Breakfast', 'Ann', 'ann@example.com', ?, 'published', '2024-05-01 08:00:00', '2024-05-02 09:30:00')`,
+    [JSON.stringify({ recipeName: 'Pancakes', servings: 4, ingredients: ['200 g flour', '2 eggs'], instructions: ['Mix.', 'Fry.'] })]
+  );
+});
+
+function ndjson(records) {
+  return records.map(record => typeof record === 'string' ? record : JSON.stringify(record)).join('\n') + '\n';
+}
+
+function record(title, extra = {}) {
+  return { title, category: 'Main', author: 'Sam', details: { ingredients: ['1 onion'], instructions: ['Cook.'] }, ...extra };
+}
+
+async function runImport(body, query = '', env = { DB }) {
+  const response = await importRecipes(createContext(`/api/admin/import${query}`, {
+    method: 'POST', body, headers: { 'Content-Type': 'application/x-ndjson' }, user: ADMIN, env
+  }));
+  return { status: response.status, body: await response.json() };
+}
+
+function count() {
+  return DB.query('SELECT COUNT(*) AS count FROM recipes')[0].count;
+}
+
+describe('POST /api/admin/import', () => {
+  it('loads an export into another database with its timestamps, status and first revision', async () => {
+    const exported = await (await exportRecipes(createContext('/api/admin/export', { user: ADMIN, env: { DB } }))).text();
+    const target = await createTestDatabase();
+
+    const { status, body } = await runImport(exported, '', { DB: target });
+    expect(status).toBe(200);
+    expect(body).toEqual({ success: true, dryRun: false, total: 1, imported: 1, skipped: [], errors: [] });
+
+    expect(target.query('SELECT title, category, author, owner_email, status, created_at, updated_at FROM recipes')).toEqual([{
+      title: 'Pancakes', category: 'Breakfast', author: 'Ann', owner_email: 'ann@example.com',
+      status: 'published', created_at: '2024-05-01 08:00:00', updated_at: '2024-05-02 09:30:00'
+    }]);
+    const details = JSON.parse(target.query('SELECT details FROM recipes')[0].details);
+    expect(details).toMatchObject({ servings: 4, ingredients: ['200 g flour', '2 eggs'], allergens: ['gluten', 'egg'] });
+    expect(target.query('SELECT revision, action, editor_email FROM recipe_revisions')).toEqual([
+      { revision: 1, action: 'import', editor_email: ADMIN.email }
+    ]);
+  });
+
+  it('skips records whose title and author already exist, in the database or earlier in the file', async () => {
+    const { body } = await runImport(ndjson([
+      record('  PANCAKES ', { author: 'ann' }),
+      record('Stew'),
+      record('stew', { author: 'SAM' }),
+      record('Stew', { author: 'Someone else' })
+    ]));
+
+    expect(body.imported).toBe(2);
+    expect(body.skipped).toEqual([
+      { line: 1, title: 'PANCAKES', reason: 'duplicate title and author' },
+      { line: 3, title: 'stew', reason: 'duplicate title and author' }
+    ]);
+    expect(DB.query('SELECT author FROM recipes WHERE title = ? ORDER BY id', ['Stew'])).toEqual([{ author: 'Sam' }, { author: 'Someone else' }]);
+  });
+
+  it('reports bad records by line number and imports the rest', async () => {
+    const { body } = await runImport(ndjson([
+      '{"title": ',
+      '[1, 2]',
+      '',
+      record('No details', { details: 'not json' }),
+      record('', { details: {} }),
+      record('Bad date', { created_at: 'yesterday' }),
+      record('Bad status', { status: 'archived' }),
+      record('Good')
+    ]));
+
+    expect(body.total).toBe(7);
+    expect(body.imported).toBe(1);
+    expect(body.errors).toEqual([
+      { line: 1, error: 'Invalid JSON' },
+      { line: 2, error: 'Each line must be a JSON object' },
+      { line: 4, error: 'details is not valid JSON' },
+      { line: 5, error: 'Validation failed', fields: expect.any(Object) },
+      { line: 6, error: 'created_at and updated_at must be dates' },
+      { line: 7, error: expect.stringMatching(/^status must be one of/) }
+    ]);
+    expect(DB.query('SELECT title FROM recipes ORDER BY id')).toEqual([{ title: 'Pancakes' }, { title: 'Good' }]);
+  });
+
+  it('reports the same result on a dry run without writing anything', async () => {
+    const file = ndjson([record('Stew'), record('Pancakes', { author: 'Ann' }), '{']);
+
+    const dry = await runImport(file, '?dryRun=1');
+    expect(dry.body).toMatchObject({ dryRun: true, total: 3, imported: 1 });
+    expect(count()).toBe(1);
+    expect(DB.query('SELECT COUNT(*) AS count FROM recipe_revisions')).toEqual([{ count: 0 }]);
+
+    const real = await runImport(file);
+    expect({ ...real.body, dryRun: true }).toEqual(dry.body);
+    expect(count()).toBe(2);
+  });
+
+  it('accepts ISO-8601 dates and stores them in D1 format', async () => {
+    await runImport(ndjson([record('Stew', { created_at: '2024-06-01T10:15:00.000Z' })]));
+    expect(DB.query("SELECT created_at, updated_at FROM recipes WHERE title = 'Stew'")).toEqual([
+      { created_at: '2024-06-01 10:15:00', updated_at: '2024-06-01 10:15:00' }
+    ]);
+  });
+});
+
+describe('/api/admin middleware', () => {
+  it.each([
+    [null, 401],
+    [{ email: 'editor@example.com', role: 'editor' }, 403]
+  ])('refuses %j with %i', async (user, status) => {
+    const response = await adminMiddleware(createContext('/api/admin/import', { method: 'POST', user, env: { DB } }));
+    expect(response.status).toBe(status);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { classifyRecipe } from '../../functions/_lib/allergens.js';
+import { parseIngredients } from '../../functions/_lib/ingredients.js';
+
+function classify(lines, recipe = {}) {
+  return classifyRecipe({ ...recipe, parsedIngredients: parseIngredients(lines) });
+}
+
+const ALL_DIETS = ['vegetarian', 'vegan', 'gluten-free', 'dairy-free'];
+
+describe('classifyRecipe allergens', () => {
+  it.each([
+    ['200 g flour', ['gluten']],
+    ['2 tbsp soy sauce', ['gluten', 'soy']],
+    ['2 eggs', ['egg']],
+    ['100 g cheddar cheese', ['dairy']],
+    ['200 g prawns', ['shellfish']],
+    ['1 tbsp fish sauce', ['fish']],
+    ['2 tbsp tahini', ['sesame']],
+    ['50 g walnuts', ['nuts']]
+  ])('%s contains %j', (line, allergens) => {
+    expect(classify([line]).allergens).toEqual(allergens);
+  });
+
+  it('does not mistake peanut butter for dairy or almond milk for milk', () => {
+    expect(classify(['2 tbsp peanut butter']).allergens).toEqual(['peanuts']);
+    expect(classify(['1 cup almond milk']).allergens).toEqual(['nuts']);
+  });
+
+  it.each([
+    '1 cup coconut milk',
+    '1 tsp nutmeg',
+    '200 g rice flour',
+    '1 tsp cream of tartar',
+    '1 butternut squash'
+  ])('finds nothing in %s', (line) => {
+    expect(classify([line]).allergens).toEqual([]);
+  });
+
+  it('reports each allergen once, in ALLERGENS order', () => {
+    expect(classify(['1 cup milk', '200 g flour', '2 tbsp butter', '2 eggs']).allergens).toEqual(['gluten', 'dairy', 'egg']);
+  });
+});
+
+describe('classifyRecipe diet warnings', () => {
+  it('warns when a vegan recipe uses butter', () => {
+    expect(classify(['2 tbsp butter', '200 g flour'], { vegan: true }).warnings).toEqual([
+      'Marked vegan, but "2 tbsp butter" contains dairy'
+    ]);
+  });
+
+  it('warns when a gluten-free tagged recipe uses breadcrumbs, and drops the tag', () => {
+    const result = classify(['1 cup breadcrumbs', '2 eggs'], { tags: ['gluten-free', 'quick'] });
+
+    expect(result.warnings).toEqual(['Marked gluten-free, but "1 cup breadcrumbs" contains gluten']);
+    expect(result.tags).not.toContain('gluten-free');
+    expect(result.tags).toContain('quick');
+  });
+
+  it('names meat and other animal products', () => {
+    expect(classify(['500 g chicken breast'], { vegetarian: true }).warnings).toEqual([
+      'Marked vegetarian, but "500 g chicken breast" is meat'
+    ]);
+    expect(classify(['1 tbsp honey'], { vegan: true }).warnings).toEqual([
+      'Marked vegan, but "1 tbsp honey" is an animal product'
+    ]);
+  });
+
+  it('has no warnings for claims the ingredients support', () => {
+    expect(classify(['200 g rice', '1 onion'], { vegan: true, glutenFree: true }).warnings).toEqual([]);
+  });
+});
+
+describe('classifyRecipe tags', () => {
+  it('adds diet tags when every ingredient is recognised', () => {
+    expect(classify(['200 g rice', '1 onion']).tags).toEqual(ALL_DIETS);
+    expect(classify(['2 tbsp butter', '200 g flour']).tags).toEqual(['vegetarian', 'contains-gluten', 'contains-dairy']);
+  });
+
+  it('withholds diet tags when an ingredient is unmatched, but keeps contains- tags', () => {
+    expect(classify(['200 g rice', '1 handful dragonfruit']).tags).toEqual([]);
+    expect(classify(['2 tbsp butter', '1 handful dragonfruit']).tags).toEqual(['contains-dairy']);
+    expect(classify([]).tags).toEqual([]);
+  });
+
+  it('re-derives tags from an earlier save', () => {
+    const result = classify(['500 g chicken breast', '200 g rice'], { tags: ['vegetarian', 'contains-dairy', 'quick'] });
+    expect(result.tags).toEqual(['quick', 'gluten-free', 'dairy-free']);
+  });
+
+  it('keeps at most 20 tags', () => {
+    const own = Array.from({ length: 20 }, (_, index) => `tag-${index}`);
+    expect(classify(['200 g flour'], { tags: own }).tags).toEqual(own);
+  });
+});
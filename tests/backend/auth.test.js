@@ -0,0 +1,47 @@
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import { verifyCloudflareAccessJWT } from '../../functions/_lib/auth.js';
+import { clearJwksCache } from '../../functions/_lib/jwt.js';
+import { generateSigningKey, signJwt, jwksFetch } from '../helpers/jwt.js';
+
+const TEAM_DOMAIN = 'https://team.cloudflareaccess.com';
+const env = { CF_ACCESS_TEAM_DOMAIN: TEAM_DOMAIN, CF_ACCESS_AUD: 'aud-tag', LOG_LEVEL: 'error' };
+
+let key;
+
+beforeAll(async () => {
+  key = await generateSigningKey('access-key');
+});
+
+beforeEach(() => {
+  clearJwksCache();
+  vi.stubGlobal('fetch', jwksFetch([key]));
+});
+
+function accessToken(overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return signJwt({ iss: TEAM_DOMAIN, aud: ['aud-tag'], exp: now + 600, sub: 'user-id', ...overrides }, key);
+}
+
+describe('verifyCloudflareAccessJWT', () => {
+  it('returns the user named by the email claim', async () => {
+    const user = await verifyCloudflareAccessJWT(await accessToken({ email: 'cook@example.com' }), env);
+    expect(user).toEqual({ email: 'cook@example.com', name: 'cook@example.com', picture: null, email_verified: true });
+  });
+
+  it('loads the keys from the team certs URL', async () => {
+    await verifyCloudflareAccessJWT(await accessToken({ email: 'cook@example.com' }), env);
+    expect(fetch.calls).toBe(1);
+  });
+
+  it('rejects tokens without an email claim instead of inventing one', async () => {
+    expect(await verifyCloudflareAccessJWT(await accessToken(), env)).toBeNull();
+  });
+
+  it('rejects tokens for another application', async () => {
+    expect(await verifyCloudflareAccessJWT(await accessToken({ email: 'cook@example.com', aud: ['other'] }), env)).toBeNull();
+  });
+
+  it('rejects every token when Access is not configured', async () => {
+    expect(await verifyCloudflareAccessJWT(await accessToken({ email: 'cook@example.com' }), { LOG_LEVEL: 'error' })).toBeNull();
+  });
+});
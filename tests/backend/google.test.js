@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { verifyGoogleIdToken, getGoogleClientIds, GOOGLE_JWKS_URL } from '../../functions/_lib/google.js';
+import { clearJwksCache } from '../../functions/_lib/jwt.js';
+import { generateSigningKey, signJwt, jwksFetch } from '../helpers/jwt.js';
+
+const NOW = Date.UTC(2026, 0, 1);
+const nowSeconds = NOW / 1000;
+const env = { GOOGLE_CLIENT_IDS: 'web-client.apps.googleusercontent.com, ios-client.apps.googleusercontent.com' };
+
+let key;
+let fetchImpl;
+
+beforeAll(async () => {
+  key = await generateSigningKey('google-key');
+});
+
+beforeEach(() => {
+  clearJwksCache();
+  fetchImpl = jwksFetch([key]);
+});
+
+function idToken(overrides = {}) {
+  return signJwt({
+    iss: 'https://accounts.google.com',
+    aud: 'web-client.apps.googleusercontent.com',
+    sub: '1234567890',
+    email: 'cook@example.com',
+    email_verified: true,
+    name: 'Cook',
+    picture: 'https://example.com/cook.png',
+    exp: nowSeconds + 600,
+    iat: nowSeconds,
+    ...overrides
+  }, key);
+}
+
+function verify(token, tokenEnv = env, options = {}) {
+  return verifyGoogleIdToken(token, tokenEnv, { now: NOW, fetchImpl, ...options });
+}
+
+describe('getGoogleClientIds', () => {
+  it('splits and trims GOOGLE_CLIENT_IDS', () => {
+    expect(getGoogleClientIds(env)).toEqual(['web-client.apps.googleusercontent.com', 'ios-client.apps.googleusercontent.com']);
+  });
+
+  it('falls back to GOOGLE_CLIENT_ID', () => {
+    expect(getGoogleClientIds({ GOOGLE_CLIENT_ID: 'single' })).toEqual(['single']);
+  });
+});
+
+describe('verifyGoogleIdToken', () => {
+  it('returns the user for a valid token', async () => {
+    await expect(verify(await idToken())).resolves.toEqual({
+      email: 'cook@example.com',
+      name: 'Cook',
+      picture: 'https://example.com/cook.png',
+      email_verified: true
+    });
+  });
+
+  it('loads keys from the Google JWKS URL', async () => {
+    const urls = [];
+    const recording = async (url) => { urls.push(url); return fetchImpl(url); };
+    await verify(await idToken(), env, { fetchImpl: recording });
+    expect(urls).toEqual([GOOGLE_JWKS_URL]);
+  });
+
+  it('accepts a token for any configured client ID', async () => {
+    await expect(verify(await idToken({ aud: 'ios-client.apps.googleusercontent.com' }))).resolves.toMatchObject({ email: 'cook@example.com' });
+  });
+
+  it('rejects a token for a client ID that is not configured', async () => {
+    await expect(verify(await idToken({ aud: 'other-client.apps.googleusercontent.com' }))).rejects.toThrow('audience mismatch');
+  });
+
+  it('refuses to verify without configured client IDs', async () => {
+    await expect(verify(await idToken(), {})).rejects.toThrow('not configured');
+  });
+
+  it('accepts both Google issuer spellings', async () => {
+    await expect(verify(await idToken({ iss: 'accounts.google.com' }))).resolves.toMatchObject({ email: 'cook@example.com' });
+  });
+
+  it('rejects other issuers', async () => {
+    await expect(verify(await idToken({ iss: 'https://accounts.evil.test' }))).rejects.toThrow('issuer mismatch');
+  });
+
+  it('rejects expired tokens', async () => {
+    await expect(verify(await idToken({ exp: nowSeconds - 3600 }))).rejects.toThrow('JWT has expired');
+  });
+
+  it('rejects unverified email addresses', async () => {
+    await expect(verify(await idToken({ email_verified: false }))).rejects.toThrow('email is not verified');
+  });
+
+  it('reuses the cached key set across tokens', async () => {
+    await verify(await idToken());
+    await verify(await idToken({ sub: 'another-user' }), env, { now: NOW + 5 * 60 * 1000 });
+    expect(fetchImpl.calls).toBe(1);
+  });
+});
@@ -0,0 +1,192 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { onRequestPost } from '../../functions/api/images.js';
+import { onRequestGet, onRequestDelete } from '../../functions/api/images/[id].js';
+import { MAX_IMAGE_BYTES, originalKey, variantKey } from '../../functions/_lib/images.js';
+import { createTestBucket } from '../helpers/r2.js';
+import { createContext } from '../helpers/context.js';
+
+const OWNER = { email: 'owner@example.com', role: 'editor' };
+const OTHER = { email: 'other@example.com', role: 'editor' };
+
+const PNG = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13, 1, 2, 3, 4]);
+
+let RECIPE_IMAGES;
+
+beforeEach(() => {
+  RECIPE_IMAGES = createTestBucket();
+});
+
+async function upload(body, { user = OWNER, headers = { 'Content-Type': 'image/png' } } = {}) {
+  const response = await onRequestPost(createContext('/api/images', {
+    method: 'POST', body, headers, user, env: { RECIPE_IMAGES }
+  }));
+  return { status: response.status, body: await response.json() };
+}
+
+function imageContext(id, { method = 'GET', query = '', user = OWNER, env = {} } = {}) {
+  return createContext(`/api/images/${id}${query}`, {
+    method, user, params: { id }, env: { RECIPE_IMAGES, ...env }
+  });
+}
+
+describe('POST /api/images', () => {
+  it('stores a PNG with its sniffed type and owner', async () => {
+    const { status, body } = await upload(PNG, { headers: { 'Content-Type': 'image/jpeg' } });
+
+    expect(status).toBe(201);
+    expect(body.id).toMatch(/\.png$/);
+    expect(body.url).toBe(`/api/images/${body.id}`);
+    expect(body.thumbnailUrl).toBe(`/api/images/${body.id}?variant=thumb`);
+
+    const stored = await RECIPE_IMAGES.head(originalKey(body.id));
+    expect(stored.httpMetadata.contentType).toBe('image/png');
+    expect(stored.customMetadata.ownerEmail).toBe(OWNER.email);
+  });
+
+  it('accepts a multipart `image` field', async () => {
+    const form = new FormData();
+    form.append('image', new Blob([PNG], { type: 'image/png' }), 'photo.png');
+
+    const { status, body } = await upload(form, { headers: {} });
+    expect(status).toBe(201);
+    expect(body.id).toMatch(/\.png$/);
+  });
+
+  it('rejects bytes that are not a supported image, whatever the Content-Type says', async () => {
+    const { status, body } = await upload(new TextEncoder().encode('<svg onload="alert(1)"></svg>'));
+
+    expect(status).toBe(415);
+    expect(body.error).toBe('Unsupported image type');
+    expect(RECIPE_IMAGES.objects.size).toBe(0);
+  });
+
+  it('rejects uploads over the size limit', async () => {
+    const bytes = new Uint8Array(MAX_IMAGE_BYTES + 1);
+    bytes.set(PNG);
+
+    const { status } = await upload(bytes);
+    expect(status).toBe(413);
+    expect(RECIPE_IMAGES.objects.size).toBe(0);
+  });
+
+  it('rejects a declared Content-Length over the limit before reading the body', async () => {
+    const { status } = await upload(PNG, {
+      headers: { 'Content-Type': 'image/png', 'Content-Length': String(MAX_IMAGE_BYTES * 2) }
+    });
+    expect(status).toBe(413);
+  });
+
+  it('rejects an empty body', async () => {
+    const { status, body } = await upload(new Uint8Array(0));
+    expect(status).toBe(400);
+    expect(body.error).toBe('No image provided');
+  });
+
+  it('needs recipes:write', async () => {
+    expect((await upload(PNG, { user: null })).status).toBe(401);
+    expect((await upload(PNG, { user: { email: 'viewer@example.com', role: 'viewer' } })).status).toBe(403);
+  });
+
+  it('answers 503 without the bucket binding', async () => {
+    const response = await onRequestPost(createContext('/api/images', {
+      method: 'POST', body: PNG, headers: { 'Content-Type': 'image/png' }, user: OWNER
+    }));
+    expect(response.status).toBe(503);
+  });
+});
+
+describe('GET /api/images/:id', () => {
+  it('serves the original with caching headers and answers 304 for a matching ETag', async () => {
+    const { body: { id } } = await upload(PNG);
+
+    const response = await onRequestGet(imageContext(id));
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toBe('image/png');
+    expect(response.headers.get('Cache-Control')).toBe('public, max-age=3600, must-revalidate');
+    expect(new Uint8Array(await response.arrayBuffer())).toEqual(PNG);
+
+    const etag = response.headers.get('ETag');
+    const context = imageContext(id);
+    context.request = new Request(context.request, { headers: { 'If-None-Match': etag } });
+    expect((await onRequestGet(context)).status).toBe(304);
+  });
+
+  it('falls back to the original for a variant when IMAGES is not bound', async () => {
+    const { body: { id } } = await upload(PNG);
+
+    const response = await onRequestGet(imageContext(id, { query: '?variant=thumb' }));
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toBe('image/png');
+    expect(new Uint8Array(await response.arrayBuffer())).toEqual(PNG);
+    expect(await RECIPE_IMAGES.head(variantKey(id, 'thumb'))).toBeNull();
+  });
+
+  it('serves the original uncached when resizing fails', async () => {
+    const { body: { id } } = await upload(PNG);
+    const IMAGES = { input() { throw new Error('Unsupported image'); } };
+
+    const response = await onRequestGet(imageContext(id, { query: '?variant=thumb', env: { IMAGES } }));
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toBe('image/png');
+    expect(response.headers.get('Cache-Control')).toBe('no-cache');
+    expect(new Uint8Array(await response.arrayBuffer())).toEqual(PNG);
+  });
+
+  it('serves a cached variant when one exists', async () => {
+    const { body: { id } } = await upload(PNG);
+    await RECIPE_IMAGES.put(variantKey(id, 'thumb'), new Uint8Array([1, 2, 3]), {
+      httpMetadata: { contentType: 'image/webp' }
+    });
+
+    const response = await onRequestGet(imageContext(id, { query: '?variant=thumb' }));
+    expect(response.headers.get('Content-Type')).toBe('image/webp');
+    expect(new Uint8Array(await response.arrayBuffer())).toEqual(new Uint8Array([1, 2, 3]));
+  });
+
+  it('rejects unknown variants and malformed or missing ids', async () => {
+    const { body: { id } } = await upload(PNG);
+
+    expect((await onRequestGet(imageContext(id, { query: '?variant=huge' }))).status).toBe(400);
+    expect((await onRequestGet(imageContext('../originals/x.png'))).status).toBe(404);
+    expect((await onRequestGet(imageContext('00000000-0000-4000-8000-000000000000.png'))).status).toBe(404);
+  });
+});
+
+describe('DELETE /api/images/:id', () => {
+  it('lets the uploader delete the original and its variants', async () => {
+    const { body: { id } } = await upload(PNG);
+    await RECIPE_IMAGES.put(variantKey(id, 'thumb'), new Uint8Array([1]));
+
+    const response = await onRequestDelete(imageContext(id, { method: 'DELETE' }));
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ success: true, id });
+    expect(RECIPE_IMAGES.objects.size).toBe(0);
+  });
+
+  it('refuses anyone else, including admins', async () => {
+    const { body: { id } } = await upload(PNG);
+
+    const other = await onRequestDelete(imageContext(id, { method: 'DELETE', user: OTHER }));
+    expect(other.status).toBe(403);
+
+    const admin = await onRequestDelete(imageContext(id, {
+      method: 'DELETE', user: { email: 'admin@example.com', role: 'admin' }
+    }));
+    expect(admin.status).toBe(403);
+    expect(await RECIPE_IMAGES.head(originalKey(id))).not.toBeNull();
+  });
+
+  it('needs a signed-in editor', async () => {
+    const { body: { id } } = await upload(PNG);
+
+    expect((await onRequestDelete(imageContext(id, { method: 'DELETE', user: null }))).status).toBe(401);
+    expect((await onRequestDelete(imageContext(id, {
+      method: 'DELETE', user: { email: OWNER.email, role: 'viewer' }
+    }))).status).toBe(403);
+  });
+
+  it('answers 404 for unknown or malformed ids', async () => {
+    expect((await onRequestDelete(imageContext('00000000-0000-4000-8000-000000000000.png', { method: 'DELETE' }))).status).toBe(404);
+    expect((await onRequestDelete(imageContext('nope', { method: 'DELETE' }))).status).toBe(404);
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseIngredient,
+  parseIngredients,
+  formatQuantity,
+  formatQuantityRange,
+  unitLabel,
+  formatIngredient,
+  itemName
+} from '../../functions/_lib/ingredients.js';
+
+// line -> [quantity, quantityMax, unit, item, note]
+const CASES = {
+  fractions: [
+    ['1/2 cup sugar', 0.5, null, 'cup', 'sugar', null],
+    ['3/4 tsp baking soda', 0.75, null, 'tsp', 'baking soda', null],
+    ['1/3 cup oil', 0.333, null, 'cup', 'oil', null]
+  ],
+  'unicode fractions': [
+    ['½ tsp salt', 0.5, null, 'tsp', 'salt', null],
+    ['1½ cups flour, sifted', 1.5, null, 'cup', 'flour', 'sifted'],
+    ['2 ¼ cups milk', 2.25, null, 'cup', 'milk', null],
+    ['⅔ cup cream', 0.667, null, 'cup', 'cream', null]
+  ],
+  'mixed numbers and decimals': [
+    ['1 1/2 cups milk', 1.5, null, 'cup', 'milk', null],
+    ['2 3/4 lbs beef', 2.75, null, 'lb', 'beef', null],
+    ['1.5 kg potatoes', 1.5, null, 'kg', 'potatoes', null],
+    ['1,5 kg potatoes', 1.5, null, 'kg', 'potatoes', null]
+  ],
+  ranges: [
+    ['2-3 cloves garlic', 2, 3, 'clove', 'garlic', null],
+    ['2–3 cloves garlic', 2, 3, 'clove', 'garlic', null],
+    ['2 to 3 tbsp oil', 2, 3, 'tbsp', 'oil', null],
+    ['½-1 tsp chili flakes', 0.5, 1, 'tsp', 'chili flakes', null]
+  ],
+  'parenthetical notes': [
+    ['1 can (400g) chopped tomatoes', 1, null, 'can', 'chopped tomatoes', '400g'],
+    ['Parmesan (optional)', null, null, null, 'Parmesan', 'optional'],
+    ['2 (about 1 lb) chicken breasts, sliced', 2, null, null, 'chicken breasts', 'sliced; about 1 lb']
+  ],
+  'unitless counts': [
+    ['3 eggs', 3, null, null, 'eggs', null],
+    ['2 large onions, diced', 2, null, null, 'large onions', 'diced'],
+    ['1 lemon', 1, null, null, 'lemon', null]
+  ],
+  'units and spellings': [
+    ['400g spaghetti', 400, null, 'g', 'spaghetti', null],
+    ['2 Tablespoons butter', 2, null, 'tbsp', 'butter', null],
+    ['2 fl oz cream', 2, null, 'fl oz', 'cream', null],
+    ['8 oz cheese', 8, null, 'oz', 'cheese', null],
+    ['1 cup of rice', 1, null, 'cup', 'rice', null],
+    ['2 gallons water', 2, null, 'gallon', 'water', null]
+  ],
+  'no quantity': [
+    ['Salt to taste', null, null, null, 'Salt', 'to taste'],
+    ['Fresh basil, for garnish', null, null, null, 'Fresh basil', 'for garnish'],
+    ['Cups of joy', null, null, null, 'Cups of joy', null]
+  ]
+};
+
+describe('parseIngredient', () => {
+  Object.entries(CASES).forEach(([group, cases]) => {
+    it.each(cases)(`${group}: %s`, (line, quantity, quantityMax, unit, item, note) => {
+      expect(parseIngredient(line)).toEqual({ original: line, quantity, quantityMax, unit, item, note });
+    });
+  });
+
+  it('keeps the original for blank and odd lines', () => {
+    expect(parseIngredient('  ')).toEqual({ original: '', quantity: null, quantityMax: null, unit: null, item: '', note: null });
+    expect(parseIngredient(null).original).toBe('');
+    expect(parseIngredient('1/0 cup water').quantity).toBeNull();
+    expect(parseIngredient('2 ,').item).toBe('2 ,');
+  });
+
+  it('parses a list and ignores non-arrays', () => {
+    expect(parseIngredients(['1 egg', 'salt']).map(entry => entry.item)).toEqual(['egg', 'salt']);
+    expect(parseIngredients('1 egg')).toEqual([]);
+  });
+});
+
+describe('formatQuantity', () => {
+  it.each([
+    [1.5, null, '1½'],
+    [0.333, null, '⅓'],
+    [0.25, 'cup', '¼'],
+    [2.125, null, '2⅛'],
+    [2, null, '2'],
+    [2.99, null, '3'],
+    [0.42, null, '0.42'],
+    [1.5, 'kg', '1.5'],
+    [0.333, 'l', '0.33'],
+    [null, null, ''],
+    [Infinity, null, '']
+  ])('%s %s -> %s', (value, unit, text) => {
+    expect(formatQuantity(value, unit)).toBe(text);
+  });
+
+  it('formats ranges', () => {
+    expect(formatQuantityRange({ quantity: 2, quantityMax: 3, unit: null })).toBe('2–3');
+    expect(formatQuantityRange({ quantity: 0.5, quantityMax: null, unit: 'cup' })).toBe('½');
+    expect(formatQuantityRange({ quantity: null })).toBe('');
+  });
+});
+
+describe('unitLabel and formatIngredient', () => {
+  it('pluralises word units only', () => {
+    expect(unitLabel('cup', 1)).toBe('cup');
+    expect(unitLabel('cup', 2)).toBe('cups');
+    expect(unitLabel('tbsp', 2)).toBe('tbsp');
+    expect(unitLabel(null, 2)).toBe('');
+  });
+
+  it.each([
+    '1½ cups flour, sifted',
+    '2–3 cloves garlic',
+    '3 eggs',
+    '400 g spaghetti'
+  ])('round-trips %s', (line) => {
+    expect(formatIngredient(parseIngredient(line))).toBe(line);
+  });
+
+  it('renders lines without a quantity as written', () => {
+    expect(formatIngredient(parseIngredient('Salt to taste'))).toBe('Salt to taste');
+  });
+});
+
+describe('itemName', () => {
+  it.each([
+    ['Large Tomatoes', 'tomato'],
+    ['onions', 'onion'],
+    ['finely chopped fresh parsley', 'parsley'],
+    ['bay leaves', 'bay leaf'],
+    ['cherries', 'cherry'],
+    ['potatoes', 'potato'],
+    ['peaches', 'peach'],
+    ['asparagus', 'asparagus'],
+    ['glass', 'glass'],
+    ['2% milk', 'milk'],
+    ['Chopped', '']
+  ])('%s -> %s', (item, name) => {
+    expect(itemName(item)).toBe(name);
+  });
+});
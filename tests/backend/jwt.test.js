@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { verifyJwt, clearJwksCache } from '../../functions/_lib/jwt.js';
+import { generateSigningKey, signJwt, jwksFetch } from '../helpers/jwt.js';
+
+const JWKS_URL = 'https://issuer.test/certs';
+const NOW = Date.UTC(2026, 0, 1);
+const nowSeconds = NOW / 1000;
+
+let key;
+let otherKey;
+
+beforeAll(async () => {
+  key = await generateSigningKey('key-1');
+  otherKey = await generateSigningKey('key-2');
+});
+
+beforeEach(() => {
+  clearJwksCache();
+});
+
+function claims(overrides = {}) {
+  return { iss: 'https://issuer.test', aud: 'app', sub: '123', exp: nowSeconds + 600, iat: nowSeconds, ...overrides };
+}
+
+function options(fetchImpl, overrides = {}) {
+  return { jwksUrl: JWKS_URL, audience: 'app', issuer: 'https://issuer.test', now: NOW, fetchImpl, ...overrides };
+}
+
+describe('verifyJwt', () => {
+  it('returns the payload of a validly signed token', async () => {
+    const token = await signJwt(claims({ email: 'cook@example.com' }), key);
+    const payload = await verifyJwt(token, options(jwksFetch([key])));
+    expect(payload.email).toBe('cook@example.com');
+  });
+
+  it('rejects a tampered payload', async () => {
+    const token = await signJwt(claims(), key);
+    const [header, , signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify(claims({ sub: 'admin' }))).toString('base64url');
+    await expect(verifyJwt(`${header}.${forged}.${signature}`, options(jwksFetch([key]))))
+      .rejects.toThrow('Invalid JWT signature');
+  });
+
+  it('rejects a token signed by a different key under a known kid', async () => {
+    const token = await signJwt(claims(), { ...otherKey, kid: 'key-1' });
+    await expect(verifyJwt(token, options(jwksFetch([key])))).rejects.toThrow('Invalid JWT signature');
+  });
+
+  it('rejects an unsupported algorithm', async () => {
+    const token = await signJwt(claims(), key, { alg: 'HS256' });
+    await expect(verifyJwt(token, options(jwksFetch([key])))).rejects.toThrow('Unsupported JWT algorithm');
+  });
+
+  it('rejects the wrong audience', async () => {
+    const token = await signJwt(claims({ aud: 'someone-else' }), key);
+    await expect(verifyJwt(token, options(jwksFetch([key])))).rejects.toThrow('audience mismatch');
+  });
+
+  it('accepts any of several audiences', async () => {
+    const token = await signJwt(claims({ aud: ['other', 'app'] }), key);
+    await expect(verifyJwt(token, options(jwksFetch([key]), { audience: ['app', 'app-2'] }))).resolves.toMatchObject({ sub: '123' });
+  });
+
+  it('rejects the wrong issuer', async () => {
+    const token = await signJwt(claims({ iss: 'https://evil.test' }), key);
+    await expect(verifyJwt(token, options(jwksFetch([key])))).rejects.toThrow('issuer mismatch');
+  });
+
+  it('rejects an expired token beyond the clock skew', async () => {
+    const token = await signJwt(claims({ exp: nowSeconds - 120 }), key);
+    await expect(verifyJwt(token, options(jwksFetch([key])))).rejects.toThrow('JWT has expired');
+  });
+
+  it('accepts a token that expired within the clock skew', async () => {
+    const token = await signJwt(claims({ exp: nowSeconds - 30 }), key);
+    await expect(verifyJwt(token, options(jwksFetch([key])))).resolves.toMatchObject({ sub: '123' });
+  });
+
+  it('rejects a token without exp', async () => {
+    const token = await signJwt(claims({ exp: undefined }), key);
+    await expect(verifyJwt(token, options(jwksFetch([key])))).rejects.toThrow('no exp claim');
+  });
+
+  it('rejects malformed tokens', async () => {
+    await expect(verifyJwt('not-a-jwt', options(jwksFetch([key])))).rejects.toThrow('Invalid JWT format');
+  });
+
+  it('caches the key set between verifications', async () => {
+    const fetchImpl = jwksFetch([key]);
+    const token = await signJwt(claims(), key);
+    await verifyJwt(token, options(fetchImpl));
+    await verifyJwt(token, options(fetchImpl, { now: NOW + 1000 }));
+    expect(fetchImpl.calls).toBe(1);
+  });
+
+  it('refetches the key set when an unknown kid arrives after rotation', async () => {
+    const fetchImpl = jwksFetch([key]);
+    await verifyJwt(await signJwt(claims(), key), options(fetchImpl));
+
+    fetchImpl.setKeys([key, otherKey]);
+    const later = NOW + 2 * 60 * 1000;
+    const rotated = await signJwt(claims(), otherKey);
+    await expect(verifyJwt(rotated, options(fetchImpl, { now: later }))).resolves.toMatchObject({ sub: '123' });
+    expect(fetchImpl.calls).toBe(2);
+  });
+
+  it('does not refetch for unknown kids more than once a minute', async () => {
+    const fetchImpl = jwksFetch([key]);
+    await verifyJwt(await signJwt(claims(), key), options(fetchImpl));
+
+    const unknown = await signJwt(claims(), otherKey);
+    await expect(verifyJwt(unknown, options(fetchImpl, { now: NOW + 1000 }))).rejects.toThrow('No signing key found');
+    expect(fetchImpl.calls).toBe(1);
+  });
+
+  it('refetches once the cached key set expires', async () => {
+    const fetchImpl = jwksFetch([key], 'max-age=60');
+    const token = await signJwt(claims({ exp: nowSeconds + 3600 }), key);
+    await verifyJwt(token, options(fetchImpl));
+    await verifyJwt(token, options(fetchImpl, { now: NOW + 61 * 1000 }));
+    expect(fetchImpl.calls).toBe(2);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { createTestDatabase } from '../helpers/d1.js';
+import { SCHEMA_VERSION } from '../../functions/_lib/schema.js';
+
+function recipes(DB) {
+  return DB.query('SELECT id, title, category, author, owner_email, details FROM recipes ORDER BY id');
+}
+
+describe('migrations', () => {
+  it('match the db-schema.sql snapshot', async () => {
+    const migrated = await createTestDatabase();
+    const snapshot = await createTestDatabase();
+    snapshot.db.exec(readFileSync(new URL('../../source_code/db-schema.sql', import.meta.url), 'utf8'));
+
+    const objects = DB => DB.query("SELECT type, name FROM sqlite_master WHERE name NOT LIKE 'sqlite_%' ORDER BY type, name");
+    expect(objects(migrated)).toEqual(objects(snapshot));
+    expect(migrated.query('SELECT MAX(version) AS version FROM schema_migrations')).toEqual([{ version: SCHEMA_VERSION }]);
+  });
+});
+
+describe('0001_canonical_recipes', () => {
+  it('keeps name and author from the original db-schema.sql shape', async () => {
+    const DB = await createTestDatabase({
+      before: `CREATE TABLE recipes (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT, author TEXT, details TEXT, created_at TEXT);
+        INSERT INTO recipes (name, author, details) VALUES ('Carbonara', 'Mario', '{"servings": 2}');
+        INSERT INTO recipes (name, author, details) VALUES ('', NULL, '{"recipeName": "Gnocchi", "author": "Lucia"}');`
+    });
+
+    expect(recipes(DB)).toEqual([
+      { id: 1, title: 'Carbonara', category: 'Uncategorized', author: 'Mario', owner_email: null, details: '{"servings": 2}' },
+      { id: 2, title: 'Gnocchi', category: 'Uncategorized', author: 'Lucia', owner_email: null, details: '{"recipeName": "Gnocchi", "author": "Lucia"}' }
+    ]);
+  });
+
+  it('keeps title, category, author and owner from the API shape', async () => {
+    const DB = await createTestDatabase({
+      before: `CREATE TABLE recipes (id INTEGER PRIMARY KEY AUTOINCREMENT, title TEXT, category TEXT, author TEXT, owner_email TEXT, details TEXT, created_at TEXT);
+        INSERT INTO recipes (title, category, author, owner_email, details) VALUES ('Pie', 'dessert', 'Ann', 'ann@example.com', 'not json');`
+    });
+
+    expect(recipes(DB)).toEqual([
+      { id: 1, title: 'Pie', category: 'dessert', author: 'Ann', owner_email: 'ann@example.com', details: '{}' }
+    ]);
+  });
+
+  it('falls back to defaults when neither columns nor details have a value', async () => {
+    const DB = await createTestDatabase({
+      before: `CREATE TABLE recipes (id INTEGER PRIMARY KEY AUTOINCREMENT, title TEXT, category TEXT, details TEXT, created_at TEXT);
+        INSERT INTO recipes (title, details) VALUES (NULL, '{}');`
+    });
+
+    expect(recipes(DB)).toMatchObject([{ title: 'Untitled Recipe', category: 'Uncategorized', author: 'Anonymous' }]);
+  });
+});
+
+describe('0012_revision_delete_action', () => {
+  it('keeps earlier revisions and the immutability trigger', async () => {
+    const DB = await createTestDatabase({
+      before: `CREATE TABLE recipes (id INTEGER PRIMARY KEY AUTOINCREMENT, title TEXT, category TEXT, author TEXT, owner_email TEXT, details TEXT, created_at TEXT);
+        INSERT INTO recipes (title, category, author, owner_email, details) VALUES ('Pie', 'dessert', 'Ann', 'ann@example.com', '{}');`
+    });
+
+    expect(DB.query('SELECT recipe_id, revision, title, action, editor_email FROM recipe_revisions')).toEqual([
+      { recipe_id: 1, revision: 1, title: 'Pie', action: 'snapshot', editor_email: 'ann@example.com' }
+    ]);
+    expect(() => DB.query("UPDATE recipe_revisions SET title = 'Tart'")).toThrow(/cannot be changed/);
+    expect(() => DB.query("INSERT INTO recipe_revisions (recipe_id, revision, title, category, details, action) VALUES (1, 2, 'Pie', 'dessert', '{}', 'delete')"))
+      .not.toThrow();
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { estimateNutrition, matchNutrition, UNMATCHED_REASONS } from '../../functions/_lib/nutrition.js';
+import { NUTRITION_TABLE } from '../../functions/_lib/nutrition-data.js';
+import { parseIngredients } from '../../functions/_lib/ingredients.js';
+
+const entry = name => NUTRITION_TABLE.find(item => item.names[0] === name);
+
+// Expected per-serving values from [name, grams] pairs, straight from the table
+function expected(parts, servings) {
+  const totals = [0, 0, 0, 0, 0];
+  parts.forEach(([name, grams]) => {
+    entry(name).per100g.forEach((value, index) => { totals[index] += (value * grams) / 100; });
+  });
+  return totals.map(total => total / servings);
+}
+
+function expectPerServing(perServing, values) {
+  const [calories, protein, fat, carbs, sodium] = values;
+  expect(perServing.calories).toBe(Math.round(calories));
+  expect(perServing.protein).toBe(Math.round(protein * 10) / 10);
+  expect(perServing.fat).toBe(Math.round(fat * 10) / 10);
+  expect(perServing.carbs).toBe(Math.round(carbs * 10) / 10);
+  expect(perServing.sodium).toBe(Math.round(sodium));
+}
+
+describe('estimateNutrition', () => {
+  it('adds up weights, counted items and volumes per serving', () => {
+    const result = estimateNutrition(parseIngredients(['2 eggs', '200 g flour', '1 cup milk', '1 stick butter']), 4);
+
+    expectPerServing(result.perServing, expected([
+      ['egg', 2 * entry('egg').piece],
+      ['flour', 200],
+      ['milk', 236.588 * entry('milk').density],
+      ['butter', entry('butter').units.stick]
+    ], 4));
+    expect(result).toMatchObject({ servings: 4, matchedCount: 4, ingredientCount: 4, unmatched: [] });
+  });
+
+  it('treats a recipe without servings as one serving', () => {
+    const result = estimateNutrition(parseIngredients(['100 g flour']));
+    expect(result.servings).toBeNull();
+    expectPerServing(result.perServing, entry('flour').per100g);
+  });
+
+  it('counts a range as its midpoint', () => {
+    const range = estimateNutrition(parseIngredients(['100-300 g sugar']), 1);
+    const middle = estimateNutrition(parseIngredients(['200 g sugar']), 1);
+    expect(range.perServing).toEqual(middle.perServing);
+  });
+
+  it('reports lines it could not count, with the reason', () => {
+    const result = estimateNutrition(parseIngredients([
+      '100 g flour',
+      '1 handful dragonfruit',
+      'Salt to taste',
+      '2 sprigs flour'
+    ]), 2);
+
+    expect(result.matchedCount).toBe(1);
+    expect(result.ingredientCount).toBe(4);
+    expect(result.unmatched).toEqual([
+      { ingredient: '1 handful dragonfruit', reason: UNMATCHED_REASONS.unknown },
+      { ingredient: 'Salt to taste', reason: UNMATCHED_REASONS.noAmount },
+      { ingredient: '2 sprigs flour', reason: UNMATCHED_REASONS.unit }
+    ]);
+    expectPerServing(result.perServing, expected([['flour', 100]], 2));
+  });
+
+  it('returns zeros for an empty list', () => {
+    expect(estimateNutrition(undefined, 2)).toEqual({
+      perServing: { calories: 0, protein: 0, fat: 0, carbs: 0, sodium: 0 },
+      servings: 2,
+      matchedCount: 0,
+      ingredientCount: 0,
+      unmatched: []
+    });
+  });
+});
+
+describe('matchNutrition', () => {
+  it.each([
+    ['Large Eggs', 'egg'],
+    ['chicken stock', 'stock'],
+    ['peanut butter', 'peanut butter'],
+    ['finely chopped red onions', 'onion'],
+    ['unsalted butter', 'butter']
+  ])('%s -> %s', (item, name) => {
+    expect(matchNutrition(item).names).toContain(name);
+  });
+
+  it('returns null for unknown or empty items', () => {
+    expect(matchNutrition('dragonfruit')).toBeNull();
+    expect(matchNutrition('')).toBeNull();
+  });
+});
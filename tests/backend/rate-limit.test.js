@@ -0,0 +1,198 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  RATE_LIMITS,
+  DEFAULT_WRITE_LIMIT,
+  findRateLimit,
+  rateLimitOverrides,
+  takeToken,
+  checkRateLimit,
+  d1BucketStore,
+  rateLimitResponse,
+  clientIp
+} from '../../functions/_lib/rate-limit.js';
+import { createTestDatabase } from '../helpers/d1.js';
+
+const LIMIT = { route: 'POST /api/test', capacity: 3, windowSeconds: 60 };
+const START = Date.UTC(2025, 2, 10, 12, 0, 0);
+
+// Map-backed {get, put} store that records every write
+function memoryStore() {
+  const buckets = new Map();
+  return {
+    buckets,
+    async get(key) {
+      return buckets.has(key) ? { ...buckets.get(key) } : null;
+    },
+    async put(key, bucket) {
+      buckets.set(key, { ...bucket });
+    }
+  };
+}
+
+describe('findRateLimit', () => {
+  it('uses the route limit, ignoring a trailing slash', () => {
+    expect(findRateLimit('POST', '/api/import/')).toEqual({ route: 'POST /api/import', ...RATE_LIMITS['POST /api/import'] });
+  });
+
+  it('shares the default limit across other writes and leaves reads unlimited', () => {
+    expect(findRateLimit('DELETE', '/api/favorites')).toEqual({ route: 'write', ...DEFAULT_WRITE_LIMIT });
+    expect(findRateLimit('PATCH', '/api/recipes')).toEqual({ route: 'write', ...DEFAULT_WRITE_LIMIT });
+    expect(findRateLimit('GET', '/api/recipes')).toBeNull();
+  });
+});
+
+describe('rateLimitOverrides', () => {
+  it('replaces route limits and the shared default from the RATE_LIMITS binding', () => {
+    const env = {
+      RATE_LIMITS: JSON.stringify({
+        'POST /api/import': { capacity: 5, windowSeconds: 3600 },
+        'PUT /api/collections': { capacity: 2, windowSeconds: 60 },
+        write: { capacity: 60, windowSeconds: 60 }
+      })
+    };
+
+    expect(findRateLimit('POST', '/api/import', env)).toEqual({ route: 'POST /api/import', capacity: 5, windowSeconds: 3600 });
+    expect(findRateLimit('PUT', '/api/collections', env)).toEqual({ route: 'PUT /api/collections', capacity: 2, windowSeconds: 60 });
+    expect(findRateLimit('DELETE', '/api/favorites', env)).toEqual({ route: 'write', capacity: 60, windowSeconds: 60 });
+    expect(findRateLimit('POST', '/api/images', env)).toEqual({ route: 'POST /api/images', ...RATE_LIMITS['POST /api/images'] });
+    expect(findRateLimit('GET', '/api/import', env)).toBeNull();
+  });
+
+  it.each([
+    ['unreadable JSON', '{"write": '],
+    ['an array', '[1]'],
+    ['a zero capacity', '{"write": {"capacity": 0, "windowSeconds": 60}}'],
+    ['a fractional window', '{"write": {"capacity": 5, "windowSeconds": 1.5}}'],
+    ['numbers as strings', '{"write": {"capacity": "5", "windowSeconds": "60"}}']
+  ])('ignores %s', (name, value) => {
+    expect(rateLimitOverrides({ RATE_LIMITS: value })).toEqual({});
+    expect(findRateLimit('DELETE', '/api/favorites', { RATE_LIMITS: value })).toEqual({ route: 'write', ...DEFAULT_WRITE_LIMIT });
+  });
+});
+
+describe('clientIp', () => {
+  const request = headers => new Request('https://recipes.test/api/recipes', { headers });
+
+  it('uses the address Cloudflare reports', () => {
+    expect(clientIp(request({ 'CF-Connecting-IP': '203.0.113.7', 'X-Forwarded-For': '198.51.100.1' }))).toBe('203.0.113.7');
+  });
+
+  it('ignores client-supplied X-Forwarded-For and falls back to one shared bucket', () => {
+    expect(clientIp(request({ 'X-Forwarded-For': '198.51.100.1' }))).toBe('unknown');
+    expect(clientIp(request({}))).toBe('unknown');
+  });
+});
+
+describe('takeToken', () => {
+  it('starts a new client with a full bucket', () => {
+    expect(takeToken(null, LIMIT, START)).toEqual({ allowed: true, bucket: { tokens: 2, updatedAt: START }, retryAfter: 0 });
+  });
+
+  it('allows a burst up to capacity, then refuses with the wait for one token', () => {
+    let bucket = null;
+    for (let i = 0; i < LIMIT.capacity; i++) {
+      const result = takeToken(bucket, LIMIT, START);
+      expect(result.allowed).toBe(true);
+      bucket = result.bucket;
+    }
+
+    const refused = takeToken(bucket, LIMIT, START);
+    expect(refused.allowed).toBe(false);
+    // 3 tokens per 60 s: one token every 20 s
+    expect(refused.retryAfter).toBe(20);
+  });
+
+  it('refills with time, never beyond capacity', () => {
+    const empty = { tokens: 0, updatedAt: START };
+
+    expect(takeToken(empty, LIMIT, START + 10 * 1000).allowed).toBe(false);
+    expect(takeToken(empty, LIMIT, START + 10 * 1000).retryAfter).toBe(10);
+    expect(takeToken(empty, LIMIT, START + 20 * 1000)).toEqual({
+      allowed: true, bucket: { tokens: 0, updatedAt: START + 20 * 1000 }, retryAfter: 0
+    });
+    expect(takeToken(empty, LIMIT, START + 60 * 60 * 1000).bucket.tokens).toBe(LIMIT.capacity - 1);
+  });
+
+  it('treats a clock that went backwards as no time passed', () => {
+    const result = takeToken({ tokens: 0.5, updatedAt: START }, LIMIT, START - 60 * 1000);
+    expect(result.allowed).toBe(false);
+    expect(result.bucket.tokens).toBe(0.5);
+  });
+});
+
+describe('checkRateLimit', () => {
+  let store;
+
+  beforeEach(() => {
+    store = memoryStore();
+  });
+
+  const check = (overrides = {}) => checkRateLimit({ store, limit: LIMIT, ip: '203.0.113.7', user: null, now: START, ...overrides });
+
+  it('spends from the IP bucket and, when signed in, the user bucket', async () => {
+    expect(await check({ user: { email: 'Cook@Example.com' } })).toEqual({ allowed: true });
+    expect([...store.buckets.keys()]).toEqual([
+      'POST /api/test|ip:203.0.113.7',
+      'POST /api/test|user:cook@example.com'
+    ]);
+  });
+
+  it('refuses once a bucket is empty and spends nothing when refusing', async () => {
+    for (let i = 0; i < LIMIT.capacity; i++) {
+      expect((await check()).allowed).toBe(true);
+    }
+
+    const refused = await check({ now: START + 1000 });
+    expect(refused).toEqual({ allowed: false, retryAfter: 19, limit: LIMIT });
+    expect(store.buckets.get('POST /api/test|ip:203.0.113.7').updatedAt).toBe(START);
+
+    expect((await check({ now: START + 20 * 1000 })).allowed).toBe(true);
+  });
+
+  it('limits a user across IP addresses', async () => {
+    const user = { email: 'cook@example.com' };
+    for (let i = 0; i < LIMIT.capacity; i++) {
+      expect((await check({ user, ip: `198.51.100.${i}` })).allowed).toBe(true);
+    }
+    expect((await check({ user, ip: '198.51.100.99' })).allowed).toBe(false);
+    // The new IP's own bucket was not touched by the refused request
+    expect(store.buckets.has('POST /api/test|ip:198.51.100.99')).toBe(false);
+  });
+
+  it('keeps separate buckets per route', async () => {
+    const other = { route: 'POST /api/other', capacity: 1, windowSeconds: 60 };
+
+    for (let i = 0; i < LIMIT.capacity; i++) {
+      await check();
+    }
+    expect((await check()).allowed).toBe(false);
+    expect((await check({ limit: other })).allowed).toBe(true);
+    expect((await check({ limit: other })).allowed).toBe(false);
+  });
+});
+
+describe('d1BucketStore', () => {
+  it('round-trips buckets and prunes ones that have refilled', async () => {
+    const DB = await createTestDatabase();
+    const store = d1BucketStore({ DB });
+
+    expect(await store.get('a')).toBeNull();
+    await store.put('a', { tokens: 2, updatedAt: START }, LIMIT, START);
+    expect(await store.get('a')).toEqual({ tokens: 2, updatedAt: START });
+
+    // 'a' is full again 20 s later and is dropped by the next write
+    await store.put('b', { tokens: 0, updatedAt: START + 30 * 1000 }, LIMIT, START + 30 * 1000);
+    expect(await store.get('a')).toBeNull();
+    expect(await store.get('b')).toEqual({ tokens: 0, updatedAt: START + 30 * 1000 });
+  });
+});
+
+describe('rateLimitResponse', () => {
+  it('answers 429 with Retry-After', async () => {
+    const response = rateLimitResponse({ allowed: false, retryAfter: 42, limit: { capacity: 30, windowSeconds: 3600 } });
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get('Retry-After')).toBe('42');
+    expect((await response.json()).message).toBe('Rate limit of 30 requests per hour exceeded. Try again in 42 seconds.');
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { onRequestPost as createRecipe, onRequestDelete } from '../../functions/api/recipes.js';
+import { onRequestGet as exportRecipe } from '../../functions/api/recipe/export.js';
+import { onRequestGet as exportAll } from '../../functions/api/recipes/export.js';
+import { onRequestPost as importPage } from '../../functions/api/import.js';
+import { createTestDatabase } from '../helpers/d1.js';
+import { createContext } from '../helpers/context.js';
+
+const OWNER = { email: 'owner@example.com', name: 'Owner', role: 'editor' };
+const OTHER = { email: 'other@example.com', name: 'Other', role: 'editor' };
+
+const SHAKSHUKA = {
+  recipeName: 'Shakshuka',
+  description: 'Eggs poached in spiced tomato sauce',
+  category: 'Breakfast',
+  cuisine: 'Middle Eastern',
+  author: 'Owner',
+  servings: 2,
+  prepTime: 10,
+  cookTime: 20,
+  vegetarian: true,
+  glutenFree: true,
+  tags: ['eggs', 'one-pan'],
+  ingredients: ['400 g chopped tomatoes', '4 eggs', '1 tsp cumin'],
+  instructions: ['Simmer the tomatoes with cumin.', 'Crack in the eggs and cover until set.']
+};
+
+// Fields a recipe keeps through export and import
+const SHARED_FIELDS = ['recipeName', 'description', 'category', 'cuisine', 'servings', 'prepTime', 'cookTime',
+  'vegetarian', 'glutenFree', 'ingredients', 'instructions'];
+
+let DB;
+
+beforeEach(async () => {
+  DB = await createTestDatabase();
+});
+
+async function call(handler, url, { method = 'GET', body, user = OWNER } = {}) {
+  return handler(createContext(url, { method, body, user, env: { DB } }));
+}
+
+async function save(recipe, user = OWNER) {
+  const response = await call(createRecipe, '/api/recipes', { method: 'POST', body: recipe, user });
+  expect(response.status).toBe(201);
+  return (await response.json()).id;
+}
+
+// Paste exported JSON-LD into the page importer, as a user would
+async function importJsonLd(jsonLd) {
+  const html = `<!doctype html><html><head><script type="application/ld+json">${jsonLd}</script></head><body></body></html>`;
+  const response = await call(importPage, '/api/import', { method: 'POST', body: { html } });
+  expect(response.status).toBe(200);
+  return response.json();
+}
+
+function pick(recipe, fields) {
+  return Object.fromEntries(fields.map(field => [field, recipe[field]]));
+}
+
+describe('JSON-LD round trip', () => {
+  it('imports an exported recipe with the same fields', async () => {
+    const id = await save(SHAKSHUKA);
+
+    const exported = await call(exportRecipe, `/api/recipe/export?id=${id}&format=jsonld`);
+    expect(exported.headers.get('Content-Type')).toBe('application/ld+json; charset=utf-8');
+    const jsonLd = await exported.text();
+    expect(JSON.parse(jsonLd)).toMatchObject({
+      '@context': 'https://schema.org',
+      '@type': 'Recipe',
+      url: `https://recipes.test/view-recipe.html?id=${id}`,
+      suitableForDiet: ['https://schema.org/VegetarianDiet', 'https://schema.org/GlutenFreeDiet']
+    });
+
+    const imported = await importJsonLd(jsonLd);
+    expect(imported.source).toBe('json-ld');
+    expect(imported.fields).toBeNull();
+    expect(pick(imported.recipe, SHARED_FIELDS)).toEqual(pick(SHAKSHUKA, SHARED_FIELDS));
+    expect(imported.recipe.tags).toEqual(expect.arrayContaining(SHAKSHUKA.tags));
+  });
+
+  it('saves the imported recipe as a copy that exports the same again', async () => {
+    const id = await save(SHAKSHUKA);
+    const first = await (await call(exportRecipe, `/api/recipe/export?id=${id}&format=jsonld`)).json();
+
+    const copyId = await save((await importJsonLd(JSON.stringify(first))).recipe, OTHER);
+    const second = await (await call(exportRecipe, `/api/recipe/export?id=${copyId}&format=jsonld`)).json();
+
+    const withoutIdentity = ({ url, datePublished, dateModified, author, ...rest }) => rest;
+    expect(withoutIdentity(second)).toEqual(withoutIdentity(first));
+  });
+});
+
+describe('GET /api/recipes/export', () => {
+  it('exports the caller\'s own recipes, oldest first, one JSON-LD object per line', async () => {
+    const soup = await save({ ...SHAKSHUKA, recipeName: 'Soup' });
+    await save({ ...SHAKSHUKA, recipeName: 'Someone else\'s' }, OTHER);
+    const removed = await save({ ...SHAKSHUKA, recipeName: 'Removed' });
+    await save(SHAKSHUKA);
+    await call(onRequestDelete, `/api/recipes?id=${removed}`, { method: 'DELETE' });
+
+    const response = await call(exportAll, '/api/recipes/export');
+    expect(response.headers.get('Content-Type')).toBe('application/x-ndjson; charset=utf-8');
+    expect(response.headers.get('Content-Disposition')).toMatch(/^attachment; filename="my-recipes-\d{4}-\d{2}-\d{2}\.ndjson"$/);
+
+    const lines = (await response.text()).trimEnd().split('\n');
+    expect(lines.map(line => JSON.parse(line).name)).toEqual(['Soup', 'Shakshuka']);
+    expect(JSON.parse(lines[0]).url).toBe(`https://recipes.test/view-recipe.html?id=${soup}`);
+
+    // Every line reads back through the importer
+    for (const line of lines) {
+      const imported = await importJsonLd(line);
+      expect(imported.recipe.ingredients).toEqual(SHAKSHUKA.ingredients);
+    }
+  });
+
+  it('needs a signed-in user', async () => {
+    expect((await call(exportAll, '/api/recipes/export', { user: null })).status).toBe(401);
+  });
+});
+
+describe('GET /api/recipe/export text formats', () => {
+  it('renders Markdown and plain text', async () => {
+    const id = await save(SHAKSHUKA);
+
+    const markdown = await (await call(exportRecipe, `/api/recipe/export?id=${id}&format=markdown`)).text();
+    expect(markdown).toMatch(/^# Shakshuka\n/);
+    expect(markdown).toContain('## Ingredients');
+    expect(markdown).toContain('- 4 eggs');
+
+    const text = await (await call(exportRecipe, `/api/recipe/export?id=${id}&format=txt&download=1`)).text();
+    expect(text).toContain('Shakshuka');
+    expect(text).toContain('Crack in the eggs and cover until set.');
+  });
+
+  it('answers 400 for unknown formats and 404 for recipes the caller cannot see', async () => {
+    const id = await save({ ...SHAKSHUKA, status: 'draft' });
+    expect((await call(exportRecipe, `/api/recipe/export?id=${id}&format=pdf`)).status).toBe(400);
+    expect((await call(exportRecipe, `/api/recipe/export?id=${id}`, { user: OTHER })).status).toBe(404);
+  });
+});
@@ -0,0 +1,221 @@
+import { describe, it, expect, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { extractSchemaRecipe, mapSchemaRecipe, parseDuration } from '../../functions/_lib/recipe-import.js';
+import { onRequestPost } from '../../functions/api/import.js';
+import { createContext } from '../helpers/context.js';
+
+const EDITOR = { email: 'editor@example.com', role: 'editor' };
+
+// Saved pages in tests/fixtures/
+function fixture(name) {
+  return readFileSync(new URL(`../fixtures/${name}`, import.meta.url), 'utf8');
+}
+
+function page(head, body = '') {
+  return `<!doctype html><html><head><title>Page</title>${head}</head><body>${body}</body></html>`;
+}
+
+function jsonLd(data) {
+  return `<script type="application/ld+json">${JSON.stringify(data)}</script>`;
+}
+
+const PANCAKES = {
+  '@context': 'https://schema.org',
+  '@type': 'Recipe',
+  name: 'Fluffy Pancakes',
+  description: 'Weekend <b>breakfast</b> &amp; brunch',
+  recipeCategory: 'Breakfast',
+  recipeCuisine: 'American',
+  recipeIngredient: ['2 cups flour', '2 eggs', '1 &frac12; cups milk'],
+  recipeInstructions: [
+    { '@type': 'HowToStep', text: 'Whisk the dry ingredients.' },
+    { '@type': 'HowToStep', text: 'Add eggs and milk, then fry.' }
+  ],
+  prepTime: 'PT10M',
+  cookTime: 'PT15M',
+  recipeYield: ['4', '4 servings'],
+  image: { '@type': 'ImageObject', url: '/img/pancakes.jpg' },
+  keywords: 'breakfast, sweet',
+  suitableForDiet: 'https://schema.org/VegetarianDiet'
+};
+
+describe('extractSchemaRecipe', () => {
+  it('finds a top-level JSON-LD Recipe', () => {
+    const found = extractSchemaRecipe(fixture('json-ld.html'));
+    expect(found.source).toBe('json-ld');
+    expect(found.recipe).toEqual(PANCAKES);
+  });
+
+  it('finds a Recipe inside @graph and skips broken blocks before it', () => {
+    const found = extractSchemaRecipe(fixture('graph.html'));
+    expect(found.source).toBe('json-ld');
+    expect(found.recipe.name).toBe('Graph Pancakes');
+  });
+
+  it('finds a Recipe nested in a JSON-LD array or mainEntity', () => {
+    expect(extractSchemaRecipe(page(jsonLd([[{ '@type': 'Person' }, PANCAKES]]))).recipe.name).toBe('Fluffy Pancakes');
+    expect(extractSchemaRecipe(page(jsonLd({ '@type': 'WebPage', mainEntity: PANCAKES }))).recipe.name).toBe('Fluffy Pancakes');
+  });
+
+  it('falls back to microdata', () => {
+    const found = extractSchemaRecipe(fixture('microdata.html'));
+    expect(found.source).toBe('microdata');
+    expect(found.recipe.name).toBe('Tomato & Basil Soup');
+    expect(found.recipe.image).toBe('https://example.com/soup.jpg');
+    expect(found.recipe.totalTime).toBe('PT45M');
+    expect(found.recipe.recipeIngredient).toEqual(['1 kg tomatoes', '1 bunch basil']);
+    expect(found.recipe.recipeInstructions).toBe('Roast the tomatoes.\nBlend with basil.');
+    expect(found.recipe.author).toEqual({ '@type': ['https://schema.org/Person'], name: 'Sam' });
+  });
+
+  it('prefers JSON-LD over microdata and returns null when there is no Recipe', () => {
+    const both = page(jsonLd(PANCAKES), '<div itemscope itemtype="https://schema.org/Recipe"><h1 itemprop="name">Other</h1></div>');
+    expect(extractSchemaRecipe(both).recipe.name).toBe('Fluffy Pancakes');
+
+    expect(extractSchemaRecipe(fixture('no-recipe.html'))).toBeNull();
+    expect(extractSchemaRecipe('')).toBeNull();
+  });
+});
+
+describe('mapSchemaRecipe', () => {
+  it('maps fields onto normalizeRecipe input', () => {
+    const input = mapSchemaRecipe(PANCAKES, 'https://example.com/recipes/pancakes');
+
+    expect(input).toEqual({
+      recipeName: 'Fluffy Pancakes',
+      description: 'Weekend breakfast & brunch',
+      category: 'Breakfast',
+      cuisine: 'American',
+      ingredients: ['2 cups flour', '2 eggs', '1 ½ cups milk'],
+      instructions: ['Whisk the dry ingredients.', 'Add eggs and milk, then fry.'],
+      tags: ['breakfast', 'sweet'],
+      prepTime: 10,
+      cookTime: 15,
+      servings: 4,
+      imageUrl: 'https://example.com/img/pancakes.jpg',
+      vegetarian: true,
+      notes: 'Source: https://example.com/recipes/pancakes'
+    });
+  });
+
+  it('prefixes the first step of each HowToSection with its name', () => {
+    const input = mapSchemaRecipe({
+      '@type': 'Recipe',
+      name: 'Lasagne',
+      recipeInstructions: [
+        {
+          '@type': 'HowToSection',
+          name: 'For the sauce:',
+          itemListElement: [
+            { '@type': 'HowToStep', text: 'Brown the mince.' },
+            { '@type': 'HowToStep', text: 'Add tomatoes.' }
+          ]
+        },
+        {
+          '@type': 'HowToSection',
+          name: 'To assemble',
+          itemListElement: [{ '@type': 'HowToStep', text: 'Layer and bake.' }]
+        }
+      ]
+    });
+
+    expect(input.instructions).toEqual([
+      'For the sauce: Brown the mince.',
+      'Add tomatoes.',
+      'To assemble: Layer and bake.'
+    ]);
+  });
+
+  it('splits a single instruction text block into steps', () => {
+    const input = mapSchemaRecipe({ name: 'Toast', recipeInstructions: '<p>Slice bread.</p><p>Toast it.</p>' });
+    expect(input.instructions).toEqual(['Slice bread.', 'Toast it.']);
+  });
+
+  it('keeps a lone totalTime and drops relative images without a page URL', () => {
+    const input = mapSchemaRecipe({ name: 'Stew', totalTime: 'PT2H', image: '/stew.jpg' });
+    expect(input.totalTime).toBe(120);
+    expect(input.prepTime).toBeUndefined();
+    expect(input.imageUrl).toBeUndefined();
+    expect(input.notes).toBeUndefined();
+  });
+});
+
+describe('parseDuration', () => {
+  it('converts ISO-8601 durations to minutes', () => {
+    expect(parseDuration('PT1H30M')).toBe(90);
+    expect(parseDuration('P0DT0H20M')).toBe(20);
+    expect(parseDuration('PT90M')).toBe(90);
+    expect(parseDuration('P1D')).toBe(1440);
+    expect(parseDuration('PT')).toBeNull();
+    expect(parseDuration('20 minutes')).toBeNull();
+  });
+});
+
+describe('POST /api/import with a url', () => {
+  function stubFetch(responses) {
+    const calls = [];
+    const fetchStub = vi.fn(async (url, init) => {
+      calls.push({ url, redirect: init.redirect });
+      const next = responses[url];
+      if (!next) throw new Error(`Unexpected fetch ${url}`);
+      return next();
+    });
+    vi.stubGlobal('fetch', fetchStub);
+    return calls;
+  }
+
+  const redirect = (location, status = 302) => () => new Response(null, { status, headers: { Location: location } });
+  const htmlPage = () => new Response(fixture('json-ld.html'), { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+
+  async function importUrl(url) {
+    const response = await onRequestPost(createContext('/api/import', { method: 'POST', body: { url }, user: EDITOR }));
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('follows redirects to public pages', async () => {
+    const calls = stubFetch({
+      'https://short.example/p': redirect('https://example.com/old', 301),
+      'https://example.com/old': redirect('/recipes/pancakes'),
+      'https://example.com/recipes/pancakes': htmlPage
+    });
+
+    const { status, body } = await importUrl('https://short.example/p');
+    expect(status).toBe(200);
+    expect(body.source).toBe('json-ld');
+    expect(body.recipe.recipeName).toBe('Fluffy Pancakes');
+    expect(calls.map(call => call.redirect)).toEqual(['manual', 'manual', 'manual']);
+  });
+
+  it.each([
+    ['an IP literal', 'http://169.254.169.254/latest/meta-data/'],
+    ['localhost', 'http://localhost:8080/admin'],
+    ['an internal host', 'https://db.internal/'],
+    ['another scheme', 'file:///etc/passwd']
+  ])('refuses a redirect to %s', async (name, location) => {
+    const calls = stubFetch({ 'https://example.com/p': redirect(location) });
+
+    const { status, body } = await importUrl('https://example.com/p');
+    expect(status).toBe(502);
+    expect(body.details).toBe('Page redirected to a URL that cannot be imported');
+    expect(calls).toHaveLength(1);
+  });
+
+  it('gives up after too many redirects', async () => {
+    const responses = {};
+    for (let i = 0; i < 10; i++) {
+      responses[`https://example.com/${i}`] = redirect(`/${i + 1}`);
+    }
+    const calls = stubFetch(responses);
+
+    const { status, body } = await importUrl('https://example.com/0');
+    expect(status).toBe(502);
+    expect(body.details).toBe('Page redirected too many times');
+    expect(calls).toHaveLength(6);
+  });
+
+  it('refuses private URLs before fetching', async () => {
+    const calls = stubFetch({});
+    expect((await importUrl('http://127.0.0.1/')).status).toBe(400);
+    expect(calls).toHaveLength(0);
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { onRequestGet } from '../../functions/api/recipes.js';
+import { createTestDatabase } from '../helpers/d1.js';
+import { createContext } from '../helpers/context.js';
+
+const OWNER = { email: 'owner@example.com', name: 'Owner', role: 'editor' };
+const OTHER = { email: 'other@example.com', name: 'Other', role: 'editor' };
+const ADMIN = { email: 'admin@example.com', name: 'Admin', role: 'admin' };
+
+let DB;
+let ids;
+
+// title, category, details, status, created_at
+const RECIPES = [
+  ['Tomato soup', 'Soup', { ingredients: ['1 kg tomatoes'], difficulty: 'Easy', vegetarian: true, vegan: true, totalTime: 30, allergens: [] }, 'published', '2025-01-01'],
+  ['Carbonara', 'Pasta', { ingredients: ['200 g spaghetti', '2 eggs'], difficulty: 'Medium', hours: 0, minutes: 25, allergens: ['gluten', 'egg'] }, 'published', '2025-01-02'],
+  ['Almond cake', 'Dessert', { ingredients: ['100 g almonds'], description: 'A 100% almond cake', vegetarian: 'vegetarian', hours: 1, minutes: 10, allergens: ['nuts'] }, 'published', '2025-01-03'],
+  ['Old stew', 'Main', { ingredients: ['1 kg beef'], difficulty: 'hard' }, 'published', '2025-01-04'],
+  ['Secret draft', 'Soup', { ingredients: ['water'] }, 'draft', '2025-01-05'],
+  ['Removed', 'Soup', { ingredients: ['water'] }, 'deleted', '2025-01-06']
+];
+
+beforeEach(async () => {
+  DB = await createTestDatabase();
+  ids = RECIPES.map(([title, category, details, status, createdAt]) => DB.query(
+    'INSERT INTO recipes (title, category, details, owner_email, status, created_at) VALUES (?, ?, ?, ?, ?, ?) RETURNING id',
+    [title, category, JSON.stringify(details), OWNER.email, status, createdAt]
+  )[0].id);
+});
+
+async function list(query = '', user = OTHER) {
+  const response = await onRequestGet(createContext(`/api/recipes${query}`, { user, env: { DB } }));
+  return { status: response.status, body: await response.json() };
+}
+
+async function titles(query, user) {
+  const { status, body } = await list(query, user);
+  expect(status).toBe(200);
+  return body.recipes.map(recipe => recipe.title);
+}
+
+describe('GET /api/recipes filters', () => {
+  it('lists published recipes newest first by default', async () => {
+    expect(await titles('')).toEqual(['Old stew', 'Almond cake', 'Carbonara', 'Tomato soup']);
+  });
+
+  it('adds the owner\'s drafts but leaves deleted recipes to admins', async () => {
+    expect(await titles('?category=soup', OWNER)).toEqual(['Secret draft', 'Tomato soup']);
+    expect(await titles('?category=soup&status=draft')).toEqual([]);
+    expect(await titles('?category=soup&status=deleted', OWNER)).toEqual([]);
+    expect(await titles('?category=soup&status=deleted', ADMIN)).toEqual(['Removed']);
+    expect(await titles('?category=soup&status=all', ADMIN)).toEqual(['Removed', 'Secret draft', 'Tomato soup']);
+  });
+
+  it.each([
+    ['?q=tomato', ['Tomato soup']],
+    ['?q=eggs', ['Carbonara']],
+    ['?q=100%25', ['Almond cake']],
+    ['?q=_', []],
+    ['?category=PASTA', ['Carbonara']],
+    ['?difficulty=Hard', ['Old stew']],
+    ['?vegetarian=true', ['Almond cake', 'Tomato soup']],
+    ['?vegan=1', ['Tomato soup']],
+    ['?exclude=nuts', ['Carbonara', 'Tomato soup']],
+    ['?exclude=gluten,nuts', ['Tomato soup']],
+    ['?exclude=egg&exclude=nuts', ['Tomato soup']],
+    ['?maxTime=30', ['Carbonara', 'Tomato soup']],
+    ['?maxTime=70', ['Almond cake', 'Carbonara', 'Tomato soup']]
+  ])('%s', async (query, expected) => {
+    expect(await titles(query)).toEqual(expected);
+  });
+
+  it('lists only the caller\'s favorites', async () => {
+    DB.query('INSERT INTO favorites (user_email, recipe_id) VALUES (?, ?)', [OTHER.email, ids[1]]);
+    expect(await titles('?favorites=true')).toEqual(['Carbonara']);
+    expect((await list('?favorites=true', null)).status).toBe(401);
+  });
+
+  it.each([
+    ['?sort=oldest', ['Tomato soup', 'Carbonara', 'Almond cake', 'Old stew']],
+    ['?sort=title', ['Almond cake', 'Carbonara', 'Old stew', 'Tomato soup']],
+    ['?sort=quickest', ['Carbonara', 'Tomato soup', 'Almond cake', 'Old stew']]
+  ])('sorts with %s', async (query, expected) => {
+    expect(await titles(query)).toEqual(expected);
+  });
+
+  it.each([
+    ['?status=gone', /^status must be one of/],
+    ['?exclude=meat', /^exclude must be one of/],
+    ['?maxTime=half', 'maxTime must be a whole number of minutes'],
+    ['?sort=random', /^sort must be one of/],
+    ['?limit=-1', 'limit and offset must be non-negative whole numbers'],
+    ['?offset=1.5', 'limit and offset must be non-negative whole numbers']
+  ])('answers 400 for %s', async (query, error) => {
+    const { status, body } = await list(query);
+    expect(status).toBe(400);
+    expect(body.error).toMatch(error);
+  });
+});
+
+describe('GET /api/recipes pagination', () => {
+  it('returns one page and whether there is another', async () => {
+    const first = await list('?sort=oldest&limit=3');
+    expect(first.body).toMatchObject({ count: 3, limit: 3, offset: 0, hasMore: true });
+    expect(first.body.recipes.map(recipe => recipe.title)).toEqual(['Tomato soup', 'Carbonara', 'Almond cake']);
+
+    const second = await list('?sort=oldest&limit=3&offset=3');
+    expect(second.body).toMatchObject({ count: 1, limit: 3, offset: 3, hasMore: false });
+    expect(second.body.recipes.map(recipe => recipe.title)).toEqual(['Old stew']);
+  });
+
+  it('clamps the page size', async () => {
+    expect((await list('?limit=0')).body.limit).toBe(20);
+    expect((await list('?limit=1000')).body.limit).toBe(100);
+  });
+
+  it('summarises each recipe', async () => {
+    const { body } = await list('?q=carbonara');
+    expect(body.recipes[0]).toMatchObject({
+      id: ids[1],
+      name: 'Carbonara',
+      category: 'Pasta',
+      status: 'published',
+      averageRating: null,
+      reviewCount: 0,
+      allergens: ['gluten', 'egg'],
+      summary: { difficulty: 'Medium', totalTime: 25 }
+    });
+  });
+});
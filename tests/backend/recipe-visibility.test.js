@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as mealPlan from '../../functions/api/meal-plan.js';
+import * as shoppingList from '../../functions/api/shopping-list.js';
+import * as reviews from '../../functions/api/reviews.js';
+import * as favorites from '../../functions/api/favorites.js';
+import * as collections from '../../functions/api/collections.js';
+import * as collectionRecipes from '../../functions/api/collections/recipes.js';
+import { createTestDatabase } from '../helpers/d1.js';
+import { createContext } from '../helpers/context.js';
+
+const OWNER = { email: 'owner@example.com', name: 'Owner', role: 'editor' };
+const OTHER = { email: 'other@example.com', name: 'Other', role: 'editor' };
+
+const DATE = '2025-03-10';
+
+let DB;
+
+beforeEach(async () => {
+  DB = await createTestDatabase();
+});
+
+function addRecipe(status, owner = OWNER) {
+  const details = { recipeName: `${status} soup`, servings: 2, ingredients: ['1 onion'], instructions: ['Cook.'] };
+  const [row] = DB.query(
+    'INSERT INTO recipes (title, category, details, owner_email, status) VALUES (?, ?, ?, ?, ?) RETURNING id',
+    [`${status} soup`, 'main', JSON.stringify(details), owner.email, status]
+  );
+  return row.id;
+}
+
+function planMeal(user, recipeId) {
+  DB.query(
+    "INSERT INTO meal_plan_entries (user_email, plan_date, meal, recipe_id, servings) VALUES (?, ?, 'dinner', ?, 2)",
+    [user.email, DATE, recipeId]
+  );
+}
+
+async function call(handler, url, { user = OTHER, body, method = 'GET' } = {}) {
+  const response = await handler(createContext(url, { method, body, user, env: { DB } }));
+  return { status: response.status, body: await response.json() };
+}
+
+describe('recipes that are not visible to the caller', () => {
+  let published, draft, hidden, deleted;
+
+  beforeEach(() => {
+    published = addRecipe('published');
+    draft = addRecipe('draft');
+    hidden = addRecipe('hidden');
+    deleted = addRecipe('deleted');
+  });
+
+  it.each([
+    ['draft', () => draft],
+    ['hidden', () => hidden],
+    ['deleted', () => deleted]
+  ])('cannot be planned, reviewed, favorited or collected when %s', async (status, recipeId) => {
+    const id = recipeId();
+
+    const planned = await call(mealPlan.onRequestPost, '/api/meal-plan', {
+      method: 'POST', body: { date: DATE, meal: 'dinner', recipeId: id }
+    });
+    expect(planned.status).toBe(404);
+
+    const reviewed = await call(reviews.onRequestPost, `/api/reviews?recipeId=${id}`, {
+      method: 'POST', body: { rating: 5 }
+    });
+    expect(reviewed.status).toBe(404);
+
+    const favorited = await call(favorites.onRequestPost, `/api/favorites?recipeId=${id}`, { method: 'POST' });
+    expect(favorited.status).toBe(404);
+
+    const [collection] = DB.query(
+      "INSERT INTO collections (owner_email, name, share_token) VALUES (?, 'Mine', 'token') RETURNING id",
+      [OTHER.email]
+    );
+    const collected = await call(collectionRecipes.onRequestPost, `/api/collections/recipes?id=${collection.id}`, {
+      method: 'POST', body: { recipeId: id }
+    });
+    expect(collected.status).toBe(404);
+
+    expect(DB.query('SELECT COUNT(*) AS count FROM meal_plan_entries')[0].count).toBe(0);
+    expect(DB.query('SELECT COUNT(*) AS count FROM reviews')[0].count).toBe(0);
+    expect(DB.query('SELECT COUNT(*) AS count FROM favorites')[0].count).toBe(0);
+    expect(DB.query('SELECT COUNT(*) AS count FROM collection_recipes')[0].count).toBe(0);
+  });
+
+  it('can still be planned and favorited by their owner unless deleted', async () => {
+    for (const id of [draft, hidden]) {
+      const planned = await call(mealPlan.onRequestPost, '/api/meal-plan', {
+        user: OWNER, method: 'POST', body: { date: DATE, meal: 'dinner', recipeId: id }
+      });
+      expect(planned.status).toBe(201);
+    }
+
+    const ownDeleted = await call(favorites.onRequestPost, `/api/favorites?recipeId=${deleted}`, { user: OWNER, method: 'POST' });
+    expect(ownDeleted.status).toBe(404);
+    const ownDraft = await call(favorites.onRequestPost, `/api/favorites?recipeId=${draft}`, { user: OWNER, method: 'POST' });
+    expect(ownDraft.body.favorited).toBe(true);
+  });
+
+  it('lets a favorite be removed after its recipe is hidden', async () => {
+    expect((await call(favorites.onRequestPost, `/api/favorites?recipeId=${published}`, { method: 'POST' })).body.favorited).toBe(true);
+    DB.query("UPDATE recipes SET status = 'hidden' WHERE id = ?", [published]);
+
+    const removed = await call(favorites.onRequestPost, `/api/favorites?recipeId=${published}`, { method: 'POST' });
+    expect(removed.status).toBe(200);
+    expect(removed.body.favorited).toBe(false);
+  });
+
+  it('drop out of an existing meal plan and shopping list', async () => {
+    [published, draft, hidden, deleted].forEach(id => planMeal(OTHER, id));
+
+    const plan = await call(mealPlan.onRequestGet, `/api/meal-plan?from=${DATE}&to=${DATE}`);
+    expect(plan.status).toBe(200);
+    expect(plan.body.entries.map(entry => entry.recipe.id)).toEqual([published]);
+
+    const list = await call(shoppingList.onRequestGet, `/api/shopping-list?from=${DATE}&to=${DATE}`);
+    expect(list.status).toBe(200);
+    expect(list.body.recipeCount).toBe(1);
+  });
+
+  it('hide their reviews and rating', async () => {
+    for (const id of [published, draft, hidden, deleted]) {
+      DB.query("INSERT INTO reviews (recipe_id, user_email, rating) VALUES (?, 'fan@example.com', 4)", [id]);
+    }
+
+    expect((await call(reviews.onRequestGet, `/api/reviews?recipeId=${published}`)).body.reviewCount).toBe(1);
+    for (const id of [draft, hidden, deleted]) {
+      expect((await call(reviews.onRequestGet, `/api/reviews?recipeId=${id}`)).status).toBe(404);
+      expect((await call(reviews.onRequestGet, `/api/reviews?recipeId=${id}`, { user: null })).status).toBe(404);
+    }
+    expect((await call(reviews.onRequestGet, `/api/reviews?recipeId=${draft}`, { user: OWNER })).status).toBe(200);
+    expect((await call(reviews.onRequestGet, `/api/reviews?recipeId=${deleted}`, { user: OWNER })).status).toBe(404);
+  });
+
+  it('are dropped from a collection\'s recipeIds and left out of its recipe count', async () => {
+    const [collection] = DB.query(
+      "INSERT INTO collections (owner_email, name, share_token) VALUES (?, 'Mine', 'token') RETURNING id",
+      [OTHER.email]
+    );
+
+    const updated = await call(collections.onRequestPut, `/api/collections?id=${collection.id}`, {
+      method: 'PUT', body: { recipeIds: [draft, published, hidden, deleted] }
+    });
+    expect(updated.status).toBe(200);
+    expect(DB.query('SELECT recipe_id FROM collection_recipes').map(row => row.recipe_id)).toEqual([published]);
+
+    // A recipe hidden after it was added stays stored but is not counted
+    DB.query("UPDATE recipes SET status = 'hidden' WHERE id = ?", [published]);
+    const list = await call(collections.onRequestGet, '/api/collections');
+    expect(list.body.collections[0].recipeCount).toBe(0);
+  });
+
+  it('stay on their owner\'s plan while draft or hidden', async () => {
+    [published, draft, hidden, deleted].forEach(id => planMeal(OWNER, id));
+
+    const plan = await call(mealPlan.onRequestGet, `/api/meal-plan?from=${DATE}&to=${DATE}`, { user: OWNER });
+    expect(plan.body.entries.map(entry => entry.recipe.id).sort()).toEqual([published, draft, hidden].sort());
+
+    const list = await call(shoppingList.onRequestGet, `/api/shopping-list?from=${DATE}&to=${DATE}`, { user: OWNER });
+    expect(list.body.recipeCount).toBe(3);
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { onRequestGet } from '../../functions/api/recipe.js';
+import { createTestDatabase } from '../helpers/d1.js';
+import { createContext } from '../helpers/context.js';
+
+let DB;
+
+beforeEach(async () => {
+  DB = await createTestDatabase();
+});
+
+function addRecipe(details) {
+  const [row] = DB.query(
+    'INSERT INTO recipes (title, category, details) VALUES (?, ?, ?) RETURNING id',
+    [details.recipeName, 'main', JSON.stringify(details)]
+  );
+  return row.id;
+}
+
+async function getRecipe(query) {
+  const response = await onRequestGet(createContext(`/api/recipe?${query}`, { env: { DB } }));
+  return { status: response.status, body: await response.json() };
+}
+
+describe('GET /api/recipe scaling and units', () => {
+  const SOUP = {
+    recipeName: 'Tomato Soup',
+    servings: 4,
+    ingredients: ['1 can (400g) chopped tomatoes', '2 cups stock', '1 onion', 'Salt to taste'],
+    instructions: ['Simmer.']
+  };
+
+  it('scales to the requested servings', async () => {
+    const id = addRecipe(SOUP);
+    const { status, body } = await getRecipe(`id=${id}&servings=8`);
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ servings: 8, originalServings: 4, scale: 2, units: null });
+    expect(body.parsedIngredients.map(entry => [entry.quantityText, entry.unitText, entry.item, entry.note])).toEqual([
+      ['2', 'cans', 'chopped tomatoes', '800 g'],
+      ['4', 'cups', 'stock', null],
+      ['2', '', 'onion', null],
+      ['', '', 'Salt', 'to taste']
+    ]);
+  });
+
+  it('converts units after scaling', async () => {
+    const id = addRecipe(SOUP);
+    const { body } = await getRecipe(`id=${id}&servings=8&units=metric`);
+
+    expect(body.units).toBe('metric');
+    expect(body.parsedIngredients[1]).toMatchObject({ quantity: 945, unit: 'ml', quantityText: '945', unitText: 'ml' });
+  });
+
+  it('rejects bad parameters and scaling without a servings count', async () => {
+    const id = addRecipe(SOUP);
+    expect((await getRecipe(`id=${id}&servings=0`)).status).toBe(400);
+    expect((await getRecipe(`id=${id}&servings=2.5`)).status).toBe(400);
+    expect((await getRecipe(`id=${id}&units=cubits`)).status).toBe(400);
+
+    const unscaled = addRecipe({ ...SOUP, servings: undefined });
+    expect((await getRecipe(`id=${unscaled}&servings=2`)).status).toBe(400);
+    expect((await getRecipe(`id=${unscaled}`)).status).toBe(200);
+  });
+});
+
+describe('GET /api/recipe nutrition', () => {
+  const BAKE = { recipeName: 'Bake', servings: 2, ingredients: ['200 g flour', 'Salt to taste'], instructions: ['Bake.'] };
+
+  it('estimates nutrition for rows saved without one', async () => {
+    const id = addRecipe(BAKE);
+    const { body } = await getRecipe(`id=${id}`);
+
+    expect(body.nutrition).toMatchObject({
+      servings: 2,
+      matchedCount: 1,
+      ingredientCount: 2,
+      unmatched: [{ ingredient: 'Salt to taste' }]
+    });
+    expect(body.nutrition.perServing.calories).toBe(364);
+  });
+
+  it('keeps a stored estimate and reports it per original serving when scaled', async () => {
+    const stored = { perServing: { calories: 1, protein: 2, fat: 3, carbs: 4, sodium: 5 }, servings: 2, matchedCount: 1, ingredientCount: 1, unmatched: [] };
+    const id = addRecipe({ ...BAKE, nutrition: stored });
+    expect((await getRecipe(`id=${id}`)).body.nutrition).toEqual(stored);
+
+    const lazy = addRecipe(BAKE);
+    const scaled = await getRecipe(`id=${lazy}&servings=8`);
+    expect(scaled.body.nutrition.perServing.calories).toBe(364);
+    expect(scaled.body.nutrition.servings).toBe(2);
+  });
+});
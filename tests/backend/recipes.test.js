@@ -0,0 +1,62 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { onRequestPost, onRequestPut, onRequestPatch } from '../../functions/api/recipes.js';
+import { createTestDatabase } from '../helpers/d1.js';
+import { createContext } from '../helpers/context.js';
+
+const OWNER = { email: 'owner@example.com', name: 'Owner', role: 'editor' };
+
+let DB;
+let recipeId;
+
+beforeEach(async () => {
+  DB = await createTestDatabase();
+  const details = { recipeName: 'Soup', ingredients: ['1 onion'], instructions: ['Cook.'] };
+  [{ id: recipeId }] = DB.query(
+    'INSERT INTO recipes (title, category, details, owner_email) VALUES (?, ?, ?, ?) RETURNING id',
+    ['Soup', 'main', JSON.stringify(details), OWNER.email]
+  );
+});
+
+async function send(handler, method, url, body, headers = { 'Content-Type': 'application/json' }) {
+  const response = await handler(createContext(url, { method, body, headers, user: OWNER, env: { DB } }));
+  return { status: response.status, body: await response.json() };
+}
+
+describe('recipe request bodies', () => {
+  it.each([
+    ['POST', onRequestPost, '/api/recipes'],
+    ['PUT', onRequestPut, () => `/api/recipes?id=${recipeId}`],
+    ['PATCH', onRequestPatch, () => `/api/recipes?id=${recipeId}`]
+  ])('%s answers 400 for malformed JSON', async (method, handler, url) => {
+    const { status, body } = await send(handler, method, typeof url === 'function' ? url() : url, '{"recipeName": ');
+
+    expect(status).toBe(400);
+    expect(body.error).toBe('Invalid JSON body');
+  });
+
+  it.each([['null'], ['[1, 2]'], ['"Soup"'], ['42']])('PATCH rejects %s as the body', async (json) => {
+    const { status } = await send(onRequestPatch, 'PATCH', `/api/recipes?id=${recipeId}`, json);
+    expect(status).toBe(400);
+  });
+
+  it('still refuses other content types', async () => {
+    const { status, body } = await send(onRequestPost, 'POST', '/api/recipes', 'hello', { 'Content-Type': 'text/plain' });
+    expect(status).toBe(400);
+    expect(body.error).toBe('Unsupported content type');
+  });
+});
+
+describe('nutrition on save', () => {
+  it('stores an estimate when a recipe is created and refreshes it on update', async () => {
+    const created = await send(onRequestPost, 'POST', '/api/recipes', {
+      recipeName: 'Bread', servings: 2, ingredients: ['200 g flour'], instructions: ['Bake.']
+    });
+    expect(created.status).toBe(201);
+
+    const stored = () => JSON.parse(DB.query('SELECT details FROM recipes WHERE id = ?', [created.body.id])[0].details).nutrition;
+    expect(stored()).toMatchObject({ servings: 2, matchedCount: 1, perServing: { calories: 364 } });
+
+    await send(onRequestPatch, 'PATCH', `/api/recipes?id=${created.body.id}`, { servings: 4 });
+    expect(stored()).toMatchObject({ servings: 4, perServing: { calories: 182 } });
+  });
+});
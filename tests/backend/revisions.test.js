@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { onRequestPost as createRecipe, onRequestPatch, onRequestDelete } from '../../functions/api/recipes.js';
+import { onRequestGet, onRequestPost as restoreRevision } from '../../functions/api/recipe/revisions.js';
+import { diffRevisions } from '../../functions/_lib/revisions.js';
+import { createTestDatabase } from '../helpers/d1.js';
+import { createContext } from '../helpers/context.js';
+
+const OWNER = { email: 'owner@example.com', name: 'Owner', role: 'editor' };
+const OTHER = { email: 'other@example.com', name: 'Other', role: 'editor' };
+const ADMIN = { email: 'admin@example.com', name: 'Admin', role: 'admin' };
+
+let DB;
+let recipeId;
+
+beforeEach(async () => {
+  DB = await createTestDatabase();
+  const created = await send(createRecipe, 'POST', '/api/recipes', {
+    recipeName: 'Soup', category: 'main', ingredients: ['1 onion'], instructions: ['Cook.']
+  });
+  recipeId = created.body.id;
+});
+
+async function send(handler, method, url, body, user = OWNER) {
+  const response = await handler(createContext(url, { method, body, user, env: { DB } }));
+  return { status: response.status, body: await response.json() };
+}
+
+function history(user = OWNER) {
+  return send(onRequestGet, 'GET', `/api/recipe/revisions?id=${recipeId}`, undefined, user);
+}
+
+describe('recording revisions', () => {
+  it('records create and each update with the editor', async () => {
+    await send(onRequestPatch, 'PATCH', `/api/recipes?id=${recipeId}`, { recipeName: 'Onion soup' });
+
+    const { status, body } = await history();
+    expect(status).toBe(200);
+    expect(body.currentRevision).toBe(2);
+    expect(body.revisions).toMatchObject([
+      { revision: 2, action: 'update', title: 'Onion soup', editor: 'Owner' },
+      { revision: 1, action: 'create', title: 'Soup', editor: 'Owner' }
+    ]);
+    expect(body.revisions[0]).not.toHaveProperty('editorEmail');
+  });
+
+  it('records a soft delete as a revision of the unchanged recipe', async () => {
+    const deleted = await send(onRequestDelete, 'DELETE', `/api/recipes?id=${recipeId}`);
+    expect(deleted.status).toBe(200);
+
+    // Deleted recipes' history is left to admins
+    expect((await history()).status).toBe(404);
+    const { body } = await history(ADMIN);
+    expect(body.revisions[0]).toMatchObject({ revision: 2, action: 'delete', title: 'Soup', editor: 'Owner' });
+  });
+
+  it('records nothing when the delete is refused', async () => {
+    const refused = await send(onRequestDelete, 'DELETE', `/api/recipes?id=${recipeId}`, undefined, OTHER);
+    expect(refused.status).toBe(403);
+    expect(DB.query('SELECT COUNT(*) AS count FROM recipe_revisions')).toEqual([{ count: 1 }]);
+  });
+});
+
+describe('reading revisions', () => {
+  beforeEach(async () => {
+    await send(onRequestPatch, 'PATCH', `/api/recipes?id=${recipeId}`, { recipeName: 'Onion soup', servings: 4 });
+  });
+
+  it('returns one version in full', async () => {
+    const { body } = await send(onRequestGet, 'GET', `/api/recipe/revisions?id=${recipeId}&revision=1`);
+    expect(body.revision).toMatchObject({ revision: 1, action: 'create' });
+    expect(body.recipe).toMatchObject({ recipeName: 'Soup', ingredients: ['1 onion'] });
+  });
+
+  it('diffs the current revision against the one before by default', async () => {
+    const { body } = await send(onRequestGet, 'GET', `/api/recipe/revisions?id=${recipeId}&to=2`);
+    expect(body.from.revision).toBe(1);
+    expect(body.to.revision).toBe(2);
+    expect(body.changes).toEqual(expect.arrayContaining([
+      { field: 'title', before: 'Soup', after: 'Onion soup' },
+      { field: 'servings', before: null, after: 4 }
+    ]));
+    expect(body.changes.map(change => change.field)).not.toContain('recipeName');
+  });
+
+  it.each([
+    ['revision=9', 404],
+    ['from=1&to=9', 404],
+    ['revision=latest', 400]
+  ])('answers %s with %i', async (query, expected) => {
+    const { status } = await send(onRequestGet, 'GET', `/api/recipe/revisions?id=${recipeId}&${query}`);
+    expect(status).toBe(expected);
+  });
+
+  it('lets only the owner and admins read the history', async () => {
+    expect((await history(OTHER)).status).toBe(403);
+    expect((await history(ADMIN)).status).toBe(200);
+    expect((await history(null)).status).toBe(401);
+  });
+});
+
+describe('restoring a revision', () => {
+  beforeEach(async () => {
+    await send(onRequestPatch, 'PATCH', `/api/recipes?id=${recipeId}`, { recipeName: 'Onion soup' });
+  });
+
+  it('writes the old version back and records the restore as a new revision', async () => {
+    const restored = await send(restoreRevision, 'POST', `/api/recipe/revisions?id=${recipeId}`, { revision: 1 });
+    expect(restored.body).toMatchObject({ success: true, restoredFrom: 1, currentRevision: 3 });
+
+    expect(DB.query('SELECT title FROM recipes WHERE id = ?', [recipeId])).toEqual([{ title: 'Soup' }]);
+    const { body } = await history();
+    expect(body.revisions[0]).toMatchObject({ revision: 3, action: 'restore', restoredFrom: 1, title: 'Soup' });
+  });
+
+  it('refuses to restore the current revision', async () => {
+    const { status } = await send(restoreRevision, 'POST', `/api/recipe/revisions?id=${recipeId}`, { revision: 2 });
+    expect(status).toBe(409);
+  });
+
+  it('lets only the owner restore', async () => {
+    const { status } = await send(restoreRevision, 'POST', `/api/recipe/revisions?id=${recipeId}`, { revision: 1 }, ADMIN);
+    expect(status).toBe(403);
+  });
+});
+
+describe('recipe_revisions table', () => {
+  it('refuses to change a stored revision', () => {
+    expect(() => DB.query("UPDATE recipe_revisions SET title = 'Edited' WHERE recipe_id = ?", [recipeId]))
+      .toThrow(/recipe revisions cannot be changed/);
+  });
+
+});
+
+describe('diffRevisions', () => {
+  it('compares title, category and every details field', () => {
+    const before = { title: 'Soup', category: 'main', details: '{"recipeName": "Soup", "servings": 2, "tags": ["quick"]}' };
+    const after = { title: 'Soup', category: 'starter', details: '{"recipeName": "Soup", "tags": ["quick", "vegan"]}' };
+
+    expect(diffRevisions(before, after)).toEqual([
+      { field: 'category', before: 'main', after: 'starter' },
+      { field: 'servings', before: 2, after: null },
+      { field: 'tags', before: ['quick'], after: ['quick', 'vegan'] }
+    ]);
+  });
+
+  it('treats unreadable details as empty', () => {
+    expect(diffRevisions({ title: 'A', category: 'c', details: 'not json' }, { title: 'A', category: 'c', details: '{"servings": 1}' }))
+      .toEqual([{ field: 'servings', before: null, after: 1 }]);
+  });
+});
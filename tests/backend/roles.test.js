@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ROLES, permissionsFor, hasPermission, requirePermission } from '../../functions/_lib/permissions.js';
+import { isAdmin, getAdminEmails } from '../../functions/_lib/admin.js';
+import { recordLogin, getUserRole } from '../../functions/_lib/users.js';
+import { onRequestGet as listUsers, onRequestPut as assignRole } from '../../functions/api/admin/users.js';
+import { onRequestGet as me } from '../../functions/api/me.js';
+import { createTestDatabase } from '../helpers/d1.js';
+import { createContext } from '../helpers/context.js';
+
+const ADMIN_EMAILS = 'Boss@Example.com, second@example.com';
+const BOSS = { email: 'boss@example.com', name: 'Boss' };
+const COOK = { email: 'cook@example.com', name: 'Cook' };
+
+let env;
+
+beforeEach(async () => {
+  env = { DB: await createTestDatabase(), ADMIN_EMAILS };
+});
+
+function storedRole(email) {
+  const rows = env.DB.query('SELECT role FROM users WHERE email = ?', [email]);
+  return rows.length ? rows[0].role : null;
+}
+
+describe('permissions', () => {
+  it('lets each role do everything the role below it can', () => {
+    expect(ROLES).toEqual(['viewer', 'editor', 'admin']);
+    expect(permissionsFor('viewer')).toEqual(['recipes:read', 'account:write']);
+    expect(permissionsFor('editor')).toEqual([...permissionsFor('viewer'), 'recipes:write']);
+    expect(permissionsFor('admin')).toEqual([...permissionsFor('editor'), 'recipes:moderate', 'users:manage', 'data:transfer']);
+    expect(permissionsFor('owner')).toEqual([]);
+  });
+
+  it.each([
+    [null, 'recipes:read', false],
+    [{ email: 'a@example.com' }, 'recipes:read', false],
+    [{ email: 'a@example.com', role: 'viewer' }, 'recipes:write', false],
+    [{ email: 'a@example.com', role: 'editor' }, 'recipes:write', true],
+    [{ email: 'a@example.com', role: 'editor' }, 'users:manage', false],
+    [{ email: 'a@example.com', role: 'admin' }, 'users:manage', true]
+  ])('hasPermission(%j, %s) is %s', (user, permission, expected) => {
+    expect(hasPermission(user, permission)).toBe(expected);
+  });
+
+  it('answers 401 without a user and 403 naming the missing permission', async () => {
+    expect(requirePermission(createContext('/api/recipes', { user: { email: 'a@example.com', role: 'editor' } }), 'recipes:write')).toBeNull();
+
+    expect(requirePermission(createContext('/api/recipes'), 'recipes:write').status).toBe(401);
+
+    const denied = requirePermission(createContext('/api/recipes', { user: { email: 'a@example.com', role: 'viewer' } }), 'recipes:write');
+    expect(denied.status).toBe(403);
+    expect(await denied.json()).toEqual({
+      error: 'Forbidden', message: 'Your role (viewer) does not allow this', permission: 'recipes:write'
+    });
+  });
+});
+
+describe('isAdmin', () => {
+  it('trusts the resolved role over ADMIN_EMAILS', () => {
+    expect(isAdmin({ ...BOSS, role: 'editor' }, env)).toBe(false);
+    expect(isAdmin({ ...COOK, role: 'admin' }, env)).toBe(true);
+  });
+
+  it('falls back to ADMIN_EMAILS, case-insensitively, for users without a role', () => {
+    expect(getAdminEmails(env)).toEqual(['boss@example.com', 'second@example.com']);
+    expect(isAdmin({ email: 'BOSS@example.com' }, env)).toBe(true);
+    expect(isAdmin(COOK, env)).toBe(false);
+    expect(isAdmin(null, env)).toBe(false);
+  });
+});
+
+describe('ADMIN_EMAILS bootstrap', () => {
+  it('signs new users up as editors and listed emails as admins', async () => {
+    expect(await recordLogin(env, COOK)).toBe('editor');
+    expect(await recordLogin(env, BOSS)).toBe('admin');
+    expect(storedRole(COOK.email)).toBe('editor');
+    expect(storedRole(BOSS.email)).toBe('admin');
+  });
+
+  it('promotes an existing user once their email is listed', async () => {
+    await recordLogin({ DB: env.DB }, BOSS);
+    expect(storedRole(BOSS.email)).toBe('editor');
+
+    expect(await recordLogin(env, BOSS)).toBe('admin');
+  });
+
+  it('stops applying once an admin has assigned the role by hand', async () => {
+    await recordLogin(env, BOSS);
+    await recordLogin(env, { email: 'second@example.com' });
+    env.DB.query("UPDATE users SET role = 'viewer', role_updated_by = 'second@example.com' WHERE email = ?", [BOSS.email]);
+
+    expect(await recordLogin(env, BOSS)).toBe('viewer');
+    expect(await getUserRole(env, BOSS)).toBe('viewer');
+  });
+
+  it('resolves roles for callers who never signed in through Google', async () => {
+    expect(await getUserRole(env, COOK)).toBe('editor');
+    expect(await getUserRole(env, { email: 'second@example.com' })).toBe('admin');
+  });
+});
+
+describe('/api/admin/users', () => {
+  beforeEach(async () => {
+    await recordLogin(env, BOSS);
+    await recordLogin(env, COOK);
+  });
+
+  async function put(email, body) {
+    const response = await assignRole(createContext(`/api/admin/users?email=${encodeURIComponent(email)}`, {
+      method: 'PUT', body, user: { ...BOSS, role: 'admin' }, env
+    }));
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('assigns a role and records who did it', async () => {
+    const { status, body } = await put(COOK.email, { role: 'viewer' });
+    expect(status).toBe(200);
+    expect(body.user).toMatchObject({ email: COOK.email, role: 'viewer', roleUpdatedBy: BOSS.email });
+    expect(await getUserRole(env, COOK)).toBe('viewer');
+  });
+
+  it('refuses to demote the last admin', async () => {
+    const { status, body } = await put(BOSS.email, { role: 'editor' });
+    expect(status).toBe(409);
+    expect(body.error).toBe('Cannot demote the last admin');
+
+    await put(COOK.email, { role: 'admin' });
+    expect((await put(BOSS.email, { role: 'editor' })).status).toBe(200);
+  });
+
+  it('answers 400 for unknown roles and 404 for users who never signed in', async () => {
+    expect((await put(COOK.email, { role: 'owner' })).status).toBe(400);
+    expect((await put('nobody@example.com', { role: 'viewer' })).status).toBe(404);
+  });
+
+  it('lists users filtered by role', async () => {
+    const response = await listUsers(createContext('/api/admin/users?role=admin', { user: { ...BOSS, role: 'admin' }, env }));
+    const body = await response.json();
+    expect(body.users.map(user => user.email)).toEqual([BOSS.email]);
+    expect(body.roles.map(role => role.name)).toEqual(ROLES);
+  });
+});
+
+describe('/api/me', () => {
+  it('includes the role and its permissions', async () => {
+    const response = await me(createContext('/api/me', { user: { ...COOK, role: 'viewer' }, env }));
+    expect(await response.json()).toEqual({ ...COOK, role: 'viewer', permissions: ['recipes:read', 'account:write'] });
+  });
+
+  it('answers 401 without a user', async () => {
+    expect((await me(createContext('/api/me', { env }))).status).toBe(401);
+  });
+});
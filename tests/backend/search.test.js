@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { onRequestGet } from '../../functions/api/search.js';
+import { createTestDatabase } from '../helpers/d1.js';
+import { createContext } from '../helpers/context.js';
+
+let DB;
+
+beforeEach(async () => {
+  DB = await createTestDatabase();
+});
+
+function addRecipe(title, details = {}) {
+  const [row] = DB.query(
+    'INSERT INTO recipes (title, category, details) VALUES (?, ?, ?) RETURNING id',
+    [title, 'main', JSON.stringify({ recipeName: title, ...details })]
+  );
+  return row.id;
+}
+
+async function search(q) {
+  const response = await onRequestGet(createContext(`/api/search?q=${encodeURIComponent(q)}`, { env: { DB } }));
+  return { status: response.status, body: await response.json() };
+}
+
+function indexedTitles() {
+  return DB.query('SELECT rowid, title FROM recipes_fts ORDER BY rowid');
+}
+
+describe('recipes_fts triggers', () => {
+  it('indexes new recipes, including array fields', async () => {
+    const id = addRecipe('Spaghetti Carbonara', { ingredients: ['spaghetti', 'guanciale', 'pecorino'], tags: ['pasta', 'quick'] });
+    expect(indexedTitles()).toEqual([{ rowid: id, title: 'Spaghetti Carbonara' }]);
+
+    const { body } = await search('guanciale');
+    expect(body.results.map(result => result.id)).toEqual([id]);
+  });
+
+  it('reindexes a recipe when its title or details change', async () => {
+    const id = addRecipe('Tomato Soup', { ingredients: 'tomatoes\nbasil' });
+    DB.query('UPDATE recipes SET title = ?, details = ? WHERE id = ?', [
+      'Pumpkin Soup',
+      JSON.stringify({ recipeName: 'Pumpkin Soup', ingredients: 'pumpkin\nnutmeg' }),
+      id
+    ]);
+
+    expect((await search('tomatoes')).body.results).toEqual([]);
+    expect((await search('nutmeg')).body.results.map(result => result.id)).toEqual([id]);
+    expect(indexedTitles()).toEqual([{ rowid: id, title: 'Pumpkin Soup' }]);
+  });
+
+  it('drops deleted recipes from the index', async () => {
+    const id = addRecipe('Apple Pie', { ingredients: 'apples' });
+    DB.query('DELETE FROM recipes WHERE id = ?', [id]);
+
+    expect(indexedTitles()).toEqual([]);
+    expect((await search('apples')).body.results).toEqual([]);
+  });
+});
+
+describe('GET /api/search', () => {
+  it('matches every word as a prefix', async () => {
+    const id = addRecipe('Spaghetti Carbonara', { ingredients: 'pecorino' });
+    addRecipe('Carrot Cake');
+
+    const { body } = await search('carbo pec');
+    expect(body.results.map(result => result.id)).toEqual([id]);
+  });
+
+  it('ranks title matches above body matches', async () => {
+    const inBody = addRecipe('Weeknight Pasta', { description: 'Like a lasagna, but faster' });
+    const inTitle = addRecipe('Lasagna');
+
+    const { body } = await search('lasagna');
+    expect(body.results.map(result => result.id)).toEqual([inTitle, inBody]);
+  });
+
+  it('treats FTS operators and syntax in user input as plain words', async () => {
+    const id = addRecipe('Fish and Chips', { ingredients: 'cod\npotatoes' });
+    addRecipe('Fish Pie');
+
+    // Every query holds only the words fish / and / chips, all in the title
+    for (const q of ['fish AND chips', 'AND fish chips', '"fish" and chips*', 'chips: fish', 'fish* (chips)', '^fish -chips', 'fish + {chips}']) {
+      const { status, body } = await search(q);
+      expect(status, q).toBe(200);
+      expect(body.results.map(result => result.id), q).toEqual([id]);
+    }
+  });
+
+  it('searches for operator keywords instead of applying them', async () => {
+    addRecipe('Fish and Chips');
+
+    const { status, body } = await search('NEAR(fish chips)');
+    expect(status).toBe(200);
+    expect(body.results).toEqual([]);
+  });
+
+  it('requires at least one word', async () => {
+    const { status } = await search('"*:()');
+    expect(status).toBe(400);
+  });
+
+  it('escapes highlighted titles and snippets', async () => {
+    addRecipe('<img src=x onerror=alert(1)> Brownies', { description: 'Fudgy <b>brownies</b>' });
+
+    const { body } = await search('brownies');
+    expect(body.results[0].titleHighlight).toBe('&lt;img src=x onerror=alert(1)&gt; <mark>Brownies</mark>');
+    expect(body.results[0].snippet).not.toContain('<b>');
+  });
+
+  it('leaves out drafts of other users and deleted recipes', async () => {
+    addRecipe('Secret Stew');
+    DB.query("UPDATE recipes SET status = 'draft', owner_email = 'owner@example.com'");
+    addRecipe('Stew Deluxe');
+    DB.query("UPDATE recipes SET status = 'deleted' WHERE title = 'Stew Deluxe'");
+
+    expect((await search('stew')).body.results).toEqual([]);
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createSession, getSessionUser, destroySession, clearSessionCookie } from '../../functions/_lib/session.js';
+import { createTestDatabase } from '../helpers/d1.js';
+
+const USER = { email: 'cook@example.com', name: 'Cook', picture: 'https://example.com/cook.png' };
+const START = Date.UTC(2025, 2, 10, 12, 0, 0);
+const DAY = 24 * 60 * 60 * 1000;
+
+let env;
+
+beforeEach(async () => {
+  env = { DB: await createTestDatabase(), SESSION_SECRET: 'test-secret' };
+});
+
+// The session=<value> part of a Set-Cookie header
+function cookieValue(setCookie) {
+  return setCookie.split(';')[0].slice('session='.length);
+}
+
+function storedSession() {
+  return env.DB.query('SELECT email, created_at, expires_at, max_expires_at FROM sessions')[0];
+}
+
+describe('createSession', () => {
+  it('stores the session and returns a signed HttpOnly cookie', async () => {
+    const setCookie = await createSession(env, USER, START);
+
+    expect(setCookie).toMatch(/^session=[0-9a-f]{64}\.[0-9a-f]{64}; Path=\/; Max-Age=2592000; HttpOnly; Secure; SameSite=Lax$/);
+    const seconds = START / 1000;
+    expect(storedSession()).toEqual({
+      email: USER.email,
+      created_at: seconds,
+      expires_at: seconds + 7 * DAY / 1000,
+      max_expires_at: seconds + 30 * DAY / 1000
+    });
+  });
+
+  it('needs SESSION_SECRET', async () => {
+    await expect(createSession({ DB: env.DB }, USER, START)).rejects.toThrow('SESSION_SECRET is not configured');
+  });
+});
+
+describe('getSessionUser', () => {
+  let cookie;
+
+  beforeEach(async () => {
+    cookie = cookieValue(await createSession(env, USER, START));
+  });
+
+  it('returns the signed-in user', async () => {
+    expect(await getSessionUser(env, cookie, START + 1000)).toEqual({
+      email: USER.email, name: 'Cook', picture: USER.picture, email_verified: true
+    });
+  });
+
+  it('rejects a tampered or differently signed cookie', async () => {
+    const [id, signature] = cookie.split('.');
+    const flipped = signature.slice(0, -1) + (signature.endsWith('0') ? '1' : '0');
+
+    expect(await getSessionUser(env, `${id}.${flipped}`, START)).toBeNull();
+    expect(await getSessionUser({ ...env, SESSION_SECRET: 'other-secret' }, cookie, START)).toBeNull();
+    expect(await getSessionUser(env, id, START)).toBeNull();
+    expect(await getSessionUser(env, '', START)).toBeNull();
+  });
+
+  it('slides the idle expiry forward on use', async () => {
+    const before = storedSession().expires_at;
+
+    expect(await getSessionUser(env, cookie, START + 6 * DAY)).not.toBeNull();
+    expect(storedSession().expires_at).toBe(before + 6 * DAY / 1000);
+
+    // Still valid a week after the last use, though two weeks after sign-in
+    expect(await getSessionUser(env, cookie, START + 12 * DAY)).not.toBeNull();
+  });
+
+  it('skips the write when the expiry would move by only a few minutes', async () => {
+    const before = storedSession().expires_at;
+    await getSessionUser(env, cookie, START + 60 * 1000);
+    expect(storedSession().expires_at).toBe(before);
+  });
+
+  it('expires after a week without use', async () => {
+    expect(await getSessionUser(env, cookie, START + 7 * DAY)).toBeNull();
+  });
+
+  it('never outlives the hard limit, however often it is used', async () => {
+    for (let day = 6; day < 30; day += 6) {
+      expect(await getSessionUser(env, cookie, START + day * DAY)).not.toBeNull();
+    }
+    expect(storedSession().expires_at).toBe(storedSession().max_expires_at);
+    expect(await getSessionUser(env, cookie, START + 30 * DAY)).toBeNull();
+  });
+});
+
+describe('destroySession', () => {
+  it('revokes the session so the cookie stops working', async () => {
+    const cookie = cookieValue(await createSession(env, USER, START));
+
+    await destroySession(env, cookie);
+    expect(env.DB.query('SELECT COUNT(*) AS count FROM sessions')).toEqual([{ count: 0 }]);
+    expect(await getSessionUser(env, cookie, START)).toBeNull();
+  });
+
+  it('ignores cookies with a bad signature', async () => {
+    const cookie = cookieValue(await createSession(env, USER, START));
+
+    await destroySession(env, `${cookie.split('.')[0]}.${'0'.repeat(64)}`);
+    expect(env.DB.query('SELECT COUNT(*) AS count FROM sessions')).toEqual([{ count: 1 }]);
+  });
+
+  it('clears the cookie with Max-Age=0', () => {
+    expect(clearSessionCookie()).toBe('session=; Path=/; Max-Age=0; HttpOnly; Secure; SameSite=Lax');
+  });
+});
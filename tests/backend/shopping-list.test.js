@@ -0,0 +1,173 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as shoppingList from '../../functions/api/shopping-list.js';
+import { buildShoppingList, aisleFor } from '../../functions/_lib/shopping-list.js';
+import { parseIngredients } from '../../functions/_lib/ingredients.js';
+import { createTestDatabase } from '../helpers/d1.js';
+import { createContext } from '../helpers/context.js';
+
+const USER = { email: 'cook@example.com', name: 'Cook', role: 'editor' };
+
+const WEEK_1 = 'from=2025-03-10&to=2025-03-16';
+const WEEK_2 = 'from=2025-03-17&to=2025-03-23';
+
+function recipe(title, servings, lines) {
+  return { title, servings, parsedIngredients: parseIngredients(lines) };
+}
+
+function itemsOf(list) {
+  return Object.fromEntries(list.aisles.flatMap(aisle => aisle.items).map(item => [item.key, item]));
+}
+
+describe('aisleFor', () => {
+  it.each([
+    ['chicken stock', 'pantry'],
+    ['chicken breast', 'meat'],
+    ['red onion', 'produce'],
+    ['peanut butter', 'pantry'],
+    ['butter', 'dairy'],
+    ['black pepper', 'spices'],
+    ['red pepper', 'produce'],
+    ['frozen pea', 'frozen'],
+    ['dragon fruit', 'other']
+  ])('%s goes to %s', (name, aisle) => {
+    expect(aisleFor(name).key).toBe(aisle);
+  });
+});
+
+describe('buildShoppingList', () => {
+  it('merges singular and plural lines for the same item', () => {
+    const list = buildShoppingList([
+      { recipe: recipe('Soup', 2, ['2 onions']), servings: 2 },
+      { recipe: recipe('Stew', 2, ['1 onion, diced']), servings: 2 }
+    ]);
+
+    expect(itemsOf(list)['produce:onion']).toMatchObject({
+      item: 'onion',
+      amounts: [{ quantity: 3, quantityMax: null, unit: null }],
+      text: '3',
+      recipes: ['Soup', 'Stew']
+    });
+  });
+
+  it('adds volumes across units and shows them in the recipes\' system', () => {
+    const imperial = buildShoppingList([
+      { recipe: recipe('Soup', 2, ['1 cup milk']), servings: 2 },
+      { recipe: recipe('Stew', 2, ['120 ml milk']), servings: 2 }
+    ]);
+    expect(itemsOf(imperial)['dairy:milk']).toMatchObject({ amounts: [{ quantity: 1.5, unit: 'cup' }], text: '1½ cups' });
+
+    const metric = buildShoppingList([
+      { recipe: recipe('Soup', 2, ['500 ml milk']), servings: 2 },
+      { recipe: recipe('Stew', 2, ['1 l milk']), servings: 2 }
+    ]);
+    expect(itemsOf(metric)['dairy:milk']).toMatchObject({ amounts: [{ quantity: 1.5, unit: 'l' }], text: '1.5 l' });
+  });
+
+  it('adds per unit what has no fixed size', () => {
+    const list = buildShoppingList([
+      { recipe: recipe('Soup', 2, ['2 cloves garlic', '1 garlic']), servings: 2 }
+    ]);
+    expect(itemsOf(list)['produce:garlic'].text).toBe('2 cloves + 1');
+  });
+
+  it('scales each recipe to its planned servings and keeps ranges', () => {
+    const list = buildShoppingList([
+      { recipe: recipe('Soup', 2, ['2 onions', '1-2 carrots']), servings: 6 },
+      { recipe: recipe('Stew', 4, ['2 onions']), servings: 2 }
+    ]);
+
+    const items = itemsOf(list);
+    expect(items['produce:onion'].amounts).toEqual([{ quantity: 7, quantityMax: null, unit: null }]);
+    expect(items['produce:carrot'].amounts).toEqual([{ quantity: 3, quantityMax: 6, unit: null }]);
+    expect(items['produce:carrot'].text).toBe('3–6');
+    expect(list.unscaled).toEqual([]);
+  });
+
+  it('uses recipes without servings as written and lists them in unscaled', () => {
+    const list = buildShoppingList([
+      { recipe: recipe('Toast', null, ['2 slices bread']), servings: 6 },
+      { recipe: recipe('Toast', null, ['1 tbsp butter']), servings: 3 }
+    ]);
+
+    expect(itemsOf(list)['bakery:bread'].text).toBe('2 slices');
+    expect(list.unscaled).toEqual(['Toast']);
+  });
+
+  it('marks unquantified lines as needed', () => {
+    const list = buildShoppingList([
+      { recipe: recipe('Soup', 2, ['Salt to taste']), servings: 2 },
+      { recipe: recipe('Stew', 2, ['1 tsp salt']), servings: 2 }
+    ]);
+
+    expect(itemsOf(list)['spices:salt']).toMatchObject({ asNeeded: true, text: '1 tsp' });
+    expect(buildShoppingList([{ recipe: recipe('Soup', 2, ['Pepper']), servings: 2 }]).aisles[0].items[0].text).toBe('as needed');
+  });
+
+  it('groups items by aisle in walking order, sorted by name', () => {
+    const list = buildShoppingList([
+      { recipe: recipe('Soup', 2, ['1 l chicken stock', '2 onions', '1 carrot', '100 g butter', '1 kg chicken thighs']), servings: 2 }
+    ]);
+
+    expect(list.aisles.map(aisle => [aisle.key, aisle.items.map(item => item.item)])).toEqual([
+      ['produce', ['carrot', 'onion']],
+      ['meat', ['chicken thigh']],
+      ['dairy', ['butter']],
+      ['pantry', ['chicken stock']]
+    ]);
+  });
+});
+
+describe('/api/shopping-list check marks', () => {
+  let DB;
+
+  beforeEach(async () => {
+    DB = await createTestDatabase();
+    const details = { recipeName: 'Soup', servings: 2, ingredients: ['2 onions', '1 cup milk'], instructions: ['Cook.'] };
+    const [recipe] = DB.query(
+      'INSERT INTO recipes (title, category, details, owner_email) VALUES (?, ?, ?, ?) RETURNING id',
+      ['Soup', 'main', JSON.stringify(details), USER.email]
+    );
+    for (const date of ['2025-03-11', '2025-03-18']) {
+      DB.query(
+        "INSERT INTO meal_plan_entries (user_email, plan_date, meal, recipe_id, servings) VALUES (?, ?, 'dinner', ?, 2)",
+        [USER.email, date, recipe.id]
+      );
+    }
+  });
+
+  async function call(handler, query, { method = 'GET', body } = {}) {
+    const response = await handler(createContext(`/api/shopping-list?${query}`, { method, body, user: USER, env: { DB } }));
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function checkedKeys(query) {
+    const { body } = await call(shoppingList.onRequestGet, query);
+    return body.aisles.flatMap(aisle => aisle.items).filter(item => item.checked).map(item => item.key);
+  }
+
+  it('keeps a tick to the range it was made in', async () => {
+    const ticked = await call(shoppingList.onRequestPut, WEEK_1, { method: 'PUT', body: { key: 'produce:onion', checked: true } });
+    expect(ticked.body).toMatchObject({ success: true, from: '2025-03-10', to: '2025-03-16', checked: true });
+
+    expect(await checkedKeys(WEEK_1)).toEqual(['produce:onion']);
+    expect(await checkedKeys(WEEK_2)).toEqual([]);
+
+    await call(shoppingList.onRequestPut, WEEK_1, { method: 'PUT', body: { key: 'produce:onion', checked: false } });
+    expect(await checkedKeys(WEEK_1)).toEqual([]);
+  });
+
+  it('clears only the requested range', async () => {
+    await call(shoppingList.onRequestPut, WEEK_1, { method: 'PUT', body: { key: 'produce:onion', checked: true } });
+    await call(shoppingList.onRequestPut, WEEK_2, { method: 'PUT', body: { key: 'dairy:milk', checked: true } });
+
+    expect((await call(shoppingList.onRequestDelete, WEEK_1, { method: 'DELETE' })).status).toBe(200);
+    expect(await checkedKeys(WEEK_1)).toEqual([]);
+    expect(await checkedKeys(WEEK_2)).toEqual(['dairy:milk']);
+  });
+
+  it('rejects an invalid range or body', async () => {
+    expect((await call(shoppingList.onRequestPut, 'from=2025-02-30', { method: 'PUT', body: { key: 'a', checked: true } })).status).toBe(400);
+    expect((await call(shoppingList.onRequestPut, WEEK_1, { method: 'PUT', body: { key: 'a' } })).status).toBe(400);
+    expect((await call(shoppingList.onRequestDelete, 'from=2025-03-16&to=2025-03-10', { method: 'DELETE' })).status).toBe(400);
+  });
+});
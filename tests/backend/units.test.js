@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { scaleIngredient, convertIngredient, toBaseUnit, isMetricUnit, roundQuantity } from '../../functions/_lib/units.js';
+import { parseIngredient, formatIngredient } from '../../functions/_lib/ingredients.js';
+
+const scaled = (line, factor) => formatIngredient(scaleIngredient(parseIngredient(line), factor));
+const converted = (line, system) => formatIngredient(convertIngredient(parseIngredient(line), system));
+
+describe('scaleIngredient', () => {
+  it.each([
+    ['2 cups flour', 2, '4 cups flour'],
+    ['1 cup milk', 0.5, '½ cup milk'],
+    ['3 eggs', 1 / 3, '1 eggs'],
+    ['2–3 cloves garlic', 2, '4–6 cloves garlic'],
+    ['250 g butter', 1.5, '375 g butter'],
+    ['1.5 kg potatoes', 3, '4.5 kg potatoes'],
+    ['1 tsp salt', 0.1, '⅛ tsp salt']
+  ])('%s x %s -> %s', (line, factor, text) => {
+    expect(scaled(line, factor)).toBe(text);
+  });
+
+  it('scales sizes noted in parentheses', () => {
+    expect(scaleIngredient(parseIngredient('1 can (400g) chopped tomatoes'), 2)).toMatchObject({
+      quantity: 2, unit: 'can', item: 'chopped tomatoes', note: '800 g'
+    });
+    expect(scaleIngredient(parseIngredient('2 (about 1 lb) chicken breasts, sliced'), 1.5).note).toBe('sliced; about 1½ lb');
+    expect(scaleIngredient(parseIngredient('Parmesan (50 g)'), 2).note).toBe('100 g');
+  });
+
+  it('leaves notes that are not sizes alone', () => {
+    expect(scaleIngredient(parseIngredient('1 egg (large)'), 2).note).toBe('large');
+    expect(scaleIngredient(parseIngredient('1 can (400g tin) beans'), 2).note).toBe('400g tin');
+  });
+
+  it('returns entries without a quantity and factor 1 unchanged', () => {
+    const salt = parseIngredient('Salt to taste');
+    expect(scaleIngredient(salt, 3)).toEqual(salt);
+
+    const flour = parseIngredient('1 can (400g) tomatoes');
+    expect(scaleIngredient(flour, 1)).toEqual(flour);
+    expect(scaleIngredient(flour, 1)).not.toBe(flour);
+  });
+});
+
+describe('convertIngredient', () => {
+  it.each([
+    ['1 cup milk', 'metric', '235 ml milk'],
+    ['5 cups stock', 'metric', '1.2 l stock'],
+    ['1 lb beef', 'metric', '455 g beef'],
+    ['3 lb pork', 'metric', '1.35 kg pork'],
+    ['2 tbsp oil', 'metric', '30 ml oil'],
+    ['460 g flour', 'imperial', '1 lb flour'],
+    ['100 g sugar', 'imperial', '3½ oz sugar'],
+    ['5 ml vanilla', 'imperial', '1 tsp vanilla'],
+    ['30 ml oil', 'imperial', '2 tbsp oil'],
+    ['250 ml milk', 'imperial', '1 cup milk'],
+    ['1.5 l milk', 'imperial', '1⅝ quarts milk'],
+    ['1 gallon milk', 'imperial', '1 gallon milk'],
+    ['10 l water', 'imperial', '2⅝ gallons water'],
+    ['2 quarts stock', 'imperial', '2 quarts stock'],
+    ['1 gallon milk', 'metric', '3.8 l milk']
+  ])('%s in %s -> %s', (line, system, text) => {
+    expect(converted(line, system)).toBe(text);
+  });
+
+  it('keeps both ends of a range in one unit', () => {
+    expect(convertIngredient(parseIngredient('2-3 lb potatoes'), 'metric')).toMatchObject({ quantity: 905, quantityMax: 1360, unit: 'g' });
+  });
+
+  it('converts sizes noted in parentheses', () => {
+    expect(convertIngredient(parseIngredient('1 can (400g) tomatoes'), 'imperial').note).toBe('14 oz');
+    expect(convertIngredient(parseIngredient('1 can (14 oz) tomatoes'), 'metric').note).toBe('395 g');
+  });
+
+  it('leaves counted items and units without a fixed size alone', () => {
+    for (const line of ['3 eggs', '2 cloves garlic', '1 pinch salt', 'Salt to taste']) {
+      expect(converted(line, 'metric')).toBe(formatIngredient(parseIngredient(line)));
+    }
+  });
+});
+
+describe('toBaseUnit, isMetricUnit and roundQuantity', () => {
+  it('expresses weights in grams and volumes in millilitres', () => {
+    expect(toBaseUnit(2, 'kg')).toEqual({ quantity: 2000, unit: 'g' });
+    expect(toBaseUnit(1, 'cup')).toEqual({ quantity: 236.588, unit: 'ml' });
+    expect(toBaseUnit(1, 'clove')).toBeNull();
+    expect(toBaseUnit(1, null)).toBeNull();
+  });
+
+  it('tells metric units apart', () => {
+    expect(['g', 'kg', 'ml', 'l', 'mg'].every(isMetricUnit)).toBe(true);
+    expect(['cup', 'oz', 'tsp', 'clove'].some(isMetricUnit)).toBe(false);
+  });
+
+  it.each([
+    [123, 'g', 125],
+    [12.4, 'ml', 12],
+    [0.2, 'g', 0.5],
+    [1.23, 'kg', 1.25],
+    [0.01, 'l', 0.05],
+    [62.4, 'cup', 62],
+    [12.3, 'cup', 12.5],
+    [1.3, 'cup', 1 + 1 / 3],
+    [0.01, 'tsp', 1 / 8],
+    [0, 'g', 0]
+  ])('%s %s -> %s', (value, unit, rounded) => {
+    expect(roundQuantity(value, unit)).toBeCloseTo(rounded, 9);
+  });
+});
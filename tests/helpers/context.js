@@ -0,0 +1,22 @@
+/**
+ * Build the context object Pages Functions receive
+ * data.user and data.log are normally set by functions/api/_middleware.js.
+ */
+import { createLogger } from '../../functions/_lib/logger.js';
+
+export function createContext(url, { method = 'GET', body, headers = {}, env = {}, user = null, params = {} } = {}) {
+  const init = { method, headers: { ...headers } };
+  if (body !== undefined) {
+    init.body = typeof body === 'string' || body instanceof Uint8Array || body instanceof FormData ? body : JSON.stringify(body);
+    if (typeof body === 'object' && !(body instanceof Uint8Array) && !(body instanceof FormData) && !init.headers['Content-Type']) {
+      init.headers['Content-Type'] = 'application/json';
+    }
+  }
+  return {
+    request: new Request(new URL(url, 'https://recipes.test'), init),
+    env: { LOG_LEVEL: 'error', ...env },
+    params,
+    data: { user, log: createLogger({ LOG_LEVEL: 'error' }) },
+    next: async () => new Response(null, { status: 404 })
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * In-memory D1 stand-in for tests
+ *
+ * Runs the real migrations/ files on SQLite compiled to WebAssembly and
+ * exposes the subset of the D1 binding the functions use:
+ * prepare().bind().first() / .all() / .run() and batch() (in a transaction).
+ */
+import { readFileSync, readdirSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import sqlite3InitModule from '@sqlite.org/sqlite-wasm';
+
+const MIGRATIONS_DIR = fileURLToPath(new URL('../../migrations/', import.meta.url));
+
+let sqlite3Promise;
+
+/**
+ * A D1-like database with every migration applied
+ * `before` is SQL run first, e.g. to create a database from before migrations.
+ */
+export async function createTestDatabase({ before = '' } = {}) {
+  sqlite3Promise = sqlite3Promise || sqlite3InitModule({ print: () => {}, printErr: () => {} });
+  const sqlite3 = await sqlite3Promise;
+  const db = new sqlite3.oo1.DB(':memory:');
+  db.exec('PRAGMA foreign_keys = ON');
+  if (before) db.exec(before);
+
+  for (const file of readdirSync(MIGRATIONS_DIR).filter(name => name.endsWith('.sql')).sort()) {
+    db.exec(readFileSync(MIGRATIONS_DIR + file, 'utf8'));
+  }
+  return new TestD1(sqlite3, db);
+}
+
+class TestD1 {
+  constructor(sqlite3, db) {
+    this.sqlite3 = sqlite3;
+    this.db = db;
+  }
+
+  prepare(sql) {
+    return new TestStatement(this, sql, []);
+  }
+
+  async batch(statements) {
+    this.db.exec('BEGIN');
+    try {
+      const results = statements.map(statement => statement.execute());
+      this.db.exec('COMMIT');
+      return results;
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  /**
+   * Run SQL directly, for test setup and assertions
+   */
+  query(sql, params = []) {
+    return this.db.exec({ sql, bind: params, rowMode: 'object', returnValue: 'resultRows' });
+  }
+}
+
+class TestStatement {
+  constructor(d1, sql, params) {
+    this.d1 = d1;
+    this.sql = sql;
+    this.params = params;
+  }
+
+  bind(...params) {
+    return new TestStatement(this.d1, this.sql, params.map(value => (typeof value === 'boolean' ? Number(value) : value)));
+  }
+
+  execute() {
+    const { db, sqlite3 } = this.d1;
+    const results = db.exec({
+      sql: this.sql,
+      bind: this.params.length ? this.params : undefined,
+      rowMode: 'object',
+      returnValue: 'resultRows'
+    });
+    return {
+      success: true,
+      results,
+      meta: {
+        changes: db.changes(),
+        last_row_id: Number(sqlite3.capi.sqlite3_last_insert_rowid(db.pointer))
+      }
+    };
+  }
+
+  async first(column) {
+    const [row = null] = this.execute().results;
+    return column && row ? row[column] : row;
+  }
+
+  async all() {
+    return this.execute();
+  }
+
+  async run() {
+    return this.execute();
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Test helpers for RS256 tokens
+ *
+ * Generates key pairs locally, signs tokens with them and serves the public
+ * keys as a JWKS through a stub fetch, so JWT verification runs offline.
+ */
+
+export async function generateSigningKey(kid) {
+  const { privateKey, publicKey } = await crypto.subtle.generateKey(
+    {
+      name: 'RSASSA-PKCS1-v1_5',
+      modulusLength: 2048,
+      publicExponent: new Uint8Array([1, 0, 1]),
+      hash: 'SHA-256'
+    },
+    true,
+    ['sign', 'verify']
+  );
+  const jwk = await crypto.subtle.exportKey('jwk', publicKey);
+  return { kid, privateKey, jwk: { kty: jwk.kty, n: jwk.n, e: jwk.e, alg: 'RS256', use: 'sig', kid } };
+}
+
+export async function signJwt(payload, key, header = {}) {
+  const encodedHeader = base64UrlEncode(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: key.kid, ...header }));
+  const encodedPayload = base64UrlEncode(JSON.stringify(payload));
+  const signingInput = `${encodedHeader}.${encodedPayload}`;
+  const signature = await crypto.subtle.sign('RSASSA-PKCS1-v1_5', key.privateKey, new TextEncoder().encode(signingInput));
+  return `${signingInput}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
+
+/**
+ * Stub fetch serving the current keys as a JWKS
+ * Swap keys with setKeys(); calls counts the fetches.
+ */
+export function jwksFetch(keys, cacheControl = 'public, max-age=3600') {
+  let current = keys;
+  const stub = async () => {
+    stub.calls += 1;
+    return new Response(JSON.stringify({ keys: current.map(key => key.jwk) }), {
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': cacheControl }
+    });
+  };
+  stub.calls = 0;
+  stub.setKeys = (next) => { current = next; };
+  return stub;
+}
+
+export function base64UrlEncode(input) {
+  const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
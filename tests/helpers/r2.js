@@ -0,0 +1,52 @@
+/**
+ * In-memory stand-in for an R2 bucket binding
+ * Covers the calls the image routes make: put, get, head and delete (one key
+ * or an array). Objects keep their httpMetadata and customMetadata, and get()
+ * returns a fresh ReadableStream body each time, like R2 does.
+ */
+export function createTestBucket() {
+  const objects = new Map();
+  let version = 0;
+
+  const describe = (key, stored) => ({
+    key,
+    size: stored.bytes.byteLength,
+    httpEtag: `"${stored.etag}"`,
+    etag: stored.etag,
+    httpMetadata: { ...stored.httpMetadata },
+    customMetadata: { ...stored.customMetadata }
+  });
+
+  return {
+    objects,
+
+    async put(key, value, options = {}) {
+      const bytes = value instanceof Uint8Array ? value.slice() : new Uint8Array(value);
+      version += 1;
+      objects.set(key, {
+        bytes,
+        etag: `etag-${version}`,
+        httpMetadata: options.httpMetadata || {},
+        customMetadata: options.customMetadata || {}
+      });
+      return describe(key, objects.get(key));
+    },
+
+    async head(key) {
+      const stored = objects.get(key);
+      return stored ? describe(key, stored) : null;
+    },
+
+    async get(key) {
+      const stored = objects.get(key);
+      if (!stored) return null;
+      return { ...describe(key, stored), body: new Blob([stored.bytes]).stream() };
+    },
+
+    async delete(keys) {
+      for (const key of [].concat(keys)) {
+        objects.delete(key);
+      }
+    }
+  };
+}
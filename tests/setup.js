@@ -0,0 +1,8 @@
+// Loaded by vitest before every test file (see vitest.config.js)
+import '@testing-library/jest-dom/vitest';
+import { afterEach, vi } from 'vitest';
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
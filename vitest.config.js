@@ -4,6 +4,9 @@ export default defineConfig({
   test: {
     globals: true,
     environment: 'happy-dom',
+    // Pages Functions run on the Workers runtime: test them against Node's
+    // fetch, Request, Response and WebCrypto rather than the DOM shims
+    environmentMatchGlobs: [['tests/backend/**', 'node']],
     setupFiles: ['./tests/setup.js'],
     coverage: {
       provider: 'v8',